@@ -1,27 +1,59 @@
 import Earth from "./objects/Earth.js";
 import Sun from "./objects/Sun.js";
+import Moon from "./objects/Moon.js";
 import SGP4Satellite from "./objects/SGP4Satellite.js";
 import EarthGroundStation from "./objects/EarthGroundStation.js";
+import Gimbal from "./objects/Gimbal.js";
 import AzElGimbal from "./objects/AzElGimbal.js";
+import SpaceAzElGimbal from "./objects/SpaceAzElGimbal.js";
+import EquatorialGimbal from "./objects/EquatorialGimbal.js";
+import XYGimbal from "./objects/XYGimbal.js";
+import VehicleMount from "./objects/VehicleMount.js";
 import ElectroOpicalSensor from "./objects/ElectroOpticalSensor.js";
 import FastSteeringMirror from "./objects/FastSteeringMirror.js";
 import Laser from "./objects/Laser.js";
 import LagrangeInterpolatedObject from "./objects/LagrangeInterpolatedObject.js";
 import TwoBodySatellite from "./objects/TwoBodySatellite.js";
+import NumericalSatellite from "./objects/NumericalSatellite.js";
 import AirVehicle from "./objects/AirVehicle.js";
+import EphemerisObject from "./objects/EphemerisObject.js";
 import SimObject from "./objects/SimObject.js";
 import Observatory from "./objects/Observatory.js";
 import {
   defaultObservatorySensorName,
   getObservatorySensors,
   normalizeAxisSlewRates,
+  normalizeGimbalType,
   normalizeObservatoryFsmConfig,
   normalizeObservatoryPayloadType,
-  normalizeSensorZoomConfig
+  normalizeSensorZoomConfig,
+  isSensorVisible,
+  observatoryLocalToAzEl
 } from "./objects/observatoryUtils.js";
-import { Cartesian3, JulianDate, defined } from "cesium";
+import { orbitFrameToInertial, orbitalElementsToRv } from "./dynamics/twobody.js";
+import { ShadowState, getShadowStatus, getLunarShadowStatus } from "./geometry/shadow.js";
+import { Cartesian3, JulianDate, Math as CMath, defined } from "cesium";
 import EventQueue from "./event/EventQueue.js";
-import { booleanOr, numberOr, toCartesian3OrUndefined } from "./utils.js";
+import SpatialIndex from "./geometry/SpatialIndex.js";
+import {
+  applyObservatoryState,
+  captureObservatoryState,
+  createUniverseSnapshot,
+  restoreUniverseSnapshot
+} from "./snapshot.js";
+import {
+  booleanOr,
+  numberOr,
+  numberOrUndefined,
+  positiveNumberOrUndefined,
+  resolveCollisionRadius,
+  resolveJulianDateInput,
+  toCartesian3OrUndefined
+} from "./utils.js";
+
+const DEFAULT_RUN_STEP_SECONDS = 60
+const RUN_STEP_EPSILON_SECONDS = 1e-9
+const DEFAULT_EVENT_HISTORY_LIMIT = 256
 
 function resolveVelocityNedFromEventData(data, fallbackHeadingDeg = 0) {
   const vNedInput = data.velocity_ned ?? data.velocityNed ?? data.velocity
@@ -77,10 +109,20 @@ function resolveEventObjectName(ev) {
   return data.object ?? data.vehicle ?? data.name ?? data.target ?? ev?.object ?? ev?.vehicle ?? ev?.name ?? ev?.target
 }
 
+/**
+ * Resolve an object referenced by name or, failing that, by id.
+ *
+ * @param {Universe} universe
+ * @param {string} ref
+ * @returns {SimObject|undefined}
+ */
+function resolveObjectReference(universe, ref) {
+  if (!defined(ref) || !universe.getObject) return undefined
+  return universe.getObject(ref) ?? universe.getObjectById?.(ref)
+}
+
 function resolveAirVehicleForEvent(universe, ev) {
-  const objectName = resolveEventObjectName(ev)
-  if (!defined(objectName) || !universe.getObject) return undefined
-  const obj = universe.getObject(objectName)
+  const obj = resolveObjectReference(universe, resolveEventObjectName(ev))
   if (!defined(obj)) return undefined
   if (obj instanceof AirVehicle) return obj
   if ('velocityNed' in obj || 'accelerationNed' in obj || 'heading' in obj) return obj
@@ -88,7 +130,8 @@ function resolveAirVehicleForEvent(universe, ev) {
 }
 
 /**
- * Find an observatory by its site name.
+ * Find an observatory by its name, which is its site name for ground
+ * observatories.
  *
  * @param {Universe} universe
  * @param {string} observerName
@@ -99,7 +142,7 @@ function findObservatoryByName(universe, observerName) {
   const arr = universe?._observatories || []
   for (let i = 0; i < arr.length; i++) {
     const obs = arr[i]
-    if (obs?.site?.name === observerName) return obs
+    if ((obs?.name ?? obs?.site?.name) === observerName) return obs
   }
   return undefined
 }
@@ -128,6 +171,38 @@ function findObservatorySensor(observatory, sensorName) {
   return undefined
 }
 
+/**
+ * Azimuth, elevation (degrees) and range (meters) of a condition's `target`
+ * from its `observer` observatory site, at their current state.
+ *
+ * @param {Universe} universe
+ * @param {Object} condition
+ * @returns {Array<number>|undefined} `[az, el, r]`, or undefined if either side is missing.
+ */
+function resolveConditionAzElRange(universe, condition) {
+  const observatory = findObservatoryByName(universe, condition.observer)
+  const target = resolveObjectReference(universe, condition.target)
+  if (!observatory?.site || !defined(target?.worldPosition)) return undefined
+  const local = observatory.site.transformPointFromWorld(target.worldPosition, new Cartesian3())
+  return observatoryLocalToAzEl(observatory, local)
+}
+
+/**
+ * Distance in meters between a condition's `observer` (observatory site or
+ * object) and `target`.
+ *
+ * @param {Universe} universe
+ * @param {Object} condition
+ * @returns {number|undefined}
+ */
+function resolveConditionRange(universe, condition) {
+  const observer = findObservatoryByName(universe, condition.observer)?.site ??
+    resolveObjectReference(universe, condition.observer)
+  const target = resolveObjectReference(universe, condition.target)
+  if (!defined(observer?.worldPosition) || !defined(target?.worldPosition)) return undefined
+  return Cartesian3.distance(observer.worldPosition, target.worldPosition)
+}
+
 function collectAxisValues(...sources) {
   const out = {}
 
@@ -174,20 +249,38 @@ function applyAxisDeltas(controller, axisValues, getOptions = undefined) {
   })
 }
 
-function getGimbalAxisTargetOptions(axis) {
-  if (String(axis).toLowerCase() !== 'az') {
-    return undefined
-  }
-
-  return {
-    normalizeTargetDeg: (azDeg) => {
-      let wrapped = Number(azDeg) % 360.0
-      if (wrapped < 0) wrapped += 360.0
-      return wrapped
-    }
-  }
+/**
+ * Axis target options of a gimbal for {@link applyAxisTargets} and
+ * {@link applyAxisDeltas}, e.g. azimuth or hour angle wrapping.
+ */
+function getGimbalAxisTargetOptions(gimbal) {
+  return (axis) => (typeof gimbal.getAxisTargetOptions === 'function' ? gimbal.getAxisTargetOptions(axis) : undefined)
 }
 
+/**
+ * Gimbal classes available on ground sites, by normalized gimbal type.
+ */
+const GROUND_GIMBAL_TYPES = Object.freeze({
+  AzElGimbal,
+  EquatorialGimbal,
+  XYGimbal
+})
+
+/**
+ * Gimbal classes available on vehicle mounts, by normalized gimbal type.
+ */
+const AIRBORNE_GIMBAL_TYPES = Object.freeze({
+  AzElGimbal,
+  XYGimbal
+})
+
+/**
+ * Gimbal classes available on satellite hosts, by normalized gimbal type.
+ */
+const SPACE_GIMBAL_TYPES = Object.freeze({
+  SpaceAzElGimbal
+})
+
 /**
  * Normalize a single observatory payload config into the canonical runtime
  * shape used by observatory construction.
@@ -200,6 +293,8 @@ function getGimbalAxisTargetOptions(axis) {
 function normalizeObservatorySensorConfig(entry, observatoryName, sensorIndex = 0) {
   const payloadType = normalizeObservatoryPayloadType(entry?.type)
   const sensorName = String(entry?.name ?? '').trim() || defaultObservatorySensorName(observatoryName, sensorIndex, payloadType)
+  const lunarExclusionAngle = Number(entry?.lunar_exclusion_angle ?? entry?.lunarExclusionAngle)
+  const lunarExclusion = Number.isFinite(lunarExclusionAngle) ? { lunar_exclusion_angle: lunarExclusionAngle } : {}
   if (payloadType === 'Laser') {
     return {
       type: 'Laser',
@@ -210,6 +305,7 @@ function normalizeObservatorySensorConfig(entry, observatoryName, sensorIndex =
       y_fov: Number(entry?.y_fov ?? 0.01),
       x_fov: Number(entry?.x_fov ?? 0.01),
       field_of_regard: entry?.field_of_regard ?? [],
+      ...lunarExclusion,
       color: entry?.color,
       name: sensorName
     }
@@ -221,6 +317,7 @@ function normalizeObservatorySensorConfig(entry, observatoryName, sensorIndex =
     y_fov: Number(entry?.y_fov ?? 5),
     x_fov: Number(entry?.x_fov ?? 5),
     field_of_regard: entry?.field_of_regard ?? [],
+    ...lunarExclusion,
     color: entry?.color,
     zoom: normalizeSensorZoomConfig(entry?.zoom),
     name: sensorName
@@ -243,7 +340,7 @@ function normalizeObservatorySensorConfig(entry, observatoryName, sensorIndex =
  * @param {Array} [field_of_regard]
  * @param {Object<string, number|Object>} [gimbalSlewRates]
  * @param {number} [sensorMaxDistance]
- * @returns {{name:string, latitude:number, longitude:number, altitude:number, gimbalType:string, gimbalSlewRates:Object|undefined, sensorMaxDistance:number|undefined, fsm:Object|undefined, sensors:Array<Object>}}
+ * @returns {{name:string, id?:string, tags?:Array<string>, metadata?:Object, latitude:number, longitude:number, altitude:number, gimbalType:string, gimbalSlewRates:Object|undefined, sensorMaxDistance:number|undefined, fsm:Object|undefined, sensors:Array<Object>}}
  */
 function normalizeGroundObservatoryConfig(nameOrConfig, latitude, longitude, altitude, gimbalType, height, width, y_fov, x_fov, field_of_regard, gimbalSlewRates, sensorMaxDistance) {
   if (defined(nameOrConfig) && typeof nameOrConfig === 'object' && !Array.isArray(nameOrConfig)) {
@@ -257,6 +354,7 @@ function normalizeGroundObservatoryConfig(nameOrConfig, latitude, longitude, alt
         y_fov: config.y_fov,
         x_fov: config.x_fov,
         field_of_regard: config.field_of_regard,
+        lunar_exclusion_angle: config.lunar_exclusion_angle,
         zoom: config.zoom,
         name: config.sensor_name,
         type: config.type
@@ -264,6 +362,9 @@ function normalizeGroundObservatoryConfig(nameOrConfig, latitude, longitude, alt
 
     return {
       name,
+      id: config.id,
+      tags: config.tags,
+      metadata: config.metadata,
       latitude: Number(config.latitude),
       longitude: Number(config.longitude),
       altitude: Number(config.altitude ?? 0),
@@ -297,6 +398,220 @@ function normalizeGroundObservatoryConfig(nameOrConfig, latitude, longitude, alt
   }
 }
 
+/**
+ * Normalize legacy positional arguments or an object-form config of an
+ * observatory carried by a vehicle into the canonical runtime configuration
+ * of {@link normalizeGroundObservatoryConfig}, with the `host` vehicle in
+ * place of the site coordinates. Object configs name the host with
+ * `satellite`, `vehicle` or `host`.
+ *
+ * @param {string|Object} nameOrConfig
+ * @param {SimObject|string} [host]
+ * @param {string} defaultGimbalType
+ * @param {string} [gimbalType]
+ * @param {number} [height]
+ * @param {number} [width]
+ * @param {number} [y_fov]
+ * @param {number} [x_fov]
+ * @param {Array} [field_of_regard]
+ * @param {Object<string, number|Object>} [gimbalSlewRates]
+ * @param {number} [sensorMaxDistance]
+ * @returns {{name:string, id?:string, tags?:Array<string>, metadata?:Object, host:SimObject|string|undefined, gimbalType:string, gimbalSlewRates:Object|undefined, sensorMaxDistance:number|undefined, fsm:Object|undefined, sensors:Array<Object>}}
+ */
+function normalizeHostedObservatoryConfig(nameOrConfig, host, defaultGimbalType, gimbalType, height, width, y_fov, x_fov, field_of_regard, gimbalSlewRates, sensorMaxDistance) {
+  const isConfig = defined(nameOrConfig) && typeof nameOrConfig === 'object' && !Array.isArray(nameOrConfig)
+  const config = normalizeGroundObservatoryConfig(
+    nameOrConfig, undefined, undefined, undefined, gimbalType, height, width, y_fov, x_fov, field_of_regard, gimbalSlewRates, sensorMaxDistance
+  )
+  delete config.latitude
+  delete config.longitude
+  delete config.altitude
+  config.host = isConfig ? (nameOrConfig.satellite ?? nameOrConfig.vehicle ?? nameOrConfig.host) : host
+  config.gimbalType = isConfig
+    ? (nameOrConfig.gimbalType ?? nameOrConfig.gimbal_type ?? defaultGimbalType)
+    : (gimbalType ?? defaultGimbalType)
+  return config
+}
+
+/**
+ * Apply normalized FSM angles and slew settings to a fast steering mirror.
+ *
+ * @param {FastSteeringMirror} fsm
+ * @param {{tip?:number, tilt?:number, slewRates?:Object}} fsmConfig
+ */
+function applyFsmConfig(fsm, fsmConfig) {
+  if (Number.isFinite(fsmConfig.tip)) {
+    fsm.tip = fsmConfig.tip
+  }
+  if (Number.isFinite(fsmConfig.tilt)) {
+    fsm.tilt = fsmConfig.tilt
+  }
+  if (defined(fsmConfig.slewRates) && typeof fsm.setAxisSlewRates === 'function') {
+    fsm.setAxisSlewRates(fsmConfig.slewRates)
+  }
+}
+
+function removeFromArray(array, item) {
+  const index = array.indexOf(item)
+  if (index > -1) {
+    array.splice(index, 1)
+  }
+}
+
+/**
+ * Normalize headless runner options into absolute start/stop times and a
+ * positive step size.
+ *
+ * `stop` may be omitted when `duration` (seconds) is provided.
+ *
+ * @param {{start: JulianDate|Date|string, stop?: JulianDate|Date|string, duration?: number, step?: number}} options
+ * @returns {{start: JulianDate, stop: JulianDate, step: number}}
+ */
+function resolveRunOptions(options) {
+  const start = resolveJulianDateInput(options?.start)
+  if (!defined(start)) {
+    throw new Error('Universe.run: start time is required')
+  }
+
+  let stop = resolveJulianDateInput(options?.stop)
+  if (!defined(stop)) {
+    const duration = numberOrUndefined(options?.duration)
+    if (!defined(duration)) {
+      throw new Error('Universe.run: stop time or duration is required')
+    }
+    stop = JulianDate.addSeconds(start, duration, new JulianDate())
+  }
+  if (JulianDate.lessThan(stop, start)) {
+    throw new Error('Universe.run: stop time must not be before start time')
+  }
+
+  const step = positiveNumberOrUndefined(options?.step ?? DEFAULT_RUN_STEP_SECONDS)
+  if (!defined(step)) {
+    throw new Error('Universe.run: step must be a positive number of seconds')
+  }
+
+  return { start, stop, step }
+}
+
+/**
+ * Classes that {@link Universe#query} accepts by name in `type`.
+ * @type {Object<string, Function>}
+ */
+const QUERY_TYPES = Object.freeze({
+  SimObject,
+  Earth,
+  Sun,
+  Moon,
+  SGP4Satellite,
+  TwoBodySatellite,
+  NumericalSatellite,
+  AirVehicle,
+  EphemerisObject,
+  LagrangeInterpolatedObject,
+  EarthGroundStation,
+  Gimbal,
+  AzElGimbal,
+  EquatorialGimbal,
+  XYGimbal,
+  FastSteeringMirror,
+  ElectroOpticalSensor: ElectroOpicalSensor,
+  Laser
+})
+
+/**
+ * Check an object against a query `type`: a class, a class name from
+ * {@link QUERY_TYPES}, another string compared with `object.type`, or an
+ * array of those. Lagrange-interpolated objects also match the type of the
+ * object they wrap.
+ *
+ * @param {SimObject} object
+ * @param {Function|string|Array<Function|string>} type
+ * @returns {boolean}
+ */
+function matchesObjectType(object, type) {
+  if (Array.isArray(type)) {
+    return type.some((t) => matchesObjectType(object, t))
+  }
+  if (typeof type === 'function') {
+    const source = object instanceof LagrangeInterpolatedObject ? object.object : undefined
+    return object instanceof type || (defined(source) && source instanceof type)
+  }
+  const cls = QUERY_TYPES[type]
+  return defined(cls) ? matchesObjectType(object, cls) : object?.type === type
+}
+
+function toTagList(tags) {
+  if (!defined(tags)) return []
+  return (typeof tags === 'string' ? [tags] : Array.from(tags)).map((tag) => String(tag).trim()).filter(Boolean)
+}
+
+/**
+ * Names of the lifecycle events emitted by {@link Universe}.
+ * @type {Array<string>}
+ */
+const UNIVERSE_EVENTS = Object.freeze([
+  'objectAdded',
+  'objectRemoved',
+  'observatoryAdded',
+  'observatoryRemoved',
+  'observatoryUpdated',
+  'eventFired'
+])
+
+/**
+ * Objects that must be evaluated before `node`: its scene graph parent and,
+ * for gimbals, the tracked object.
+ *
+ * @param {SimObject} node
+ * @returns {Array<SimObject>}
+ */
+function updateDependencies(node) {
+  return [node.parent, node.trackObject].filter(defined)
+}
+
+/**
+ * Order the universe's objects for an update pass.
+ *
+ * Roots are visited as Earth, Sun, Moon, trackables, non-trackables and then each
+ * observatory's site, gimbal, FSM and payloads. A depth-first walk places
+ * every dependency that is part of the universe before its dependents, and
+ * each object appears once even when it is listed in several collections.
+ *
+ * @param {Universe} universe
+ * @returns {{order: Array<SimObject>, nodes: Set<SimObject>}}
+ */
+function buildUpdateOrder(universe) {
+  const observatoryNodes = []
+  universe._observatories.forEach((o) => {
+    const payloads = [o.fsm, ...getObservatorySensors(o)].filter((p) => typeof p?.update === 'function')
+    observatoryNodes.push(o.site, o.gimbal, ...payloads)
+  })
+  const members = new Set(observatoryNodes)
+  const roots = [
+    universe._earth,
+    universe._sun,
+    universe._moon,
+    ...universe._trackables,
+    ...universe._nontrackables.filter((o) => !members.has(o)),
+    ...observatoryNodes
+  ].filter(defined)
+
+  const nodes = new Set(roots)
+  const visited = new Set()
+  const order = []
+  const visit = (node) => {
+    if (visited.has(node)) return
+    visited.add(node)
+    updateDependencies(node).forEach((dep) => {
+      if (nodes.has(dep)) visit(dep)
+    })
+    order.push(node)
+  }
+  roots.forEach(visit)
+
+  return { order, nodes }
+}
+
 /**
  * Represents a universe containing ECI objects, ground stations, observatory
  * payloads, and gimbals.
@@ -315,6 +630,12 @@ class Universe {
      * @private
      */
     this._sun = new Sun();
+    /**
+     * The Moon object in the universe.
+     * @type {Moon}
+     * @private
+     */
+    this._moon = new Moon();
     /**
      * The objects in the universe.
      * @type {Object.<string, SimObject>}
@@ -357,6 +678,12 @@ class Universe {
      * @private
      */
     this._observatories = []
+    /**
+     * Registered objects by unique id, in registration order.
+     * @type {Map<string, SimObject>}
+     * @private
+     */
+    this._objectsById = new Map()
 
     /**
      * Event queue for time-based actions.
@@ -365,8 +692,49 @@ class Universe {
      */
     this._events = new EventQueue()
 
+    /**
+     * State captured before events fired, oldest first, used to roll back
+     * and re-fire events when time moves backwards.
+     * @type {Array<Object>}
+     * @private
+     */
+    this._eventCheckpoints = []
+    this._eventHistoryLimit = DEFAULT_EVENT_HISTORY_LIMIT
+    this._eventHistoryHorizon = Infinity
+
+    /**
+     * Time of the most recent update, if any.
+     * @type {JulianDate|undefined}
+     * @private
+     */
+    this._time = undefined
+
+    /**
+     * Spatial index of the trackable objects, when enabled.
+     * @type {SpatialIndex|undefined}
+     * @private
+     */
+    this._spatialIndex = undefined
+    this._spatialIndexStale = true
+
+    /**
+     * Cached update order, dropped when objects or observatories are added
+     * or removed; see {@link Universe#_getUpdateOrder}.
+     * @type {Object|undefined}
+     * @private
+     */
+    this._updateOrder = undefined
+
+    /**
+     * Lifecycle event listeners by event name.
+     * @type {Map<string, Set<Function>>}
+     * @private
+     */
+    this._listeners = new Map(UNIVERSE_EVENTS.map((name) => [name, new Set()]))
+
     // Register default event handlers
-    // - trackObject: { observer: siteName, target: objectName }
+    // - trackObject: { observer: siteName, target: objectName|objectId }
+    // - pointRaDec: { observer: siteName, ra, dec }
     // - setFsmAxes: { observer: siteName, axes: { tip, tilt } }
     // - stepFsmAxes: { observer: siteName, axes|deltas: { tip, tilt } }
     // - setSensorZoom: { observer: siteName, sensor?: sensorName, zoomLevel }
@@ -379,7 +747,7 @@ class Universe {
       const targetProvided = dataHasTarget || eventHasTarget
       const targetName = ev?.data?.target ?? ev?.target
       if (!observerName) return
-      const target = (targetName !== null && targetName !== undefined) ? (universe.getObject && universe.getObject(targetName)) : undefined
+      const target = resolveObjectReference(universe, targetName)
       const obs = findObservatoryByName(universe, observerName)
       if (obs?.gimbal) {
         if (targetProvided && (targetName === null || targetName === undefined)) {
@@ -395,6 +763,22 @@ class Universe {
       }
     })
 
+    this._events.registerHandler('pointRaDec', (universe, ev) => {
+      const data = ev?.data ?? {}
+      const observerName = data.observer ?? ev?.observer
+      if (!observerName) return
+
+      const obs = findObservatoryByName(universe, observerName)
+      if (!obs?.gimbal) return
+      const ra = Number(data.ra ?? ev?.ra)
+      const dec = Number(data.dec ?? ev?.dec)
+      if (!Number.isFinite(ra) || !Number.isFinite(dec) || Math.abs(dec) > 90) return
+
+      obs.gimbal.trackObject = null
+      obs.gimbal.sidereal = { ra, dec }
+      obs.gimbal.trackMode = 'sidereal'
+    })
+
     this._events.registerHandler('stepGimbalAxes', (universe, ev) => {
       const data = ev?.data ?? {}
       const observerName = data.observer ?? ev?.observer
@@ -403,15 +787,16 @@ class Universe {
       const obs = findObservatoryByName(universe, observerName)
       if (!obs?.gimbal) return
       const gimbal = obs.gimbal
-      const wasTracking = (gimbal.trackMode === 'rate') || defined(gimbal.trackObject)
+      const wasTracking = (gimbal.trackMode !== 'fixed') || defined(gimbal.trackObject)
       gimbal.trackObject = null
+      gimbal.sidereal = null
       gimbal.trackMode = 'fixed'
       if (wasTracking && typeof gimbal.clearAxisTargets === 'function') {
         gimbal.clearAxisTargets(true)
       }
 
       const deltas = collectAxisValues(data.axes ?? data.deltas, ev?.axes ?? ev?.deltas)
-      applyAxisDeltas(gimbal, deltas, getGimbalAxisTargetOptions)
+      applyAxisDeltas(gimbal, deltas, getGimbalAxisTargetOptions(gimbal))
     })
 
     this._events.registerHandler('stepFsmAxes', (universe, ev) => {
@@ -436,9 +821,10 @@ class Universe {
       if (!obs?.gimbal) return
       const gimbal = obs.gimbal
       gimbal.trackObject = null
+      gimbal.sidereal = null
       gimbal.trackMode = 'fixed'
 
-      applyAxisTargets(gimbal, collectAxisValues(data.axes, ev?.axes), getGimbalAxisTargetOptions)
+      applyAxisTargets(gimbal, collectAxisValues(data.axes, ev?.axes), getGimbalAxisTargetOptions(gimbal))
     })
 
     this._events.registerHandler('setFsmAxes', (universe, ev) => {
@@ -576,6 +962,190 @@ class Universe {
         }
       })
     })
+
+    // - satelliteManeuver: { object|satellite: objectName|objectId, deltaV: [x, y, z] m/s, frame?: 'RIC'|'VNB'|'inertial' }
+    //   Applies to satellites with `applyImpulse` (TwoBodySatellite, NumericalSatellite).
+    this._events.registerHandler('satellitemaneuver', (universe, ev) => {
+      const data = ev?.data ?? {}
+      const object = resolveObjectReference(universe, data.satellite ?? resolveEventObjectName(ev))
+      const satellite = object instanceof LagrangeInterpolatedObject ? object.object : object
+      if (typeof satellite?.applyImpulse !== 'function') return
+      const deltaV = toCartesian3OrUndefined(data.deltaV ?? data.delta_v)
+      if (!defined(deltaV)) return
+
+      const time = ev.time ?? universe.time
+      satellite.update(time, universe, true)
+      const inertialDeltaV = orbitFrameToInertial(data.frame ?? 'RIC', satellite.position, satellite.velocity, deltaV)
+      satellite.applyImpulse(time, inertialDeltaV)
+      satellite.update(time, universe, true)
+      if (object !== satellite) object.invalidate()
+    })
+
+    // - removeObject: { object|name|target: objectName|objectId|siteName }
+    //   Observatories are removed with all their components, including those
+    //   carried by a removed satellite or vehicle; gimbals tracking a removed
+    //   object stop tracking it.
+    this._events.registerHandler('removeobject', (universe, ev) => {
+      const ref = resolveEventObjectName(ev)
+      if (defined(findObservatoryByName(universe, ref))) {
+        universe.removeObservatory(ref)
+        return
+      }
+      const object = resolveObjectReference(universe, ref)
+      if (!defined(object)) return
+      universe._observatories
+        .filter((obs) => obs.site === object || (obs.site instanceof VehicleMount && obs.site.vehicle === object))
+        .forEach((obs) => universe.removeObservatory(obs.name))
+      universe._observatories.forEach((obs) => {
+        if (obs?.gimbal?.trackObject !== object) return
+        obs.gimbal.trackObject = null
+        obs.gimbal.trackMode = 'fixed'
+        if (typeof obs.gimbal.clearAxisTargets === 'function') {
+          obs.gimbal.clearAxisTargets(true)
+        }
+      })
+      universe.removeObject(object)
+    })
+
+    // What each default handler can change, so event checkpoints capture only
+    // that; events with other handlers capture every object and observatory
+    const observerScope = (universe, ev) => ({
+      objects: [],
+      observatories: [findObservatoryByName(universe, ev?.data?.observer ?? ev?.observer)]
+    })
+    const airVehicleScope = (universe, ev) => ({
+      objects: [resolveAirVehicleForEvent(universe, ev)],
+      observatories: []
+    })
+    /**
+     * Checkpoint scopes by handler function.
+     * @type {Map<Function, Function>}
+     * @private
+     */
+    this._eventScopes = new Map([
+      ...[
+        'trackObject', 'pointRaDec', 'stepGimbalAxes', 'stepFsmAxes', 'setGimbalAxes', 'setFsmAxes',
+        'setSensorZoom', 'stepSensorZoom', 'setDirectedEnergyActive'
+      ].map((type) => [this._events.getHandler(type), observerScope]),
+      ...[
+        'airVehicleManeuver', 'setAirVehicleVelocityNed', 'setAirVehicleAccelerationNed', 'setAirVehicleHeading'
+      ].map((type) => [this._events.getHandler(type), airVehicleScope]),
+      [this._events.getHandler('satelliteManeuver'), (universe, ev) => ({
+        objects: [resolveObjectReference(universe, ev?.data?.satellite ?? resolveEventObjectName(ev))],
+        observatories: []
+      })],
+      [this._events.getHandler('removeObject'), (universe, ev) => ({
+        objects: [resolveObjectReference(universe, resolveEventObjectName(ev))],
+        observatories: universe._observatories
+      })]
+    ])
+
+    // Register default conditions for condition-triggered events
+    // - inFieldOfRegard: { observer: siteName, target, sensor?: sensorName }
+    // - elevationAbove: { observer: siteName, target, elevation: degrees }
+    // - rangeBelow / rangeAbove: { observer: siteName|object, target, range: meters }
+    // - inUmbra: { object, penumbra?: boolean, body?: 'earth'|'moon' } (penumbra
+    //   also counts when true; body 'moon' tests for a lunar eclipse)
+    // - laserColliding: { observer: siteName, device|sensor?: payloadName }
+    this._events.registerCondition('inFieldOfRegard', (universe, condition) => {
+      const azElRange = resolveConditionAzElRange(universe, condition)
+      if (!defined(azElRange)) return false
+      const observatory = findObservatoryByName(universe, condition.observer)
+      const sensors = defined(condition.sensor)
+        ? [findObservatorySensor(observatory, condition.sensor)]
+        : getObservatorySensors(observatory)
+      return sensors.some((sensor) => isSensorVisible(sensor, azElRange[0], azElRange[1]))
+    })
+
+    this._events.registerCondition('elevationAbove', (universe, condition) => {
+      const azElRange = resolveConditionAzElRange(universe, condition)
+      return defined(azElRange) && azElRange[1] > numberOr(condition.elevation)
+    })
+
+    this._events.registerCondition('rangeBelow', (universe, condition) => {
+      const range = resolveConditionRange(universe, condition)
+      return defined(range) && range < Number(condition.range)
+    })
+
+    this._events.registerCondition('rangeAbove', (universe, condition) => {
+      const range = resolveConditionRange(universe, condition)
+      return defined(range) && range > Number(condition.range)
+    })
+
+    this._events.registerCondition('inUmbra', (universe, condition) => {
+      const object = resolveObjectReference(universe, condition.object ?? condition.target)
+      if (!defined(object) || !defined(universe.sun)) return false
+      const lunar = String(condition.body ?? 'earth').toLowerCase() === 'moon'
+      if (lunar && !defined(universe.moon)) return false
+      const [state] = lunar
+        ? getLunarShadowStatus(universe.sun, universe.moon, [object], universe.time, universe)
+        : getShadowStatus(universe.sun, [object], universe.time, universe)
+      return state === ShadowState.UMBRA || (booleanOr(condition.penumbra, false) && state === ShadowState.PENUMBRA)
+    })
+
+    this._events.registerCondition('laserColliding', (universe, condition) => {
+      const observatory = findObservatoryByName(universe, condition.observer)
+      const payload = findObservatorySensor(observatory, condition.device ?? condition.sensor)
+      return payload?.type === 'Laser' && payload.isColliding === true
+    })
+  }
+
+  /**
+   * Subscribe to a universe lifecycle event.
+   *
+   * Listeners are called synchronously as `listener(universe, payload)`:
+   * - `objectAdded`: `{ object, trackable }` after `addObject`.
+   * - `objectRemoved`: `{ object }` after `removeObject` removes a registered object.
+   * - `observatoryAdded`: `{ observatory }` once an observatory and all of its
+   *   components have been added.
+   * - `observatoryRemoved`: `{ observatory }` once an observatory has been removed.
+   * - `observatoryUpdated`: `{ observatory, addedSensors, removedSensors }` after
+   *   `updateObservatory` reconfigures an observatory.
+   * - `eventFired`: `{ event }` for each scheduled or condition-triggered event
+   *   fired by `update`.
+   *
+   * @example
+   * const unsubscribe = universe.on('objectAdded', (u, { object }) => console.log(object.name))
+   * unsubscribe()
+   *
+   * @param {string} name - Event name.
+   * @param {(universe: Universe, payload: Object) => void} listener
+   * @returns {() => void} Function that removes the listener.
+   */
+  on(name, listener) {
+    const listeners = this._listeners.get(name)
+    if (!defined(listeners)) {
+      throw new Error(`Universe.on: unknown event '${name}'`)
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('Universe.on: listener must be a function')
+    }
+    listeners.add(listener)
+    return () => this.off(name, listener)
+  }
+
+  /**
+   * Remove a listener added with {@link Universe#on}.
+   *
+   * @param {string} name - Event name.
+   * @param {Function} listener
+   * @returns {boolean} True if the listener was registered.
+   */
+  off(name, listener) {
+    return this._listeners.get(name)?.delete(listener) ?? false
+  }
+
+  /**
+   * Call the listeners of a lifecycle event.
+   * @param {string} name
+   * @param {Object} payload
+   * @private
+   */
+  _emit(name, payload) {
+    const listeners = this._listeners.get(name)
+    if (!defined(listeners) || listeners.size === 0) return
+    // copy so listeners may unsubscribe while being notified
+    Array.from(listeners).forEach((listener) => listener(this, payload))
   }
 
   /**
@@ -589,11 +1159,133 @@ class Universe {
 
   /**
    * Gets the object with the given name from the universe.
+   *
+   * The Sun and Moon are found by name unless an added object uses it, so they
+   * can be tracked like other objects.
    * @param {string} name - The name of the object to get.
    * @returns {SimObject} - The object with the given name.
    */
   getObject(name) {
-    return this._objects[name];
+    return this._objects[name] ?? [this._sun, this._moon].find((body) => body?.name === name);
+  }
+
+  /**
+   * Gets the object with the given unique id from the universe.
+   * @param {string} id - The id of the object to get.
+   * @returns {SimObject|undefined} - The object with the given id.
+   */
+  getObjectById(id) {
+    return this._objectsById.get(id);
+  }
+
+  /**
+   * Gets an observatory by its site name.
+   * @param {string} name - The observatory (site) name.
+   * @returns {Observatory|undefined} The observatory, if any.
+   */
+  getObservatory(name) {
+    return findObservatoryByName(this, name)
+  }
+
+  /**
+   * Changes the unique id of an object in the universe.
+   * @param {SimObject} object - The object to re-key.
+   * @param {string} id - The new id.
+   * @throws {Error} If the object is not in the universe or another object uses the id.
+   */
+  setObjectId(object, id) {
+    const key = String(id ?? '').trim();
+    if (!key) {
+      throw new Error('Universe.setObjectId: id must be a non-empty string');
+    }
+    if (this._objectsById.get(object?._id) !== object) {
+      throw new Error(`Universe.setObjectId: object ${object?.name} is not in the universe`);
+    }
+    const holder = this._objectsById.get(key);
+    if (defined(holder) && holder !== object) {
+      throw new Error(`Universe.setObjectId: id '${key}' is already used by ${holder.name}`);
+    }
+    this._objectsById.delete(object._id);
+    object._id = key;
+    this._objectsById.set(key, object);
+  }
+
+  /**
+   * Finds the objects in the universe that match a query, in the order they
+   * were added. Observatory sites, gimbals, FSMs and payloads are included.
+   *
+   * @example
+   * universe.query({ type: 'SGP4Satellite', tags: ['GEO'] })
+   * universe.query({ metadata: { owner: 'NASA' }, predicate: (o) => o.period > 86000 })
+   *
+   * @param {Object} [query] - All given criteria must match.
+   * @param {Function|string|Array<Function|string>} [query.type] - Class, class
+   *   name (e.g. `'SGP4Satellite'`, `'Laser'`) or list of either.
+   * @param {string|Array<string>} [query.tags] - Tags the object must all have.
+   * @param {Object<string, *>} [query.metadata] - Metadata values the object must have.
+   * @param {(object: SimObject) => boolean} [query.predicate] - Custom test.
+   * @returns {Array<SimObject>} The matching objects.
+   */
+  query(query = {}) {
+    const result = [];
+    this._objectsById.forEach((object) => {
+      if (this.matchesQuery(object, query)) result.push(object);
+    });
+    return result;
+  }
+
+  /**
+   * Checks whether an object matches a {@link Universe#query} query.
+   * @param {SimObject} object - The object to test.
+   * @param {Object} [query] - The query.
+   * @returns {boolean} True if the object matches every given criterion.
+   */
+  matchesQuery(object, query = {}) {
+    const { type, tags, metadata, predicate } = query ?? {};
+    if (defined(type) && !matchesObjectType(object, type)) {
+      return false;
+    }
+    if (toTagList(tags).some((tag) => !object.tags?.has(tag))) {
+      return false;
+    }
+    if (defined(metadata) && Object.keys(metadata).some((key) => object.metadata?.[key] !== metadata[key])) {
+      return false;
+    }
+    return typeof predicate !== 'function' || !!predicate(object);
+  }
+
+  /**
+   * Registers an object under a unique id: `preferredId` if it is free,
+   * otherwise the object's name with a `#n` suffix as needed.
+   * @param {SimObject} object
+   * @param {string} [preferredId]
+   * @private
+   */
+  _assignObjectId(object, preferredId = object._id) {
+    let id = defined(preferredId) ? String(preferredId) : undefined;
+    const holder = defined(id) ? this._objectsById.get(id) : undefined;
+    if (!defined(id) || (defined(holder) && holder !== object)) {
+      if (defined(id) && id !== object._id) {
+        console.warn(`Object id ${id} already exists in universe, assigning a new id to ${object.name}`);
+      }
+      const base = String(object.name ?? 'object');
+      id = base;
+      for (let n = 2; this._objectsById.has(id); n++) {
+        id = `${base}#${n}`;
+      }
+    }
+    object._id = id;
+    this._objectsById.set(id, object);
+  }
+
+  /**
+   * @param {SimObject} object
+   * @private
+   */
+  _releaseObjectId(object) {
+    if (this._objectsById.get(object._id) === object) {
+      this._objectsById.delete(object._id);
+    }
   }
 
   /**
@@ -607,11 +1299,15 @@ class Universe {
       console.warn(`Object with name ${object.name} already exists in universe: {object}`);
     }
     this._objects[object.name] = object;
+    this._assignObjectId(object);
     if (trackable) {
       this._trackables.push(object);
     } else {
       this._nontrackables.push(object);
     }
+    this._spatialIndexStale = true;
+    this._updateOrder = undefined;
+    this._emit('objectAdded', { object, trackable: !!trackable });
     return object;
   }
 
@@ -620,20 +1316,32 @@ class Universe {
    * @param {SimObject} object - The object to remove.
    */
   removeObject(object) {
-    if (object.name in this._objects) {
+    let removed = this._objects[object.name] === object;
+    if (removed) {
       delete this._objects[object.name];
     }
+    if (this._objectsById.get(object._id) === object) {
+      this._releaseObjectId(object);
+      removed = true;
+    }
     const i = this._trackables.indexOf(object);
     if (i > -1) {
       this._trackables.splice(i, 1);
+      removed = true;
     }
     const j = this._nontrackables.indexOf(object);
     if (j > -1) {
       this._nontrackables.splice(j, 1);
+      removed = true;
     }
+    this._spatialIndexStale = true;
+    this._updateOrder = undefined;
     if (defined(object.parent)) {
       object.parent.removeChild(object);
     }
+    if (removed) {
+      this._emit('objectRemoved', { object });
+    }
   }
 
   /**
@@ -657,7 +1365,7 @@ class Universe {
    * @param {string} name - The name of the satellite.
    * @param {string} line1 - The first line of the TLE for the satellite.
    * @param {string} line2 - The second line of the TLE for the satellite.
-   * @param {string} orientation - The orientation of the satellite.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
    * @param {boolean} [lagrangeInterpolated=false] - Whether the satellite is lagrange interpolated or not.
    * @param {boolean} [trackable=true] - Whether the satellite is trackable or not.
    * @returns {SGP4Satellite|LagrangeInterpolatedObject} - The added satellite.
@@ -677,7 +1385,7 @@ class Universe {
    * @param {Cartesian3} r0 - The initial position vector of the satellite in meters.
    * @param {Cartesian3} v0 - The initial velocity vector of the satellite in meters per second.
    * @param {JulianDate} t0 - The initial time of the satellite.
-   * @param {string} orientation - The orientation of the satellite.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
    * @param {boolean} [lagrangeInterpolated=false] - Whether the satellite is lagrange interpolated or not.
    * @param {boolean} [trackable=true] - Whether the satellite is trackable or not.
    * @returns {TwoBodySatellite|LagrangeInterpolatedObject} - The added satellite.
@@ -691,6 +1399,51 @@ class Universe {
     return satellite;
     }
 
+  /**
+   * Adds a two-body satellite from an orbital element set.
+   *
+   * @example
+   * // geostationary transfer orbit
+   * universe.addTwoBodySatelliteFromElements('GTO', {
+   *   apogeeAltitude: 35786000, perigeeAltitude: 250000, inclination: CMath.toRadians(27)
+   * }, JulianDate.now())
+   *
+   * @param {string} name - The name of the satellite.
+   * @param {Object} elements - Keplerian, equinoctial or apogee/perigee elements in
+   *   meters and radians, see `orbitalElementsToRv`.
+   * @param {JulianDate} t0 - The epoch of the elements.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
+   * @param {boolean} [lagrangeInterpolated=false] - Whether the satellite is lagrange interpolated or not.
+   * @param {boolean} [trackable=true] - Whether the satellite is trackable or not.
+   * @returns {TwoBodySatellite|LagrangeInterpolatedObject} - The added satellite.
+   * @throws {Error} If the element set is invalid.
+   */
+  addTwoBodySatelliteFromElements(name, elements, t0, orientation, lagrangeInterpolated=false, trackable=true) {
+    const { position, velocity } = orbitalElementsToRv(CMath.GRAVITATIONALPARAMETER, elements);
+    return this.addTwoBodySatellite(name, position, velocity, t0, orientation, lagrangeInterpolated, trackable);
+  }
+
+  /**
+   * Adds a numerically propagated satellite to the universe.
+   * @param {string} name - The name of the satellite.
+   * @param {Cartesian3} r0 - The initial position vector of the satellite in meters.
+   * @param {Cartesian3} v0 - The initial velocity vector of the satellite in meters per second.
+   * @param {JulianDate} t0 - The initial time of the satellite.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
+   * @param {Object} [forceModel={}] - The force model, see {@link NumericalSatellite}.
+   * @param {boolean} [lagrangeInterpolated=false] - Whether the satellite is lagrange interpolated or not.
+   * @param {boolean} [trackable=true] - Whether the satellite is trackable or not.
+   * @returns {NumericalSatellite|LagrangeInterpolatedObject} - The added satellite.
+   */
+  addNumericalSatellite(name, r0, v0, t0, orientation, forceModel={}, lagrangeInterpolated=false, trackable=true) {
+    let satellite = new NumericalSatellite(r0, v0, t0, forceModel, orientation, name);
+    if (lagrangeInterpolated)
+      satellite = this.addObject(new LagrangeInterpolatedObject(satellite), trackable);
+    else
+      satellite = this.addObject(satellite, trackable);
+    return satellite;
+  }
+
   /**
    * Adds an air vehicle (e.g., UAV/drone) to the universe.
    * Velocity and acceleration are provided in local NED coordinates:
@@ -720,14 +1473,21 @@ class Universe {
    * - Legacy positional arguments for a single EO sensor.
    * - Object config with `sensors[]` for a shared-gimbal multi-payload observatory.
    * - Optional `fsm` config using canonical `tip`, `tilt`, and `slewRates`.
+   * - Optional `id`, `tags` and `metadata`, applied to the site.
+   * - Optional per-payload `lunar_exclusion_angle` in degrees; targets closer
+   *   to the Moon are not visible (see {@link getVisibility}).
+   * - `gimbalType` selects the mount: 'AzElGimbal' (default, axes `az`/`el`),
+   *   'EquatorialGimbal' ({@link EquatorialGimbal}, axes `ha`/`dec`) or
+   *   'XYGimbal' ({@link XYGimbal}, axes `x`/`y`). Slew rates, `setGimbalAxes`
+   *   and `stepGimbalAxes` use the mount's axis names.
    *
    * @param {string|Object} name - Observatory name, or an object config containing
-   *   `name`, `latitude`, `longitude`, `altitude`, `gimbalSlewRates`,
+   *   `name`, `latitude`, `longitude`, `altitude`, `gimbalType`, `gimbalSlewRates`,
    *   `sensorMaxDistance`, and either legacy single-sensor fields or `sensors[]`.
    * @param {number} [latitude] - The latitude of the observatory in degrees.
    * @param {number} [longitude] - The longitude of the observatory in degrees.
    * @param {number} [altitude] - The altitude of the observatory in meters.
-   * @param {string} [gimbalType] - The type of gimbal used by the observatory.
+   * @param {string} [gimbalType='AzElGimbal'] - The type of gimbal used by the observatory.
    * @param {number} [height] - The height of the legacy single sensor in pixels.
    * @param {number} [width] - The width of the legacy single sensor in pixels.
    * @param {number} [y_fov] - The vertical field of view of the legacy single sensor in degrees.
@@ -735,7 +1495,8 @@ class Universe {
    * @param {Array<number>} [field_of_regard] - The field of regard of the legacy single sensor.
    * @param {Object<string, number|Object>} [gimbalSlewRates] - Optional per-axis slew settings.
    * @param {number} [sensorMaxDistance] - Optional fallback max sensor/gimbal range in meters when idle.
-   * @returns {{site: EarthGroundStation, gimbal: AzElGimbal, sensor: ElectroOpicalSensor|Laser|undefined, sensors: Array<ElectroOpicalSensor|Laser>}} - The added observatory.
+   * @returns {{site: EarthGroundStation, gimbal: AzElGimbal|EquatorialGimbal|XYGimbal, sensor: ElectroOpicalSensor|Laser|undefined, sensors: Array<ElectroOpicalSensor|Laser>}} - The added observatory.
+   * @throws {Error} If `gimbalType` is not a ground mount type or the name is already used by an object.
    */
   addGroundElectroOpticalObservatory(name, latitude, longitude, altitude, gimbalType, height, width, y_fov, x_fov, field_of_regard, gimbalSlewRates = undefined, sensorMaxDistance = undefined) {
     const config = normalizeGroundObservatoryConfig(
@@ -753,97 +1514,481 @@ class Universe {
       sensorMaxDistance
     )
 
+    const GimbalType = GROUND_GIMBAL_TYPES[normalizeGimbalType(config.gimbalType ?? 'AzElGimbal')]
+    if (!defined(GimbalType)) {
+      throw new Error(`Universe.addGroundElectroOpticalObservatory: unsupported gimbalType '${config.gimbalType}'`)
+    }
+
+    this._assertUnusedSiteName(config.name, 'addGroundElectroOpticalObservatory')
+
     const site = new EarthGroundStation(config.latitude, config.longitude, config.altitude, config.name)
     site.attach(this.earth)
+    if (defined(config.tags)) site.tags = config.tags
+    if (defined(config.metadata)) site.metadata = config.metadata
+    this._assignObjectId(site, config.id)
+    this._objects[config.name] = site
+
+    return this._mountObservatory(config, site, new GimbalType(config.name + ' Gimbal'))
+  }
+
+  /**
+   * Adds a space-based electro-optical observatory hosted on a satellite.
+   *
+   * A {@link SpaceAzElGimbal} is mounted on the satellite, with an optional
+   * FSM and sensors or lasers on the gimbal. Gimbal angles and sensor fields
+   * of regard are expressed in the satellite body frame (see the satellite's
+   * `orientation`): elevation is the angle from body -Z and azimuth is
+   * measured from body -X toward body +Y.
+   *
+   * The observatory is addressed by its own name in events such as
+   * `trackObject`. The satellite is not owned by the observatory: removing
+   * the observatory leaves the satellite in the universe, while removing the
+   * satellite with the `removeObject` event also removes the observatory.
+   *
+   * Supported forms match {@link Universe#addGroundElectroOpticalObservatory},
+   * with the host satellite in place of the site coordinates (object configs
+   * use `satellite` or `host`).
+   *
+   * @example
+   * universe.addSGP4Satellite('Host', tle1, tle2, 'nadir')
+   * universe.addSpaceElectroOpticalObservatory({
+   *   name: 'Host Telescope',
+   *   satellite: 'Host',
+   *   sensors: [{ height: 512, width: 512, y_fov: 1, x_fov: 1, field_of_regard: [{ clock: [0, 360], elevation: [0, 60] }] }]
+   * })
+   * universe.events.add({ time, type: 'trackObject', observer: 'Host Telescope', target: 'ISS' })
+   *
+   * @param {string|Object} name - Observatory name, or an object config containing
+   *   `name`, `satellite`, `gimbalSlewRates`, `sensorMaxDistance`, `fsm`, and either
+   *   legacy single-sensor fields or `sensors[]`.
+   * @param {SimObject|string} [satellite] - The host satellite, or its name or id.
+   * @param {string} [gimbalType='SpaceAzElGimbal'] - The type of gimbal used by the observatory; only
+   *   'SpaceAzElGimbal' is supported on satellites.
+   * @param {number} [height] - The height of the legacy single sensor in pixels.
+   * @param {number} [width] - The width of the legacy single sensor in pixels.
+   * @param {number} [y_fov] - The vertical field of view of the legacy single sensor in degrees.
+   * @param {number} [x_fov] - The horizontal field of view of the legacy single sensor in degrees.
+   * @param {Array<Object>} [field_of_regard] - The field of regard of the legacy single sensor, in body frame angles.
+   * @param {Object<string, number|Object>} [gimbalSlewRates] - Optional per-axis slew settings.
+   * @param {number} [sensorMaxDistance] - Optional fallback max sensor/gimbal range in meters when idle.
+   * @returns {Observatory} The added observatory, with the satellite as its `site`.
+   * @throws {Error} If `gimbalType` is not a satellite mount type, the satellite is not in the universe
+   *   or the name is already used by an observatory.
+   */
+  addSpaceElectroOpticalObservatory(name, satellite, gimbalType, height, width, y_fov, x_fov, field_of_regard, gimbalSlewRates = undefined, sensorMaxDistance = undefined) {
+    const config = normalizeHostedObservatoryConfig(
+      name,
+      satellite,
+      'SpaceAzElGimbal',
+      gimbalType,
+      height,
+      width,
+      y_fov,
+      x_fov,
+      field_of_regard,
+      gimbalSlewRates,
+      sensorMaxDistance
+    )
+
+    const GimbalType = SPACE_GIMBAL_TYPES[normalizeGimbalType(config.gimbalType)]
+    if (!defined(GimbalType)) {
+      throw new Error(`Universe.addSpaceElectroOpticalObservatory: unsupported gimbalType '${config.gimbalType}'`)
+    }
+
+    const host = this._resolveObservatoryHost(config, 'addSpaceElectroOpticalObservatory', 'satellite')
+    return this._mountObservatory(config, host, new GimbalType(config.name + ' Gimbal'), true)
+  }
+
+  /**
+   * Adds an airborne electro-optical observatory carried by an air vehicle.
+   *
+   * A {@link VehicleMount} named after the observatory is attached to the
+   * vehicle and follows its heading (and its `pitch` and `roll`, when the
+   * vehicle provides them). An {@link AzElGimbal} with an optional FSM and
+   * sensors or lasers is mounted on it, so gimbal angles and fields of regard
+   * are measured like a ground site's, with azimuth clockwise from the nose and
+   * elevation above the vehicle's horizontal plane.
+   *
+   * The mount is the observatory `site` and is removed with the observatory;
+   * the vehicle stays in the universe. Removing the vehicle with the
+   * `removeObject` event also removes the observatory.
+   *
+   * Supported forms match {@link Universe#addGroundElectroOpticalObservatory},
+   * with the vehicle in place of the site coordinates (object configs use
+   * `vehicle` or `host`).
+   *
+   * @example
+   * universe.addAirVehicle('UAV', 38.9, -77.0, 3000, new Cartesian3(60, 0, 0))
+   * universe.addAirborneElectroOpticalObservatory({
+   *   name: 'UAV Turret',
+   *   vehicle: 'UAV',
+   *   sensors: [{ height: 512, width: 512, y_fov: 2, x_fov: 2, field_of_regard: [{ clock: [0, 360], elevation: [-90, 30] }] }]
+   * })
+   *
+   * @param {string|Object} name - Observatory name, or an object config containing
+   *   `name`, `vehicle`, `gimbalSlewRates`, `sensorMaxDistance`, `fsm`, and either
+   *   legacy single-sensor fields or `sensors[]`.
+   * @param {AirVehicle|string} [vehicle] - The air vehicle, or its name or id.
+   * @param {string} [gimbalType='AzElGimbal'] - The type of gimbal used by the observatory:
+   *   'AzElGimbal' or 'XYGimbal'.
+   * @param {number} [height] - The height of the legacy single sensor in pixels.
+   * @param {number} [width] - The width of the legacy single sensor in pixels.
+   * @param {number} [y_fov] - The vertical field of view of the legacy single sensor in degrees.
+   * @param {number} [x_fov] - The horizontal field of view of the legacy single sensor in degrees.
+   * @param {Array<Object>} [field_of_regard] - The field of regard of the legacy single sensor.
+   * @param {Object<string, number|Object>} [gimbalSlewRates] - Optional per-axis slew settings.
+   * @param {number} [sensorMaxDistance] - Optional fallback max sensor/gimbal range in meters when idle.
+   * @returns {Observatory} The added observatory, with the vehicle mount as its `site`.
+   * @throws {Error} If `gimbalType` is not a vehicle mount type, the vehicle is not in the universe
+   *   or the name is already used by an observatory or object.
+   */
+  addAirborneElectroOpticalObservatory(name, vehicle, gimbalType, height, width, y_fov, x_fov, field_of_regard, gimbalSlewRates = undefined, sensorMaxDistance = undefined) {
+    const config = normalizeHostedObservatoryConfig(
+      name,
+      vehicle,
+      'AzElGimbal',
+      gimbalType,
+      height,
+      width,
+      y_fov,
+      x_fov,
+      field_of_regard,
+      gimbalSlewRates,
+      sensorMaxDistance
+    )
+    const GimbalType = AIRBORNE_GIMBAL_TYPES[normalizeGimbalType(config.gimbalType)]
+    if (!defined(GimbalType)) {
+      throw new Error(`Universe.addAirborneElectroOpticalObservatory: unsupported gimbalType '${config.gimbalType}'`)
+    }
+    const host = this._resolveObservatoryHost(config, 'addAirborneElectroOpticalObservatory', 'vehicle')
+    this._assertUnusedSiteName(config.name, 'addAirborneElectroOpticalObservatory')
 
-    const gimbal = new AzElGimbal(config.name + ' Gimbal')
+    const mount = new VehicleMount(config.name)
+    mount.attach(host)
+    if (defined(config.tags)) mount.tags = config.tags
+    if (defined(config.metadata)) mount.metadata = config.metadata
+    this._assignObjectId(mount, config.id)
+    this._objects[config.name] = mount
+
+    return this._mountObservatory(config, mount, new GimbalType(config.name + ' Gimbal'))
+  }
+
+  /**
+   * Resolve the vehicle named by a hosted observatory config.
+   * @param {{name:string, host:SimObject|string|undefined}} config - Normalized hosted observatory config.
+   * @param {string} method - Calling method name, for error messages.
+   * @param {string} kind - Host description, for error messages.
+   * @returns {SimObject} The host vehicle.
+   * @throws {Error} If the host is not in the universe or the name is already used by an observatory.
+   * @private
+   */
+  _resolveObservatoryHost(config, method, kind) {
+    const host = config.host instanceof SimObject
+      ? config.host
+      : resolveObjectReference(this, config.host)
+    if (!defined(host) || this._objects[host.name] !== host) {
+      throw new Error(`Universe.${method}: unknown ${kind} '${config.host?.name ?? config.host}'`)
+    }
+    if (defined(findObservatoryByName(this, config.name))) {
+      throw new Error(`Universe.${method}: observatory '${config.name}' already exists`)
+    }
+    return host
+  }
+
+  /**
+   * Check that an observatory site registered under `name` would not shadow
+   * an existing object, which removing the observatory would then unregister.
+   * @param {string} name - Site name.
+   * @param {string} method - Calling method name, for error messages.
+   * @throws {Error} If an object with the name is already in the universe.
+   * @private
+   */
+  _assertUnusedSiteName(name, method) {
+    if (this.hasObject(name)) {
+      throw new Error(`Universe.${method}: object '${name}' already exists`)
+    }
+  }
+
+  /**
+   * Mount a gimbal, optional FSM and payloads on an observatory site and
+   * register the observatory.
+   * @param {Object} config - Normalized observatory config.
+   * @param {SimObject} site - The ground site or host vehicle.
+   * @param {Gimbal} gimbal - The unmounted gimbal.
+   * @param {boolean} [hosted=false] - Whether the site is a host vehicle the observatory does not own.
+   * @returns {Observatory} The added observatory.
+   * @private
+   */
+  _mountObservatory(config, site, gimbal, hosted = false) {
     const maxRangeMeters = Number(config.sensorMaxDistance)
     if (Number.isFinite(maxRangeMeters) && maxRangeMeters > 0) {
       gimbal.maxRange = maxRangeMeters
     }
     if (defined(config.gimbalSlewRates) && typeof gimbal.setAxisSlewRates === 'function') {
       gimbal.setAxisSlewRates(config.gimbalSlewRates)
+      const unknownAxes = Object.keys(config.gimbalSlewRates).filter((axis) => !(gimbal.axisNames ?? []).includes(axis))
+      if (unknownAxes.length > 0 && gimbal.axisNames?.length > 0) {
+        console.warn(`Observatory '${config.name}': gimbal slew rates for unknown axes ${unknownAxes.join(', ')} are ignored (axes: ${gimbal.axisNames.join(', ')})`)
+      }
     }
     gimbal.attach(site)
     this.addObject(gimbal, false)
 
-    let fsm
-    if (defined(config.fsm)) {
-      fsm = new FastSteeringMirror(config.fsm.name)
-      if (Number.isFinite(config.fsm.tip)) {
-        fsm.tip = config.fsm.tip
+    const fsm = defined(config.fsm) ? this._addObservatoryFsm(config.fsm, gimbal) : undefined
+    const payloadParent = fsm ?? gimbal
+    const sensors = config.sensors.map((sensorConfig) => (
+      this._addObservatoryPayload(sensorConfig, payloadParent, gimbal, config.sensorMaxDistance)
+    ))
+
+    this._gimbals.push(gimbal)
+
+    const observatory = new Observatory(site, gimbal, sensors, fsm)
+    observatory.name = config.name
+    observatory.hosted = hosted
+    this._observatories.push(observatory)
+    this._updateOrder = undefined
+    this._emit('observatoryAdded', { observatory })
+
+    return observatory
+  }
+
+  /**
+   * Create a fast steering mirror on an observatory gimbal and register it.
+   * @param {{name:string, tip?:number, tilt?:number, slewRates?:Object}} fsmConfig - Normalized FSM config.
+   * @param {Gimbal} gimbal - The gimbal to mount the FSM on.
+   * @returns {FastSteeringMirror} The added FSM.
+   * @private
+   */
+  _addObservatoryFsm(fsmConfig, gimbal) {
+    const fsm = new FastSteeringMirror(fsmConfig.name)
+    applyFsmConfig(fsm, fsmConfig)
+    fsm.attach(gimbal)
+    this.addObject(fsm, false)
+    this._fsms.push(fsm)
+    return fsm
+  }
+
+  /**
+   * Create an observatory payload from a normalized sensor config and register it.
+   * @param {Object} sensorConfig - Normalized payload config.
+   * @param {SimObject} payloadParent - The gimbal or FSM to mount the payload on.
+   * @param {Gimbal} gimbal - The observatory gimbal, for default ranges.
+   * @param {number} [sensorMaxDistance] - Observatory fallback max range in meters.
+   * @returns {ElectroOpicalSensor|Laser} The added payload.
+   * @private
+   */
+  _addObservatoryPayload(sensorConfig, payloadParent, gimbal, sensorMaxDistance) {
+    if (sensorConfig.type === 'Laser') {
+      const laser = new Laser({
+        name: sensorConfig.name,
+        beamDivergence: sensorConfig.beamDivergence,
+        power: sensorConfig.power,
+        active: sensorConfig.active,
+        maxRange: sensorConfig.maxRange,
+        y_fov: sensorConfig.y_fov,
+        x_fov: sensorConfig.x_fov,
+        field_of_regard: sensorConfig.field_of_regard,
+        color: sensorConfig.color
+      })
+      const laserMaxRange = Number(sensorConfig.maxRange ?? sensorMaxDistance ?? gimbal.maxRange)
+      if (Number.isFinite(laserMaxRange) && laserMaxRange > 0) {
+        laser.maxRange = laserMaxRange
       }
-      if (Number.isFinite(config.fsm.tilt)) {
-        fsm.tilt = config.fsm.tilt
+      if (defined(sensorConfig.color)) {
+        laser.color = sensorConfig.color
       }
-      if (defined(config.fsm.slewRates) && typeof fsm.setAxisSlewRates === 'function') {
-        fsm.setAxisSlewRates(config.fsm.slewRates)
+      if (defined(sensorConfig.lunar_exclusion_angle)) {
+        laser.lunar_exclusion_angle = sensorConfig.lunar_exclusion_angle
       }
-      fsm.attach(gimbal)
-      this.addObject(fsm, false)
-      this._fsms.push(fsm)
+      laser.attach(payloadParent)
+      this.addObject(laser, false)
+      this._sensors.push(laser)
+      return laser
     }
 
-    const payloadParent = fsm ?? gimbal
+    const sensorArgs = [
+      sensorConfig.height,
+      sensorConfig.width,
+      sensorConfig.y_fov,
+      sensorConfig.x_fov,
+      sensorConfig.field_of_regard,
+      sensorConfig.name
+    ]
+    const sensor = defined(sensorConfig.zoom)
+      ? new ElectroOpicalSensor(...sensorArgs, { zoom: sensorConfig.zoom })
+      : new ElectroOpicalSensor(...sensorArgs)
+    sensor.maxRange = gimbal.maxRange
+    if (defined(sensorConfig.color)) {
+      sensor.color = sensorConfig.color
+    }
+    if (defined(sensorConfig.lunar_exclusion_angle)) {
+      sensor.lunar_exclusion_angle = sensorConfig.lunar_exclusion_angle
+    }
+    sensor.attach(payloadParent)
+    this.addObject(sensor, false)
+    this._sensors.push(sensor)
+    return sensor
+  }
 
-    const sensors = config.sensors.map((sensorConfig) => {
-      if (sensorConfig.type === 'Laser') {
-        const laser = new Laser({
-          name: sensorConfig.name,
-          beamDivergence: sensorConfig.beamDivergence,
-          power: sensorConfig.power,
-          active: sensorConfig.active,
-          maxRange: sensorConfig.maxRange,
-          y_fov: sensorConfig.y_fov,
-          x_fov: sensorConfig.x_fov,
-          field_of_regard: sensorConfig.field_of_regard,
-          color: sensorConfig.color
-        })
-        const laserMaxRange = Number(sensorConfig.maxRange ?? config.sensorMaxDistance ?? gimbal.maxRange)
-        if (Number.isFinite(laserMaxRange) && laserMaxRange > 0) {
-          laser.maxRange = laserMaxRange
-        }
-        if (defined(sensorConfig.color)) {
-          laser.color = sensorConfig.color
-        }
-        laser.attach(payloadParent)
-        this.addObject(laser, false)
-        this._sensors.push(laser)
-        return laser
+  /**
+   * Remove an observatory and all of its components from the universe.
+   *
+   * The payloads, FSM and gimbal are removed like {@link Universe#removeObject}
+   * (emitting `objectRemoved` for each), a ground site is detached from the
+   * Earth, and `observatoryRemoved` is emitted last. The host satellite of a
+   * space-based observatory stays in the universe.
+   *
+   * @param {string} name - The observatory name (the site name for ground observatories).
+   * @returns {Observatory|undefined} The removed observatory, or `undefined` if
+   *   no observatory has that name.
+   */
+  removeObservatory(name) {
+    const observatory = findObservatoryByName(this, name)
+    if (!defined(observatory)) {
+      return undefined
+    }
+    const { site, gimbal, fsm } = observatory
+
+    getObservatorySensors(observatory).forEach((sensor) => this._removeObservatoryComponent(sensor, this._sensors))
+    if (defined(fsm)) {
+      this._removeObservatoryComponent(fsm, this._fsms)
+    }
+    this._removeObservatoryComponent(gimbal, this._gimbals)
+
+    if (!observatory.hosted) {
+      if (this._objects[site.name] === site) {
+        delete this._objects[site.name]
       }
+      this._releaseObjectId(site)
+      site.detach()
+    }
+    removeFromArray(this._observatories, observatory)
+    this._spatialIndexStale = true
+    this._updateOrder = undefined
+    this._emit('observatoryRemoved', { observatory })
 
-      const sensorArgs = [
-        sensorConfig.height,
-        sensorConfig.width,
-        sensorConfig.y_fov,
-        sensorConfig.x_fov,
-        sensorConfig.field_of_regard,
-        sensorConfig.name
-      ]
-      const sensor = defined(sensorConfig.zoom)
-        ? new ElectroOpicalSensor(...sensorArgs, { zoom: sensorConfig.zoom })
-        : new ElectroOpicalSensor(...sensorArgs)
-      sensor.maxRange = gimbal.maxRange
-      if (defined(sensorConfig.color)) {
-        sensor.color = sensorConfig.color
+    return observatory
+  }
+
+  /**
+   * Reconfigure an existing observatory in place.
+   *
+   * Only the keys present in `config` change; accepted keys use the same
+   * names as {@link Universe#addGroundElectroOpticalObservatory}:
+   * - `sensors`: replaces every payload with new ones built from the list.
+   * - `gimbalSlewRates`: replaces the gimbal slew settings (`null` clears them).
+   * - `fsm`: adds an FSM between the gimbal and the payloads, or updates the
+   *   existing FSM's `tip`, `tilt` and `slewRates`; `null` removes it and
+   *   remounts the payloads on the gimbal.
+   * - `sensorMaxDistance`: the gimbal's idle range, also applied to EO sensors.
+   *
+   * Emits `observatoryUpdated` with the added and removed payloads.
+   *
+   * @param {string} name - The observatory (site) name.
+   * @param {Object} config - The settings to change.
+   * @returns {Observatory} The updated observatory.
+   * @throws {Error} If no observatory has that name.
+   */
+  updateObservatory(name, config = {}) {
+    const observatory = findObservatoryByName(this, name)
+    if (!defined(observatory)) {
+      throw new Error(`Universe.updateObservatory: unknown observatory '${name}'`)
+    }
+    const gimbal = observatory.gimbal
+    const has = (...keys) => keys.some((key) => Object.prototype.hasOwnProperty.call(config, key))
+
+    const sensorMaxDistance = config.sensorMaxDistance ?? config.sensor_max_distance
+    if (has('sensorMaxDistance', 'sensor_max_distance')) {
+      const maxRangeMeters = Number(sensorMaxDistance)
+      if (Number.isFinite(maxRangeMeters) && maxRangeMeters > 0) {
+        gimbal.maxRange = maxRangeMeters
+        getObservatorySensors(observatory).forEach((sensor) => {
+          if (sensor.type !== 'Laser') sensor.maxRange = maxRangeMeters
+        })
       }
-      sensor.attach(payloadParent)
-      this.addObject(sensor, false)
-      this._sensors.push(sensor)
-      return sensor
-    })
+    }
 
-    this._objects[config.name] = site
-    this._gimbals.push(gimbal)
+    if (has('gimbalSlewRates', 'gimbal_slew_rates') && typeof gimbal.setAxisSlewRates === 'function') {
+      gimbal.setAxisSlewRates(normalizeAxisSlewRates(config.gimbalSlewRates ?? config.gimbal_slew_rates))
+    }
 
-    const observatory = new Observatory(site, gimbal, sensors, fsm)
-    observatory.name = config.name
-    this._observatories.push(observatory)
+    if (has('fsm')) {
+      const fsmConfig = normalizeObservatoryFsmConfig(config.fsm, observatory.name ?? observatory.site.name)
+      const current = observatory.fsm
+      if (!defined(fsmConfig) && defined(current)) {
+        getObservatorySensors(observatory).forEach((sensor) => sensor.attach(gimbal))
+        this._removeObservatoryComponent(current, this._fsms)
+        observatory.fsm = undefined
+      } else if (defined(fsmConfig) && defined(current)) {
+        applyFsmConfig(current, fsmConfig)
+      } else if (defined(fsmConfig)) {
+        const fsm = this._addObservatoryFsm(fsmConfig, gimbal)
+        getObservatorySensors(observatory).forEach((sensor) => sensor.attach(fsm))
+        observatory.fsm = fsm
+      }
+    }
+
+    let addedSensors = []
+    let removedSensors = []
+    if (Array.isArray(config.sensors)) {
+      removedSensors = getObservatorySensors(observatory).slice()
+      removedSensors.forEach((sensor) => this._removeObservatoryComponent(sensor, this._sensors))
+      const observatoryName = observatory.name ?? observatory.site.name
+      addedSensors = config.sensors.map((entry, index) => this._addObservatoryPayload(
+        normalizeObservatorySensorConfig(entry, observatoryName, index),
+        observatory.fsm ?? gimbal,
+        gimbal,
+        sensorMaxDistance
+      ))
+      observatory.sensors = addedSensors
+    }
 
+    // re-evaluate the mount and its payloads on the next update, even at an unchanged time
+    this._updateOrder = undefined
+    if (typeof gimbal.invalidate === 'function') {
+      gimbal.invalidate()
+    }
+    this._emit('observatoryUpdated', { observatory, addedSensors, removedSensors })
 
     return observatory
   }
 
+  /**
+   * Register a removed observatory again. Its gimbal, FSM and payloads must
+   * already be back in the universe; this re-attaches an owned site and
+   * restores the component lists and the site name.
+   * @param {Observatory} observatory
+   * @param {SimObject} [siteParent] - The parent the site had before removal.
+   * @private
+   */
+  _restoreObservatory(observatory, siteParent) {
+    const { site, gimbal, fsm } = observatory
+    if (!observatory.hosted) {
+      if (defined(siteParent)) site.attach(siteParent)
+      this._assignObjectId(site)
+      this._objects[site.name] = site
+    }
+    this._gimbals.push(gimbal)
+    if (defined(fsm)) this._fsms.push(fsm)
+    this._sensors.push(...getObservatorySensors(observatory))
+    this._observatories.push(observatory)
+    this._spatialIndexStale = true
+    this._updateOrder = undefined
+    this._emit('observatoryAdded', { observatory })
+  }
+
+  /**
+   * Remove an observatory gimbal, FSM or payload from the universe and from
+   * its component list.
+   * @param {SimObject} object
+   * @param {Array<SimObject>} list
+   * @private
+   */
+  _removeObservatoryComponent(object, list) {
+    removeFromArray(list, object)
+    this.removeObject(object)
+  }
+
   /**
    * Gets the Earth object in the universe.
    * @type {Earth}
@@ -859,6 +2004,14 @@ class Universe {
     return this._sun;
   }
 
+  /**
+   * Gets the Moon object in the universe.
+   * @type {Moon}
+   */
+  get moon() {
+    return this._moon;
+  }
+
   /**
    * Gets the gimbals in the universe.
    * @type {Array.<Gimbal>}
@@ -899,6 +2052,50 @@ class Universe {
     return this._trackables
   }
 
+  /**
+   * Gets the time of the most recent update.
+   * @type {JulianDate|undefined}
+   */
+  get time() {
+    return this._time
+  }
+
+  /**
+   * Whether the universe maintains a spatial index of its trackable objects.
+   *
+   * When enabled, laser beam collisions and field-of-view queries only test
+   * objects the index reports near the beam or view cone, instead of every
+   * trackable. Disabled by default.
+   *
+   * @type {boolean}
+   */
+  get spatialIndexEnabled() {
+    return defined(this._spatialIndex)
+  }
+
+  set spatialIndexEnabled(value) {
+    this._spatialIndex = value ? (this._spatialIndex ?? new SpatialIndex()) : undefined
+    this._spatialIndexStale = true
+  }
+
+  /**
+   * Get the spatial index of the trackable objects, rebuilt from their world
+   * positions the first time it is requested after an update or after
+   * objects are added or removed.
+   *
+   * @returns {SpatialIndex|undefined} The index, or `undefined` when disabled.
+   */
+  getSpatialIndex() {
+    if (!defined(this._spatialIndex)) {
+      return undefined
+    }
+    if (this._spatialIndexStale) {
+      this._spatialIndex.build(this._trackables, { radius: resolveCollisionRadius })
+      this._spatialIndexStale = false
+    }
+    return this._spatialIndex
+  }
+
   /**
    * Access the universe event queue.
    * @type {EventQueue}
@@ -908,38 +2105,410 @@ class Universe {
   }
 
   /**
-   * Convenience method to schedule an event.
-   * @param {{ time: JulianDate|string|Date, type?: string, data?: any, handler?: Function }} evt
+   * Convenience method to schedule an event. See {@link Event} for the
+   * recurrence options `interval`, `count` and `until`. An event with a
+   * `condition` fires when that condition becomes true instead; see
+   * {@link ConditionEvent}.
+   * @param {{ time?: JulianDate|string|Date, type?: string, data?: any, handler?: Function, once?: boolean, interval?: number, count?: number, until?: JulianDate|string|Date, condition?: Object }|Event|ConditionEvent} evt
    * @returns {string} Event id
    */
   scheduleEvent(evt) {
     return this._events.add(evt)
   }
 
+  /**
+   * Most checkpoints kept for rolling back fired events, one per update that
+   * fired any. The oldest are dropped first, so updating to a time before the
+   * oldest kept checkpoint only rolls back to it. Set to 0 to record no
+   * history, or `Infinity` to keep all of it. Defaults to 256.
+   *
+   * @type {number}
+   */
+  get eventHistoryLimit() {
+    return this._eventHistoryLimit
+  }
+
+  set eventHistoryLimit(value) {
+    const limit = Number(value)
+    if (Number.isNaN(limit) || limit < 0) {
+      throw new Error('Universe.eventHistoryLimit must be a non-negative number')
+    }
+    this._eventHistoryLimit = limit
+    this._pruneEventHistory()
+  }
+
+  /**
+   * How far back, in seconds before the latest update, fired events can be
+   * rolled back. Checkpoints older than this are dropped as time advances.
+   * Defaults to `Infinity`.
+   *
+   * @type {number}
+   */
+  get eventHistoryHorizon() {
+    return this._eventHistoryHorizon
+  }
+
+  set eventHistoryHorizon(value) {
+    const horizon = Number(value)
+    if (Number.isNaN(horizon) || horizon < 0) {
+      throw new Error('Universe.eventHistoryHorizon must be a non-negative number of seconds')
+    }
+    this._eventHistoryHorizon = horizon
+    this._pruneEventHistory()
+  }
+
+  /**
+   * Forget the state recorded for fired events. Updating to an earlier time
+   * afterwards no longer rolls back or re-fires them.
+   */
+  clearEventHistory() {
+    this._eventCheckpoints.length = 0
+  }
+
+  /**
+   * Drop checkpoints beyond {@link Universe#eventHistoryLimit} and those at
+   * or before the {@link Universe#eventHistoryHorizon}, which no rewind can
+   * reach.
+   * @private
+   */
+  _pruneEventHistory() {
+    const checkpoints = this._eventCheckpoints
+    if (defined(this._time) && Number.isFinite(this._eventHistoryHorizon)) {
+      const oldest = JulianDate.addSeconds(this._time, -this._eventHistoryHorizon, new JulianDate())
+      const reachable = checkpoints.findIndex((checkpoint) => JulianDate.greaterThan(checkpoint.time, oldest))
+      checkpoints.splice(0, reachable < 0 ? checkpoints.length : reachable)
+    }
+    if (checkpoints.length > this._eventHistoryLimit) {
+      checkpoints.splice(0, checkpoints.length - this._eventHistoryLimit)
+    }
+  }
+
+  /**
+   * Get the objects and observatories a fired event's handler can change.
+   *
+   * @param {Event|ConditionEvent} event
+   * @returns {{objects: Array<SimObject>, observatories: Array<Observatory>}|undefined}
+   *   `undefined` when the handler could change anything.
+   * @private
+   */
+  _resolveEventScope(event) {
+    const handler = event.handler || this._events.getHandler(event.type)
+    const scope = this._eventScopes.get(handler)?.(this, event)
+    if (!defined(scope)) return undefined
+    return {
+      objects: scope.objects.filter(defined),
+      observatories: scope.observatories.filter(defined)
+    }
+  }
+
+  /**
+   * Run one event-processing pass. Unless history is disabled, the queue is
+   * checkpointed before the first event fires, and the state of the objects
+   * and observatories each event can change before that event fires. The
+   * checkpoint also records what the pass added and removed.
+   *
+   * @param {JulianDate} time
+   * @param {(options: Object) => Array<Event|ConditionEvent>} process - Queue pass to run.
+   * @returns {Array<Event|ConditionEvent>} Events fired by the pass.
+   * @private
+   */
+  _processEvents(time, process) {
+    if (this._events.size() === 0) return []
+    if (this._eventHistoryLimit === 0) return process({})
+    const queue = this._events.captureState()
+    let checkpoint
+    let objects
+    let trackables
+    let observatories
+    const fired = process({
+      beforeFire: (event) => {
+        if (!defined(checkpoint)) {
+          // registered objects and observatory sites by their parents, to re-attach removed ones
+          objects = new Map(this._trackables.concat(this._nontrackables).map((object) => [object, object.parent]))
+          trackables = new Set(this._trackables)
+          observatories = new Map(this._observatories.map((observatory) => [observatory, observatory.site.parent]))
+          checkpoint = { time: JulianDate.clone(time), queue, objects: new Map(), observatories: new Map() }
+          this._eventCheckpoints.push(checkpoint)
+        }
+        const scope = this._resolveEventScope(event) ?? {
+          objects: this._trackables.concat(this._nontrackables),
+          observatories: this._observatories
+        }
+        scope.objects
+          .filter((object) => objects.has(object) && !checkpoint.objects.has(object))
+          .forEach((object) => {
+            const state = object.captureState?.()
+            if (defined(state)) checkpoint.objects.set(object, state)
+          })
+        scope.observatories
+          .filter((observatory) => observatory.gimbal instanceof Gimbal && !checkpoint.observatories.has(observatory))
+          .forEach((observatory) => checkpoint.observatories.set(observatory, captureObservatoryState(observatory)))
+      }
+    })
+    if (defined(checkpoint)) {
+      // objects and observatories added by the fired events, removed again on rewind
+      const registered = this._trackables.concat(this._nontrackables)
+      checkpoint.spawnedObjects = registered.filter((object) => !objects.has(object))
+      checkpoint.spawnedObservatories = this._observatories.filter((observatory) => !observatories.has(observatory))
+      // and those the events removed, added back on rewind
+      const remaining = new Set(registered)
+      checkpoint.removedObjects = Array.from(objects)
+        .filter(([object]) => !remaining.has(object))
+        .map(([object, parent]) => ({ object, parent, trackable: trackables.has(object) }))
+      checkpoint.removedObservatories = Array.from(observatories)
+        .filter(([observatory]) => !this._observatories.includes(observatory))
+        .map(([observatory, siteParent]) => ({ observatory, siteParent }))
+      this._pruneEventHistory()
+    }
+    return fired
+  }
+
+  /**
+   * Restore the checkpoint taken before the earliest event fired after
+   * `time`, putting that event and every later one back in the queue.
+   * Objects and observatories added by those events are removed, and those
+   * they removed are added back and re-attached to their former parents.
+   *
+   * @param {JulianDate} time
+   * @returns {boolean} True if state was rolled back.
+   * @private
+   */
+  _rewindEvents(time) {
+    const index = this._eventCheckpoints.findIndex((checkpoint) => JulianDate.greaterThan(checkpoint.time, time))
+    if (index < 0) return false
+    const [checkpoint, ...newer] = this._eventCheckpoints.slice(index)
+    this._eventCheckpoints.length = index
+
+    this._events.restoreState(checkpoint.queue, newer.map((c) => c.queue).concat([this._events.captureState()]))
+    // the re-fired events add these again
+    const rewound = [checkpoint, ...newer]
+    rewound.forEach(({ spawnedObservatories = [] }) => spawnedObservatories
+      .filter((observatory) => this._observatories.includes(observatory))
+      .forEach((observatory) => this.removeObservatory(observatory.name ?? observatory.site.name)))
+    rewound.forEach(({ spawnedObjects = [] }) => spawnedObjects.forEach((object) => this.removeObject(object)))
+    // undo removals newest first, so a host is back before its observatory components
+    rewound.slice().reverse().forEach(({ removedObjects = [], removedObservatories = [] }) => {
+      removedObjects.forEach(({ object, parent, trackable }) => {
+        if (defined(parent)) object.attach(parent)
+        this.addObject(object, trackable)
+      })
+      removedObservatories.forEach(({ observatory, siteParent }) => this._restoreObservatory(observatory, siteParent))
+    })
+    // each checkpoint holds only what its events changed; restore newest
+    // first so the state from before the earliest of them wins
+    rewound.slice().reverse().forEach(({ objects, observatories }) => {
+      objects.forEach((state, object) => object.restoreState(state))
+      observatories.forEach((state, observatory) => {
+        if (!this._observatories.includes(observatory)) return
+        applyObservatoryState(this, observatory, state)
+        observatory.gimbal.invalidate()
+      })
+    })
+    return true
+  }
+
+  /**
+   * Capture the universe as plain data: objects (TLEs, two-body epochs, air
+   * vehicle state and routes), observatories with gimbal, FSM, zoom and laser
+   * state, and the pending event queue.
+   *
+   * The result is JSON-serializable and can be restored with
+   * {@link Universe.fromSnapshot}. Objects of unsupported types and events
+   * with inline handlers cannot be captured; their names and ids are listed
+   * in `skipped.objects` and `skipped.events`.
+   *
+   * @returns {Object} Snapshot data.
+   */
+  snapshot() {
+    return createUniverseSnapshot(this)
+  }
+
+  /**
+   * Create a new universe from data produced by {@link Universe#snapshot}.
+   * The returned universe is updated to the snapshot time.
+   *
+   * @param {Object} snapshot - Snapshot data.
+   * @returns {Universe} The restored universe.
+   */
+  static fromSnapshot(snapshot) {
+    return restoreUniverseSnapshot(new Universe(), snapshot)
+  }
+
+  /**
+   * Step the universe from `start` to `stop` without a viewer.
+   *
+   * Each step advances every object, fires due events, and yields
+   * `{ time, index, events }`. Steps are computed from `start` so round-off
+   * does not accumulate, and a final partial step lands exactly on `stop`.
+   *
+   * @example
+   * for (const { time } of universe.steps({ start, stop, step: 10 })) {
+   *   console.log(time.toString(), satellite.worldPosition)
+   * }
+   *
+   * @param {Object} options
+   * @param {JulianDate|Date|string} options.start - First step time.
+   * @param {JulianDate|Date|string} [options.stop] - Last step time.
+   * @param {number} [options.duration] - Seconds after `start`, used when `stop` is omitted.
+   * @param {number} [options.step=60] - Step size in seconds.
+   * @yields {{time: JulianDate, index: number, events: Array<Event>}}
+   */
+  *steps(options = {}) {
+    const { start, stop, step } = resolveRunOptions(options)
+    const totalSec = JulianDate.secondsDifference(stop, start)
+    const count = Math.floor(totalSec / step + RUN_STEP_EPSILON_SECONDS)
+
+    let index = 0
+    for (; index <= count; index++) {
+      const time = JulianDate.addSeconds(start, index * step, new JulianDate())
+      yield { time, index, events: this.update(time) }
+    }
+    if (totalSec - count * step > RUN_STEP_EPSILON_SECONDS) {
+      const time = JulianDate.clone(stop, new JulianDate())
+      yield { time, index, events: this.update(time) }
+    }
+  }
+
+  /**
+   * Run the universe from `start` to `stop` without a viewer.
+   *
+   * `onEvent(universe, event)` is called for every event fired during a step,
+   * followed by `onStep(universe, step)`. Values returned from `onStep` other
+   * than `undefined` are collected into `results`.
+   *
+   * @param {Object} options - See {@link Universe#steps} for timing options.
+   * @param {(universe: Universe, step: {time: JulianDate, index: number, events: Array<Event>}) => *} [options.onStep]
+   * @param {(universe: Universe, event: Event) => void} [options.onEvent]
+   * @returns {{steps: number, time: JulianDate|undefined, results: Array}}
+   */
+  run(options = {}) {
+    const { onStep, onEvent } = options
+    const results = []
+    let steps = 0
+    let time
+
+    for (const step of this.steps(options)) {
+      if (typeof onEvent === 'function') {
+        step.events.forEach((evt) => onEvent(this, evt))
+      }
+      if (typeof onStep === 'function') {
+        const value = onStep(this, step)
+        if (value !== undefined) results.push(value)
+      }
+      steps++
+      time = step.time
+    }
+
+    return { steps, time, results }
+  }
+
+  /**
+   * Asynchronous variant of {@link Universe#run}. Callbacks may return
+   * promises, which are awaited before the next step is taken.
+   *
+   * @param {Object} options - Same options as {@link Universe#run}.
+   * @returns {Promise<{steps: number, time: JulianDate|undefined, results: Array}>}
+   */
+  async runAsync(options = {}) {
+    const { onStep, onEvent } = options
+    const results = []
+    let steps = 0
+    let time
+
+    for (const step of this.steps(options)) {
+      if (typeof onEvent === 'function') {
+        for (const evt of step.events) {
+          await onEvent(this, evt)
+        }
+      }
+      if (typeof onStep === 'function') {
+        const value = await onStep(this, step)
+        if (value !== undefined) results.push(value)
+      }
+      steps++
+      time = step.time
+    }
+
+    return { steps, time, results }
+  }
+
+  /**
+   * Get the update order from {@link buildUpdateOrder}, cached until objects
+   * or observatories are added or removed, an ordered object is attached to
+   * another parent, or a gimbal tracks another object.
+   *
+   * @returns {{order: Array<SimObject>, nodes: Set<SimObject>}}
+   * @private
+   */
+  _getUpdateOrder() {
+    const cached = this._updateOrder
+    if (defined(cached) && cached.order.every((node, i) => (
+      node.parent === cached.parents[i] && node.trackObject === cached.trackObjects[i]
+    ))) {
+      return cached
+    }
+    const { order, nodes } = buildUpdateOrder(this)
+    this._updateOrder = {
+      order,
+      nodes,
+      parents: order.map((node) => node.parent),
+      trackObjects: order.map((node) => node.trackObject)
+    }
+    return this._updateOrder
+  }
+
   /**
    * Updates the universe to the given time.
+   *
+   * Due events fire first. Objects are then evaluated in dependency order
+   * (Earth, sites, gimbals, FSMs, payloads), so each object is computed at
+   * most once per time. An object re-evaluated at an unchanged time, such as a
+   * gimbal commanded while the clock is paused, forces its dependents to be
+   * re-evaluated as well. Condition-triggered events are evaluated last,
+   * against the updated state; changes their handlers make take effect from
+   * the next update.
+   *
+   * Fired events are remembered with the state they changed. Updating to a
+   * time before an event fired, e.g. when the timeline is scrubbed back,
+   * restores that state, including objects and observatories the event removed,
+   * and queues the event again, so it re-fires on the way forward. How much
+   * history is kept is set by {@link Universe#eventHistoryLimit} and
+   * {@link Universe#eventHistoryHorizon}.
+   *
    * @param {JulianDate} time - The time to update the universe to.
+   * @param {boolean} [forceUpdate=false] - Whether to force every object to recompute.
+   * @returns {Array<Event|ConditionEvent>} Events fired during this update.
    */
   update(time, forceUpdate = false) {
     // Process due events before state updates
-    this._events.process(time, this)
-    // TODO replace this with graph traversal
-    this._earth.update(time, this, forceUpdate)
-    this._sun.update(time, this, forceUpdate)
-    this._trackables.forEach((o) => {
-      o.update(time, this, forceUpdate)
-    })
-    this._nontrackables.forEach((o) => {
-      o.update(time, this, forceUpdate)
-    })
-    this._observatories.forEach((o) => {
-      o.site.update(time, this, forceUpdate)
-      o.gimbal.update(time, this, forceUpdate)
-      o.fsm?.update?.(time, this, forceUpdate)
-      getObservatorySensors(o).forEach((sensor) => {
-        sensor?.update?.(time, this, forceUpdate)
-      })
+    this._time = JulianDate.clone(time, this._time)
+    if (this._rewindEvents(time)) {
+      forceUpdate = true
+    }
+    this._pruneEventHistory()
+    const fired = this._processEvents(time, (options) => this._events.process(time, this, options))
+    fired.forEach((event) => this._emit('eventFired', { event }))
+
+    this._spatialIndexStale = true
+
+    const { order, nodes } = this._getUpdateOrder()
+    const evaluated = new Set()
+    order.forEach((node) => {
+      // an object already at `time` is stale if a dependency was re-evaluated after it
+      const stale = updateDependencies(node).some((dep) => evaluated.has(dep)) &&
+        JulianDate.equals(node.time, time)
+      const force = forceUpdate || stale
+      const count = node.updateCount
+      // parents in the graph were already updated in this pass
+      node.update(time, this, force, !nodes.has(node.parent))
+      if (node.updateCount !== count) {
+        evaluated.add(node)
+      }
     })
+
+    const triggered = this._processEvents(time, (options) => this._events.processConditions(time, this, options))
+    triggered.forEach((event) => this._emit('eventFired', { event }))
+    return fired.concat(triggered)
   }
 }
 
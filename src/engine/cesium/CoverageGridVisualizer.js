@@ -2,6 +2,7 @@ import { PointPrimitiveCollection, Color, Viewer } from 'cesium';
 import CompoundElementVisualizer from './CompoundElementVisualizer.js';
 import EarthGroundStation from '../objects/EarthGroundStation.js';
 import { colorVisibleSatellites } from "./utils.js";
+import SpatialIndex from '../geometry/SpatialIndex.js';
 import Universe from '../Universe.js';
 
 /**
@@ -19,6 +20,7 @@ class CoverageGridVisualizer extends CompoundElementVisualizer {
   constructor(viewer, universe, orbit='GEO', alpha=0.3) {
     super()
     this._objects = []
+    this._index = undefined
     this._show = false
     this.viewer = viewer
     this.universe = universe
@@ -99,6 +101,7 @@ class CoverageGridVisualizer extends CompoundElementVisualizer {
       obj.altitude = this._altitude;
       obj.visualizer.point.position = obj.position;
     });
+    this._index = undefined;
   }
 
   /**
@@ -119,10 +122,31 @@ class CoverageGridVisualizer extends CompoundElementVisualizer {
 
   /**
    * Updates the ground site colors based on the visible satellites.
+   *
+   * When the universe has its spatial index enabled, grid sites outside each
+   * observatory's field-of-regard cone are skipped using an Earth-fixed index
+   * of the grid, which is rebuilt only when the grid changes.
+   *
    * @param {JulianDate} time - The current time.
    */
   update(time) {
-    colorVisibleSatellites(this.universe, this.universe._observatories, time, this._objects, this._alpha, false);
+    const index = this.universe.spatialIndexEnabled ? this._getGridIndex() : undefined;
+    colorVisibleSatellites(this.universe, this.universe._observatories, time, this._objects, this._alpha, false, index);
+  }
+
+  /**
+   * Index of the grid sites in the Earth-fixed frame.
+   * @returns {SpatialIndex}
+   * @private
+   */
+  _getGridIndex() {
+    if (this._index === undefined || this._index.size !== this._objects.length) {
+      this._index = new SpatialIndex().build(this._objects, {
+        frame: this.universe.earth,
+        position: (site) => site.position
+      });
+    }
+    return this._index;
   }
 
 
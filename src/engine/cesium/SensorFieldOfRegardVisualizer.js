@@ -1,20 +1,43 @@
 import { defined, Math as CMath, Color, Cartesian3 } from 'cesium'
-import { createObjectPositionProperty, createObjectOrientationProperty } from './utils.js'
+import { createObjectPositionProperty, createObjectOrientationProperty, createBodyOrientationProperty } from './utils.js'
 import CompountElementVisualizer from './CompoundElementVisualizer.js'
+import SpaceAzElGimbal from '../objects/SpaceAzElGimbal.js'
 
 class SensorFieldOfRegardVisualizer extends CompountElementVisualizer {
-  constructor(viewer, site, sensor, universe, color) {
+  /**
+   * @param {Viewer} viewer
+   * @param {SimObject} site - Observatory site or host satellite.
+   * @param {ElectroOpicalSensor} sensor
+   * @param {Universe} universe
+   * @param {Color} [color]
+   * @param {Gimbal} [gimbal] - Observatory gimbal; a {@link SpaceAzElGimbal}
+   *   draws the field of regard around the host's body -Z axis.
+   */
+  constructor(viewer, site, sensor, universe, color, gimbal = undefined) {
     const baseColor = color ?? Color.PURPLE
     super(baseColor, 0.1, 0.5)
 
+    // Space-based angles are measured from body -Z and body -X, while Cesium
+    // cones and clocks are measured from +Z and +X.
+    const spaceBased = gimbal instanceof SpaceAzElGimbal
+    const orientation = spaceBased
+      ? createBodyOrientationProperty(site, universe)
+      : createObjectOrientationProperty(site, universe)
+
     if (defined(sensor.field_of_regard)) {
       for (let i = 0; i < sensor.field_of_regard.length; i++) {
         const fofr = sensor.field_of_regard[i];
-        const parts = createFieldOfRegardSections(
-          fofr.clock[0], fofr.clock[1],
-          fofr.elevation[0], fofr.elevation[1],
-          fofr.range
-        );
+        const parts = spaceBased
+          ? createFieldOfRegardSections(
+            180.0 - fofr.clock[1], 180.0 - fofr.clock[0],
+            fofr.elevation[0] - 90.0, fofr.elevation[1] - 90.0,
+            fofr.range
+          )
+          : createFieldOfRegardSections(
+            fofr.clock[0], fofr.clock[1],
+            fofr.elevation[0], fofr.elevation[1],
+            fofr.range
+          );
         parts.forEach((g) => this._entities.push(g));
       }
     }
@@ -70,7 +93,7 @@ class SensorFieldOfRegardVisualizer extends CompountElementVisualizer {
         const ent = viewer.entities.add({
           name: sensor.name + ' Field of Regard',
           position: createObjectPositionProperty(site, universe, viewer),
-          orientation: createObjectOrientationProperty(site, universe),
+          orientation,
           ellipsoid: {
             radii: new Cartesian3(range, range, range),
             innerRadii: new Cartesian3(inner, inner, inner),
@@ -95,7 +118,7 @@ class SensorFieldOfRegardVisualizer extends CompountElementVisualizer {
         const ent = viewer.entities.add({
           name: sensor.name + ' Field of Regard',
           position: createObjectPositionProperty(site, universe, viewer),
-          orientation: createObjectOrientationProperty(site, universe),
+          orientation,
           ellipsoid: {
             radii: new Cartesian3(range, range, range),
             innerRadii: new Cartesian3(inner, inner, inner),
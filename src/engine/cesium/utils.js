@@ -1,7 +1,7 @@
-import { Color, SampledPositionProperty, JulianDate, Cartesian3, LagrangePolynomialApproximation, defined, ReferenceFrame, Matrix3, Quaternion, CallbackProperty } from 'cesium'
+import { Color, SampledPositionProperty, JulianDate, Cartesian3, LagrangePolynomialApproximation, defined, ReferenceFrame, Matrix3, Quaternion, CallbackProperty, Math as CMath } from 'cesium'
 import { CallbackPositionProperty, ElectroOpicalSensor } from '../../index.js'
-import { southEastZenithToAzEl } from '../dynamics/gimbal.js'
-import { getObservatorySensors, isSensorVisible } from '../objects/observatoryUtils.js'
+import { getObservatorySensors, isSensorVisible, observatoryLocalToAzEl } from '../objects/observatoryUtils.js'
+import SpaceAzElGimbal from '../objects/SpaceAzElGimbal.js'
 
 function toSampledPositionProperty(object, context, start, stop, step) {
   start = JulianDate.addSeconds(start, -step, new JulianDate())
@@ -66,26 +66,57 @@ function createObjectOrientationProperty(object, universe) {
       let y = object.transformVectorTo(universe.earth, Cartesian3.UNIT_Y)
       let z = object.transformVectorTo(universe.earth, Cartesian3.UNIT_X)
       m = new Matrix3(x.x, y.x, z.x, x.y, y.y, z.y, x.z, y.z, z.z)
-    } else if (object.referenceFrame === ReferenceFrame.INERTIAL) {
+    } else if (object.referenceFrame === ReferenceFrame.INERTIAL && !defined(object.orientation)) {
       universe.earth.update(time, universe)
       let x = universe.earth.transformVectorFromWorld(Cartesian3.UNIT_Y)
       let y = universe.earth.transformVectorFromWorld(Cartesian3.UNIT_X)
       let z = universe.earth.transformVectorFromWorld(new Cartesian3(0, 0, -1))
       m = new Matrix3(x.x, y.x, z.x, x.y, y.y, z.y, x.z, y.z, z.z)
     } else {
-      universe.earth.update(time, universe)
-      let x = object.transformVectorTo(universe.earth, Cartesian3.UNIT_X)
-      let y = object.transformVectorTo(universe.earth, Cartesian3.UNIT_Y)
-      let z = object.transformVectorTo(universe.earth, Cartesian3.UNIT_Z)
-      m = new Matrix3(x.x, y.x, z.x, x.y, y.y, z.y, x.z, y.z, z.z)
+      m = bodyAxesInEarthFrame(object, time, universe)
     }
     Quaternion.fromRotationMatrix(m, result)
     return result
   }, false)
 }
 
+function bodyAxesInEarthFrame(object, time, universe) {
+  universe.earth.update(time, universe)
+  let x = object.transformVectorTo(universe.earth, Cartesian3.UNIT_X)
+  let y = object.transformVectorTo(universe.earth, Cartesian3.UNIT_Y)
+  let z = object.transformVectorTo(universe.earth, Cartesian3.UNIT_Z)
+  return new Matrix3(x.x, y.x, z.x, x.y, y.y, z.y, x.z, y.z, z.z)
+}
+
+/**
+ * Create a Cesium orientation property that follows an object's local axes,
+ * without the model-facing conventions of {@link createObjectOrientationProperty}.
+ * Used to draw geometry defined in a host body frame.
+ *
+ * @param {SimObject} object
+ * @param {Universe} universe
+ * @returns {CallbackProperty}
+ */
+function createBodyOrientationProperty(object, universe) {
+  return new CallbackProperty(function(time, result) {
+    object.update(time, universe)
+    return Quaternion.fromRotationMatrix(bodyAxesInEarthFrame(object, time, universe), result)
+  }, false)
+}
+
 
-function colorVisibleSatellites(universe, observatories, time, objects=undefined, alpha=0.5, showNonVisible=false) {
+/**
+ * Color object points by how many observatories can see them.
+ *
+ * @param {Universe} universe
+ * @param {Array<Observatory>} observatories
+ * @param {JulianDate} time
+ * @param {Array<SimObject>} [objects] - Objects to color, defaults to the universe's trackables.
+ * @param {number} [alpha=0.5]
+ * @param {boolean} [showNonVisible=false] - Color non-visible objects red instead of hiding them.
+ * @param {SpatialIndex} [index] - Index over `objects`, valid at `time`, used to skip objects outside each observatory's field of regard.
+ */
+function colorVisibleSatellites(universe, observatories, time, objects=undefined, alpha=0.5, showNonVisible=false, index=undefined) {
 
   function getPoint(o) {
     if(defined(o.visualizer.point)) {
@@ -119,7 +150,7 @@ function colorVisibleSatellites(universe, observatories, time, objects=undefined
 
   const counts = {}
   observatories.forEach((o) => {
-    applyToVisible(universe, o, time, objects, (sat) => {
+    applyToVisible(universe, o, time, trackables, (sat) => {
       const point = getPoint(sat)
       if(point.show._value !== true)
         point.show = true;
@@ -139,20 +170,56 @@ function colorVisibleSatellites(universe, observatories, time, objects=undefined
         point.color = G
         point.outlineColor = G
       }
-    });
+    }, index);
   });
 }
 
 
 
-function applyToVisible(universe, observatory, time, objects, callback) {
+/**
+ * Broad phase for field-of-regard checks: objects in the cone above the site
+ * bounded by the lowest field-of-regard elevation of its sensors. Space-based
+ * mounts measure elevation from the host's body -Z axis, so their cone is
+ * around body -Z and bounded by the largest field-of-regard elevation.
+ *
+ * @param {SpatialIndex} index
+ * @param {Observatory} observatory
+ * @param {Array<Object>} sensors
+ * @returns {Array<SimObject>}
+ */
+function queryFieldOfRegardCandidates(index, observatory, sensors) {
+  const spaceBased = observatory.gimbal instanceof SpaceAzElGimbal
+  let bound = spaceBased ? -Infinity : Infinity
+  sensors.forEach((sensor) => {
+    (sensor?.field_of_regard ?? []).forEach((f) => {
+      bound = spaceBased ? Math.max(bound, f.elevation[1]) : Math.min(bound, f.elevation[0])
+    })
+  })
+  if (!Number.isFinite(bound)) {
+    return []
+  }
+
+  const site = observatory.site
+  const frame = index.frame
+  const localAxis = spaceBased ? new Cartesian3(0, 0, -1) : Cartesian3.UNIT_Z
+  const apex = defined(frame) ? site.transformPointTo(frame, Cartesian3.ZERO) : site.worldPosition
+  const axis = defined(frame)
+    ? site.transformVectorTo(frame, localAxis)
+    : site.transformVectorToWorld(localAxis)
+  Cartesian3.normalize(axis, axis)
+  const halfAngle = spaceBased ? bound : 90 - bound
+  return index.queryCone(apex, axis, CMath.toRadians(halfAngle))
+}
+
+function applyToVisible(universe, observatory, time, objects, callback, index=undefined) {
   const sensors = getObservatorySensors(observatory)
   observatory.site.update(time, universe)
   const localPos = new Cartesian3();
-  objects.forEach((sat) => {
+  const candidates = defined(index) ? queryFieldOfRegardCandidates(index, observatory, sensors) : objects
+  candidates.forEach((sat) => {
     sat.update(time, universe)
     observatory.site.transformPointFromWorld(sat.worldPosition, localPos);
-    let [az, el] = southEastZenithToAzEl(localPos)
+    let [az, el] = observatoryLocalToAzEl(observatory, localPos)
     for (let i = 0; i < sensors.length; i++) {
       if (isSensorVisible(sensors[i], az, el)) {
         callback(sat);
@@ -166,6 +233,7 @@ export {
   toSampledPositionProperty,
   createObjectPositionProperty,
   createObjectOrientationProperty,
+  createBodyOrientationProperty,
   colorVisibleSatellites,
   getObjectPositionInCesiumFrame
 }
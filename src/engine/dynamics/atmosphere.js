@@ -0,0 +1,167 @@
+import { Cartesian3 } from 'cesium'
+
+/**
+ * Exponential atmosphere from Vallado (2013), Table 8-4:
+ * [base altitude (km), base density (kg/m^3), scale height (km)].
+ */
+const EXPONENTIAL_TABLE = [
+  [0, 1.225, 7.249],
+  [25, 3.899e-2, 6.349],
+  [30, 1.774e-2, 6.682],
+  [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382],
+  [60, 3.206e-4, 7.714],
+  [70, 8.770e-5, 6.549],
+  [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382],
+  [100, 5.297e-7, 5.877],
+  [110, 9.661e-8, 7.263],
+  [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636],
+  [140, 3.845e-9, 16.149],
+  [150, 2.070e-9, 22.523],
+  [180, 5.464e-10, 29.740],
+  [200, 2.789e-10, 37.105],
+  [250, 7.248e-11, 45.546],
+  [300, 2.418e-11, 53.628],
+  [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515],
+  [450, 1.585e-12, 60.828],
+  [500, 6.967e-13, 63.822],
+  [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667],
+  [800, 1.170e-14, 124.64],
+  [900, 5.245e-15, 181.05],
+  [1000, 3.019e-15, 268.00]
+]
+
+/**
+ * Harris-Priester density table from Montenbruck & Gill (2000), Table 3.8,
+ * for mean solar activity: [altitude (km), minimum, maximum density (g/km^3)].
+ */
+const HARRIS_PRIESTER_TABLE = [
+  [100, 497400.0, 497400.0],
+  [120, 24900.0, 24900.0],
+  [130, 8377.0, 8710.0],
+  [140, 3899.0, 4059.0],
+  [150, 2122.0, 2215.0],
+  [160, 1263.0, 1344.0],
+  [170, 800.8, 875.8],
+  [180, 528.3, 601.0],
+  [190, 361.7, 429.7],
+  [200, 255.7, 316.2],
+  [210, 183.9, 239.6],
+  [220, 134.1, 185.3],
+  [230, 99.49, 145.5],
+  [240, 74.88, 115.7],
+  [250, 57.09, 93.08],
+  [260, 44.03, 75.36],
+  [270, 34.30, 61.28],
+  [280, 26.97, 50.07],
+  [290, 21.39, 41.04],
+  [300, 17.08, 33.70],
+  [320, 10.99, 22.26],
+  [340, 7.214, 14.76],
+  [360, 4.824, 9.897],
+  [380, 3.274, 6.673],
+  [400, 2.249, 4.533],
+  [420, 1.558, 3.072],
+  [440, 1.091, 2.097],
+  [460, 0.7701, 1.438],
+  [480, 0.5474, 0.9903],
+  [500, 0.3916, 0.6869],
+  [520, 0.2819, 0.4792],
+  [540, 0.2042, 0.3364],
+  [560, 0.1488, 0.2380],
+  [580, 0.1092, 0.1700],
+  [600, 0.08070, 0.1222],
+  [620, 0.06012, 0.08867],
+  [640, 0.04519, 0.06488],
+  [660, 0.03430, 0.04798],
+  [680, 0.02632, 0.03584],
+  [700, 0.02043, 0.02710],
+  [720, 0.01607, 0.02072],
+  [740, 0.01281, 0.01605],
+  [760, 0.01036, 0.01262],
+  [780, 0.008496, 0.01005],
+  [800, 0.007069, 0.008113],
+  [840, 0.004680, 0.005356],
+  [880, 0.003200, 0.003600],
+  [920, 0.002210, 0.002425],
+  [960, 0.001560, 0.001650],
+  [1000, 0.001150, 0.001190]
+]
+
+const G_PER_KM3_TO_KG_PER_M3 = 1e-12
+const BULGE_LAG_RAD = 30 * Math.PI / 180
+const _bulge = new Cartesian3()
+const _direction = new Cartesian3()
+
+function findInterval(table, altitudeKm) {
+  let i = 0
+  while (i < table.length - 2 && altitudeKm >= table[i + 1][0]) i++
+  return i
+}
+
+/**
+ * Atmospheric density from the piecewise exponential model.
+ *
+ * Above 1000 km the last layer is extrapolated.
+ *
+ * @param {number} altitude - Altitude above the ellipsoid in meters.
+ * @returns {number} Density in kg/m^3.
+ *
+ * @example
+ * exponentialDensity(400000) // ~3.7e-12 kg/m^3
+ */
+export function exponentialDensity(altitude) {
+  const altitudeKm = Math.max(0, altitude / 1000)
+  let i = EXPONENTIAL_TABLE.length - 1
+  while (i > 0 && altitudeKm < EXPONENTIAL_TABLE[i][0]) i--
+  const [h0, rho0, scaleHeight] = EXPONENTIAL_TABLE[i]
+  return rho0 * Math.exp(-(altitudeKm - h0) / scaleHeight)
+}
+
+/**
+ * Atmospheric density from the Harris-Priester model, which adds the diurnal
+ * bulge that lags the Sun by 30 degrees in right ascension.
+ *
+ * Outside the 100-1000 km table the exponential model is used.
+ *
+ * @param {number} altitude - Altitude above the ellipsoid in meters.
+ * @param {Cartesian3} position - Object position in the inertial frame, meters.
+ * @param {Cartesian3} sunPosition - Sun position in the inertial frame, meters.
+ * @param {number} [exponent=6] - Cosine exponent, 2 for low inclination to 6 for polar orbits.
+ * @returns {number} Density in kg/m^3.
+ */
+export function harrisPriesterDensity(altitude, position, sunPosition, exponent = 6) {
+  const altitudeKm = altitude / 1000
+  const first = HARRIS_PRIESTER_TABLE[0][0]
+  const last = HARRIS_PRIESTER_TABLE[HARRIS_PRIESTER_TABLE.length - 1][0]
+  if (altitudeKm < first || altitudeKm > last) {
+    return exponentialDensity(altitude)
+  }
+
+  const sunDistance = Cartesian3.magnitude(sunPosition)
+  const declination = Math.asin(sunPosition.z / sunDistance)
+  const rightAscension = Math.atan2(sunPosition.y, sunPosition.x)
+  Cartesian3.fromElements(
+    Math.cos(declination) * Math.cos(rightAscension + BULGE_LAG_RAD),
+    Math.cos(declination) * Math.sin(rightAscension + BULGE_LAG_RAD),
+    Math.sin(declination),
+    _bulge
+  )
+  Cartesian3.normalize(position, _direction)
+  const cosPsiHalfSquared = 0.5 + 0.5 * Cartesian3.dot(_direction, _bulge)
+
+  const i = findInterval(HARRIS_PRIESTER_TABLE, altitudeKm)
+  const [h0, min0, max0] = HARRIS_PRIESTER_TABLE[i]
+  const [h1, min1, max1] = HARRIS_PRIESTER_TABLE[i + 1]
+  const minScale = (h0 - h1) / Math.log(min1 / min0)
+  const maxScale = (h0 - h1) / Math.log(max1 / max0)
+  const rhoMin = min0 * Math.exp((h0 - altitudeKm) / minScale)
+  const rhoMax = max0 * Math.exp((h0 - altitudeKm) / maxScale)
+
+  const rho = rhoMin + (rhoMax - rhoMin) * Math.pow(Math.max(0, cosPsiHalfSquared), exponent / 2)
+  return rho * G_PER_KM3_TO_KG_PER_M3
+}
@@ -0,0 +1,230 @@
+import { Cartesian3, Matrix3, Quaternion, JulianDate, defined, Simon1994PlanetaryPositions } from 'cesium'
+import { resolveJulianDateInput } from '../utils.js'
+
+/**
+ * Attitude laws for objects orbiting the Earth.
+ *
+ * An attitude law maps an object's state to the rotation of its body frame,
+ * expressed in the frame of its parent (the inertial frame for satellites).
+ * Body axes follow the payload convention used by sensors: instruments look
+ * along body -Z, +X is the forward axis and +Y completes the right-handed
+ * frame. Cesium models (+X forward, +Z up) therefore fly nose-forward with
+ * their top facing away from the pointing target.
+ *
+ * Supported modes:
+ * - `'nadir'`: -Z toward the Earth center, +X toward the velocity.
+ * - `'lvlh'`: Local-vertical local-horizontal, +Z toward the Earth center,
+ *   -Y along the orbit normal and +X toward the velocity.
+ * - `'sun'`: -Z toward the Sun, +X toward the velocity.
+ * - `'inertial'`: A fixed body-to-inertial quaternion `[x, y, z, w]`.
+ * - `'target'`: -Z toward another object, +X toward the velocity.
+ * - `'profile'`: A schedule of the modes above, each active from its `time`
+ *   until the next segment starts.
+ */
+
+const MODE_ALIASES = {
+  nadir: 'nadir',
+  lvlh: 'lvlh',
+  sun: 'sun',
+  sunpointing: 'sun',
+  inertial: 'inertial',
+  quaternion: 'inertial',
+  target: 'target',
+  targettracking: 'target',
+  track: 'target',
+  profile: 'profile',
+  schedule: 'profile',
+  scheduled: 'profile'
+}
+
+const _scratchX = new Cartesian3()
+const _scratchY = new Cartesian3()
+const _scratchZ = new Cartesian3()
+const _scratchDirection = new Cartesian3()
+const _scratchWorld = new Cartesian3()
+
+function normalizeMode(value) {
+  const key = String(value ?? '').toLowerCase().replace(/[-_\s]/g, '')
+  const mode = MODE_ALIASES[key]
+  if (!defined(mode)) {
+    throw new Error(`Unknown attitude mode '${value}'`)
+  }
+  return mode
+}
+
+function inferMode(spec) {
+  if (defined(spec.type ?? spec.mode)) return normalizeMode(spec.type ?? spec.mode)
+  if (defined(spec.quaternion)) return 'inertial'
+  if (defined(spec.target)) return 'target'
+  if (defined(spec.segments ?? spec.profile)) return 'profile'
+  throw new Error("Attitude requires a 'type'")
+}
+
+function toQuaternion(value) {
+  if (!defined(value)) return Quaternion.clone(Quaternion.IDENTITY)
+  const [x, y, z, w] = Array.isArray(value) ? value.map(Number) : [value.x, value.y, value.z, value.w].map(Number)
+  const q = new Quaternion(x, y, z, w)
+  const magnitude = Quaternion.magnitude(q)
+  if (![x, y, z, w].every(Number.isFinite) || magnitude === 0) {
+    throw new Error('Inertial attitude requires a quaternion [x, y, z, w]')
+  }
+  return Quaternion.normalize(q, q)
+}
+
+/**
+ * Compile an attitude specification into an attitude law.
+ *
+ * @example
+ * compileAttitude('nadir')
+ * compileAttitude({ type: 'inertial', quaternion: [0, 0, 0, 1] })
+ * compileAttitude({ type: 'target', target: 'ISS' })
+ * compileAttitude({ type: 'profile', segments: [
+ *   { time: '2024-01-01T00:00:00Z', orientation: 'nadir' },
+ *   { time: '2024-01-01T00:10:00Z', orientation: { type: 'target', target: 'ISS' } }
+ * ] })
+ *
+ * @param {string|Object|Array<Object>} spec - Mode name, mode object, or profile segment list.
+ * @returns {Object} Compiled attitude law for {@link evaluateAttitude}.
+ * @throws {Error} If the mode is unknown or its parameters are invalid.
+ */
+export function compileAttitude(spec) {
+  if (typeof spec === 'string') {
+    spec = { type: spec }
+  } else if (Array.isArray(spec)) {
+    spec = { type: 'profile', segments: spec }
+  } else if (!defined(spec) || typeof spec !== 'object') {
+    throw new Error('Attitude must be a mode name or an object')
+  }
+
+  const mode = inferMode(spec)
+  switch (mode) {
+    case 'inertial':
+      return { mode, quaternion: toQuaternion(spec.quaternion) }
+    case 'target':
+      if (!defined(spec.target) || spec.target === '') {
+        throw new Error("Target attitude requires a 'target'")
+      }
+      return { mode, target: spec.target }
+    case 'profile': {
+      const inputs = spec.segments ?? spec.profile
+      if (!Array.isArray(inputs) || inputs.length === 0) {
+        throw new Error('Attitude profile requires at least one segment')
+      }
+      const segments = inputs.map((entry, index) => {
+        const time = resolveJulianDateInput(entry?.time ?? entry?.start)
+        if (!defined(time)) {
+          throw new Error(`Attitude profile segment ${index} has an invalid time`)
+        }
+        return { time, attitude: compileAttitude(entry.orientation ?? entry.attitude) }
+      })
+      segments.sort((a, b) => JulianDate.compare(a.time, b.time))
+      return { mode, segments }
+    }
+    default:
+      return { mode }
+  }
+}
+
+function activeSegment(segments, time) {
+  let active = segments[0]
+  for (const segment of segments) {
+    if (JulianDate.lessThanOrEquals(segment.time, time)) active = segment
+    else break
+  }
+  return active
+}
+
+function resolveTarget(target, universe) {
+  if (typeof target !== 'string') return target
+  return universe?.getObject?.(target) ?? universe?.getObjectById?.(target)
+}
+
+/**
+ * Express a world position in the object's parent frame.
+ * @private
+ */
+function toParentFrame(object, world, result) {
+  if (defined(object.parent) && typeof object.parent.transformPointFromWorld === 'function') {
+    return object.parent.transformPointFromWorld(world, result)
+  }
+  return Cartesian3.clone(world, result)
+}
+
+function pointBoresight(direction, reference, result) {
+  if (Cartesian3.magnitudeSquared(direction) === 0) return Matrix3.clone(Matrix3.IDENTITY, result)
+  const z = Cartesian3.normalize(Cartesian3.negate(direction, _scratchZ), _scratchZ)
+
+  // +X is the part of the reference perpendicular to the boresight
+  const candidates = [reference, Cartesian3.UNIT_Z, Cartesian3.UNIT_X]
+  const x = _scratchX
+  for (const candidate of candidates) {
+    if (!defined(candidate)) continue
+    Cartesian3.multiplyByScalar(z, Cartesian3.dot(candidate, z), x)
+    Cartesian3.subtract(candidate, x, x)
+    if (Cartesian3.magnitude(x) > 1e-9 * Cartesian3.magnitude(candidate)) break
+  }
+  Cartesian3.normalize(x, x)
+  const y = Cartesian3.cross(z, x, _scratchY)
+
+  Matrix3.setColumn(result, 0, x, result)
+  Matrix3.setColumn(result, 1, y, result)
+  return Matrix3.setColumn(result, 2, z, result)
+}
+
+function lvlh(position, velocity, result) {
+  const h = Cartesian3.cross(position, velocity, _scratchY)
+  if (Cartesian3.magnitudeSquared(position) === 0 || Cartesian3.magnitudeSquared(h) === 0) {
+    return pointBoresight(Cartesian3.negate(position, _scratchDirection), undefined, result)
+  }
+  const z = Cartesian3.normalize(Cartesian3.negate(position, _scratchZ), _scratchZ)
+  const y = Cartesian3.normalize(Cartesian3.negate(h, h), h)
+  const x = Cartesian3.cross(y, z, _scratchX)
+
+  Matrix3.setColumn(result, 0, x, result)
+  Matrix3.setColumn(result, 1, y, result)
+  return Matrix3.setColumn(result, 2, z, result)
+}
+
+/**
+ * Evaluate an attitude law for an object at a time.
+ *
+ * The object's position and velocity are read from its current state, so
+ * call this after the object has been updated to `time`. Target tracking
+ * falls back to nadir pointing while the target cannot be resolved.
+ *
+ * @param {Object} attitude - Law returned by {@link compileAttitude}.
+ * @param {SimObject} object - Object whose body frame is evaluated.
+ * @param {JulianDate} time - Evaluation time.
+ * @param {Universe} [universe] - Universe used to resolve tracking targets.
+ * @param {Matrix3} [result] - Optional result matrix.
+ * @returns {Matrix3} Body-to-parent rotation whose columns are the body axes.
+ */
+export function evaluateAttitude(attitude, object, time, universe, result = new Matrix3()) {
+  const position = object.position
+  const velocity = object.velocity
+
+  switch (attitude.mode) {
+    case 'inertial':
+      return Matrix3.fromQuaternion(attitude.quaternion, result)
+    case 'profile':
+      return evaluateAttitude(activeSegment(attitude.segments, time).attitude, object, time, universe, result)
+    case 'lvlh':
+      return lvlh(position, velocity, result)
+    case 'sun': {
+      Simon1994PlanetaryPositions.computeSunPositionInEarthInertialFrame(time, _scratchWorld)
+      const sun = toParentFrame(object, _scratchWorld, _scratchDirection)
+      return pointBoresight(Cartesian3.subtract(sun, position, sun), velocity, result)
+    }
+    case 'target': {
+      const target = resolveTarget(attitude.target, universe)
+      if (defined(target) && target !== object) {
+        target.update(time, universe)
+        const direction = toParentFrame(object, target.worldPosition, _scratchDirection)
+        return pointBoresight(Cartesian3.subtract(direction, position, direction), velocity, result)
+      }
+      return pointBoresight(Cartesian3.negate(position, _scratchDirection), velocity, result)
+    }
+    default:
+      return pointBoresight(Cartesian3.negate(position, _scratchDirection), velocity, result)
+  }
+}
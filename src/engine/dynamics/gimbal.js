@@ -107,7 +107,67 @@ function spaceBasedToAzEl(cartesian3) {
   return [az * CMath.DEGREES_PER_RADIAN, el * CMath.DEGREES_PER_RADIAN, mag];
 }
 
+/**
+ * Converts a Cartesian3 vector in the Earth-centered inertial frame to right
+ * ascension and declination.
+ *
+ * Right ascension is measured in the equatorial plane from the +X axis (the
+ * vernal equinox) toward +Y, and declination from the equator toward +Z. A
+ * topocentric RA/Dec is obtained by passing the observer-to-target vector.
+ *
+ * @param {Cartesian3} cartesian3 - Direction or position vector in the inertial frame
+ * @returns {Array<number>} Array containing [rightAscension, declination, range]
+ * @returns {number} returns[0] - Right ascension in degrees (0-360)
+ * @returns {number} returns[1] - Declination in degrees (-90 to +90)
+ * @returns {number} returns[2] - Range/magnitude of the input vector
+ *
+ * @example
+ * const lineOfSight = Cartesian3.subtract(target.worldPosition, site.worldPosition, new Cartesian3());
+ * const [ra, dec] = cartesianToRaDec(lineOfSight);
+ */
+function cartesianToRaDec(cartesian3) {
+  let ra;
+  if (cartesian3.x === 0.0 && cartesian3.y === 0.0) {
+    ra = 0.0;
+  } else {
+    ra = Math.atan2(cartesian3.y, cartesian3.x);
+    if (ra < 0.0) {
+      ra += CMath.TWO_PI;
+    }
+  }
+
+  const mag = Cartesian3.magnitude(cartesian3);
+  const dec = Math.atan2(cartesian3.z, Math.sqrt(cartesian3.x * cartesian3.x + cartesian3.y * cartesian3.y));
+
+  return [ra * CMath.DEGREES_PER_RADIAN, dec * CMath.DEGREES_PER_RADIAN, mag];
+}
+
+/**
+ * Converts a right ascension and declination to a unit vector in the
+ * Earth-centered inertial frame.
+ *
+ * @param {number} ra - Right ascension in degrees
+ * @param {number} dec - Declination in degrees
+ * @param {Cartesian3} [result] - The object onto which to store the result
+ * @returns {Cartesian3} Unit direction vector in the inertial frame
+ *
+ * @example
+ * // Direction to Polaris
+ * const direction = raDecToCartesian(37.95, 89.26);
+ */
+function raDecToCartesian(ra, dec, result = new Cartesian3()) {
+  const raRad = ra * CMath.RADIANS_PER_DEGREE;
+  const decRad = dec * CMath.RADIANS_PER_DEGREE;
+  const cosDec = Math.cos(decRad);
+  result.x = cosDec * Math.cos(raRad);
+  result.y = cosDec * Math.sin(raRad);
+  result.z = Math.sin(decRad);
+  return result;
+}
+
 export {
   southEastZenithToAzEl,
-  spaceBasedToAzEl
+  spaceBasedToAzEl,
+  cartesianToRaDec,
+  raDecToCartesian
 }
\ No newline at end of file
@@ -0,0 +1,115 @@
+const DEFAULT_RELATIVE_TOLERANCE = 1e-10
+const DEFAULT_ABSOLUTE_TOLERANCE = 1e-6
+const DEFAULT_MAX_STEPS = 100000
+const SAFETY = 0.9
+const MIN_SCALE = 0.2
+const MAX_SCALE = 5
+
+// Dormand-Prince 5(4) Butcher tableau
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1]
+const A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+]
+const B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0]
+const B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40]
+
+/**
+ * Integrate `dy/dt = derivative(t, y)` from `t0` to `t1` with the adaptive
+ * Dormand-Prince 5(4) Runge-Kutta method. Integration runs backwards when
+ * `t1 < t0`.
+ *
+ * The step is accepted when every component's error estimate is within
+ * `absoluteTolerance + relativeTolerance * |y|`, and the next step is scaled
+ * from the error norm.
+ *
+ * @example
+ * // harmonic oscillator
+ * const { y } = dormandPrince((t, [x, v]) => [v, -x], 0, [1, 0], Math.PI)
+ * // y ~ [-1, 0]
+ *
+ * @param {(t: number, y: Array<number>) => Array<number>} derivative - State derivative.
+ * @param {number} t0 - Start time.
+ * @param {Array<number>} y0 - State at `t0`.
+ * @param {number} t1 - End time.
+ * @param {Object} [options]
+ * @param {number} [options.relativeTolerance=1e-10]
+ * @param {number} [options.absoluteTolerance=1e-6]
+ * @param {number} [options.initialStep] - First step size; defaults to the whole span, capped by `maxStep`.
+ * @param {number} [options.maxStep=Infinity] - Largest step size.
+ * @param {number} [options.maxSteps=100000] - Step budget, including rejected steps.
+ * @returns {{ y: Array<number>, step: number, steps: number }} State at `t1`, the
+ *   suggested size of the next step and the number of steps taken.
+ * @throws {Error} If the step budget is exhausted or the step size underflows.
+ */
+export function dormandPrince(derivative, t0, y0, t1, options = {}) {
+  const relativeTolerance = options.relativeTolerance ?? DEFAULT_RELATIVE_TOLERANCE
+  const absoluteTolerance = options.absoluteTolerance ?? DEFAULT_ABSOLUTE_TOLERANCE
+  const maxStep = options.maxStep ?? Infinity
+  const maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS
+  const direction = t1 >= t0 ? 1 : -1
+  const span = Math.abs(t1 - t0)
+
+  let y = y0.slice()
+  let t = t0
+  let step = Math.min(options.initialStep ?? span, maxStep, span)
+  let steps = 0
+  const n = y.length
+  const k = new Array(7)
+  const stage = new Array(n)
+
+  while (direction * (t1 - t) > 0) {
+    if (++steps > maxSteps) {
+      throw new Error(`dormandPrince: exceeded ${maxSteps} steps`)
+    }
+    const remaining = Math.abs(t1 - t)
+    const h = direction * Math.min(step, remaining)
+    if (t + h === t) {
+      throw new Error('dormandPrince: step size underflow')
+    }
+
+    k[0] = derivative(t, y)
+    for (let s = 1; s < 7; s++) {
+      for (let i = 0; i < n; i++) {
+        let sum = 0
+        for (let j = 0; j < s; j++) sum += A[s][j] * k[j][i]
+        stage[i] = y[i] + h * sum
+      }
+      k[s] = derivative(t + C[s] * h, stage)
+    }
+
+    const next = new Array(n)
+    let errorNorm = 0
+    for (let i = 0; i < n; i++) {
+      let high = 0
+      let low = 0
+      for (let s = 0; s < 7; s++) {
+        high += B5[s] * k[s][i]
+        low += B4[s] * k[s][i]
+      }
+      next[i] = y[i] + h * high
+      const scale = absoluteTolerance + relativeTolerance * Math.max(Math.abs(y[i]), Math.abs(next[i]))
+      errorNorm = Math.max(errorNorm, Math.abs(h * (high - low)) / scale)
+    }
+
+    const factor = errorNorm === 0
+      ? MAX_SCALE
+      : Math.min(MAX_SCALE, Math.max(MIN_SCALE, SAFETY * Math.pow(errorNorm, -0.2)))
+    if (errorNorm <= 1) {
+      // a step shortened to land on t1 does not shrink the suggested step
+      const clipped = Math.abs(h) < step
+      t = remaining <= Math.abs(h) ? t1 : t + h
+      y = next
+      step = Math.min(clipped ? Math.max(step, Math.abs(h) * factor) : Math.abs(h) * factor, maxStep)
+    } else {
+      step = Math.abs(h) * factor
+    }
+  }
+
+  return { y, step, steps }
+}
@@ -0,0 +1,140 @@
+import { Cartesian3, Ellipsoid, Math as CMath } from 'cesium'
+
+/**
+ * Unnormalized zonal harmonic coefficients J2-J6 (EGM-96), indexed by degree.
+ * @type {Array<number>}
+ */
+export const ZONAL_HARMONICS = [0, 0, 1.0826267e-3, -2.5327e-6, -1.6196e-6, -2.2730e-7, 5.4068e-7]
+
+/** Earth equatorial radius in meters. */
+export const EARTH_EQUATORIAL_RADIUS = Ellipsoid.WGS84.maximumRadius
+
+/** Earth rotation rate in rad/s. */
+export const EARTH_ROTATION_RATE = 7.292115e-5
+
+/** Gravitational parameters in m^3/s^2. */
+export const SUN_GRAVITATIONAL_PARAMETER = 1.32712440018e20
+export const MOON_GRAVITATIONAL_PARAMETER = 4.9048695e12
+
+/** Solar radiation pressure at 1 AU in N/m^2. */
+export const SOLAR_PRESSURE = 4.56e-6
+const ASTRONOMICAL_UNIT = 1.495978707e11
+const EARTH_FLATTENING = 1 / 298.257223563
+
+const _scratch = new Cartesian3()
+const _relative = new Cartesian3()
+
+/**
+ * Acceleration from the Earth's zonal harmonics J2 through `degree`.
+ *
+ * Zonal terms are symmetric about the rotation axis, so the acceleration is
+ * evaluated in the inertial frame given the direction of the Earth's pole.
+ *
+ * @param {Cartesian3} position - Position in the inertial frame, meters.
+ * @param {number} degree - Highest degree to include, 2 to 6.
+ * @param {Cartesian3} [pole=Cartesian3.UNIT_Z] - Unit vector along the Earth's rotation axis.
+ * @param {Cartesian3} [result] - Optional result object.
+ * @returns {Cartesian3} Acceleration in m/s^2.
+ */
+export function zonalAcceleration(position, degree, pole = Cartesian3.UNIT_Z, result = new Cartesian3()) {
+  const r = Cartesian3.magnitude(position)
+  const s = Cartesian3.dot(position, pole) / r
+  let radial = 0
+  let axial = 0
+
+  // Legendre polynomials P(n) and their derivatives by recurrence
+  let pPrev = 1
+  let p = s
+  let dpPrev = 0
+  let dp = 1
+  let ratio = EARTH_EQUATORIAL_RADIUS / r
+  const maxDegree = Math.min(degree, ZONAL_HARMONICS.length - 1)
+  for (let n = 1; n < maxDegree; n++) {
+    const pNext = ((2 * n + 1) * s * p - n * pPrev) / (n + 1)
+    const dpNext = dpPrev + (2 * n + 1) * p
+    pPrev = p
+    p = pNext
+    dpPrev = dp
+    dp = dpNext
+    ratio *= EARTH_EQUATORIAL_RADIUS / r
+
+    const degreeN = n + 1
+    const coefficient = ZONAL_HARMONICS[degreeN] * ratio
+    radial += coefficient * ((degreeN + 1) * p + s * dp)
+    axial += coefficient * dp
+  }
+
+  const scale = CMath.GRAVITATIONALPARAMETER / (r * r)
+  Cartesian3.multiplyByScalar(position, scale * radial / r, result)
+  return Cartesian3.subtract(result, Cartesian3.multiplyByScalar(pole, scale * axial, _scratch), result)
+}
+
+/**
+ * Approximate geodetic altitude of an inertial position, correcting the
+ * spherical altitude for the ellipsoid's flattening.
+ *
+ * @param {Cartesian3} position - Position in the inertial frame, meters.
+ * @param {Cartesian3} [pole=Cartesian3.UNIT_Z] - Unit vector along the Earth's rotation axis.
+ * @returns {number} Altitude in meters.
+ */
+export function approximateAltitude(position, pole = Cartesian3.UNIT_Z) {
+  const r = Cartesian3.magnitude(position)
+  const s = Cartesian3.dot(position, pole) / r
+  return r - EARTH_EQUATORIAL_RADIUS * (1 - EARTH_FLATTENING * s * s)
+}
+
+/**
+ * Atmospheric drag acceleration, using the velocity relative to an
+ * atmosphere that co-rotates with the Earth.
+ *
+ * @param {Cartesian3} position - Position in the inertial frame, meters.
+ * @param {Cartesian3} velocity - Velocity in the inertial frame, m/s.
+ * @param {number} density - Atmospheric density in kg/m^3.
+ * @param {number} ballisticCoefficient - Cd * A / m in m^2/kg.
+ * @param {Cartesian3} [pole=Cartesian3.UNIT_Z] - Unit vector along the Earth's rotation axis.
+ * @param {Cartesian3} [result] - Optional result object.
+ * @returns {Cartesian3} Acceleration in m/s^2.
+ */
+export function dragAcceleration(position, velocity, density, ballisticCoefficient, pole = Cartesian3.UNIT_Z, result = new Cartesian3()) {
+  Cartesian3.multiplyByScalar(pole, EARTH_ROTATION_RATE, _scratch)
+  Cartesian3.cross(_scratch, position, _scratch)
+  Cartesian3.subtract(velocity, _scratch, _relative)
+  const speed = Cartesian3.magnitude(_relative)
+  return Cartesian3.multiplyByScalar(_relative, -0.5 * density * ballisticCoefficient * speed, result)
+}
+
+/**
+ * Solar radiation pressure acceleration for a cannonball model, pointing
+ * away from the Sun and scaled by the inverse square of the Sun distance.
+ *
+ * @param {Cartesian3} position - Position in the inertial frame, meters.
+ * @param {Cartesian3} sunPosition - Sun position in the inertial frame, meters.
+ * @param {number} reflectivityCoefficient - Cr * A / m in m^2/kg.
+ * @param {number} [illumination=1] - Fraction of the Sun visible, 0 in umbra.
+ * @param {Cartesian3} [result] - Optional result object.
+ * @returns {Cartesian3} Acceleration in m/s^2.
+ */
+export function solarRadiationAcceleration(position, sunPosition, reflectivityCoefficient, illumination = 1, result = new Cartesian3()) {
+  Cartesian3.subtract(position, sunPosition, _relative)
+  const distance = Cartesian3.magnitude(_relative)
+  const pressure = SOLAR_PRESSURE * (ASTRONOMICAL_UNIT / distance) ** 2
+  return Cartesian3.multiplyByScalar(_relative, illumination * pressure * reflectivityCoefficient / distance, result)
+}
+
+/**
+ * Third-body point-mass acceleration on an Earth orbiter, including the
+ * indirect term from the body's pull on the Earth.
+ *
+ * @param {Cartesian3} position - Position in the inertial frame, meters.
+ * @param {Cartesian3} bodyPosition - Third-body position in the inertial frame, meters.
+ * @param {number} mu - Third-body gravitational parameter in m^3/s^2.
+ * @param {Cartesian3} [result] - Optional result object.
+ * @returns {Cartesian3} Acceleration in m/s^2.
+ */
+export function thirdBodyAcceleration(position, bodyPosition, mu, result = new Cartesian3()) {
+  Cartesian3.subtract(bodyPosition, position, _relative)
+  const relativeDistance = Cartesian3.magnitude(_relative)
+  const bodyDistance = Cartesian3.magnitude(bodyPosition)
+  Cartesian3.multiplyByScalar(_relative, mu / relativeDistance ** 3, result)
+  return Cartesian3.subtract(result, Cartesian3.multiplyByScalar(bodyPosition, mu / bodyDistance ** 3, _scratch), result)
+}
@@ -1,4 +1,4 @@
-import { Cartesian3 } from 'cesium'
+import { Cartesian3, Ellipsoid } from 'cesium'
 
 /**
  * Calculates the c2 and c3 functions for use in the universal variable calculation of z.
@@ -393,6 +393,189 @@ function coe2mee(p, ecc, inc, raan, argp, nu) {
 }
 
 
+/**
+ * Converts modified equinoctial elements to classical orbital elements.
+ *
+ * This is the inverse of {@link coe2mee}. The argument of periapsis and the
+ * RAAN are undefined for circular and equatorial orbits; following
+ * {@link rv2coe}, the RAAN is then 0 and the longitude of periapsis is
+ * reported as the argument of periapsis.
+ *
+ * @param {number} p - Semi-latus rectum in meters
+ * @param {number} f - f component (dimensionless)
+ * @param {number} g - g component (dimensionless)
+ * @param {number} h - h component (dimensionless)
+ * @param {number} k - k component (dimensionless)
+ * @param {number} L - True longitude in radians
+ * @returns {Array<number>} Array containing [p, ecc, inc, raan, argp, nu] in radians and meters
+ *
+ * @example
+ * const [p, ecc, inc, raan, argp, nu] = mee2coe(...coe2mee(p0, ecc0, inc0, raan0, argp0, nu0));
+ */
+function mee2coe(p, f, g, h, k, L) {
+  const ecc = Math.sqrt(f * f + g * g)
+  const tanHalfInc = Math.sqrt(h * h + k * k)
+  const inc = 2 * Math.atan(tanHalfInc)
+  const raan = tanHalfInc > 0 ? Math.atan2(k, h) : 0
+  const lonper = ecc > 0 ? Math.atan2(g, f) : raan
+  return [p, ecc, inc, raan, lonper - raan, L - lonper]
+}
+
+/**
+ * Converts classical orbital elements to position and velocity vectors.
+ *
+ * This is the inverse of {@link rv2coe}: the state is built in the perifocal
+ * frame and rotated by the argument of periapsis, inclination and RAAN. For
+ * circular orbits pass `argp = 0` and the argument of latitude as `nu`; for
+ * equatorial orbits pass `raan = 0` and the longitude of periapsis as `argp`.
+ *
+ * @param {number} k - Gravitational parameter (μ = GM) in m³/s²
+ * @param {number} p - Semi-latus rectum in meters
+ * @param {number} ecc - Eccentricity (dimensionless)
+ * @param {number} inc - Inclination in radians
+ * @param {number} raan - Right ascension of ascending node in radians
+ * @param {number} argp - Argument of periapsis in radians
+ * @param {number} nu - True anomaly in radians
+ * @returns {{position: Cartesian3, velocity: Cartesian3}} Inertial state in meters and m/s
+ *
+ * @example
+ * // 500 km circular orbit at 51.6 degrees inclination
+ * const mu = 3.986004418e14;
+ * const { position, velocity } = coe2rv(mu, 6878137, 0, 0.9006, 0, 0, 0);
+ */
+function coe2rv(k, p, ecc, inc, raan, argp, nu) {
+  const cosNu = Math.cos(nu)
+  const sinNu = Math.sin(nu)
+  const radius = p / (1 + ecc * cosNu)
+  const speed = Math.sqrt(k / p)
+  const rp = [radius * cosNu, radius * sinNu]
+  const vp = [-speed * sinNu, speed * (ecc + cosNu)]
+
+  // columns of R3(-raan) R1(-inc) R3(-argp) for the perifocal P and Q axes
+  const cO = Math.cos(raan), sO = Math.sin(raan)
+  const ci = Math.cos(inc), si = Math.sin(inc)
+  const cw = Math.cos(argp), sw = Math.sin(argp)
+  const P = new Cartesian3(cO * cw - sO * ci * sw, sO * cw + cO * ci * sw, si * sw)
+  const Q = new Cartesian3(-cO * sw - sO * ci * cw, -sO * sw + cO * ci * cw, si * cw)
+
+  return {
+    position: Cartesian3.add(mult(P, rp[0]), mult(Q, rp[1]), new Cartesian3()),
+    velocity: Cartesian3.add(mult(P, vp[0]), mult(Q, vp[1]), new Cartesian3())
+  }
+}
+
+/**
+ * Converts an orbital element set to position and velocity vectors.
+ *
+ * Three element sets are accepted, selected by `elements.type` or inferred
+ * from the keys present. Distances are in meters and angles in radians.
+ * - `keplerian`: `semiMajorAxis` (a), `eccentricity` (e), `inclination` (i),
+ *   `raan`, `argumentOfPeriapsis` (argp) and `trueAnomaly` (nu) or `meanAnomaly` (M)
+ * - `equinoctial`: modified equinoctial `p`, `f`, `g`, `h`, `k` and `L`, as
+ *   returned by {@link coe2mee}
+ * - `apogeePerigee`: `apogeeAltitude` and `perigeeAltitude` above the WGS84
+ *   equatorial radius plus the keplerian angles
+ *
+ * Omitted angles and eccentricity default to 0.
+ *
+ * @param {number} k - Gravitational parameter (μ = GM) in m³/s²
+ * @param {Object} elements - The element set
+ * @returns {{position: Cartesian3, velocity: Cartesian3}} Inertial state in meters and m/s
+ * @throws {Error} If the element set is unknown, incomplete or not a closed orbit
+ *   when a mean anomaly is given
+ *
+ * @example
+ * const { position, velocity } = orbitalElementsToRv(mu, {
+ *   apogeeAltitude: 35786000, perigeeAltitude: 250000, inclination: 0.5
+ * });
+ */
+function orbitalElementsToRv(k, elements) {
+  const type = String(elements.type ?? inferElementSet(elements)).toLowerCase().replace(/[-_\s/]/g, '')
+
+  if (type === 'equinoctial') {
+    const { p, f = 0, g = 0, h = 0, L = 0 } = elements
+    if (!Number.isFinite(p)) throw new Error("Equinoctial elements require 'p'")
+    return coe2rv(k, ...mee2coe(p, f, g, h, elements.k ?? 0, L))
+  }
+
+  let a, ecc
+  if (type === 'apogeeperigee') {
+    const radius = Ellipsoid.WGS84.maximumRadius
+    const ra = radius + elements.apogeeAltitude
+    const rp = radius + elements.perigeeAltitude
+    if (!Number.isFinite(ra) || !Number.isFinite(rp) || ra < rp) {
+      throw new Error("Apogee/perigee elements require 'apogeeAltitude' >= 'perigeeAltitude'")
+    }
+    a = (ra + rp) / 2
+    ecc = (ra - rp) / (ra + rp)
+  } else if (type === 'keplerian') {
+    a = elements.semiMajorAxis ?? elements.a
+    ecc = elements.eccentricity ?? elements.e ?? 0
+    if (!Number.isFinite(a)) throw new Error("Keplerian elements require 'semiMajorAxis'")
+  } else {
+    throw new Error(`Unsupported orbital element set '${elements.type}'`)
+  }
+
+  const inc = elements.inclination ?? elements.i ?? 0
+  const raan = elements.raan ?? 0
+  const argp = elements.argumentOfPeriapsis ?? elements.argp ?? 0
+  const meanAnomaly = elements.meanAnomaly ?? elements.M
+  let nu = elements.trueAnomaly ?? elements.nu
+  if (!Number.isFinite(nu) && Number.isFinite(meanAnomaly)) {
+    if (ecc >= 1) throw new Error('Mean anomaly requires an elliptical orbit')
+    nu = E_to_nu(solveKepler(meanAnomaly, ecc), ecc)
+  }
+  return coe2rv(k, a * (1 - ecc * ecc), ecc, inc, raan, argp, nu ?? 0)
+}
+
+/**
+ * Rotates a vector from an orbit-relative frame into the inertial frame of
+ * the given state.
+ *
+ * Supported frames:
+ * - `RIC`: radial (along r), in-track (completes the triad), cross-track (along r × v)
+ * - `VNB`: velocity (along v), normal (along r × v), binormal (completes the triad)
+ * - `inertial`: the vector is returned unchanged
+ *
+ * @param {string} frame - One of 'RIC', 'VNB' or 'inertial' (case-insensitive)
+ * @param {Cartesian3} r - Position vector in meters
+ * @param {Cartesian3} v - Velocity vector in m/s
+ * @param {Cartesian3} vector - Components in the requested frame
+ * @param {Cartesian3} [result] - Optional result object
+ * @returns {Cartesian3} The vector expressed in the inertial frame
+ * @throws {Error} If the frame is not supported
+ *
+ * @example
+ * // 1 m/s prograde burn for a circular orbit
+ * const dv = orbitFrameToInertial('RIC', r, v, new Cartesian3(0, 1, 0));
+ */
+function orbitFrameToInertial(frame, r, v, vector, result = new Cartesian3()) {
+  const name = String(frame ?? 'RIC').toUpperCase()
+  if (name === 'INERTIAL' || name === 'ECI') {
+    return Cartesian3.clone(vector, result)
+  }
+
+  const h = Cartesian3.normalize(cross(r, v), new Cartesian3())
+  let x, y
+  if (name === 'RIC') {
+    x = Cartesian3.normalize(r, new Cartesian3())
+    y = cross(h, x)
+  } else if (name === 'VNB') {
+    x = Cartesian3.normalize(v, new Cartesian3())
+    y = h
+  } else {
+    throw new Error(`Unsupported orbit frame '${frame}'`)
+  }
+  const z = cross(x, y)
+
+  return Cartesian3.fromElements(
+    x.x * vector.x + y.x * vector.y + z.x * vector.z,
+    x.y * vector.x + y.y * vector.y + z.y * vector.z,
+    x.z * vector.x + y.z * vector.y + z.z * vector.z,
+    result
+  )
+}
+
 /** Helper functions **/
 
 function cross(a, b) {
@@ -424,9 +607,25 @@ function E_to_nu(E, ecc) {
   return nu;
 }
 
+function inferElementSet(elements) {
+  if ('f' in elements || 'g' in elements || 'L' in elements) return 'equinoctial'
+  if ('apogeeAltitude' in elements || 'perigeeAltitude' in elements) return 'apogeePerigee'
+  return 'keplerian'
+}
+
+function solveKepler(M, ecc) {
+  let E = ecc < 0.8 ? M : Math.PI
+  for (let i = 0; i < 50; i++) {
+    const dE = (E - ecc * Math.sin(E) - M) / (1 - ecc * Math.cos(E))
+    E -= dE
+    if (Math.abs(dE) < 1e-14) break
+  }
+  return E
+}
+
 function F_to_nu(F, ecc) {
   const nu = 2 * Math.atan(Math.sqrt((ecc + 1) / (ecc - 1)) * Math.tanh(F / 2));
   return nu;
 }
 
-export { vallado, rv2period, rv2ecc, rv2coe, coe2mee }
\ No newline at end of file
+export { vallado, rv2period, rv2ecc, rv2coe, coe2mee, mee2coe, coe2rv, orbitalElementsToRv, orbitFrameToInertial }
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { JulianDate } from 'cesium'
+import Event from './Event.js'
+
+let __condSeq = 0
+
+/**
+ * Event that fires when a condition becomes true instead of at a fixed time.
+ *
+ * - condition: `{ type, ...params }` evaluated by the condition registered
+ *   under `type` in the {@link EventQueue}
+ * - type, data, handler: as for {@link Event}; the handler is looked up in
+ *   the same registry
+ * - once: defaults to true. With `once: false` the event fires on every
+ *   transition of the condition from false to true.
+ * - time: optional time before which the condition is not evaluated
+ * - until: optional last time at which the event may fire
+ * - count: optional maximum number of firings
+ *
+ * A condition that is already true the first time it is evaluated counts as
+ * a transition. When the event fires, `time` is set to the firing time so
+ * handlers can read it like a timed event's.
+ */
+class ConditionEvent {
+  constructor(opts = {}) {
+    const { condition, type, data, handler, once = true, id, time, until, count } = opts
+    if (!condition || typeof condition !== 'object' || !condition.type) {
+      throw new Error('ConditionEvent: condition with a type is required')
+    }
+    this.condition = { ...condition, type: String(condition.type) }
+    this.type = (type != null ? String(type) : undefined)
+    this.data = data
+    this.handler = (typeof handler === 'function' ? handler : null)
+    this.once = !!once
+    this.fired = false
+    this.id = id || `cond_${Date.now()}_${__condSeq++}`
+
+    this.startTime = undefined
+    if (time != null) {
+      this.startTime = Event.toJulianDate(time)
+      if (!this.startTime) throw new Error('ConditionEvent: invalid time')
+    }
+    this.until = undefined
+    if (until != null) {
+      this.until = Event.toJulianDate(until)
+      if (!this.until) throw new Error('ConditionEvent: invalid until time')
+    }
+    this.count = undefined
+    if (count != null) {
+      const n = Number(count)
+      if (!Number.isInteger(n) || n < 1) throw new Error('ConditionEvent: count must be a positive integer')
+      this.count = n
+    }
+    this.time = this.startTime ? JulianDate.clone(this.startTime) : undefined
+    this.fireCount = 0
+    this.occurrence = 0
+    this.active = false
+  }
+
+  /**
+   * True if the event can fire more than once.
+   * @type {boolean}
+   */
+  get recurring() {
+    return !this.once
+  }
+
+  /**
+   * True once the event has fired its last time.
+   * @type {boolean}
+   */
+  get expired() {
+    if (this.count !== undefined && this.fireCount >= this.count) return true
+    return this.once && this.fired
+  }
+}
+
+export default ConditionEvent
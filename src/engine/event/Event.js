@@ -9,11 +9,21 @@ let __evtSeq = 0
  * - type: string identifier
  * - data: arbitrary payload
  * - handler: optional function (universe, event)
- * - once: defaults to true
+ * - once: defaults to true. With `once: false`, no interval and a `count` or
+ *   `until`, the event fires on every processed time from `time` on, until it
+ *   expires; without a `count` or `until` it still fires only once.
+ * - interval: optional repeat interval in seconds; the event fires at
+ *   `time`, `time + interval`, ... and `once` is ignored
+ * - count: optional maximum number of firings
+ * - until: optional last time (inclusive) at which the event may fire
+ *
+ * While an event repeats, `time` is the next time it is due, `startTime` the
+ * first, `fireCount` the number of firings so far and, inside a handler,
+ * `occurrence` the zero-based index of the current firing.
  */
 class Event {
   constructor(opts = {}) {
-    const { time, type, data, handler, once = true, id } = opts
+    const { time, type, data, handler, once = true, id, interval, count, until } = opts
     this.time = Event.toJulianDate(time)
     if (!this.time) throw new Error('Event: invalid or missing time')
     this.type = (type != null ? String(type) : undefined)
@@ -23,6 +33,56 @@ class Event {
     this.fired = false
     this.id = id || `evt_${Date.now()}_${__evtSeq++}`
     this._seq = __evtSeq++
+
+    this.interval = undefined
+    if (interval != null) {
+      const seconds = Number(interval)
+      if (!Number.isFinite(seconds) || seconds <= 0) throw new Error('Event: interval must be a positive number of seconds')
+      this.interval = seconds
+    }
+    this.count = undefined
+    if (count != null) {
+      const n = Number(count)
+      if (!Number.isInteger(n) || n < 1) throw new Error('Event: count must be a positive integer')
+      this.count = n
+    }
+    this.until = undefined
+    if (until != null) {
+      this.until = Event.toJulianDate(until)
+      if (!this.until) throw new Error('Event: invalid until time')
+    }
+    this.startTime = JulianDate.clone(this.time)
+    this.fireCount = 0
+    this.occurrence = 0
+    this.lastFiredTime = undefined
+  }
+
+  /**
+   * True if the event can fire more than once.
+   * @type {boolean}
+   */
+  get recurring() {
+    return this.interval !== undefined || this.continuous
+  }
+
+  /**
+   * True if the event fires on every processed time rather than at an
+   * interval: it has `once: false`, no interval, and a `count` or `until`
+   * bounding it.
+   * @type {boolean}
+   */
+  get continuous() {
+    return this.interval === undefined && !this.once && (this.count !== undefined || this.until !== undefined)
+  }
+
+  /**
+   * True once the event has used up its count or its next firing would be
+   * after `until`.
+   * @type {boolean}
+   */
+  get expired() {
+    if (this.count !== undefined && this.fireCount >= this.count) return true
+    return this.until !== undefined && JulianDate.greaterThan(this.time, this.until)
   }
 
   static toJulianDate(t) {
@@ -36,4 +96,3 @@ class Event {
 }
 
 export default Event
-
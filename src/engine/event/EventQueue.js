@@ -1,16 +1,22 @@
-import { JulianDate } from 'cesium'
+import { JulianDate, defined } from 'cesium'
 import Event from './Event.js'
+import ConditionEvent from './ConditionEvent.js'
 
 /**
  * Minimal priority-ordered event queue for time-based firing.
  *
  * - Maintains ascending order by time, then by insertion sequence.
  * - Supports typed handler registry and per-event handler override.
+ * - Re-queues recurring events after each firing until they expire.
+ * - Holds condition-triggered events, evaluated with a typed condition
+ *   registry by {@link EventQueue#processConditions}.
  */
 class EventQueue {
   constructor() {
     this._events = []
+    this._conditionEvents = []
     this._handlers = new Map()
+    this._conditions = new Map()
   }
 
   registerHandler(type, fn) {
@@ -29,53 +35,277 @@ class EventQueue {
     return this._handlers.get(String(type).toLowerCase())
   }
 
+  /**
+   * Register a condition evaluator `(universe, condition, event) => boolean`
+   * for condition-triggered events whose `condition.type` matches.
+   *
+   * @param {string} type
+   * @param {Function} fn
+   */
+  registerCondition(type, fn) {
+    if (!type) throw new Error('EventQueue.registerCondition: type is required')
+    if (typeof fn !== 'function') throw new Error('EventQueue.registerCondition: condition must be a function')
+    this._conditions.set(String(type).toLowerCase(), fn)
+  }
+
+  unregisterCondition(type) {
+    if (!type) throw new Error('EventQueue.unregisterCondition: type is required')
+    return this._conditions.delete(String(type).toLowerCase())
+  }
+
+  getCondition(type) {
+    if (!type) throw new Error('EventQueue.getCondition: type is required')
+    return this._conditions.get(String(type).toLowerCase())
+  }
+
+  /**
+   * Queue an event. Plain objects with a `condition` become
+   * {@link ConditionEvent}s, other plain objects timed {@link Event}s.
+   *
+   * @param {Event|ConditionEvent|Object} evt
+   * @returns {string} Event id
+   */
   add(evt) {
+    if (evt instanceof ConditionEvent || (!(evt instanceof Event) && evt?.condition)) {
+      const e = (evt instanceof ConditionEvent) ? evt : new ConditionEvent(evt)
+      this._conditionEvents.push(e)
+      return e.id
+    }
     const e = (evt instanceof Event) ? evt : new Event(evt)
+    this._insert(e)
+    return e.id
+  }
+
+  /**
+   * @param {Event} e
+   * @private
+   */
+  _insert(e) {
     this._events.push(e)
+    this._sort()
+  }
+
+  /**
+   * @private
+   */
+  _sort() {
     // Sort by time, then by sequence for stability
     this._events.sort((a, b) => {
       if (JulianDate.lessThan(a.time, b.time)) return -1
       if (JulianDate.greaterThan(a.time, b.time)) return 1
       return (a._seq - b._seq)
     })
-    return e.id
   }
 
   remove(id) {
-    const idx = this._events.findIndex(e => e.id === id)
-    if (idx >= 0) {
-      this._events.splice(idx, 1)
-      return true
+    for (const list of [this._events, this._conditionEvents]) {
+      const idx = list.findIndex(e => e.id === id)
+      if (idx >= 0) {
+        list.splice(idx, 1)
+        return true
+      }
     }
     return false
   }
 
-  clear() { this._events.length = 0 }
-  size() { return this._events.length }
+  clear() {
+    this._events.length = 0
+    this._conditionEvents.length = 0
+  }
+
+  /**
+   * Number of pending timed and condition-triggered events.
+   *
+   * @returns {number}
+   */
+  size() { return this._events.length + this._conditionEvents.length }
+
+  /**
+   * Pending timed events in firing order. The returned array is a copy; the
+   * events are the queued instances.
+   *
+   * @returns {Array<Event>}
+   */
+  toArray() { return this._events.slice() }
+
+  /**
+   * Pending condition-triggered events in the order they were added.
+   *
+   * @returns {Array<ConditionEvent>}
+   */
+  conditionEvents() { return this._conditionEvents.slice() }
 
-  process(currentTime, universe) {
+  /**
+   * Capture which events are pending and their firing progress, so the queue
+   * can be rewound with {@link EventQueue#restoreState}.
+   *
+   * @returns {Object} Opaque queue state.
+   */
+  captureState() {
+    const describe = (e) => ({
+      event: e,
+      time: defined(e.time) ? JulianDate.clone(e.time) : undefined,
+      fired: e.fired,
+      fireCount: e.fireCount,
+      occurrence: e.occurrence,
+      lastFiredTime: defined(e.lastFiredTime) ? JulianDate.clone(e.lastFiredTime) : undefined,
+      active: e.active
+    })
+    return {
+      events: this._events.map(describe),
+      conditionEvents: this._conditionEvents.map(describe)
+    }
+  }
+
+  /**
+   * Restore the pending events and their progress from
+   * {@link EventQueue#captureState}; events fired or removed since are queued
+   * again. Events that were added after the capture are taken from `newer`
+   * states, captured later, at their earliest appearance.
+   *
+   * @param {Object} state
+   * @param {Array<Object>} [newer=[]] - Later captures, oldest first.
+   */
+  restoreState(state, newer = []) {
+    const restored = new Set()
+    const apply = (entry) => {
+      const e = entry.event
+      restored.add(e)
+      e.time = defined(entry.time) ? JulianDate.clone(entry.time) : undefined
+      e.fired = entry.fired
+      e.fireCount = entry.fireCount
+      e.occurrence = entry.occurrence
+      e.lastFiredTime = entry.lastFiredTime
+      if (e instanceof ConditionEvent) e.active = entry.active
+      return e
+    }
+    this._events = state.events.map(apply)
+    this._conditionEvents = state.conditionEvents.map(apply)
+    newer.forEach((later) => {
+      later.events.forEach((entry) => {
+        if (!restored.has(entry.event)) this._events.push(apply(entry))
+      })
+      later.conditionEvents.forEach((entry) => {
+        if (!restored.has(entry.event)) this._conditionEvents.push(apply(entry))
+      })
+    })
+    this._sort()
+  }
+
+  /**
+   * Fire every event due at or before `currentTime`.
+   *
+   * One-shot events are removed once fired. Events with an `interval` are
+   * re-queued at their next occurrence; occurrences skipped by a large time
+   * step all fire, in order, within this call. Events with `once: false`, no
+   * interval and a `count` or `until` fire once per processed time while
+   * their window is open.
+   * Events that exceed their `count` or `until` are dropped.
+   *
+   * @param {JulianDate} currentTime
+   * @param {Object} universe - Passed through to handlers.
+   * @param {Object} [options]
+   * @param {(event: Event) => void} [options.beforeFire] - Called before each handler runs.
+   * @returns {Array<Event>} Events fired during this call, in firing order.
+   *   A recurring event appears once per firing.
+   */
+  process(currentTime, universe, options = {}) {
     if (!(currentTime instanceof JulianDate)) {
       throw new Error('EventQueue.process: currentTime must be a JulianDate')
     }
-    if (!Array.isArray(this._events) || this._events.length === 0) return
+    const fired = []
+    if (!Array.isArray(this._events) || this._events.length === 0) return fired
 
     // Since sorted ascending by time, process from front while due
     let i = 0
     while (i < this._events.length) {
       const e = this._events[i]
-      if (JulianDate.lessThan(e.time, currentTime) || JulianDate.equals(e.time, currentTime)) {
-        const handler = e.handler || this.getHandler(e.type)
-        if (typeof handler !== 'function') {
-          throw new Error(`EventQueue: no handler for type '${e.type}'`)
-        }
-        handler(universe, e)
-        e.fired = true
-        // Remove one-shot events
+      if (JulianDate.greaterThan(e.time, currentTime)) break
+
+      const continuous = e.continuous
+      if (e.expired || (continuous && defined(e.until) && JulianDate.greaterThan(currentTime, e.until))) {
+        this._events.splice(i, 1)
+        continue
+      }
+      if (continuous && defined(e.lastFiredTime) && JulianDate.equals(e.lastFiredTime, currentTime)) {
+        i++
+        continue
+      }
+
+      const handler = e.handler || this.getHandler(e.type)
+      if (typeof handler !== 'function') {
+        throw new Error(`EventQueue: no handler for type '${e.type}'`)
+      }
+      options.beforeFire?.(e)
+      e.occurrence = e.fireCount
+      handler(universe, e)
+      e.fireCount++
+      e.fired = true
+      e.lastFiredTime = JulianDate.clone(continuous ? currentTime : e.time)
+      fired.push(e)
+
+      if (e.interval !== undefined) {
+        // Re-queue at the next occurrence; it may still be due this call
         this._events.splice(i, 1)
+        e.time = JulianDate.addSeconds(e.time, e.interval, new JulianDate())
+        if (!e.expired) this._insert(e)
         continue
       }
-      break
+      if (!continuous || e.expired) {
+        // Remove one-shot and exhausted events
+        this._events.splice(i, 1)
+        continue
+      }
+      i++
+    }
+    return fired
+  }
+
+  /**
+   * Evaluate every armed condition-triggered event against the current state
+   * of `universe` and fire those whose condition turned true. Call this after
+   * objects have been updated to `currentTime`.
+   *
+   * @param {JulianDate} currentTime
+   * @param {Object} universe - Passed through to conditions and handlers.
+   * @param {Object} [options]
+   * @param {(event: ConditionEvent) => void} [options.beforeFire] - Called before each handler runs.
+   * @returns {Array<ConditionEvent>} Events fired during this call, in the order they were added.
+   */
+  processConditions(currentTime, universe, options = {}) {
+    if (!(currentTime instanceof JulianDate)) {
+      throw new Error('EventQueue.processConditions: currentTime must be a JulianDate')
     }
+    const fired = []
+    this._conditionEvents.slice().forEach((e) => {
+      if (defined(e.startTime) && JulianDate.lessThan(currentTime, e.startTime)) return
+      if (defined(e.until) && JulianDate.greaterThan(currentTime, e.until)) {
+        this.remove(e.id)
+        return
+      }
+      const evaluate = this.getCondition(e.condition.type)
+      if (typeof evaluate !== 'function') {
+        throw new Error(`EventQueue: no condition '${e.condition.type}'`)
+      }
+      const active = !!evaluate(universe, e.condition, e)
+      const rising = active && !e.active
+      e.active = active
+      if (!rising) return
+
+      const handler = e.handler || this.getHandler(e.type)
+      if (typeof handler !== 'function') {
+        throw new Error(`EventQueue: no handler for type '${e.type}'`)
+      }
+      options.beforeFire?.(e)
+      e.time = JulianDate.clone(currentTime)
+      e.occurrence = e.fireCount
+      handler(universe, e)
+      e.fireCount++
+      e.fired = true
+      fired.push(e)
+      if (e.expired) this.remove(e.id)
+    })
+    return fired
   }
 }
 
@@ -0,0 +1,248 @@
+import { Cartesian3, defined } from 'cesium'
+
+const DEFAULT_LEAF_SIZE = 8
+const AXES = ['x', 'y', 'z']
+
+const _scratchOffset = new Cartesian3()
+const _scratchCenter = new Cartesian3()
+
+/**
+ * Bounding-volume hierarchy over object positions, used as a broad phase for
+ * beam, field-of-view and coverage queries.
+ *
+ * The index stores a snapshot of positions taken when {@link SpatialIndex#build}
+ * is called. Positions are world (ECI) positions, or positions in the `frame`
+ * node's coordinates when one is given, and queries must be expressed in the
+ * same frame. Queries are conservative: they return every object that may
+ * satisfy the query, and callers apply their exact test to the candidates.
+ *
+ * @example
+ * const index = new SpatialIndex()
+ * index.build(universe.trackables, { radius: (o) => o.collisionRadius })
+ * const candidates = index.queryCone(apex, boresight, CesiumMath.toRadians(5))
+ */
+class SpatialIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.leafSize=8] - Maximum number of objects in a leaf.
+   */
+  constructor(options = {}) {
+    const leafSize = Math.floor(Number(options.leafSize))
+    this._leafSize = (Number.isFinite(leafSize) && leafSize > 0) ? leafSize : DEFAULT_LEAF_SIZE
+    this._entries = []
+    this._root = undefined
+    this._frame = undefined
+  }
+
+  /**
+   * Number of indexed objects.
+   * @type {number}
+   */
+  get size() {
+    return this._entries.length
+  }
+
+  /**
+   * Node whose coordinates the indexed positions are expressed in, or
+   * `undefined` for world coordinates.
+   * @type {Node|undefined}
+   */
+  get frame() {
+    return this._frame
+  }
+
+  /**
+   * Rebuild the hierarchy from the current positions of `objects`.
+   *
+   * @param {Array<SimObject>} objects - Objects to index.
+   * @param {Object} [options]
+   * @param {Node} [options.frame] - Index positions in this node's frame instead of world coordinates.
+   * @param {(object: SimObject) => Cartesian3} [options.position] - Position per object in the index frame.
+   *   Defaults to the object's origin transformed into the frame.
+   * @param {(object: SimObject) => number|undefined} [options.radius] - Bounding radius per object in meters. Defaults to 0.
+   * @returns {SpatialIndex} This index.
+   */
+  build(objects, options = {}) {
+    const frame = options.frame
+    const positionOf = typeof options.position === 'function'
+      ? options.position
+      : defined(frame)
+        ? (object) => object.transformPointTo(frame, Cartesian3.ZERO)
+        : (object) => object.worldPosition
+    const radiusOf = typeof options.radius === 'function' ? options.radius : () => 0
+    this._frame = frame
+    this._entries = []
+    const source = Array.isArray(objects) ? objects : []
+    source.forEach((object) => {
+      const position = Cartesian3.clone(positionOf(object), new Cartesian3())
+      if (!Number.isFinite(position?.x) || !Number.isFinite(position?.y) || !Number.isFinite(position?.z)) {
+        return
+      }
+      const radius = Number(radiusOf(object))
+      this._entries.push({
+        object,
+        position,
+        radius: (Number.isFinite(radius) && radius > 0) ? radius : 0
+      })
+    })
+    this._root = this._entries.length > 0 ? this._buildNode(0, this._entries.length) : undefined
+    return this
+  }
+
+  /**
+   * Find objects whose bounding sphere may intersect a ray segment.
+   *
+   * @param {Cartesian3} origin - Ray origin.
+   * @param {Cartesian3} direction - Unit ray direction.
+   * @param {number} [maxRange=Infinity] - Segment length in meters.
+   * @param {Array<SimObject>} [result=[]] - Array to append candidates to.
+   * @returns {Array<SimObject>} Candidate objects.
+   */
+  queryRay(origin, direction, maxRange = Infinity, result = []) {
+    const range = Number.isFinite(maxRange) ? Math.max(0, maxRange) : Infinity
+    this._traverse(
+      (node) => rayIntersectsBox(origin, direction, range, node.min, node.max),
+      (entry) => raySphereDistance(origin, direction, range, entry.position) <= entry.radius,
+      result
+    )
+    return result
+  }
+
+  /**
+   * Find objects whose bounding sphere may overlap a cone.
+   *
+   * @param {Cartesian3} apex - Cone apex.
+   * @param {Cartesian3} axis - Unit cone axis.
+   * @param {number} halfAngle - Cone half angle in radians. Values of π or more match every direction.
+   * @param {number} [maxRange=Infinity] - Maximum distance from the apex in meters.
+   * @param {Array<SimObject>} [result=[]] - Array to append candidates to.
+   * @returns {Array<SimObject>} Candidate objects.
+   */
+  queryCone(apex, axis, halfAngle, maxRange = Infinity, result = []) {
+    const range = Number.isFinite(maxRange) ? Math.max(0, maxRange) : Infinity
+    this._traverse(
+      (node) => sphereIntersectsCone(node.center, node.radius, apex, axis, halfAngle, range),
+      (entry) => sphereIntersectsCone(entry.position, entry.radius, apex, axis, halfAngle, range),
+      result
+    )
+    return result
+  }
+
+  /**
+   * @param {number} start - First entry index.
+   * @param {number} end - One past the last entry index.
+   * @returns {Object} Hierarchy node.
+   * @private
+   */
+  _buildNode(start, end) {
+    const min = new Cartesian3(Infinity, Infinity, Infinity)
+    const max = new Cartesian3(-Infinity, -Infinity, -Infinity)
+    for (let i = start; i < end; i++) {
+      const { position, radius } = this._entries[i]
+      AXES.forEach((axis) => {
+        min[axis] = Math.min(min[axis], position[axis] - radius)
+        max[axis] = Math.max(max[axis], position[axis] + radius)
+      })
+    }
+    const center = Cartesian3.midpoint(min, max, new Cartesian3())
+    const node = {
+      min,
+      max,
+      center,
+      radius: Cartesian3.distance(center, max),
+      start,
+      end,
+      left: undefined,
+      right: undefined
+    }
+    if (end - start <= this._leafSize) {
+      return node
+    }
+
+    // split at the median along the longest box axis
+    const extent = Cartesian3.subtract(max, min, _scratchOffset)
+    const axis = AXES.reduce((a, b) => (extent[b] > extent[a] ? b : a))
+    const sorted = this._entries.slice(start, end).sort((a, b) => a.position[axis] - b.position[axis])
+    sorted.forEach((entry, i) => {
+      this._entries[start + i] = entry
+    })
+    const mid = start + Math.floor((end - start) / 2)
+    node.left = this._buildNode(start, mid)
+    node.right = this._buildNode(mid, end)
+    return node
+  }
+
+  /**
+   * @param {(node: Object) => boolean} testNode
+   * @param {(entry: Object) => boolean} testEntry
+   * @param {Array<SimObject>} result
+   * @private
+   */
+  _traverse(testNode, testEntry, result) {
+    if (!defined(this._root)) return
+    const stack = [this._root]
+    while (stack.length > 0) {
+      const node = stack.pop()
+      if (!testNode(node)) continue
+      if (defined(node.left)) {
+        stack.push(node.right, node.left)
+        continue
+      }
+      for (let i = node.start; i < node.end; i++) {
+        const entry = this._entries[i]
+        if (testEntry(entry)) result.push(entry.object)
+      }
+    }
+  }
+}
+
+/**
+ * Slab test of a ray segment against an axis-aligned box.
+ */
+function rayIntersectsBox(origin, direction, range, min, max) {
+  let tMin = 0
+  let tMax = range
+  for (let i = 0; i < AXES.length; i++) {
+    const axis = AXES[i]
+    const o = origin[axis]
+    const d = direction[axis]
+    if (Math.abs(d) < 1e-15) {
+      if (o < min[axis] || o > max[axis]) return false
+      continue
+    }
+    const t1 = (min[axis] - o) / d
+    const t2 = (max[axis] - o) / d
+    tMin = Math.max(tMin, Math.min(t1, t2))
+    tMax = Math.min(tMax, Math.max(t1, t2))
+    if (tMin > tMax) return false
+  }
+  return true
+}
+
+/**
+ * Distance from a point to the closest point of a ray segment.
+ */
+function raySphereDistance(origin, direction, range, point) {
+  const offset = Cartesian3.subtract(point, origin, _scratchOffset)
+  const t = Math.min(Math.max(Cartesian3.dot(offset, direction), 0), range)
+  const closest = Cartesian3.multiplyByScalar(direction, t, _scratchCenter)
+  Cartesian3.add(origin, closest, closest)
+  return Cartesian3.distance(point, closest)
+}
+
+/**
+ * Conservative sphere-cone overlap: compares the angle to the sphere center
+ * with the cone half angle widened by the sphere's angular radius.
+ */
+function sphereIntersectsCone(center, radius, apex, axis, halfAngle, range) {
+  const offset = Cartesian3.subtract(center, apex, _scratchOffset)
+  const distance = Cartesian3.magnitude(offset)
+  if (distance <= radius) return true
+  if (distance - radius > range) return false
+  if (halfAngle >= Math.PI) return true
+  const cosAngle = Math.min(Math.max(Cartesian3.dot(offset, axis) / distance, -1), 1)
+  const angle = Math.acos(cosAngle)
+  return angle - Math.asin(radius / distance) <= halfAngle
+}
+
+export default SpatialIndex
@@ -0,0 +1,267 @@
+import { Cartesian3, JulianDate } from 'cesium';
+import { getObservatorySensors, isSensorVisible, observatoryLocalToAzEl } from '../objects/observatoryUtils.js';
+import { positiveNumberOr, resolveJulianDateInput } from '../utils.js';
+import { angularSeparation } from './lunar.js';
+
+const DEFAULT_STEP_SECONDS = 60;
+const DEFAULT_TOLERANCE_SECONDS = 1e-3;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Evaluate the target's azimuth, elevation and range from an observatory site
+ * at a given offset from the search start, and its separation from the Moon
+ * when the search applies lunar exclusion.
+ *
+ * @param {Object} context - Search context built by {@link computeAccessWindows}.
+ * @param {number} offset - Seconds from the search start.
+ * @returns {{offset: number, az: number, el: number, r: number, moonAngle: number|undefined}}
+ */
+function sampleGeometry(context, offset) {
+  const { universe, observatory, site, target, moon, start, scratch } = context;
+  const time = JulianDate.addSeconds(start, offset, scratch.time);
+  site.update(time, universe);
+  target.update(time, universe);
+  site.transformPointFromWorld(target.worldPosition, scratch.local);
+  const [az, el, r] = observatoryLocalToAzEl(observatory, scratch.local);
+  let moonAngle;
+  if (moon !== undefined) {
+    moon.update(time, universe);
+    moonAngle = angularSeparation(site.worldPosition, target.worldPosition, moon.worldPosition);
+  }
+  return { offset, az, el, r, moonAngle };
+}
+
+/**
+ * Whether a sensor sees the target in a sample.
+ *
+ * @param {Object} sensor
+ * @param {Object} sample - Sample from {@link sampleGeometry}.
+ * @returns {boolean}
+ */
+function isSampleVisible(sensor, sample) {
+  return isSensorVisible(sensor, sample.az, sample.el, sample.moonAngle);
+}
+
+/**
+ * Bisect a visibility transition between two sample offsets.
+ *
+ * @param {Object} context
+ * @param {Object} sensor
+ * @param {number} lo - Offset where visibility equals `loVisible`.
+ * @param {number} hi - Offset where visibility differs from `loVisible`.
+ * @param {boolean} loVisible
+ * @returns {number} Offset of the transition, within the context tolerance.
+ */
+function bisectTransition(context, sensor, lo, hi, loVisible) {
+  while (hi - lo > context.tolerance) {
+    const mid = 0.5 * (lo + hi);
+    if (isSampleVisible(sensor, sampleGeometry(context, mid)) === loVisible) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return 0.5 * (lo + hi);
+}
+
+/**
+ * Golden-section search for the extremum of a geometry value on [a, b].
+ *
+ * @param {Object} context
+ * @param {number} a
+ * @param {number} b
+ * @param {(sample: Object) => number} score - Value to maximize.
+ * @returns {Object} The best sample found.
+ */
+function goldenSectionMax(context, a, b, score) {
+  let c = b - GOLDEN_RATIO * (b - a);
+  let d = a + GOLDEN_RATIO * (b - a);
+  let sc = sampleGeometry(context, c);
+  let sd = sampleGeometry(context, d);
+  while (b - a > context.tolerance) {
+    if (score(sc) > score(sd)) {
+      b = d;
+      d = c;
+      sd = sc;
+      c = b - GOLDEN_RATIO * (b - a);
+      sc = sampleGeometry(context, c);
+    } else {
+      a = c;
+      c = d;
+      sc = sd;
+      d = a + GOLDEN_RATIO * (b - a);
+      sd = sampleGeometry(context, d);
+    }
+  }
+  return score(sc) > score(sd) ? sc : sd;
+}
+
+/**
+ * Refine a pass extremum around the best coarse sample, bracketed by its
+ * neighbours and clipped to the pass boundaries.
+ *
+ * @param {Object} context
+ * @param {Array<Object>} samples - Coarse samples inside the pass, including both edges.
+ * @param {(sample: Object) => number} score - Value to maximize.
+ * @returns {Object} The best sample found.
+ */
+function refineExtremum(context, samples, score) {
+  let bestIndex = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (score(samples[i]) > score(samples[bestIndex])) bestIndex = i;
+  }
+  const a = samples[Math.max(0, bestIndex - 1)].offset;
+  const b = samples[Math.min(samples.length - 1, bestIndex + 1)].offset;
+  const refined = b > a ? goldenSectionMax(context, a, b, score) : samples[bestIndex];
+  return score(refined) > score(samples[bestIndex]) ? refined : samples[bestIndex];
+}
+
+/**
+ * Build the public access window record for a pass.
+ *
+ * @param {Object} context
+ * @param {Object} sensor
+ * @param {Array<Object>} samples - Coarse samples inside the pass, including both edges.
+ * @returns {Object}
+ */
+function buildWindow(context, sensor, samples) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const culmination = refineExtremum(context, samples, (s) => s.el);
+  const closest = refineExtremum(context, samples, (s) => -s.r);
+  const offsetToDate = (offset) => JulianDate.addSeconds(context.start, offset, new JulianDate());
+
+  return {
+    sensor: sensor.name,
+    start: offsetToDate(first.offset),
+    stop: offsetToDate(last.offset),
+    duration: last.offset - first.offset,
+    maxElevation: culmination.el,
+    maxElevationTime: offsetToDate(culmination.offset),
+    minRange: closest.r,
+    minRangeTime: offsetToDate(closest.offset)
+  };
+}
+
+/**
+ * Compute the access windows of a target from each sensor of an observatory.
+ *
+ * The interval is sampled every `step` seconds; whenever a sensor's
+ * field-of-regard visibility (see {@link isSensorVisible}) changes between two
+ * samples, the entry or exit time is bisected down to `tolerance` seconds.
+ * Passes shorter than `step` may be missed, so choose a step smaller than the
+ * shortest pass of interest.
+ *
+ * Sensors with a `lunar_exclusion_angle` do not see the target while it is
+ * closer than that angle to the Moon.
+ *
+ * For every pass the maximum elevation and minimum range are refined with a
+ * golden-section search around the best coarse sample. Windows that are
+ * already open at `start` or still open at `stop` are clipped to the search
+ * interval.
+ *
+ * The site, target and Moon are updated while searching and are returned to
+ * their previous times afterwards.
+ *
+ * @example
+ * const windows = computeAccessWindows(universe, observatory, satellite, start, stop, { step: 30 });
+ * windows.forEach(w => {
+ *   console.log(`${w.sensor}: ${w.start} -> ${w.stop} (${w.duration.toFixed(0)} s), max el ${w.maxElevation.toFixed(1)}°`);
+ * });
+ *
+ * @param {Universe} universe - Universe providing the simulation context.
+ * @param {Observatory} observatory - Observatory whose sensors define the field of regard.
+ * @param {SimObject} target - Object to compute access to.
+ * @param {JulianDate|Date|string} start - Start of the search interval.
+ * @param {JulianDate|Date|string} stop - End of the search interval.
+ * @param {Object} [options]
+ * @param {number} [options.step=60] - Coarse sampling step in seconds.
+ * @param {number} [options.tolerance=0.001] - Root-finding tolerance in seconds.
+ * @returns {Array<Object>} Access windows sorted by start time, each with
+ *   `sensor`, `start`, `stop`, `duration` (seconds), `maxElevation` (degrees),
+ *   `maxElevationTime`, `minRange` (meters) and `minRangeTime`.
+ */
+function computeAccessWindows(universe, observatory, target, start, stop, options = {}) {
+  const startTime = resolveJulianDateInput(start);
+  const stopTime = resolveJulianDateInput(stop);
+  if (startTime === undefined || stopTime === undefined) {
+    throw new Error('computeAccessWindows: start and stop times are required');
+  }
+  const site = observatory?.site;
+  if (site == null || target == null) {
+    throw new Error('computeAccessWindows: observatory site and target are required');
+  }
+
+  const totalSec = JulianDate.secondsDifference(stopTime, startTime);
+  if (totalSec < 0) {
+    throw new Error('computeAccessWindows: stop time must not be before start time');
+  }
+
+  const sensors = getObservatorySensors(observatory);
+  const lunarExclusion = sensors.some((sensor) => Number.isFinite(sensor.lunar_exclusion_angle));
+  const moon = lunarExclusion ? universe?.moon : undefined;
+
+  const context = {
+    universe,
+    observatory,
+    site,
+    target,
+    moon,
+    start: startTime,
+    tolerance: positiveNumberOr(options.tolerance, DEFAULT_TOLERANCE_SECONDS),
+    scratch: { time: new JulianDate(), local: new Cartesian3() }
+  };
+  const step = positiveNumberOr(options.step, DEFAULT_STEP_SECONDS);
+
+  const siteTime = JulianDate.clone(site.time);
+  const targetTime = JulianDate.clone(target.time);
+  const moonTime = moon !== undefined ? JulianDate.clone(moon.time) : undefined;
+
+  const windows = [];
+  try {
+    const open = sensors.map(() => null);
+    let previous;
+
+    for (let offset = 0; ; offset = Math.min(offset + step, totalSec)) {
+      const sample = sampleGeometry(context, offset);
+
+      sensors.forEach((sensor, i) => {
+        const visible = isSampleVisible(sensor, sample);
+        if (previous === undefined) {
+          if (visible) open[i] = [sample];
+          return;
+        }
+        const wasVisible = open[i] !== null;
+        if (visible && !wasVisible) {
+          const entry = bisectTransition(context, sensor, previous.offset, offset, false);
+          open[i] = [sampleGeometry(context, entry), sample];
+        } else if (!visible && wasVisible) {
+          const exit = bisectTransition(context, sensor, previous.offset, offset, true);
+          open[i].push(sampleGeometry(context, exit));
+          windows.push(buildWindow(context, sensor, open[i]));
+          open[i] = null;
+        } else if (visible) {
+          open[i].push(sample);
+        }
+      });
+
+      previous = sample;
+      if (offset >= totalSec) break;
+    }
+
+    sensors.forEach((sensor, i) => {
+      if (open[i] !== null) {
+        windows.push(buildWindow(context, sensor, open[i]));
+      }
+    });
+  } finally {
+    site.update(siteTime, universe, true);
+    target.update(targetTime, universe, true);
+    if (moon !== undefined) moon.update(moonTime, universe, true);
+  }
+
+  windows.sort((a, b) => JulianDate.compare(a.start, b.start));
+  return windows;
+}
+
+export { computeAccessWindows }
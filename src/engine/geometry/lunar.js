@@ -0,0 +1,135 @@
+import { Cartesian3, defined } from 'cesium';
+
+const DEFAULT_EXTINCTION = 0.172; // V-band extinction coefficient, mag/airmass
+const DEFAULT_DARK_SKY_BRIGHTNESS = 21.587; // V-band dark sky, mag/arcsec^2
+
+/**
+ * Calculates the phase angle of the Moon, the angle between the Moon-Sun and
+ * Moon-observer vectors. 0° is a full Moon and 180° a new Moon.
+ *
+ * @param {Cartesian3} moonPosition - Moon position in the Earth-centered inertial frame (meters).
+ * @param {Cartesian3} sunPosition - Sun position in the Earth-centered inertial frame (meters).
+ * @param {Cartesian3} [observerPosition=Cartesian3.ZERO] - Observer position in the same frame.
+ * @returns {number} Phase angle in degrees (0-180).
+ *
+ * @example
+ * universe.update(time);
+ * const phase = moonPhaseAngle(universe.moon.worldPosition, universe.sun.worldPosition);
+ * console.log(`Illuminated: ${(100 * moonIlluminatedFraction(phase)).toFixed(0)}%`);
+ */
+function moonPhaseAngle(moonPosition, sunPosition, observerPosition = Cartesian3.ZERO) {
+  const moonToSun = Cartesian3.subtract(sunPosition, moonPosition, new Cartesian3());
+  const moonToObserver = Cartesian3.subtract(observerPosition, moonPosition, new Cartesian3());
+  return Cartesian3.angleBetween(moonToSun, moonToObserver) * 180 / Math.PI;
+}
+
+/**
+ * Calculates the illuminated fraction of the lunar disc for a phase angle.
+ *
+ * @param {number} phaseAngle - Phase angle in degrees.
+ * @returns {number} Illuminated fraction (0 for a new Moon, 1 for a full Moon).
+ */
+function moonIlluminatedFraction(phaseAngle) {
+  return (1 + Math.cos(phaseAngle * Math.PI / 180)) / 2;
+}
+
+/**
+ * Calculates the angle between two points as seen from an observer, e.g. the
+ * separation between a target and the Moon used for lunar exclusion.
+ *
+ * @param {Cartesian3} observerPosition - Observer position (meters).
+ * @param {Cartesian3} targetPosition - Target position in the same frame (meters).
+ * @param {Cartesian3} bodyPosition - Position of the second point, e.g. the Moon (meters).
+ * @returns {number} Separation in degrees (0-180).
+ */
+function angularSeparation(observerPosition, targetPosition, bodyPosition) {
+  const toTarget = Cartesian3.subtract(targetPosition, observerPosition, new Cartesian3());
+  const toBody = Cartesian3.subtract(bodyPosition, observerPosition, new Cartesian3());
+  return Cartesian3.angleBetween(toTarget, toBody) * 180 / Math.PI;
+}
+
+/**
+ * Converts a V-band surface brightness to nanoLamberts.
+ *
+ * @param {number} mag - Surface brightness in mag/arcsec^2.
+ * @returns {number} Surface brightness in nanoLamberts.
+ */
+function magnitudeToNanoLamberts(mag) {
+  return 34.08 * Math.exp(20.7233 - 0.92104 * mag);
+}
+
+/**
+ * Converts a surface brightness in nanoLamberts to V-band mag/arcsec^2.
+ *
+ * @param {number} nanoLamberts - Surface brightness in nanoLamberts.
+ * @returns {number} Surface brightness in mag/arcsec^2.
+ */
+function nanoLambertsToMagnitude(nanoLamberts) {
+  return (20.7233 - Math.log(nanoLamberts / 34.08)) / 0.92104;
+}
+
+/**
+ * Calculates the V-band sky brightness toward a target with moonlight, using
+ * the Krisciunas & Schaefer (1991) scattering model.
+ *
+ * The scattered moonlight depends on the lunar phase, the Moon-target
+ * separation and the airmass toward both the Moon and the target. When the
+ * Moon is below the horizon the dark sky brightness is returned.
+ *
+ * @param {number} phaseAngle - Lunar phase angle in degrees (0° is a full Moon).
+ * @param {number} separation - Moon-target separation in degrees.
+ * @param {number} moonZenith - Zenith distance of the Moon in degrees.
+ * @param {number} targetZenith - Zenith distance of the target in degrees.
+ * @param {number} [extinction=0.172] - V-band extinction coefficient in magnitudes per airmass.
+ * @param {number} [darkSkyBrightness=21.587] - Moonless zenith sky brightness in mag/arcsec^2.
+ * @returns {number} Sky brightness in mag/arcsec^2 (smaller is brighter).
+ *
+ * @example
+ * // Full Moon 30° from a target at 30° zenith distance, Moon at 40° zenith distance
+ * const sky = moonSkyBrightness(0, 30, 40, 30);
+ */
+function moonSkyBrightness(phaseAngle, separation, moonZenith, targetZenith, extinction = DEFAULT_EXTINCTION, darkSkyBrightness = DEFAULT_DARK_SKY_BRIGHTNESS) {
+  const darkSky = magnitudeToNanoLamberts(darkSkyBrightness);
+  if (!(moonZenith < 90) || !(targetZenith < 90)) {
+    return darkSkyBrightness;
+  }
+
+  const toRadians = Math.PI / 180;
+  const airmass = (zenith) => 1 / Math.sqrt(1 - 0.96 * Math.sin(zenith * toRadians) ** 2);
+  const alpha = Math.abs(phaseAngle);
+  const moonIlluminance = 10 ** (-0.4 * (3.84 + 0.026 * alpha + 4e-9 * alpha ** 4));
+  const rho = Math.max(separation, 0);
+  const scattering = 10 ** 5.36 * (1.06 + Math.cos(rho * toRadians) ** 2) + 10 ** (6.15 - rho / 40);
+
+  const moonlight = scattering * moonIlluminance *
+    10 ** (-0.4 * extinction * airmass(moonZenith)) *
+    (1 - 10 ** (-0.4 * extinction * airmass(targetZenith)));
+
+  return nanoLambertsToMagnitude(darkSky + moonlight);
+}
+
+/**
+ * Summarizes the Moon as seen by an observer looking at a target.
+ *
+ * @param {Cartesian3} observerPosition - Observer position in the Earth-centered inertial frame (meters).
+ * @param {Cartesian3} targetPosition - Target position in the same frame (meters).
+ * @param {Cartesian3} moonPosition - Moon position in the same frame (meters).
+ * @param {Cartesian3} [sunPosition] - Sun position in the same frame (meters); required for the phase.
+ * @returns {{moonAngle: number, moonPhaseAngle: number|undefined, moonIllumination: number|undefined}}
+ */
+function lunarGeometry(observerPosition, targetPosition, moonPosition, sunPosition = undefined) {
+  const moonAngle = angularSeparation(observerPosition, targetPosition, moonPosition);
+  if (!defined(sunPosition)) {
+    return { moonAngle, moonPhaseAngle: undefined, moonIllumination: undefined };
+  }
+  const phase = moonPhaseAngle(moonPosition, sunPosition, observerPosition);
+  return { moonAngle, moonPhaseAngle: phase, moonIllumination: moonIlluminatedFraction(phase) };
+}
+
+export {
+  moonPhaseAngle,
+  moonIlluminatedFraction,
+  angularSeparation,
+  moonSkyBrightness,
+  lunarGeometry
+};
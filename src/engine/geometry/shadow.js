@@ -1,4 +1,5 @@
 import { Cartesian3, Ellipsoid, defined } from 'cesium';
+import { MOON_RADIUS } from '../objects/Moon.js';
 
 const EARTH_RADIUS = Ellipsoid.WGS84.maximumRadius; // meters
 const SUN_RADIUS = 695700000; // meters, mean solar radius
@@ -14,15 +15,17 @@ const ShadowState = Object.freeze({
  *
  * Implements the conic shadow construction from Vallado (2007), modeling the
  * Earth's umbra and penumbra as coaxial cones that originate from tangent rays
- * intersecting the solar and terrestrial discs.
+ * intersecting the solar and terrestrial discs. Pass `bodyRadius` with a
+ * body-centered position to classify the shadow of another body.
  *
  * @param {Cartesian3} position - Position vector of the object in the Earth-centered inertial frame.
  * @param {Cartesian3} sunDirection - Unit vector from Earth toward the Sun.
  * @param {number} umbraLength - Length of the Earth's umbra cone (meters).
  * @param {number} penumbraLength - Length to the penumbra apex on the solar side (meters).
+ * @param {number} [bodyRadius] - Radius of the shadowing body (meters), the Earth's by default.
  * @returns {ShadowState} The illumination classification for the position.
  */
-function classifyShadowState(position, sunDirection, umbraLength, penumbraLength) {
+function classifyShadowState(position, sunDirection, umbraLength, penumbraLength, bodyRadius = EARTH_RADIUS) {
   const projection = Cartesian3.dot(position, sunDirection);
 
   if (projection >= 0) {
@@ -34,12 +37,12 @@ function classifyShadowState(position, sunDirection, umbraLength, penumbraLength
   const radialVector = Cartesian3.subtract(position, axialComponent, new Cartesian3());
   const radialDistance = Cartesian3.magnitude(radialVector);
 
-  const umbraRadius = Math.max(0, EARTH_RADIUS * (umbraLength - axialDistance) / umbraLength);
+  const umbraRadius = Math.max(0, bodyRadius * (umbraLength - axialDistance) / umbraLength);
   if (axialDistance <= umbraLength && radialDistance <= umbraRadius) {
     return ShadowState.UMBRA;
   }
 
-  const penumbraRadius = EARTH_RADIUS * (penumbraLength + axialDistance) / penumbraLength;
+  const penumbraRadius = bodyRadius * (penumbraLength + axialDistance) / penumbraLength;
   if (radialDistance <= penumbraRadius) {
     return ShadowState.PENUMBRA;
   }
@@ -47,6 +50,47 @@ function classifyShadowState(position, sunDirection, umbraLength, penumbraLength
   return ShadowState.SUNLIT;
 }
 
+/**
+ * Classifies the illumination state of an inertial position given the Sun's
+ * inertial position.
+ *
+ * @param {Cartesian3} position - Position in the Earth-centered inertial frame (meters).
+ * @param {Cartesian3} sunPosition - Sun position in the Earth-centered inertial frame (meters).
+ * @returns {ShadowState} The illumination classification for the position.
+ */
+function getPositionShadowState(position, sunPosition) {
+  const sunDistance = Cartesian3.magnitude(sunPosition);
+  if (sunDistance === 0) {
+    return ShadowState.SUNLIT;
+  }
+  const sunDirection = Cartesian3.divideByScalar(sunPosition, sunDistance, new Cartesian3());
+  const umbraLength = EARTH_RADIUS * sunDistance / (SUN_RADIUS - EARTH_RADIUS);
+  const penumbraLength = EARTH_RADIUS * sunDistance / (SUN_RADIUS + EARTH_RADIUS);
+  return classifyShadowState(position, sunDirection, umbraLength, penumbraLength);
+}
+
+/**
+ * Classifies the illumination state of an inertial position in the Moon's
+ * shadow, given the Sun and Moon inertial positions.
+ *
+ * @param {Cartesian3} position - Position in the Earth-centered inertial frame (meters).
+ * @param {Cartesian3} sunPosition - Sun position in the Earth-centered inertial frame (meters).
+ * @param {Cartesian3} moonPosition - Moon position in the Earth-centered inertial frame (meters).
+ * @returns {ShadowState} The illumination classification for the position.
+ */
+function getPositionLunarShadowState(position, sunPosition, moonPosition) {
+  const sunFromMoon = Cartesian3.subtract(sunPosition, moonPosition, new Cartesian3());
+  const sunDistance = Cartesian3.magnitude(sunFromMoon);
+  if (sunDistance === 0) {
+    return ShadowState.SUNLIT;
+  }
+  const sunDirection = Cartesian3.divideByScalar(sunFromMoon, sunDistance, sunFromMoon);
+  const umbraLength = MOON_RADIUS * sunDistance / (SUN_RADIUS - MOON_RADIUS);
+  const penumbraLength = MOON_RADIUS * sunDistance / (SUN_RADIUS + MOON_RADIUS);
+  const relative = Cartesian3.subtract(position, moonPosition, new Cartesian3());
+  return classifyShadowState(relative, sunDirection, umbraLength, penumbraLength, MOON_RADIUS);
+}
+
 /**
  * Determine the illumination state for a set of simulation objects.
  *
@@ -106,4 +150,66 @@ function getShadowStatus(sun, objects, time, universe) {
   });
 }
 
-export { ShadowState, getShadowStatus, classifyShadowState };
+/**
+ * Determine the illumination state of a set of simulation objects in the
+ * Moon's shadow, i.e. whether they are eclipsed by the Moon.
+ *
+ * @param {Object} sun - Sun object that exposes `update(time, universe)` and `worldPosition`.
+ * @param {Object} moon - Moon object that exposes `update(time, universe)` and `worldPosition`.
+ * @param {Array<Object>} objects - Collection of simulation objects that expose
+ *   `update(time, universe)` and `worldPosition`.
+ * @param {import('cesium').JulianDate} time - Epoch at which to evaluate shadow status.
+ * @param {Object} [universe] - Optional universe context to forward into object updates.
+ * @returns {Array<ShadowState>} Lunar shadow classification for each provided object.
+ */
+function getLunarShadowStatus(sun, moon, objects, time, universe) {
+  if (!defined(sun) || !defined(moon)) {
+    throw new TypeError('Sun and Moon objects are required.');
+  }
+
+  if (!defined(time)) {
+    throw new TypeError('Time argument is required.');
+  }
+
+  if (!Array.isArray(objects)) {
+    throw new TypeError('Objects must be provided as an array.');
+  }
+
+  [sun, moon].forEach((body) => {
+    if (typeof body.update === 'function') {
+      body.update(time, universe);
+    }
+  });
+
+  const sunPosition = sun.worldPosition;
+  const moonPosition = moon.worldPosition;
+  if (!defined(sunPosition) || !defined(moonPosition)) {
+    throw new TypeError('Sun and Moon objects must expose a worldPosition.');
+  }
+
+  return objects.map((object) => {
+    if (!defined(object)) {
+      return ShadowState.SUNLIT;
+    }
+
+    if (typeof object.update === 'function') {
+      object.update(time, universe);
+    }
+
+    const position = object.worldPosition;
+    if (!defined(position)) {
+      return ShadowState.SUNLIT;
+    }
+
+    return getPositionLunarShadowState(position, sunPosition, moonPosition);
+  });
+}
+
+export {
+  ShadowState,
+  getShadowStatus,
+  getLunarShadowStatus,
+  getPositionShadowState,
+  getPositionLunarShadowState,
+  classifyShadowState
+};
@@ -1,7 +1,9 @@
-import { defined, Cartesian3 } from 'cesium';
-import { southEastZenithToAzEl } from '../dynamics/gimbal.js'
-import { getObservatorySensors, isSensorVisible } from '../objects/observatoryUtils.js'
+import { defined, Cartesian3, Math as CMath } from 'cesium';
+import { getObservatorySensors, isSensorVisible, observatoryLocalToAzEl } from '../objects/observatoryUtils.js'
 import { calculateTargetBrightness } from './photometry.js';
+import { lunarGeometry, moonSkyBrightness } from './lunar.js';
+import { cartesianToRaDec, southEastZenithToAzEl } from '../dynamics/gimbal.js';
+import EarthGroundStation from '../objects/EarthGroundStation.js';
 
 /**
  * Calculates the visibility of a satellite from multiple observatories.
@@ -15,9 +17,14 @@ import { calculateTargetBrightness } from './photometry.js';
  * The visibility determination process:
  * 1. Updates the satellite position to the current time
  * 2. Transforms satellite world position to observatory local coordinates
- * 3. Converts local position to azimuth/elevation/range
- * 4. Checks if position falls within any field-of-regard region
- * 5. Calculates brightness properties using photometry analysis
+ * 3. Converts local position to azimuth/elevation/range, using the convention
+ *    of the observatory's gimbal (South-East-Zenith for ground sites, host body
+ *    frame for space-based mounts), and the line of sight to topocentric
+ *    right ascension and declination
+ * 4. Checks if position falls within any field-of-regard region and outside
+ *    the sensor's `lunar_exclusion_angle` around the Moon
+ * 5. Calculates brightness properties using photometry analysis, and for
+ *    ground sites the moonlit sky brightness toward the satellite
  * 
  * @param {Universe} universe - Universe object containing simulation state and celestial bodies
  * @param {Viewer} viewer - Viewer object containing simulation time information
@@ -26,12 +33,20 @@ import { calculateTargetBrightness } from './photometry.js';
  * @returns {Array<Object>} Array of visibility results, one per sensor
  * @returns {string} returns[].sensor - Name of the sensor/observatory
  * @returns {number} returns[].az - Azimuth angle in degrees (0-360)
- * @returns {number} returns[].el - Elevation angle in degrees (-90 to +90)
+ * @returns {number} returns[].el - Elevation angle in degrees (-90 to +90, or 0 to 180
+ *   from the host boresight for space-based mounts)
  * @returns {number} returns[].r - Range/distance from observatory to satellite
- * @returns {boolean} returns[].visible - Whether satellite is within field-of-regard
+ * @returns {number|undefined} returns[].ra - Topocentric right ascension in degrees (0-360, inertial frame)
+ * @returns {number|undefined} returns[].dec - Topocentric declination in degrees (-90 to +90, inertial frame)
+ * @returns {boolean} returns[].visible - Whether satellite is within field-of-regard and not hidden
  * @returns {number} returns[].phaseAngle - Phase angle in degrees (from photometry calculation)
  * @returns {number} returns[].range - Range from observer (from photometry calculation)
  * @returns {number|undefined} returns[].mv - Apparent visual magnitude (if calculable) 
+ * @returns {number|undefined} returns[].moonAngle - Satellite-Moon separation in degrees
+ * @returns {number|undefined} returns[].moonPhaseAngle - Lunar phase angle in degrees (0° is a full Moon)
+ * @returns {number|undefined} returns[].moonIllumination - Illuminated fraction of the lunar disc
+ * @returns {number|undefined} returns[].skyBrightness - Sky brightness toward the satellite in
+ *   V mag/arcsec² including moonlight (ground sites only, see {@link moonSkyBrightness})
  * 
  * @example
  * // Check satellite visibility from multiple ground stations
@@ -49,7 +64,7 @@ import { calculateTargetBrightness } from './photometry.js';
  * const result = getVisibility(universe, viewer, [observatory], satellite);
  * 
  * @see {@link calculateTargetBrightness} For brightness calculation details
- * @see {@link southEastZenithToAzEl} For coordinate transformation details
+ * @see {@link observatoryLocalToAzEl} For coordinate transformation details
  */
 function getVisibility(universe, viewer, observatories, sat) {
   let visibility = []
@@ -59,16 +74,20 @@ function getVisibility(universe, viewer, observatories, sat) {
     const t0 = viewer.clock.currentTime;
     sat.update(t0, universe)
     observatory.site.transformPointFromWorld(sat.worldPosition, localPos);
-    let [az, el, r] = southEastZenithToAzEl(localPos)
+    let [az, el, r] = observatoryLocalToAzEl(observatory, localPos)
     // Compute instantaneous angular rate on the sky (arcsec/s) relative to observer
     // Using omega = |r x v| / |r|^2 where r and v are relative position and velocity in world frame
+    // Topocentric RA/Dec is the direction of the same relative position
     let angRateArcsecPerSec = undefined;
+    let ra = undefined;
+    let dec = undefined;
     try {
       const rWorld = Cartesian3.subtract(
         sat.worldPosition,
         observatory.site.worldPosition,
         new Cartesian3()
       );
+      [ra, dec] = cartesianToRaDec(rWorld);
       const vRel = Cartesian3.subtract(
         sat.worldVelocity,
         observatory.site.worldVelocity,
@@ -85,6 +104,7 @@ function getVisibility(universe, viewer, observatories, sat) {
       // leave undefined on error
     }
     const brightness = calculateTargetBrightness(observatory.site, sat, universe.sun)
+    const lunar = getLunarConditions(universe, observatory.site, sat, el, t0)
     getObservatorySensors(observatory).forEach((sensor) => {
       visibility.push({
         ...{
@@ -92,14 +112,89 @@ function getVisibility(universe, viewer, observatories, sat) {
           az,
           el,
           r,
-          visible: isSensorVisible(sensor, az, el),
+          ra,
+          dec,
+          visible: !sat.hidden && isSensorVisible(sensor, az, el, lunar.moonAngle),
           angRateArcsecPerSec
         },
-        ...brightness
+        ...brightness,
+        ...lunar
       })
     })
   }
   return visibility
 }
 
-export { getVisibility }
+/**
+ * Calculate the Moon separation and phase seen from a site looking at a
+ * satellite and, for ground sites, the moonlit sky brightness.
+ *
+ * @param {Universe} universe
+ * @param {SimObject} site - Observatory site.
+ * @param {SimObject} sat - Satellite, updated to `time`.
+ * @param {number} el - Elevation of the satellite in the site frame in degrees.
+ * @param {JulianDate} time
+ * @returns {Object} Lunar fields of a {@link getVisibility} result; empty without a Moon.
+ */
+function getLunarConditions(universe, site, sat, el, time) {
+  const moon = universe.moon
+  if (!defined(moon)) return {}
+  moon.update(time, universe)
+  const lunar = lunarGeometry(site.worldPosition, sat.worldPosition, moon.worldPosition, universe.sun?.worldPosition)
+  if (site instanceof EarthGroundStation && defined(lunar.moonPhaseAngle)) {
+    const moonLocal = site.transformPointFromWorld(moon.worldPosition, new Cartesian3())
+    const [, moonEl] = southEastZenithToAzEl(moonLocal)
+    lunar.skyBrightness = moonSkyBrightness(lunar.moonPhaseAngle, lunar.moonAngle, 90 - moonEl, 90 - el)
+  }
+  return lunar
+}
+
+/**
+ * Find the objects inside a sensor's rectangular field of view.
+ *
+ * The sensor looks along its local -Z axis with `x_fov` spanning local X and
+ * `y_fov` spanning local Y, matching the sensor camera view. Objects are
+ * tested at their current state, so call this after `Universe.update`.
+ * Hidden objects (see `SimObject#hidden`) are skipped.
+ *
+ * When `objects` is omitted the universe's trackables are tested. If the
+ * universe maintains a spatial index (see `Universe#spatialIndexEnabled`),
+ * only trackables inside the cone circumscribing the field of view are
+ * transformed into the sensor frame.
+ *
+ * @example
+ * universe.update(time);
+ * const inView = getObjectsInFieldOfView(universe, observatory.sensor);
+ * console.log(inView.map(o => o.name));
+ *
+ * @param {Universe} universe - Universe providing the trackable objects and spatial index.
+ * @param {ElectroOpicalSensor} sensor - Sensor whose field of view is tested.
+ * @param {Array<SimObject>} [objects] - Objects to test instead of the universe's trackables.
+ * @returns {Array<SimObject>} Objects inside the field of view.
+ */
+function getObjectsInFieldOfView(universe, sensor, objects = undefined) {
+  const halfX = CMath.toRadians(Math.abs(Number(sensor?.x_fov ?? 0))) / 2;
+  const halfY = CMath.toRadians(Math.abs(Number(sensor?.y_fov ?? sensor?.x_fov ?? 0))) / 2;
+  const index = defined(objects) ? undefined : universe?.getSpatialIndex?.();
+
+  let candidates = objects ?? universe?.trackables ?? [];
+  if (defined(index)) {
+    const apex = sensor.transformPointToWorld(Cartesian3.ZERO, new Cartesian3());
+    const axis = sensor.transformVectorToWorld(Cartesian3.UNIT_Z, new Cartesian3());
+    Cartesian3.normalize(Cartesian3.negate(axis, axis), axis);
+    const halfAngle = Math.atan(Math.hypot(Math.tan(Math.min(halfX, CMath.PI_OVER_TWO)), Math.tan(Math.min(halfY, CMath.PI_OVER_TWO))));
+    candidates = index.queryCone(apex, axis, halfAngle);
+  }
+
+  const local = new Cartesian3();
+  return candidates.filter((object) => {
+    if (object === sensor || object.hidden) return false;
+    sensor.transformPointFromWorld(object.worldPosition, local);
+    const depth = -local.z;
+    return depth > 0 &&
+      Math.abs(Math.atan2(local.x, depth)) <= halfX &&
+      Math.abs(Math.atan2(local.y, depth)) <= halfY;
+  });
+}
+
+export { getVisibility, getObjectsInFieldOfView }
@@ -190,6 +190,49 @@ class AirVehicle extends SimObject {
     return this
   }
 
+  /**
+   * Captures the propagation epoch, heading mode and waypoint route.
+   *
+   * @returns {Object} Opaque state for {@link AirVehicle#restoreState}.
+   * @override
+   */
+  captureState() {
+    return {
+      epoch: {
+        time: JulianDate.clone(this._epoch.time),
+        latitude: this._epoch.latitude,
+        longitude: this._epoch.longitude,
+        altitude: this._epoch.altitude,
+        velocityNed: Cartesian3.clone(this._epoch.velocityNed),
+        accelerationNed: Cartesian3.clone(this._epoch.accelerationNed),
+      },
+      heading: this._heading,
+      autoHeading: this._autoHeading,
+      waypointRoute: this._waypointRoute,
+      hasDynamicUpdate: this._hasDynamicUpdate,
+    }
+  }
+
+  /**
+   * Restores state captured by {@link AirVehicle#captureState}.
+   *
+   * @param {Object} state - The captured state.
+   * @override
+   */
+  restoreState(state) {
+    JulianDate.clone(state.epoch.time, this._epoch.time)
+    this._epoch.latitude = state.epoch.latitude
+    this._epoch.longitude = state.epoch.longitude
+    this._epoch.altitude = state.epoch.altitude
+    Cartesian3.clone(state.epoch.velocityNed, this._epoch.velocityNed)
+    Cartesian3.clone(state.epoch.accelerationNed, this._epoch.accelerationNed)
+    Cartesian3.clone(state.epoch.accelerationNed, this._accelerationNed)
+    this._heading = state.heading
+    this._autoHeading = state.autoHeading
+    this._waypointRoute = state.waypointRoute
+    this._hasDynamicUpdate = state.hasDynamicUpdate
+  }
+
   /**
    * Gets the ECI velocity of the air vehicle.
    * Includes both local motion in fixed frame and Earth rotation.
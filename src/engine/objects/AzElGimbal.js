@@ -30,6 +30,35 @@ class AzElGimbal extends Gimbal {
     this.el = 90.0
   }
 
+  /**
+   * Gets the names of the mount axes.
+   * @returns {Array<string>}
+   * @override
+   */
+  get axisNames() {
+    return ['az', 'el']
+  }
+
+  /**
+   * Gets the park position, pointing at the zenith.
+   * @returns {Object<string, number>}
+   * @override
+   */
+  get restAxes() {
+    return { az: 0.0, el: 90.0 }
+  }
+
+  /**
+   * Gets the options used to command an axis target; `az` targets wrap to
+   * [0, 360).
+   * @param {string} axisName
+   * @returns {Object|undefined}
+   * @override
+   */
+  getAxisTargetOptions(axisName) {
+    return String(axisName).toLowerCase() === 'az' ? { normalizeTargetDeg: normalizeAzimuthDeg } : undefined
+  }
+
   /**
    * Updates the AzElGimbal object's position and orientation based on the current time and universe.
    * @param {JulianDate} time - The current time.
@@ -44,7 +73,7 @@ class AzElGimbal extends Gimbal {
 
     const localVector = this._trackToLocalVector(time, universe)
     if (localVector !== null) {
-      [targetAz, targetEl, this._range] = southEastZenithToAzEl(localVector)
+      [targetAz, targetEl, this._range] = this.toAzEl(localVector)
     }
 
     const dtSec = this._consumeSlewDeltaTime(time)
@@ -57,6 +86,25 @@ class AzElGimbal extends Gimbal {
       computeErrorDeg: (targetDeg, currentDeg) => targetDeg - currentDeg
     })
 
+    this._orientAxes()
+  }
+
+  /**
+   * Converts a vector in the mount's parent frame to the mount's azimuth,
+   * elevation and range. The parent of a ground mount is its South-East-Zenith
+   * site frame.
+   * @param {Cartesian3} localVector - Vector in the parent frame.
+   * @returns {Array<number>} `[az, el, range]` in degrees and the vector's units.
+   */
+  toAzEl(localVector) {
+    return southEastZenithToAzEl(localVector)
+  }
+
+  /**
+   * Sets the transform from the current `az` and `el` axis angles.
+   * @protected
+   */
+  _orientAxes() {
     // setup reference transform
     this.reset()
     this.rotateY(CMath.PI_OVER_TWO)
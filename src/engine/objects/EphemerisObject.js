@@ -1,12 +1,28 @@
 import { rv2period, rv2ecc } from '../dynamics/twobody.js'
-import { JulianDate, ReferenceFrame, Math as CMath} from 'cesium'
-import { lagrange_fast } from '../dynamics/lagrange.js'
+import { Cartesian3, defined, HermitePolynomialApproximation, JulianDate, ReferenceFrame, Math as CMath} from 'cesium'
 import SimObject from './SimObject.js'
 
 const K = CMath.GRAVITATIONALPARAMETER
 
+const INTERPOLATIONS = ['hermite', 'lagrange']
+const OUT_OF_SPAN = ['hold', 'hide', 'error']
+const DEFAULT_DEGREE = {
+  hermite: 5,
+  lagrange: 7
+}
+
 /**
  * Represents an object with ephemeris data.
+ *
+ * Position and velocity are interpolated from a sliding window of state
+ * vectors around the requested time. Hermite interpolation fits both the
+ * supplied positions and velocities; Lagrange interpolation fits positions
+ * only and differentiates the polynomial for velocity.
+ *
+ * Outside the span of the state vectors the object either holds its first
+ * or last position with zero velocity (`'hold'`), holds and reports itself
+ * as `hidden` (`'hide'`), or throws (`'error'`).
+ *
  * @extends SimObject
  */
 class EphemerisObject extends SimObject {
@@ -17,45 +33,210 @@ class EphemerisObject extends SimObject {
    * @param {Cartesian3[]} velocities - Array of Cartesian3 objects representing the velocities of the state vectors.
    * @param {string} [name='EphemerisObject'] - Name of the object.
    * @param {ReferenceFrame} [referenceFrame=ReferenceFrame.INERTIAL] - Reference frame of the object.
+   * @param {Object} [options] - Interpolation options.
+   * @param {string} [options.interpolation] - `'hermite'` or `'lagrange'`. Defaults to `'hermite'` when every state has a velocity.
+   * @param {number} [options.degree] - Interpolation order (polynomial degree). Defaults to 5 for Hermite and 7 for Lagrange and is limited by the number of states.
+   * @param {string} [options.outOfSpan='hold'] - Behavior outside the ephemeris span: `'hold'`, `'hide'` or `'error'`.
+   * @throws {Error} If no states are given or the options are invalid.
    */
-  constructor(times, positions, velocities, name='EphemerisObject', referenceFrame=ReferenceFrame.INERTIAL) {
+  constructor(times, positions, velocities, name='EphemerisObject', referenceFrame=ReferenceFrame.INERTIAL, options = {}) {
     super(name, referenceFrame)
 
+    if (!times || times.length === 0)
+      throw new Error(`EphemerisObject '${name}': at least one state vector is required`)
+
     this._stateVectors = []
     for(let i = 0; i < times.length; i++) {
       this._stateVectors.push({
         time: times[i],
         position: positions[i],
-        velocity: velocities[i]
+        velocity: velocities?.[i]
       })
     }
-    this._stateVectors.sort((a, b) => JulianDate.compare(a.time, b.time))    
+    this._stateVectors.sort((a, b) => JulianDate.compare(a.time, b.time))
+
+    const hasVelocities = this._stateVectors.every((sv) => defined(sv.velocity))
+    const interpolation = String(options.interpolation ?? (hasVelocities ? 'hermite' : 'lagrange')).toLowerCase()
+    if (!INTERPOLATIONS.includes(interpolation))
+      throw new Error(`EphemerisObject '${name}': unknown interpolation '${options.interpolation}'`)
+    if (interpolation === 'hermite' && !hasVelocities)
+      throw new Error(`EphemerisObject '${name}': Hermite interpolation requires a velocity for every state`)
+    const outOfSpan = String(options.outOfSpan ?? 'hold').toLowerCase()
+    if (!OUT_OF_SPAN.includes(outOfSpan))
+      throw new Error(`EphemerisObject '${name}': unknown outOfSpan behavior '${options.outOfSpan}'`)
+    const degree = options.degree ?? DEFAULT_DEGREE[interpolation]
+    if (!Number.isInteger(degree) || degree < 1)
+      throw new Error(`EphemerisObject '${name}': interpolation degree must be a positive integer`)
+
+    this._interpolation = interpolation
+    this._degree = degree
+    this._outOfSpan = outOfSpan
+    this._inputOrder = interpolation === 'hermite' ? 1 : 0
+    this._windowSize = Math.min(
+      HermitePolynomialApproximation.getRequiredDataPoints(degree, this._inputOrder),
+      this._stateVectors.length
+    )
+    this._hidden = false
 
     this._times = []
     this._positions = []
-    this._epoch = new JulianDate(this._stateVectors[0].time)
+    this._velocities = []
+    this._epoch = JulianDate.clone(this._stateVectors[0].time)
 
     for(let i = 0; i < this._stateVectors.length; i++) {
-      this._times.push(JulianDate.secondsDifference(this._stateVectors[0].time, this._stateVectors[i].time))
-      this._positions.push(this._stateVectors[i].position.x)
-      this._positions.push(this._stateVectors[i].position.y)
-      this._positions.push(this._stateVectors[i].position.z)
+      const sv = this._stateVectors[i]
+      this._times.push(JulianDate.secondsDifference(sv.time, this._epoch))
+      this._positions.push(sv.position.x, sv.position.y, sv.position.z)
+      if (hasVelocities)
+        this._velocities.push(sv.velocity.x, sv.velocity.y, sv.velocity.z)
     }
 
+    // window buffers reused by every update
+    this._xTable = new Array(this._windowSize)
+    this._yTable = new Array(this._windowSize * 3 * (this._inputOrder + 1))
+    this._result = new Array(6)
+
     //TODO this needs to be updated when the state vectors are changed
-    this._period = rv2period(K, this._stateVectors[0].position, this._stateVectors[0].velocity)
-    this._eccentricity = rv2ecc(K, this._stateVectors[0].position, this._stateVectors[0].velocity)
+    // position-only states use the interpolated velocity; a single one has none
+    const first = this._stateVectors[0]
+    const velocity = first.velocity ?? (this._windowSize < 2 ? undefined : Cartesian3.unpack(this._interpolate(0), 3))
+    this._period = defined(velocity) ? rv2period(K, first.position, velocity) : undefined
+    this._eccentricity = defined(velocity) ? rv2ecc(K, first.position, velocity) : undefined
+  }
+
+  /**
+   * The interpolation method, `'hermite'` or `'lagrange'`.
+   * @type {string}
+   * @readonly
+   */
+  get interpolation() {
+    return this._interpolation
+  }
+
+  /**
+   * The requested interpolation degree.
+   * @type {number}
+   * @readonly
+   */
+  get degree() {
+    return this._degree
+  }
+
+  /**
+   * The behavior outside the ephemeris span, `'hold'`, `'hide'` or `'error'`.
+   * @type {string}
+   * @readonly
+   */
+  get outOfSpan() {
+    return this._outOfSpan
   }
 
   /**
-   * Updates the position of the object at the given time.
+   * The time of the first state vector.
+   * @type {JulianDate}
+   * @readonly
+   */
+  get startTime() {
+    return this._stateVectors[0].time
+  }
+
+  /**
+   * The time of the last state vector.
+   * @type {JulianDate}
+   * @readonly
+   */
+  get stopTime() {
+    return this._stateVectors[this._stateVectors.length - 1].time
+  }
+
+  /**
+   * Whether the last update was outside the ephemeris span with `outOfSpan` set to `'hide'`.
+   * @type {boolean}
+   * @readonly
+   * @override
+   */
+  get hidden() {
+    return this._hidden
+  }
+
+  /**
+   * Updates the position and velocity of the object at the given time.
    * @param {JulianDate} time - The time to update the position to.
    * @param {Universe} universe - The universe object containing gravitational constants and other data.
+   * @throws {Error} If the time is outside the ephemeris span and `outOfSpan` is `'error'`.
    * @override
    */
   _update(time, universe) {
     const delta = JulianDate.secondsDifference(time, this._epoch)
-    lagrange_fast(this._times, this._positions, delta, this._position)
+    const last = this._times.length - 1
+    const outside = delta < 0 || delta > this._times[last]
+
+    this._hidden = outside && this._outOfSpan === 'hide'
+    if (outside) {
+      if (this._outOfSpan === 'error') {
+        throw new Error(`EphemerisObject '${this.name}': ${JulianDate.toIso8601(time)} is outside the ephemeris span ` +
+          `${JulianDate.toIso8601(this.startTime)} to ${JulianDate.toIso8601(this.stopTime)}`)
+      }
+      Cartesian3.clone(this._stateVectors[delta < 0 ? 0 : last].position, this._position)
+      Cartesian3.clone(Cartesian3.ZERO, this._velocity)
+      return
+    }
+
+    if (this._windowSize < 2) {
+      Cartesian3.clone(this._stateVectors[0].position, this._position)
+      Cartesian3.clone(this._stateVectors[0].velocity ?? Cartesian3.ZERO, this._velocity)
+      return
+    }
+
+    const r = this._interpolate(delta)
+    this._position.x = r[0]
+    this._position.y = r[1]
+    this._position.z = r[2]
+    this._velocity.x = r[3]
+    this._velocity.y = r[4]
+    this._velocity.z = r[5]
+  }
+
+  /**
+   * Interpolates the state `delta` seconds after the first state from the
+   * window around it.
+   * @param {number} delta - Seconds from the first state.
+   * @returns {Array<number>} Position then velocity components, in a buffer
+   *   reused by every call.
+   * @private
+   */
+  _interpolate(delta) {
+    const start = this._windowStart(delta)
+    const stride = 3 * (this._inputOrder + 1)
+    for (let i = 0; i < this._windowSize; i++) {
+      const j = start + i
+      this._xTable[i] = this._times[j]
+      for (let k = 0; k < 3; k++) {
+        this._yTable[i * stride + k] = this._positions[j * 3 + k]
+        if (this._inputOrder === 1)
+          this._yTable[i * stride + 3 + k] = this._velocities[j * 3 + k]
+      }
+    }
+
+    return HermitePolynomialApproximation.interpolate(delta, this._xTable, this._yTable, 3, this._inputOrder, 1, this._result)
+  }
+
+  /**
+   * Index of the first state of the interpolation window centered on `delta`.
+   * @param {number} delta - Seconds from the first state.
+   * @returns {number}
+   * @private
+   */
+  _windowStart(delta) {
+    let lo = 0
+    let hi = this._times.length - 1
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1
+      if (this._times[mid] <= delta) lo = mid
+      else hi = mid
+    }
+    const start = lo - Math.floor((this._windowSize - 1) / 2)
+    return Math.max(0, Math.min(start, this._times.length - this._windowSize))
   }
 }
 
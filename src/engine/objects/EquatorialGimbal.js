@@ -0,0 +1,150 @@
+import Gimbal from './Gimbal.js';
+import { Cartesian3, Math as CMath } from 'cesium';
+
+const POLE_TOLERANCE = 1e-9
+
+function normalizeHourAngleDeg(haDeg) {
+  let wrapped = (Number(haDeg) + 180.0) % 360.0
+  if (wrapped < 0) wrapped += 360.0
+  return wrapped - 180.0
+}
+
+/**
+ * Represents an equatorial (HA/Dec) telescope mount on a ground site.
+ *
+ * The primary `ha` axis is parallel to the Earth's rotation axis and the
+ * secondary `dec` axis rides on it, so a sidereal track turns only the `ha`
+ * axis at the sidereal rate while `dec` stays fixed. Hour angle is measured
+ * westward from the local meridian in [-180, 180) and declination from the
+ * celestial equator. Slews do not wrap through the lower meridian (±180° HA),
+ * and at the celestial poles, where the hour angle is undefined, the mount
+ * keeps its current `ha`.
+ *
+ * The parent must be an {@link EarthGroundStation}; its latitude aligns the
+ * polar axis. Sensor fields of regard on this mount are still expressed in the
+ * site's South-East-Zenith azimuth and elevation.
+ * @extends Gimbal
+ */
+class EquatorialGimbal extends Gimbal {
+  /**
+   * Creates an instance of EquatorialGimbal.
+   * @param {string} [name='EquatorialGimbal'] - The name of the EquatorialGimbal object.
+   */
+  constructor(name='EquatorialGimbal') {
+    super(name)
+    this.ha = 0.0
+    this.dec = 90.0
+  }
+
+  /**
+   * Gets the names of the mount axes.
+   * @returns {Array<string>}
+   * @override
+   */
+  get axisNames() {
+    return ['ha', 'dec']
+  }
+
+  /**
+   * Gets the park position, pointing at the celestial pole.
+   * @returns {Object<string, number>}
+   * @override
+   */
+  get restAxes() {
+    return { ha: 0.0, dec: 90.0 }
+  }
+
+  /**
+   * Gets the options used to command an axis target; `ha` targets wrap to
+   * [-180, 180).
+   * @param {string} axisName
+   * @returns {Object|undefined}
+   * @override
+   */
+  getAxisTargetOptions(axisName) {
+    return String(axisName).toLowerCase() === 'ha' ? { normalizeTargetDeg: normalizeHourAngleDeg } : undefined
+  }
+
+  /**
+   * Gets the latitude of the site aligning the polar axis in degrees.
+   * @returns {number}
+   */
+  get latitude() {
+    const latitude = Number(this.parent?.latitude)
+    return Number.isFinite(latitude) ? latitude : 90.0
+  }
+
+  /**
+   * Updates the EquatorialGimbal object's orientation based on the current time and universe.
+   * @param {JulianDate} time - The current time.
+   * @param {Universe} universe - The universe object.
+   * @override
+   */
+  _update(time, universe) {
+    let targetHa = this.getAxisTarget('ha')
+    let targetDec = this.getAxisTarget('dec')
+    if (!Number.isFinite(targetHa)) targetHa = this.ha
+    if (!Number.isFinite(targetDec)) targetDec = this.dec
+
+    const localVector = this._trackToLocalVector(time, universe)
+    if (localVector !== null) {
+      let ha
+      [ha, targetDec, this._range] = this.toHaDec(localVector)
+      if (Number.isFinite(ha)) targetHa = ha
+    }
+
+    const dtSec = this._consumeSlewDeltaTime(time)
+    this.ha = this._slewAxis('ha', this.ha, targetHa, dtSec, {
+      computeErrorDeg: (targetDeg, currentDeg) => targetDeg - currentDeg,
+      normalizeTargetDeg: normalizeHourAngleDeg
+    })
+    this.dec = this._slewAxis('dec', this.dec, targetDec, dtSec, {
+      computeErrorDeg: (targetDeg, currentDeg) => targetDeg - currentDeg
+    })
+
+    this._orientAxes()
+  }
+
+  /**
+   * Converts a vector in the South-East-Zenith site frame to the mount's hour
+   * angle, declination and range.
+   * @param {Cartesian3} localVector - Vector in the site frame.
+   * @returns {Array<number>} `[ha, dec, range]` in degrees and the vector's
+   *   units; `ha` is NaN along the polar axis.
+   */
+  toHaDec(localVector) {
+    const phi = this.latitude * CMath.RADIANS_PER_DEGREE
+    const north = -localVector.x
+    const west = -localVector.y
+    const up = localVector.z
+    const range = Cartesian3.magnitude(localVector)
+    if (range === 0) return [NaN, 0.0, 0.0]
+
+    const polar = Math.cos(phi) * north + Math.sin(phi) * up
+    const meridian = -Math.sin(phi) * north + Math.cos(phi) * up
+    const equatorial = Math.hypot(meridian, west)
+    const dec = Math.atan2(polar, equatorial) * CMath.DEGREES_PER_RADIAN
+    const ha = equatorial / range < POLE_TOLERANCE
+      ? NaN
+      : Math.atan2(west, meridian) * CMath.DEGREES_PER_RADIAN
+    return [ha, dec, range]
+  }
+
+  /**
+   * Sets the transform from the current `ha` and `dec` axis angles.
+   * @protected
+   */
+  _orientAxes() {
+    // tilt the azimuth axis of an alt-az reference onto the celestial pole
+    this.reset()
+    this.rotateY(-(CMath.PI_OVER_TWO - this.latitude * CMath.RADIANS_PER_DEGREE))
+    this.rotateY(CMath.PI_OVER_TWO)
+    this.rotateZ(CMath.PI_OVER_TWO)
+
+    // move gimbals to position, hour angle 0 is the upper meridian
+    this.rotateY(-(this.ha + 180.0) * CMath.RADIANS_PER_DEGREE)
+    this.rotateX(this.dec * CMath.RADIANS_PER_DEGREE)
+  }
+}
+
+export default EquatorialGimbal;
@@ -18,6 +18,24 @@ class FastSteeringMirror extends Gimbal {
     this.tilt = 0.0
   }
 
+  /**
+   * Gets the names of the mirror axes.
+   * @returns {Array<string>}
+   * @override
+   */
+  get axisNames() {
+    return ['tip', 'tilt']
+  }
+
+  /**
+   * Gets the neutral mirror position.
+   * @returns {Object<string, number>}
+   * @override
+   */
+  get restAxes() {
+    return { tip: 0.0, tilt: 0.0 }
+  }
+
   /**
    * Update the mirror steering transform.
    *
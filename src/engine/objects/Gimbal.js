@@ -1,6 +1,7 @@
 import { Cartesian3, JulianDate, defined } from "cesium";
 import SimObject from "./SimObject.js";
 import { normalizeAxisSlewConfig, stepSlewAxis } from "../dynamics/slew.js";
+import { cartesianToRaDec, raDecToCartesian } from "../dynamics/gimbal.js";
 
 const DEFAULT_IDLE_RANGE_METERS = 45000000.0
 
@@ -24,6 +25,7 @@ class Gimbal extends SimObject {
     this._axisSlewConfigs = new Map();
     this._axisSlewState = new Map();
     this._lastSlewUpdate = undefined;
+    this._stateDirty = true;
   }
 
   /**
@@ -58,6 +60,33 @@ class Gimbal extends SimObject {
     }
   }
 
+  /**
+   * Gets the names of the mount axes commanded by `setGimbalAxes` and
+   * `stepGimbalAxes`.
+   * @returns {Array<string>}
+   */
+  get axisNames() {
+    return []
+  }
+
+  /**
+   * Gets the park position of the mount axes in degrees.
+   * @returns {Object<string, number>}
+   */
+  get restAxes() {
+    return {}
+  }
+
+  /**
+   * Gets the options used to command an axis target, e.g. how a target
+   * wraps. See {@link Gimbal#setAxisTarget}.
+   * @param {string} axisName
+   * @returns {Object|undefined}
+   */
+  getAxisTargetOptions(axisName) { // eslint-disable-line no-unused-vars
+    return undefined
+  }
+
   /**
    * Gets the track mode of the Gimbal object.
    * @returns {string} - The track mode of the Gimbal object.
@@ -72,6 +101,7 @@ class Gimbal extends SimObject {
    */
   set trackMode(value) {
     this._trackMode = value;
+    this._stateDirty = true;
   }
 
   /**
@@ -93,6 +123,50 @@ class Gimbal extends SimObject {
     }
 
     this._trackObject = value;
+    this._stateDirty = true;
+  }
+
+  /**
+   * Gets the inertial pointing followed in 'sidereal' track mode.
+   * @returns {{ra: number, dec: number}|null} - Right ascension and declination in degrees, or null.
+   */
+  get sidereal() {
+    return this._sidereal === null ? null : { ...this._sidereal };
+  }
+
+  /**
+   * Sets the inertial pointing followed in 'sidereal' track mode. The mount
+   * keeps the boresight on this fixed right ascension and declination as the
+   * Earth or the host rotates, e.g. to stare at a star field.
+   * @param {{ra: number, dec: number}|null} value - Right ascension and declination in degrees, or null to clear.
+   */
+  set sidereal(value) {
+    if (!defined(value)) {
+      this._sidereal = null;
+      this._stateDirty = true;
+      return;
+    }
+
+    const ra = Number(value.ra);
+    const dec = Number(value.dec);
+    if (!Number.isFinite(ra) || !Number.isFinite(dec) || Math.abs(dec) > 90) {
+      console.warn('Gimbal.sidereal requires a finite ra and a dec between -90 and 90 degrees.');
+      return;
+    }
+
+    this._sidereal = { ra: ((ra % 360) + 360) % 360, dec };
+    this._stateDirty = true;
+  }
+
+  /**
+   * Gets the topocentric right ascension and declination of the boresight
+   * (local -Z axis) in the inertial frame.
+   * @returns {{ra: number, dec: number}} - Right ascension and declination in degrees.
+   */
+  get raDec() {
+    const boresight = this.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3());
+    const [ra, dec] = cartesianToRaDec(boresight);
+    return { ra, dec };
   }
 
   /**
@@ -110,6 +184,7 @@ class Gimbal extends SimObject {
     this._axisSlewConfigs.clear()
     this._axisSlewState.clear()
     this._lastSlewUpdate = undefined
+    this._stateDirty = true
 
     if (!defined(ratesByAxis) || typeof ratesByAxis !== 'object' || Array.isArray(ratesByAxis)) {
       return
@@ -157,6 +232,7 @@ class Gimbal extends SimObject {
     state.targetDeg = normalizeTargetDeg(target)
     if (!Number.isFinite(state.rateDegPerSec)) state.rateDegPerSec = 0
     this._axisSlewState.set(axis, state)
+    this._stateDirty = true
   }
 
   /**
@@ -184,6 +260,7 @@ class Gimbal extends SimObject {
     state.targetDeg = normalizeTargetDeg(base + delta)
     if (!Number.isFinite(state.rateDegPerSec)) state.rateDegPerSec = 0
     this._axisSlewState.set(axis, state)
+    this._stateDirty = true
   }
 
   /**
@@ -203,6 +280,7 @@ class Gimbal extends SimObject {
    * @param {boolean} [syncToCurrent=false] - If true, preserve targets at current axis values.
    */
   clearAxisTargets(syncToCurrent = false) {
+    this._stateDirty = true
     if (!syncToCurrent) {
       this._axisSlewState.clear()
       this._lastSlewUpdate = undefined
@@ -225,14 +303,38 @@ class Gimbal extends SimObject {
     this._lastSlewUpdate = undefined
   }
 
+  /**
+   * Mark the gimbal for re-evaluation on its next update, even if the time has
+   * not changed. Setters and axis commands do this automatically; call it
+   * after assigning axis values directly.
+   */
+  invalidate() {
+    this._stateDirty = true
+  }
+
   /**
    * Updates the Gimbal object.
+   *
+   * Like other objects the gimbal is evaluated once per time, unless its
+   * pointing was commanded since the last update, which lets it move while the
+   * clock is paused.
+   *
    * @param {JulianDate} time - The current time.
    * @param {Universe} universe - The universe object.
+   * @param {boolean} [forceUpdate=false] - Whether to force an update.
+   * @param {boolean} [updateParent=true] - Whether to update the parent object.
    * @override
    */
-  update(time, universe) {
-    super.update(time, universe, true, true) // always force update for now since gimbal can moved when time stops
+  update(time, universe, forceUpdate = false, updateParent = true) {
+    if (this._stateDirty && !forceUpdate) {
+      if (updateParent && defined(this.parent)) {
+        this.parent.update(time, universe, false, true)
+      }
+      forceUpdate = true
+      updateParent = false
+    }
+    this._stateDirty = false
+    super.update(time, universe, forceUpdate, updateParent)
   }
 
   /**
@@ -247,8 +349,10 @@ class Gimbal extends SimObject {
     if (defined(this._trackObject) && this._trackMode === 'rate') {
       this._trackObject.update(time, universe);
       localVector = this._trackObject.transformPointTo(this.parent, Cartesian3.ZERO, localVector);
-    } else if (this._trackMode === 'sidereal') {
-      console.log('sidereal not implemented');
+    } else if (defined(this._sidereal) && this._trackMode === 'sidereal') {
+      raDecToCartesian(this._sidereal.ra, this._sidereal.dec, localVector);
+      this.parent.transformVectorFromWorld(localVector, localVector);
+      Cartesian3.multiplyByScalar(localVector, this._maxRange, localVector);
     } else {
       return null; // fixed mode, do nothing
     }
@@ -1,4 +1,4 @@
-import { JulianDate } from 'cesium'
+import { HermitePolynomialApproximation, JulianDate, ReferenceFrame } from 'cesium'
 import { lagrange } from '../dynamics/lagrange.js'
 import SimObject from './SimObject.js'
 import Universe from '../Universe.js'
@@ -17,8 +17,84 @@ class LagrangeInterpolatedObject extends SimObject {
     this._object = object
     this._times = []
     this._positions = []
-    this._interval = (this.period / 60.0) ?? 100
+    this._interval = Number.isFinite(this.period) ? this.period / 60.0 : 100
     this._epoch = new JulianDate()
+    this._velocityStale = false
+    this._derivative = []
+    super.orientation = object.orientation
+  }
+
+  /**
+   * The wrapped object being interpolated.
+   * @type {SimObject}
+   */
+  get object() {
+    return this._object
+  }
+
+  /**
+   * The wrapped object's tags.
+   * @type {Set<string>}
+   */
+  get tags() {
+    return this._object.tags
+  }
+
+  set tags(value) {
+    this._object.tags = value
+  }
+
+  /**
+   * The wrapped object's metadata.
+   * @type {Object<string, *>}
+   */
+  get metadata() {
+    return this._object.metadata
+  }
+
+  set metadata(value) {
+    this._object.metadata = value
+  }
+
+  /**
+   * The wrapped object's attitude law. The law is evaluated on the
+   * interpolated state.
+   * @type {string|Object|Array<Object>|undefined}
+   */
+  get orientation() {
+    return this._object.orientation
+  }
+
+  set orientation(value) {
+    this._object.orientation = value
+    super.orientation = value
+  }
+
+  /**
+   * The velocity of the interpolation polynomial at the last update,
+   * evaluated on first access.
+   * @type {Cartesian3}
+   * @readonly
+   */
+  get velocity() {
+    if (this._velocityStale) {
+      const delta = JulianDate.secondsDifference(this._lastUpdate, this._epoch)
+      HermitePolynomialApproximation.interpolate(delta, this._times, this._positions, 3, 0, 1, this._derivative)
+      this._velocity.x = this._derivative[3]
+      this._velocity.y = this._derivative[4]
+      this._velocity.z = this._derivative[5]
+      this._velocityStale = false
+    }
+    return this._velocity
+  }
+
+  /**
+   * The world velocity (ECI) of the interpolation polynomial.
+   * @type {Cartesian3|undefined}
+   * @readonly
+   */
+  get worldVelocity() {
+    return this.referenceFrame === ReferenceFrame.INERTIAL ? this.velocity : undefined
   }
 
   /**
@@ -37,6 +113,46 @@ class LagrangeInterpolatedObject extends SimObject {
     return this._object.eccentricity
   }
 
+  /**
+   * The osculating orbital elements of the wrapped object at the last update.
+   * Only positions are interpolated, so the wrapped object is evaluated at
+   * that time.
+   * @type {Object|undefined}
+   */
+  get orbitalElements() {
+    this._object.update(this.time, this._lastUniverse)
+    return this._object.orbitalElements
+  }
+
+  /**
+   * Discard the cached interpolation points, e.g. after the wrapped object's
+   * trajectory changes, so they are regenerated on the next update.
+   */
+  invalidate() {
+    this._times.length = 0
+    this._positions.length = 0
+    this._interval = Number.isFinite(this.period) ? this.period / 60.0 : 100
+  }
+
+  /**
+   * Capture the wrapped object's state.
+   * @returns {Object|undefined} Opaque state for {@link LagrangeInterpolatedObject#restoreState}.
+   * @override
+   */
+  captureState() {
+    return this._object.captureState()
+  }
+
+  /**
+   * Restore the wrapped object's state and discard the cached interpolation points.
+   * @param {Object} state - The captured state.
+   * @override
+   */
+  restoreState(state) {
+    this._object.restoreState(state)
+    this.invalidate()
+  }
+
   /**
    * Update the object's position.
    * @param {JulianDate} time - The time to update the position for.
@@ -51,6 +167,7 @@ class LagrangeInterpolatedObject extends SimObject {
     }
 
     lagrange(this._times, this._positions, this._epoch, time, f, this._position, this._interval)
+    this._velocityStale = true
   }
 }
 
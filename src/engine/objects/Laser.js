@@ -1,8 +1,10 @@
 import { Cartesian3, JulianDate } from 'cesium'
 import ElectroOpicalSensor from './ElectroOpticalSensor.js'
-import { booleanOr, numberOr } from '../utils.js'
+import { booleanOr, numberOr, resolveCollisionRadius } from '../utils.js'
 
 const _scratchTargetLocal = new Cartesian3()
+const _scratchBeamOrigin = new Cartesian3()
+const _scratchBeamDirection = new Cartesian3()
 
 /**
  * Laser payload with EO-aligned pointing and beam-state metadata.
@@ -55,6 +57,10 @@ class Laser extends ElectroOpicalSensor {
   }
 
   /**
+   * Each trackable is brought to `time` before it is tested. When the
+   * universe maintains a spatial index only trackables near the beam are
+   * tested.
+   *
    * @param {JulianDate} time
    * @param {Object} universe
    * @override
@@ -76,8 +82,9 @@ class Laser extends ElectroOpicalSensor {
       return
     }
 
-    const trackables = Array.isArray(universe?.trackables)
-      ? universe.trackables
+    const index = typeof universe?.getSpatialIndex === 'function' ? universe.getSpatialIndex() : undefined
+    const trackables = index !== undefined
+      ? queryBeamCandidates(index, gimbal, maxRange)
       : Array.isArray(universe?.trackables)
         ? universe.trackables
         : []
@@ -117,15 +124,21 @@ class Laser extends ElectroOpicalSensor {
   }
 }
 
-function resolveCollisionRadius(target) {
-  const radius = Number(
-    target?.collisionRadius ??
-    target?.collision_radius_m ??
-    target?.collisionRadiusM ??
-    target?.collision_radius ??
-    target?.collisionRadiusMeters
-  )
-  return (Number.isFinite(radius) && radius > 0) ? radius : undefined
+/**
+ * Broad phase for beam collisions: trackables whose collision sphere may touch
+ * the beam segment from the mount origin along its -Z boresight.
+ *
+ * @param {import('../geometry/SpatialIndex.js').default} index - World-frame index of trackables.
+ * @param {SimObject} gimbal - Node the beam is mounted on.
+ * @param {number} maxRange - Beam length in meters.
+ * @returns {Array<SimObject>}
+ */
+function queryBeamCandidates(index, gimbal, maxRange) {
+  const origin = gimbal.transformPointToWorld(Cartesian3.ZERO, _scratchBeamOrigin)
+  const direction = gimbal.transformVectorToWorld(Cartesian3.UNIT_Z, _scratchBeamDirection)
+  Cartesian3.negate(direction, direction)
+  Cartesian3.normalize(direction, direction)
+  return index.queryRay(origin, direction, maxRange)
 }
 
 function resolveFirstSphereHitDistance(targetLocal, collisionRadius) {
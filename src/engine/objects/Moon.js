@@ -0,0 +1,71 @@
+import { Cartesian3, JulianDate, ReferenceFrame, Simon1994PlanetaryPositions } from 'cesium';
+import SimObject from './SimObject.js';
+
+/**
+ * Mean radius of the Moon in meters.
+ * @type {number}
+ */
+const MOON_RADIUS = 1737400.0;
+
+/**
+ * Geometric albedo used for the Moon's Lambertian brightness model.
+ * @type {number}
+ */
+const MOON_ALBEDO = 0.12;
+
+/**
+ * Half-width in seconds of the central difference used for the Moon velocity.
+ * @type {number}
+ */
+const VELOCITY_STEP_SECONDS = 30.0;
+
+const _before = new JulianDate();
+const _after = new JulianDate();
+const _positionBefore = new Cartesian3();
+const _positionAfter = new Cartesian3();
+
+/**
+ * Represents the Moon object in the simulation.
+ *
+ * The position follows Cesium's Simon 1994 lunar theory in the Earth inertial
+ * frame and the velocity is a central difference of that position. The Moon
+ * carries a Lambertian sphere `model`, so {@link calculateTargetBrightness}
+ * reports its apparent magnitude, and can be tracked by gimbals like any
+ * other object.
+ * @extends SimObject
+ */
+class Moon extends SimObject {
+  constructor() {
+    super('Moon', ReferenceFrame.INERTIAL);
+    this.model = { mode: 'lambertianSphere', diameter: 2.0 * MOON_RADIUS, albedo: MOON_ALBEDO };
+  }
+
+  /**
+   * Gets the mean radius of the Moon in meters.
+   * @type {number}
+   * @readonly
+   */
+  get radius() {
+    return MOON_RADIUS;
+  }
+
+  /**
+   * Updates the Moon's position and velocity for the current time.
+   * @param {JulianDate} time - The current time in Julian Date format.
+   * @param {Universe} universe - The universe object containing information about the simulation.
+   * @override
+   */
+  _update(time, universe) {
+    Simon1994PlanetaryPositions.computeMoonPositionInEarthInertialFrame(time, this._position);
+
+    JulianDate.addSeconds(time, -VELOCITY_STEP_SECONDS, _before);
+    JulianDate.addSeconds(time, VELOCITY_STEP_SECONDS, _after);
+    Simon1994PlanetaryPositions.computeMoonPositionInEarthInertialFrame(_before, _positionBefore);
+    Simon1994PlanetaryPositions.computeMoonPositionInEarthInertialFrame(_after, _positionAfter);
+    Cartesian3.subtract(_positionAfter, _positionBefore, this._velocity);
+    Cartesian3.divideByScalar(this._velocity, 2.0 * VELOCITY_STEP_SECONDS, this._velocity);
+  }
+}
+
+export { MOON_RADIUS };
+export default Moon;
@@ -0,0 +1,327 @@
+import { Cartesian3, JulianDate, Matrix3, ReferenceFrame, Simon1994PlanetaryPositions, Transforms, defined } from 'cesium'
+import { Math as CMath } from 'cesium'
+import SimObject from './SimObject.js'
+import { rv2period, rv2ecc } from '../dynamics/twobody.js'
+import { dormandPrince } from '../dynamics/integrator.js'
+import { exponentialDensity, harrisPriesterDensity } from '../dynamics/atmosphere.js'
+import {
+  MOON_GRAVITATIONAL_PARAMETER,
+  SUN_GRAVITATIONAL_PARAMETER,
+  approximateAltitude,
+  dragAcceleration,
+  solarRadiationAcceleration,
+  thirdBodyAcceleration,
+  zonalAcceleration
+} from '../dynamics/perturbations.js'
+import { ShadowState, getPositionShadowState } from '../geometry/shadow.js'
+
+const K = CMath.GRAVITATIONALPARAMETER
+
+const DEFAULT_NODE_INTERVAL = 60
+const DEFAULT_MAX_STEP = 300
+const DEFAULT_MASS = 100
+const DEFAULT_AREA = 1
+const DEFAULT_DRAG_COEFFICIENT = 2.2
+const DEFAULT_REFLECTIVITY_COEFFICIENT = 1.5
+const ILLUMINATION = {
+  [ShadowState.SUNLIT]: 1,
+  [ShadowState.PENUMBRA]: 0.5,
+  [ShadowState.UMBRA]: 0
+}
+
+const _time = new JulianDate()
+const _position = new Cartesian3()
+const _velocity = new Cartesian3()
+const _acceleration = new Cartesian3()
+const _term = new Cartesian3()
+const _sun = new Cartesian3()
+const _moon = new Cartesian3()
+const _icrfToFixed = new Matrix3()
+
+function positiveOr(value, fallback) {
+  const number = Number(value)
+  return Number.isFinite(number) && number > 0 ? number : fallback
+}
+
+function normalizeAtmosphereModel(value) {
+  const model = String(value ?? 'exponential').toLowerCase().replace(/[-_\s]/g, '')
+  if (model === 'exponential' || model === 'harrispriester') return model
+  throw new Error(`NumericalSatellite: unknown atmosphere model '${value}'`)
+}
+
+/**
+ * Normalize a force model configuration, filling in defaults.
+ *
+ * @param {Object} [input]
+ * @returns {Object} The normalized force model.
+ * @throws {Error} If the atmosphere model or a third body is unknown.
+ */
+export function normalizeForceModel(input = {}) {
+  const mass = positiveOr(input.mass, DEFAULT_MASS)
+  const area = positiveOr(input.area, DEFAULT_AREA)
+  const degree = Math.max(0, Math.min(6, Math.trunc(Number(input.degree ?? input.zonal ?? 2)) || 0))
+
+  let drag
+  if (input.drag) {
+    const config = typeof input.drag === 'object' ? input.drag : {}
+    drag = {
+      model: normalizeAtmosphereModel(config.model),
+      cd: positiveOr(config.cd, DEFAULT_DRAG_COEFFICIENT),
+      area: positiveOr(config.area, area),
+      mass: positiveOr(config.mass, mass)
+    }
+  }
+
+  let srp
+  if (input.srp) {
+    const config = typeof input.srp === 'object' ? input.srp : {}
+    srp = {
+      cr: positiveOr(config.cr, DEFAULT_REFLECTIVITY_COEFFICIENT),
+      area: positiveOr(config.area, area),
+      mass: positiveOr(config.mass, mass),
+      shadow: config.shadow !== false
+    }
+  }
+
+  const thirdBodyInput = input.thirdBody === true ? ['sun', 'moon'] : (input.thirdBody || [])
+  const thirdBody = (Array.isArray(thirdBodyInput) ? thirdBodyInput : [thirdBodyInput]).map((body) => {
+    const name = String(body).toLowerCase()
+    if (name !== 'sun' && name !== 'moon') throw new Error(`NumericalSatellite: unknown third body '${body}'`)
+    return name
+  })
+
+  const integrator = input.integrator ?? {}
+  return {
+    degree,
+    mass,
+    area,
+    ...(defined(drag) ? { drag } : {}),
+    ...(defined(srp) ? { srp } : {}),
+    thirdBody: [...new Set(thirdBody)],
+    integrator: {
+      ...(defined(integrator.relativeTolerance) ? { relativeTolerance: Number(integrator.relativeTolerance) } : {}),
+      ...(defined(integrator.absoluteTolerance) ? { absoluteTolerance: Number(integrator.absoluteTolerance) } : {}),
+      maxStep: positiveOr(integrator.maxStep, DEFAULT_MAX_STEP),
+      nodeInterval: positiveOr(integrator.nodeInterval, DEFAULT_NODE_INTERVAL)
+    }
+  }
+}
+
+/**
+ * Represents a satellite propagated by numerically integrating a configurable
+ * force model: two-body gravity, zonal harmonics J2-J6, atmospheric drag
+ * (exponential or Harris-Priester density), solar radiation pressure with
+ * Earth shadow, and solar/lunar third-body gravity.
+ *
+ * The trajectory is integrated with an adaptive Dormand-Prince 5(4) scheme
+ * through nodes spaced `integrator.nodeInterval` seconds from the epoch, and
+ * each update integrates from the nearest node, so the state at a time does
+ * not depend on the order in which times are requested.
+ *
+ * @extends SimObject
+ */
+class NumericalSatellite extends SimObject {
+  /**
+   * Creates a new NumericalSatellite object.
+   * @param {Cartesian3} position - The initial inertial position of the satellite in meters.
+   * @param {Cartesian3} velocity - The initial inertial velocity of the satellite in meters per second.
+   * @param {JulianDate} time - The initial time of the satellite.
+   * @param {Object} [forceModel] - The force model.
+   * @param {number} [forceModel.degree=2] - Highest zonal harmonic degree (2-6); 0 or 1 for point-mass gravity.
+   * @param {number} [forceModel.mass=100] - Mass in kilograms, shared by drag and SRP.
+   * @param {number} [forceModel.area=1] - Cross-sectional area in square meters, shared by drag and SRP.
+   * @param {boolean|Object} [forceModel.drag] - Drag settings `{ model: 'exponential'|'harrisPriester', cd, area, mass }`.
+   * @param {boolean|Object} [forceModel.srp] - Solar radiation pressure settings `{ cr, area, mass, shadow }`.
+   * @param {boolean|Array<string>} [forceModel.thirdBody] - Third bodies, any of 'sun' and 'moon'; `true` for both.
+   * @param {Object} [forceModel.integrator] - `{ relativeTolerance, absoluteTolerance, maxStep, nodeInterval }`.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
+   * @param {string} name - The name of the satellite.
+   */
+  constructor(position, velocity, time, forceModel = {}, orientation, name = 'NumericalSatellite') {
+    super(name, ReferenceFrame.INERTIAL)
+    this._forceModel = normalizeForceModel(forceModel)
+    this._setEpoch({
+      position: Cartesian3.clone(position),
+      velocity: Cartesian3.clone(velocity),
+      time: JulianDate.clone(time)
+    })
+    this.orientation = orientation
+  }
+
+  /**
+   * The normalized force model.
+   * @type {Object}
+   * @readonly
+   */
+  get forceModel() {
+    return this._forceModel
+  }
+
+  /**
+   * Applies an impulsive delta-v at the given time and re-epochs the orbit
+   * there, so later updates propagate the maneuvered state.
+   * @param {JulianDate} time - The time of the maneuver.
+   * @param {Cartesian3} deltaV - The delta-v in the inertial frame, in meters per second.
+   */
+  applyImpulse(time, deltaV) {
+    const y = this._stateAt(JulianDate.secondsDifference(time, this._epoch.time))
+    this._setEpoch({
+      position: new Cartesian3(y[0], y[1], y[2]),
+      velocity: new Cartesian3(y[3] + deltaV.x, y[4] + deltaV.y, y[5] + deltaV.z),
+      time: JulianDate.clone(time)
+    })
+  }
+
+  /**
+   * Captures the propagation epoch and the integrated nodes.
+   *
+   * @returns {Object} Opaque state for {@link NumericalSatellite#restoreState}.
+   * @override
+   */
+  captureState() {
+    return { epoch: this._epoch, nodes: this._nodes }
+  }
+
+  /**
+   * Restores state captured by {@link NumericalSatellite#captureState}.
+   *
+   * @param {Object} state - The captured state.
+   * @override
+   */
+  restoreState(state) {
+    this._setEpoch(state.epoch, state.nodes)
+  }
+
+  /**
+   * Replaces the epoch state, discarding nodes integrated from the old one.
+   * Epochs are never mutated, so captured states can share them.
+   * @param {{position: Cartesian3, velocity: Cartesian3, time: JulianDate}} epoch
+   * @param {{forward: Array<Array<number>>, backward: Array<Array<number>>}} [nodes]
+   * @private
+   */
+  _setEpoch(epoch, nodes) {
+    this._epoch = epoch
+    const y0 = [epoch.position.x, epoch.position.y, epoch.position.z, epoch.velocity.x, epoch.velocity.y, epoch.velocity.z]
+    this._nodes = nodes ?? { forward: [y0], backward: [y0] }
+    this._period = rv2period(K, epoch.position, epoch.velocity)
+    this._eccentricity = rv2ecc(K, epoch.position, epoch.velocity)
+  }
+
+  /**
+   * Integrated state `[x, y, z, vx, vy, vz]` at seconds from the epoch.
+   * @param {number} seconds
+   * @returns {Array<number>}
+   * @private
+   */
+  _stateAt(seconds) {
+    const interval = this._forceModel.integrator.nodeInterval
+    const index = Math.trunc(seconds / interval)
+    const direction = index < 0 || (index === 0 && seconds < 0) ? -1 : 1
+    const nodes = direction > 0 ? this._nodes.forward : this._nodes.backward
+    const count = Math.abs(index)
+    while (nodes.length <= count) {
+      const k = nodes.length - 1
+      nodes.push(this._integrate(direction * k * interval, nodes[k], direction * (k + 1) * interval))
+    }
+    return this._integrate(direction * count * interval, nodes[count], seconds)
+  }
+
+  /**
+   * Integrate the state from `t0` to `t1` seconds from the epoch.
+   * @param {number} t0
+   * @param {Array<number>} y0
+   * @param {number} t1
+   * @returns {Array<number>}
+   * @private
+   */
+  _integrate(t0, y0, t1) {
+    if (t0 === t1) return y0.slice()
+    // the pole moves by arcseconds per year; hold it per segment
+    JulianDate.addSeconds(this._epoch.time, t0, _time)
+    const pole = this._needsPole()
+      ? (defined(Transforms.computeIcrfToFixedMatrix(_time, _icrfToFixed))
+          ? Cartesian3.normalize(new Cartesian3(_icrfToFixed[2], _icrfToFixed[5], _icrfToFixed[8]), new Cartesian3())
+          : Cartesian3.UNIT_Z)
+      : Cartesian3.UNIT_Z
+    const { integrator } = this._forceModel
+    const { y } = dormandPrince((t, state) => this._derivative(t, state, pole), t0, y0, t1, {
+      relativeTolerance: integrator.relativeTolerance,
+      absoluteTolerance: integrator.absoluteTolerance,
+      maxStep: integrator.maxStep
+    })
+    return y
+  }
+
+  /**
+   * @returns {boolean} True if the force model depends on the Earth's pole.
+   * @private
+   */
+  _needsPole() {
+    return this._forceModel.degree >= 2 || defined(this._forceModel.drag)
+  }
+
+  /**
+   * State derivative at `t` seconds from the epoch.
+   * @param {number} t
+   * @param {Array<number>} y
+   * @param {Cartesian3} pole
+   * @returns {Array<number>}
+   * @private
+   */
+  _derivative(t, y, pole) {
+    const { degree, drag, srp, thirdBody } = this._forceModel
+    const r = Cartesian3.fromElements(y[0], y[1], y[2], _position)
+    const v = Cartesian3.fromElements(y[3], y[4], y[5], _velocity)
+    const rMag = Cartesian3.magnitude(r)
+    const a = Cartesian3.multiplyByScalar(r, -K / (rMag * rMag * rMag), _acceleration)
+
+    if (degree >= 2) {
+      Cartesian3.add(a, zonalAcceleration(r, degree, pole, _term), a)
+    }
+
+    const needsSun = defined(srp) || thirdBody.includes('sun') || drag?.model === 'harrispriester'
+    if (needsSun || thirdBody.includes('moon')) {
+      JulianDate.addSeconds(this._epoch.time, t, _time)
+    }
+    if (needsSun) {
+      Simon1994PlanetaryPositions.computeSunPositionInEarthInertialFrame(_time, _sun)
+    }
+
+    if (defined(drag)) {
+      const altitude = approximateAltitude(r, pole)
+      const density = drag.model === 'harrispriester'
+        ? harrisPriesterDensity(altitude, r, _sun)
+        : exponentialDensity(altitude)
+      Cartesian3.add(a, dragAcceleration(r, v, density, drag.cd * drag.area / drag.mass, pole, _term), a)
+    }
+    if (defined(srp)) {
+      const illumination = srp.shadow ? ILLUMINATION[getPositionShadowState(r, _sun)] : 1
+      if (illumination > 0) {
+        Cartesian3.add(a, solarRadiationAcceleration(r, _sun, srp.cr * srp.area / srp.mass, illumination, _term), a)
+      }
+    }
+    if (thirdBody.includes('sun')) {
+      Cartesian3.add(a, thirdBodyAcceleration(r, _sun, SUN_GRAVITATIONAL_PARAMETER, _term), a)
+    }
+    if (thirdBody.includes('moon')) {
+      Simon1994PlanetaryPositions.computeMoonPositionInEarthInertialFrame(_time, _moon)
+      Cartesian3.add(a, thirdBodyAcceleration(r, _moon, MOON_GRAVITATIONAL_PARAMETER, _term), a)
+    }
+
+    return [y[3], y[4], y[5], a.x, a.y, a.z]
+  }
+
+  /**
+   * Updates the position and velocity of the satellite at the given time.
+   * @param {JulianDate} time - The time to update the satellite to.
+   * @param {Universe} universe - The universe object.
+   * @override
+   */
+  _update(time, universe) {
+    const y = this._stateAt(JulianDate.secondsDifference(time, this._epoch.time))
+    Cartesian3.fromElements(y[0], y[1], y[2], this._position)
+    Cartesian3.fromElements(y[3], y[4], y[5], this._velocity)
+  }
+}
+
+export default NumericalSatellite
@@ -37,6 +37,13 @@ class Observatory {
         this._gimbal = gimbal;
         this._fsm = fsm;
         this.sensors = sensor;
+
+        /**
+         * Whether the site is a host vehicle (e.g. a satellite) that the
+         * observatory is mounted on, rather than a site it owns.
+         * @type {boolean}
+         */
+        this.hosted = false;
     }
 
     /**
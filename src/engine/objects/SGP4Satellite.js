@@ -11,16 +11,35 @@ class SGP4Satellite extends SimObject {
    * Creates a new SGP4Satellite object.
    * @param {string} tle1 - The first line of the TLE (Two-Line Element) set.
    * @param {string} tle2 - The second line of the TLE (Two-Line Element) set.
-   * @param {string} orientation - The orientation of the satellite.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
    * @param {string} name - The name of the satellite.
    */
   constructor(tle1, tle2, orientation, name='SGP4Satellite') {
     super(name, ReferenceFrame.INERTIAL)
+    this._tle1 = tle1
+    this._tle2 = tle2
     this._satrec = twoline2satrec(tle1, tle2)
     this._epoch = new JulianDate(this._satrec.jdsatepoch)
     this._period = CMath.TWO_PI / this._satrec.no * 60
     this._eccentricity = this._satrec.ecco
-    this.orientation = orientation //TODO
+    this.orientation = orientation
+    this.metadata.noradId = String(this._satrec.satnum ?? '').trim()
+  }
+
+  /**
+   * The first line of the TLE used to initialize this satellite.
+   * @type {string}
+   */
+  get tle1() {
+    return this._tle1
+  }
+
+  /**
+   * The second line of the TLE used to initialize this satellite.
+   * @type {string}
+   */
+  get tle2() {
+    return this._tle2
   }
 
   /**
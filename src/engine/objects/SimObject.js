@@ -1,5 +1,20 @@
-import { ReferenceFrame, Cartesian3, JulianDate, Matrix4, defined, Entity } from "cesium";
+import { ReferenceFrame, Cartesian3, JulianDate, Matrix3, Matrix4, defined, Entity, Math as CMath } from "cesium";
 import TransformGroup from "../graph/TransformGroup.js";
+import { rv2coe } from "../dynamics/twobody.js";
+import { compileAttitude, evaluateAttitude } from "../dynamics/attitude.js";
+
+const _scratchAttitude = new Matrix3();
+
+/**
+ * Normalize a tag list given as a string, an iterable of strings or nothing.
+ * @param {string|Iterable<string>|undefined} value
+ * @returns {Array<string>}
+ */
+function normalizeTags(value) {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') return [value];
+  return typeof value[Symbol.iterator] === 'function' ? Array.from(value) : [];
+}
 
 /**
  * A base class for all simulation objects.
@@ -25,9 +40,42 @@ class SimObject extends TransformGroup {
     this._lastUpdate = new JulianDate();
     this._lastUniverse = undefined;
     this._transformDirty = true;
+    this._updateCount = 0;
+
+    this._id = undefined;
+    this._tags = new Set();
+    this._metadata = {};
 
     this._visualizer = {};
     this._updateListeners = [];
+
+    this._orientation = undefined;
+    this._attitude = undefined;
+  }
+
+  /**
+   * The attitude law driving the object's rotation, as given: a mode name
+   * such as `'nadir'`, `'lvlh'`, `'sun'` or `'inertial'`, a mode object, or a
+   * profile segment list. See `compileAttitude` for the supported forms.
+   * `undefined` leaves the rotation to the object, as does an invalid
+   * specification, which is reported with a warning.
+   * @type {string|Object|Array<Object>|undefined}
+   */
+  get orientation() {
+    return this._orientation;
+  }
+
+  set orientation(value) {
+    this._orientation = value;
+    this._attitude = undefined;
+    this._transformDirty = true;
+    if (!defined(value))
+      return;
+    try {
+      this._attitude = compileAttitude(value);
+    } catch (err) {
+      console.warn(`${this._name}: ${err.message}, orientation ignored`);
+    }
   }
 
   /**
@@ -48,6 +96,36 @@ class SimObject extends TransformGroup {
     return this._period;
   }
 
+  /**
+   * The osculating orbital elements at the last update, computed from the
+   * inertial position and velocity. Angles are in radians and distances in
+   * meters; the semi-major axis is negative for hyperbolic orbits. Following
+   * `rv2coe`, circular orbits report the argument of latitude as the true
+   * anomaly and equatorial orbits the longitude of periapsis as the argument
+   * of periapsis. `undefined` for objects without an inertial velocity.
+   * @type {{semiMajorAxis: number, eccentricity: number, inclination: number, raan: number, argumentOfPeriapsis: number, trueAnomaly: number, semiLatusRectum: number}|undefined}
+   * @readonly
+   */
+  get orbitalElements() {
+    if (this._referenceFrame !== ReferenceFrame.INERTIAL)
+      return undefined;
+    const position = this._position;
+    const velocity = this._velocity;
+    if (Cartesian3.magnitude(position) === 0 || Cartesian3.magnitude(velocity) === 0)
+      return undefined;
+
+    const [p, ecc, inc, raan, argp, nu] = rv2coe(CMath.GRAVITATIONALPARAMETER, position, velocity);
+    return {
+      semiMajorAxis: ecc === 1 ? Infinity : p / (1 - ecc * ecc),
+      eccentricity: ecc,
+      inclination: inc,
+      raan,
+      argumentOfPeriapsis: argp,
+      trueAnomaly: nu,
+      semiLatusRectum: p
+    };
+  }
+
   /**
    * Sets the visualizer for the object.
    * @type {Entity}
@@ -110,6 +188,94 @@ class SimObject extends TransformGroup {
     return this._lastUpdate;
   }
 
+  /**
+   * Gets the number of times the object has been evaluated. Used to detect
+   * whether an update call recomputed the object or returned early.
+   * @type {number}
+   * @readonly
+   */
+  get updateCount() {
+    return this._updateCount;
+  }
+
+  /**
+   * Whether the object has no valid state at the last update, e.g. an
+   * ephemeris outside its coverage. Hidden objects are not drawn and are
+   * skipped by visibility queries.
+   * @type {boolean}
+   * @readonly
+   */
+  get hidden() {
+    return false;
+  }
+
+  /**
+   * Gets the unique identifier assigned when the object was added to a
+   * universe. Defaults to the object's name, with a `#n` suffix when the name
+   * is already taken, so ids are stable for a given load order.
+   * @type {string|undefined}
+   * @readonly
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Gets or sets the object's tags, e.g. orbit regime or owner.
+   * @type {Set<string>}
+   */
+  get tags() {
+    return this._tags;
+  }
+
+  set tags(value) {
+    this._tags = new Set();
+    this.addTag(...normalizeTags(value));
+  }
+
+  /**
+   * Gets or sets arbitrary metadata, e.g. `{ noradId: '25544', rcs: 'LARGE' }`.
+   * @type {Object<string, *>}
+   */
+  get metadata() {
+    return this._metadata;
+  }
+
+  set metadata(value) {
+    this._metadata = (value !== null && typeof value === 'object' && !Array.isArray(value)) ? { ...value } : {};
+  }
+
+  /**
+   * Adds one or more tags.
+   * @param {...string} tags - The tags to add.
+   * @returns {SimObject} This object.
+   */
+  addTag(...tags) {
+    tags.forEach(tag => {
+      const normalized = String(tag ?? '').trim();
+      if (normalized) this.tags.add(normalized);
+    });
+    return this;
+  }
+
+  /**
+   * Removes a tag.
+   * @param {string} tag - The tag to remove.
+   * @returns {boolean} True if the object had the tag.
+   */
+  removeTag(tag) {
+    return this.tags.delete(String(tag ?? '').trim());
+  }
+
+  /**
+   * Checks whether the object has a tag.
+   * @param {string} tag - The tag to check.
+   * @returns {boolean} True if the object has the tag.
+   */
+  hasTag(tag) {
+    return this.tags.has(String(tag ?? '').trim());
+  }
+
   /**
    * Gets the name of the object.
    * @type {string}
@@ -266,11 +432,29 @@ class SimObject extends TransformGroup {
     
     JulianDate.clone(time, this._lastUpdate);
     this._lastUniverse = universe;
+    this._updateCount++;
 
     // update any listeners
     this._updateListeners.forEach(ul => ul.update(time, universe));
   }
 
+  /**
+   * Captures state that events may change at runtime, such as a maneuvered
+   * trajectory, so the universe can roll it back when time moves backwards.
+   * Objects whose motion is fully defined at construction return `undefined`.
+   * @returns {Object|undefined} Opaque state for {@link SimObject#restoreState}.
+   */
+  captureState() {
+    return undefined;
+  }
+
+  /**
+   * Restores state captured by {@link SimObject#captureState}. Callers force
+   * the next update so derived state is recomputed.
+   * @param {Object} state - The captured state.
+   */
+  restoreState(state) {}
+
   /**
    * Updates the object's world to local and local to world transform matrices if they are dirty.
    * @private
@@ -280,6 +464,9 @@ class SimObject extends TransformGroup {
       if(defined(this.parent) && !this.parent._lastUpdate.equals(this._lastUpdate)) {
         this.parent.update(this._lastUpdate, this._lastUniverse, true, false);
       }
+      if(defined(this._attitude)) {
+        super.setRotation(evaluateAttitude(this._attitude, this, this._lastUpdate, this._lastUniverse, _scratchAttitude));
+      }
       this._localToWorldTransform = super.localToWorldTransform;
       Matrix4.inverseTransformation(this._localToWorldTransform, this._worldToLocalTransform);
       this._transformDirty = false;
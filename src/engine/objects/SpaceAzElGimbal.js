@@ -0,0 +1,58 @@
+import AzElGimbal from './AzElGimbal.js';
+import { spaceBasedToAzEl } from '../dynamics/gimbal.js';
+import { Math as CMath } from 'cesium';
+
+/**
+ * Represents an Azimuth-Elevation Gimbal mounted on a spacecraft.
+ *
+ * Angles are expressed in the body frame of the host (the gimbal's parent),
+ * which looks along body -Z like other payloads. Elevation is the angle from
+ * body -Z (0° is the host boresight, 90° the body XY-plane and 180° body +Z)
+ * and azimuth is measured from body -X toward body +Y, matching
+ * {@link spaceBasedToAzEl}. Sensor fields of regard on this mount use the same
+ * angles.
+ * @extends AzElGimbal
+ */
+class SpaceAzElGimbal extends AzElGimbal {
+  /**
+   * Creates an instance of SpaceAzElGimbal.
+   * @param {string} [name='SpaceAzElGimbal'] - The name of the SpaceAzElGimbal object.
+   */
+  constructor(name='SpaceAzElGimbal') {
+    super(name)
+    this.el = 0.0
+  }
+
+  /**
+   * Gets the park position, pointing along the host boresight.
+   * @returns {Object<string, number>}
+   * @override
+   */
+  get restAxes() {
+    return { az: 0.0, el: 0.0 }
+  }
+
+  /**
+   * Converts a vector in the host body frame to the mount's azimuth, elevation
+   * and range.
+   * @param {Cartesian3} localVector - Vector in the host body frame.
+   * @returns {Array<number>} `[az, el, range]` in degrees and the vector's units.
+   * @override
+   */
+  toAzEl(localVector) {
+    return spaceBasedToAzEl(localVector)
+  }
+
+  /**
+   * Sets the transform so the payload -Z axis points along `az` and `el`.
+   * @protected
+   * @override
+   */
+  _orientAxes() {
+    this.reset()
+    this.rotateZ(-this.az * CMath.RADIANS_PER_DEGREE)
+    this.rotateY(this.el * CMath.RADIANS_PER_DEGREE)
+  }
+}
+
+export default SpaceAzElGimbal;
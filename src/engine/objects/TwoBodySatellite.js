@@ -15,7 +15,7 @@ class TwoBodySatellite extends SimObject {
    * @param {Cartesian3} position - The initial position of the satellite in meters.
    * @param {Cartesian3} velocity - The initial velocity of the satellite in meters per second.
    * @param {JulianDate} time - The initial time of the satellite.
-   * @param {string} orientation - The orientation of the satellite.
+   * @param {string|Object|Array<Object>} orientation - The attitude law of the satellite, e.g. 'nadir'; see SimObject#orientation.
    * @param {string} name - The name of the satellite.
    */
   constructor(position, velocity, time, orientation, name='TwoBodySatellite') {
@@ -26,7 +26,62 @@ class TwoBodySatellite extends SimObject {
     this._epoch = { position, velocity, time }
     this._period = rv2period(K, position, velocity)
     this._eccentricity = rv2ecc(K, position, velocity)
-    this.orientation = orientation //TODO
+    this.orientation = orientation
+  }
+
+  /**
+   * Applies an impulsive delta-v at the given time and re-epochs the orbit
+   * there, so later updates propagate the maneuvered state.
+   * @param {JulianDate} time - The time of the maneuver.
+   * @param {Cartesian3} deltaV - The delta-v in the inertial frame, in meters per second.
+   */
+  applyImpulse(time, deltaV) {
+    const deltaSec = JulianDate.secondsDifference(time, this._epoch.time)
+    const rv = vallado(K, this._epoch.position, this._epoch.velocity, deltaSec, 350)
+    const position = Cartesian3.clone(rv.position)
+    const velocity = Cartesian3.add(rv.velocity, deltaV, new Cartesian3())
+    this._setEpoch({ position, velocity, time: JulianDate.clone(time) })
+  }
+
+  /**
+   * Captures the propagation epoch.
+   *
+   * @returns {Object} Opaque state for {@link TwoBodySatellite#restoreState}.
+   * @override
+   */
+  captureState() {
+    return {
+      epoch: {
+        position: Cartesian3.clone(this._epoch.position),
+        velocity: Cartesian3.clone(this._epoch.velocity),
+        time: JulianDate.clone(this._epoch.time),
+      },
+    }
+  }
+
+  /**
+   * Restores state captured by {@link TwoBodySatellite#captureState}.
+   *
+   * @param {Object} state - The captured state.
+   * @override
+   */
+  restoreState(state) {
+    this._setEpoch({
+      position: Cartesian3.clone(state.epoch.position),
+      velocity: Cartesian3.clone(state.epoch.velocity),
+      time: JulianDate.clone(state.epoch.time),
+    })
+  }
+
+  /**
+   * Replaces the epoch state and the orbit parameters derived from it.
+   * @param {{position: Cartesian3, velocity: Cartesian3, time: JulianDate}} epoch
+   * @private
+   */
+  _setEpoch(epoch) {
+    this._epoch = epoch
+    this._period = rv2period(K, epoch.position, epoch.velocity)
+    this._eccentricity = rv2ecc(K, epoch.position, epoch.velocity)
   }
 
   /**
@@ -0,0 +1,62 @@
+import { Math as CMath, defined } from 'cesium'
+import SimObject from './SimObject.js'
+
+/**
+ * Represents the base frame of a sensor mount carried by a vehicle, such as
+ * an {@link AirVehicle}.
+ *
+ * The mount is attached to the vehicle and rotates with its heading, and with
+ * its `pitch` and `roll` when the vehicle provides them. With level flight the
+ * frame matches a ground site's South-East-Zenith frame turned to the heading:
+ * -X points along the nose, +Y toward the right wing and +Z up. An
+ * {@link AzElGimbal} on the mount therefore measures azimuth clockwise from
+ * the nose and elevation above the vehicle's horizontal plane. Like a gimbal,
+ * the mount has no reference frame of its own and reports the vehicle's
+ * position.
+ * @extends SimObject
+ */
+class VehicleMount extends SimObject {
+  /**
+   * Creates a new VehicleMount object.
+   * @param {String} [name='VehicleMount'] - The name of the mount.
+   */
+  constructor(name='VehicleMount') {
+    super(name)
+  }
+
+  /**
+   * Gets the vehicle carrying the mount.
+   * @returns {SimObject|undefined} The parent vehicle.
+   */
+  get vehicle() {
+    return this.parent
+  }
+
+  /**
+   * Gets the ECI velocity of the mount, which is the vehicle's velocity.
+   */
+  get worldVelocity() {
+    return this.parent?.worldVelocity
+  }
+
+  /**
+   * Orients the mount from the vehicle's latitude, longitude and attitude.
+   * @param {JulianDate} time - The current simulation time.
+   * @param {Universe} universe - The universe in which the mount exists.
+   * @override
+   */
+  _update(time, universe) {
+    const vehicle = this.parent
+    const angle = (value) => (Number.isFinite(Number(value)) ? Number(value) * CMath.RADIANS_PER_DEGREE : 0.0)
+
+    this.reset()
+    if (!defined(vehicle)) return
+    this.rotateZ(angle(vehicle.longitude))
+    this.rotateY(CMath.PI_OVER_TWO - angle(vehicle.latitude))
+    this.rotateZ(-angle(vehicle.heading))
+    this.rotateY(angle(vehicle.pitch))
+    this.rotateX(-angle(vehicle.roll))
+  }
+}
+
+export default VehicleMount
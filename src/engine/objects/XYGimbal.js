@@ -0,0 +1,116 @@
+import Gimbal from './Gimbal.js';
+import { Cartesian3, Math as CMath } from 'cesium';
+
+const KEYHOLE_TOLERANCE = 1e-9
+
+/**
+ * Represents an X-Y mount on a ground site or a {@link VehicleMount}.
+ *
+ * The primary `x` axis is horizontal and points North-South; positive `x`
+ * tilts the boresight from the zenith toward the East. The secondary `y` axis
+ * rides on it and positive `y` tilts the boresight toward the North. Unlike an
+ * alt-az mount, an X-Y mount tracks smoothly through the zenith; its keyholes
+ * are at the North and South horizon, where `x` is undefined and the mount
+ * keeps its current `x`. On a vehicle mount, North is the vehicle's nose and
+ * East its right wing.
+ *
+ * Sensor fields of regard on this mount are still expressed in the site's
+ * azimuth and elevation.
+ * @extends Gimbal
+ */
+class XYGimbal extends Gimbal {
+  /**
+   * Creates an instance of XYGimbal.
+   * @param {string} [name='XYGimbal'] - The name of the XYGimbal object.
+   */
+  constructor(name='XYGimbal') {
+    super(name)
+    this.x = 0.0
+    this.y = 0.0
+  }
+
+  /**
+   * Gets the names of the mount axes.
+   * @returns {Array<string>}
+   * @override
+   */
+  get axisNames() {
+    return ['x', 'y']
+  }
+
+  /**
+   * Gets the park position, pointing at the zenith.
+   * @returns {Object<string, number>}
+   * @override
+   */
+  get restAxes() {
+    return { x: 0.0, y: 0.0 }
+  }
+
+  /**
+   * Updates the XYGimbal object's orientation based on the current time and universe.
+   * @param {JulianDate} time - The current time.
+   * @param {Universe} universe - The universe object.
+   * @override
+   */
+  _update(time, universe) {
+    let targetX = this.getAxisTarget('x')
+    let targetY = this.getAxisTarget('y')
+    if (!Number.isFinite(targetX)) targetX = this.x
+    if (!Number.isFinite(targetY)) targetY = this.y
+
+    const localVector = this._trackToLocalVector(time, universe)
+    if (localVector !== null) {
+      let x
+      [x, targetY, this._range] = this.toXY(localVector)
+      if (Number.isFinite(x)) targetX = x
+    }
+
+    const dtSec = this._consumeSlewDeltaTime(time)
+    this.x = this._slewAxis('x', this.x, targetX, dtSec, {
+      computeErrorDeg: (targetDeg, currentDeg) => targetDeg - currentDeg
+    })
+    this.y = this._slewAxis('y', this.y, targetY, dtSec, {
+      computeErrorDeg: (targetDeg, currentDeg) => targetDeg - currentDeg
+    })
+
+    this._orientAxes()
+  }
+
+  /**
+   * Converts a vector in the South-East-Zenith site frame to the mount's `x`
+   * and `y` angles and range.
+   * @param {Cartesian3} localVector - Vector in the site frame.
+   * @returns {Array<number>} `[x, y, range]` in degrees and the vector's
+   *   units; `x` is NaN at the North and South horizon.
+   */
+  toXY(localVector) {
+    const range = Cartesian3.magnitude(localVector)
+    if (range === 0) return [NaN, 0.0, 0.0]
+
+    const east = localVector.y
+    const up = localVector.z
+    const crossTrack = Math.hypot(east, up)
+    const y = Math.atan2(-localVector.x, crossTrack) * CMath.DEGREES_PER_RADIAN
+    const x = crossTrack / range < KEYHOLE_TOLERANCE
+      ? NaN
+      : Math.atan2(east, up) * CMath.DEGREES_PER_RADIAN
+    return [x, y, range]
+  }
+
+  /**
+   * Sets the transform from the current `x` and `y` axis angles.
+   * @protected
+   */
+  _orientAxes() {
+    // setup reference transform looking at the zenith
+    this.reset()
+    this.rotateX(CMath.PI)
+
+    // move gimbals to position
+    this.rotateX(-this.x * CMath.RADIANS_PER_DEGREE)
+    this.rotateY(this.y * CMath.RADIANS_PER_DEGREE)
+  }
+}
+
+export default XYGimbal;
@@ -1,3 +1,5 @@
+import { southEastZenithToAzEl } from '../dynamics/gimbal.js'
+
 /**
  * Return the concrete payload list for an observatory, preserving support for
  * both legacy single-sensor observatories and multi-payload observatories.
@@ -105,6 +107,31 @@ function normalizeObservatoryPayloadType(payloadType) {
   return normalized === 'laser' ? 'Laser' : 'ElectroOpticalSensor'
 }
 
+const GIMBAL_TYPE_ALIASES = {
+  azelgimbal: 'AzElGimbal',
+  azel: 'AzElGimbal',
+  altaz: 'AzElGimbal',
+  equatorialgimbal: 'EquatorialGimbal',
+  equatorial: 'EquatorialGimbal',
+  hadec: 'EquatorialGimbal',
+  xygimbal: 'XYGimbal',
+  xy: 'XYGimbal',
+  spaceazelgimbal: 'SpaceAzElGimbal'
+}
+
+/**
+ * Normalize a gimbal type name, ignoring case and separators, e.g. 'azEl',
+ * 'HA/Dec' or 'X-Y'.
+ *
+ * @param {string|undefined} gimbalType
+ * @returns {string|undefined} 'AzElGimbal', 'EquatorialGimbal', 'XYGimbal',
+ *   'SpaceAzElGimbal', or undefined for an unknown type.
+ */
+function normalizeGimbalType(gimbalType) {
+  const normalized = String(gimbalType ?? '').replace(/[\s_\-/]/g, '').toLowerCase()
+  return GIMBAL_TYPE_ALIASES[normalized]
+}
+
 /**
  * Generate a default payload name for an observatory payload slot.
  *
@@ -164,16 +191,23 @@ function normalizeObservatoryFsmConfig(input, observatoryName) {
  * Determine whether a single sensor can see an azimuth/elevation point based on
  * its field-of-regard definition.
  *
+ * When `moonAngle` is given, points closer to the Moon than the sensor's
+ * `lunar_exclusion_angle` are not visible.
+ *
  * @param {Object|undefined} sensor
  * @param {number} az
  * @param {number} el
+ * @param {number} [moonAngle] - Angle between the point and the Moon in degrees.
  * @returns {boolean}
  */
-function isSensorVisible(sensor, az, el) {
+function isSensorVisible(sensor, az, el, moonAngle = undefined) {
   const field_of_regard = sensor?.field_of_regard
   if (!Array.isArray(field_of_regard)) {
     return false
   }
+  if (moonAngle !== undefined && moonAngle < sensor.lunar_exclusion_angle) {
+    return false
+  }
   for (let i = 0; i < field_of_regard.length; i++) {
     const f = field_of_regard[i]
     if (az > f.clock[0] && az < f.clock[1] && el > f.elevation[0] && el < f.elevation[1]) {
@@ -183,14 +217,36 @@ function isSensorVisible(sensor, az, el) {
   return false
 }
 
+/**
+ * Convert a vector in an observatory's site frame to the azimuth, elevation
+ * and range used by its gimbal and payload fields of regard.
+ *
+ * Ground sites use South-East-Zenith angles; mounts on a host vehicle (for
+ * example {@link SpaceAzElGimbal}) supply their own convention through
+ * `gimbal.toAzEl`.
+ *
+ * @param {import('./Observatory.js').default|Object|undefined} observatory
+ * @param {Cartesian3} localVector - Vector in the site frame.
+ * @returns {Array<number>} `[az, el, range]`
+ */
+function observatoryLocalToAzEl(observatory, localVector) {
+  const gimbal = observatory?.gimbal
+  if (typeof gimbal?.toAzEl === 'function') {
+    return gimbal.toAzEl(localVector)
+  }
+  return southEastZenithToAzEl(localVector)
+}
+
 export {
   defaultObservatoryFsmName,
   defaultObservatorySensorName,
   getObservatorySensors,
   normalizeAxisSlewRateEntry,
   normalizeAxisSlewRates,
+  normalizeGimbalType,
   normalizeObservatoryFsmConfig,
   normalizeObservatoryPayloadType,
   normalizeSensorZoomConfig,
-  isSensorVisible
+  isSensorVisible,
+  observatoryLocalToAzEl
 }
@@ -0,0 +1,693 @@
+import { Cartesian3, JulianDate, defined } from 'cesium'
+import AirVehicle from './objects/AirVehicle.js'
+import EarthGroundStation from './objects/EarthGroundStation.js'
+import EphemerisObject from './objects/EphemerisObject.js'
+import EquatorialGimbal from './objects/EquatorialGimbal.js'
+import LagrangeInterpolatedObject from './objects/LagrangeInterpolatedObject.js'
+import SGP4Satellite from './objects/SGP4Satellite.js'
+import SpaceAzElGimbal from './objects/SpaceAzElGimbal.js'
+import TwoBodySatellite from './objects/TwoBodySatellite.js'
+import NumericalSatellite from './objects/NumericalSatellite.js'
+import VehicleMount from './objects/VehicleMount.js'
+import XYGimbal from './objects/XYGimbal.js'
+import Event from './event/Event.js'
+import ConditionEvent from './event/ConditionEvent.js'
+import { getObservatorySensors } from './objects/observatoryUtils.js'
+
+/**
+ * Version of the snapshot layout produced by {@link createUniverseSnapshot}.
+ * @type {number}
+ */
+const SNAPSHOT_VERSION = 1
+
+/**
+ * Format a JulianDate as a full-precision ISO 8601 string.
+ *
+ * @param {JulianDate|undefined} time
+ * @returns {string|undefined}
+ */
+function toIso(time) {
+  return time instanceof JulianDate ? JulianDate.toIso8601(time) : undefined
+}
+
+/**
+ * Parse an ISO 8601 string written by {@link toIso} without losing
+ * sub-millisecond precision.
+ *
+ * @param {string|undefined} value
+ * @returns {JulianDate|undefined}
+ */
+function fromIso(value) {
+  return typeof value === 'string' && value ? JulianDate.fromIso8601(value) : undefined
+}
+
+/**
+ * @param {Cartesian3} value
+ * @returns {Array<number>}
+ */
+function toVector(value) {
+  return [value.x, value.y, value.z]
+}
+
+/**
+ * @param {Array<number>} value
+ * @returns {Cartesian3}
+ */
+function fromVector(value) {
+  return Cartesian3.unpack(value, 0, new Cartesian3())
+}
+
+/**
+ * Deep-copy a JSON-compatible value. Values that cannot be serialized are
+ * returned unchanged.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneData(value) {
+  if (value === undefined) return undefined
+  try {
+    return JSON.parse(JSON.stringify(value))
+  } catch (_) {
+    return value
+  }
+}
+
+/**
+ * Serialize a public waypoint route, replacing JulianDates with ISO strings.
+ *
+ * @param {Object|undefined} route
+ * @returns {Object|undefined}
+ */
+function serializeWaypointRoute(route) {
+  if (!defined(route)) return undefined
+  return {
+    ...route,
+    startTime: toIso(route.startTime),
+    waypoints: route.waypoints.map((waypoint) => ({ ...waypoint, time: toIso(waypoint.time) }))
+  }
+}
+
+/**
+ * Inverse of {@link serializeWaypointRoute}.
+ *
+ * @param {Object} route
+ * @returns {Object}
+ */
+function deserializeWaypointRoute(route) {
+  return {
+    ...route,
+    startTime: fromIso(route.startTime),
+    waypoints: route.waypoints.map((waypoint) => ({ ...waypoint, time: fromIso(waypoint.time) }))
+  }
+}
+
+/**
+ * Describe an object's registry fields: its universe id, tags and metadata.
+ *
+ * @param {import('./objects/SimObject.js').default} object
+ * @returns {{id?: string, tags?: Array<string>, metadata?: Object}}
+ */
+function describeRegistryFields(object) {
+  const tags = object.tags instanceof Set ? Array.from(object.tags) : []
+  const metadata = object.metadata ?? {}
+  return {
+    ...(defined(object.id) ? { id: object.id } : {}),
+    ...(tags.length > 0 ? { tags } : {}),
+    ...(Object.keys(metadata).length > 0 ? { metadata: cloneData(metadata) } : {})
+  }
+}
+
+/**
+ * Apply fields written by {@link describeRegistryFields} to a restored object.
+ *
+ * @param {import('./Universe.js').default} universe
+ * @param {import('./objects/SimObject.js').default} object
+ * @param {Object} entry
+ */
+function applyRegistryFields(universe, object, entry) {
+  if (Array.isArray(entry.tags)) object.tags = entry.tags
+  if (defined(entry.metadata)) object.metadata = { ...object.metadata, ...cloneData(entry.metadata) }
+  if (defined(entry.id) && entry.id !== object.id && !defined(universe.getObjectById(entry.id))) {
+    universe.setObjectId(object, entry.id)
+  }
+}
+
+/**
+ * Capture slew targets and rates for every axis of a gimbal-like controller.
+ *
+ * @param {import('./objects/Gimbal.js').default} controller
+ * @returns {Object<string, {targetDeg:number, rateDegPerSec:number}>}
+ */
+function captureAxisSlewState(controller) {
+  const out = {}
+  controller._axisSlewState.forEach((state, axis) => {
+    out[axis] = { targetDeg: state.targetDeg, rateDegPerSec: state.rateDegPerSec }
+  })
+  return out
+}
+
+/**
+ * Capture the runtime state of a gimbal-like controller.
+ *
+ * @param {import('./objects/Gimbal.js').default} controller
+ * @param {Array<string>} axes - Axis property names to record.
+ * @returns {Object}
+ */
+function captureControllerState(controller, axes) {
+  const state = {
+    axes: {},
+    trackMode: controller.trackMode,
+    trackObject: controller.trackObject?.id ?? controller.trackObject?.name,
+    sidereal: controller.sidereal ?? undefined,
+    range: controller._range,
+    slew: captureAxisSlewState(controller),
+    lastSlewUpdate: toIso(controller._lastSlewUpdate)
+  }
+  axes.forEach((axis) => {
+    state.axes[axis] = controller[axis]
+  })
+  return state
+}
+
+/**
+ * Apply state captured by {@link captureControllerState}.
+ *
+ * @param {import('./Universe.js').default} universe
+ * @param {import('./objects/Gimbal.js').default} controller
+ * @param {Object} state
+ */
+function applyControllerState(universe, controller, state) {
+  Object.keys(state.axes ?? {}).forEach((axis) => {
+    controller[axis] = state.axes[axis]
+  })
+  controller.trackMode = state.trackMode ?? controller.trackMode
+  controller.trackObject = defined(state.trackObject)
+    ? universe.getObjectById(state.trackObject) ?? universe.getObject(state.trackObject) ?? null
+    : null
+  controller.sidereal = state.sidereal ?? null
+  if (Number.isFinite(state.range)) {
+    controller._range = state.range
+  }
+  controller._axisSlewState.clear()
+  Object.keys(state.slew ?? {}).forEach((axis) => {
+    controller._axisSlewState.set(axis, { ...state.slew[axis] })
+  })
+  controller._lastSlewUpdate = fromIso(state.lastSlewUpdate)
+}
+
+/**
+ * Describe an observatory mount: the host satellite (`satellite`) or vehicle
+ * (`vehicle`), or the ground site coordinates.
+ * @private
+ */
+function describeObservatoryMount(observatory) {
+  const site = observatory.site
+  if (observatory.hosted) {
+    return { satellite: site.id ?? site.name, gimbalType: describeGimbalType(observatory.gimbal) }
+  }
+  if (site instanceof VehicleMount) {
+    return { ...describeRegistryFields(site), vehicle: site.vehicle.id ?? site.vehicle.name, gimbalType: describeGimbalType(observatory.gimbal) }
+  }
+  return {
+    ...describeRegistryFields(site),
+    latitude: site.latitude,
+    longitude: site.longitude,
+    altitude: site.altitude,
+    gimbalType: describeGimbalType(observatory.gimbal)
+  }
+}
+
+/**
+ * Gimbal type of an observatory mount.
+ * @private
+ */
+function describeGimbalType(gimbal) {
+  if (gimbal instanceof SpaceAzElGimbal) return 'SpaceAzElGimbal'
+  if (gimbal instanceof EquatorialGimbal) return 'EquatorialGimbal'
+  if (gimbal instanceof XYGimbal) return 'XYGimbal'
+  return 'AzElGimbal'
+}
+
+/**
+ * Describe an observatory as an object-form config accepted by
+ * `Universe.addGroundElectroOpticalObservatory`, or by
+ * `Universe.addSpaceElectroOpticalObservatory` and
+ * `Universe.addAirborneElectroOpticalObservatory` for observatories carried by
+ * a satellite (identified by `satellite`) or an air vehicle (`vehicle`).
+ *
+ * @param {import('./objects/Observatory.js').default} observatory
+ * @returns {Object}
+ */
+function describeObservatory(observatory) {
+  const { site, gimbal, fsm } = observatory
+  const slewRates = gimbal.getAxisSlewRates()
+  const mount = describeObservatoryMount(observatory)
+  const config = {
+    name: observatory.name ?? site.name,
+    ...mount,
+    sensorMaxDistance: gimbal.maxRange,
+    sensors: getObservatorySensors(observatory).map(describeObservatorySensor)
+  }
+  if (Object.keys(slewRates).length > 0) {
+    config.gimbalSlewRates = slewRates
+  }
+  if (defined(fsm)) {
+    const fsmSlewRates = fsm.getAxisSlewRates()
+    config.fsm = {
+      name: fsm.name,
+      tip: fsm.tip,
+      tilt: fsm.tilt,
+      ...(Object.keys(fsmSlewRates).length > 0 ? { slewRates: fsmSlewRates } : {})
+    }
+  }
+  return config
+}
+
+/**
+ * Describe a single observatory payload in observatory `sensors[]` form.
+ *
+ * @param {import('./objects/ElectroOpticalSensor.js').default|import('./objects/Laser.js').default} sensor
+ * @returns {Object}
+ */
+function describeObservatorySensor(sensor) {
+  const common = {
+    name: sensor.name,
+    y_fov: sensor.y_fov,
+    x_fov: sensor.x_fov,
+    field_of_regard: cloneData(sensor.field_of_regard),
+    ...(defined(sensor.lunar_exclusion_angle) ? { lunar_exclusion_angle: sensor.lunar_exclusion_angle } : {}),
+    ...(defined(sensor.color) ? { color: sensor.color } : {})
+  }
+  if (sensor.type === 'Laser') {
+    return {
+      type: 'Laser',
+      ...common,
+      beamDivergence: sensor.beamDivergence,
+      power: sensor.power,
+      active: sensor.active,
+      maxRange: sensor.maxRange
+    }
+  }
+  return {
+    type: 'ElectroOpticalSensor',
+    ...common,
+    height: sensor.height,
+    width: sensor.width,
+    ...(sensor.canZoom ? { zoom: { ...sensor.zoom } } : {})
+  }
+}
+
+/**
+ * Capture the mutable runtime state of an observatory: gimbal and FSM pose,
+ * tracking and slew state, sensor zoom levels and laser activity.
+ *
+ * @param {import('./objects/Observatory.js').default} observatory
+ * @returns {Object}
+ */
+function captureObservatoryState(observatory) {
+  return {
+    gimbal: captureControllerState(observatory.gimbal, observatory.gimbal.axisNames),
+    ...(defined(observatory.fsm) ? { fsm: captureControllerState(observatory.fsm, observatory.fsm.axisNames) } : {}),
+    sensors: getObservatorySensors(observatory).map((sensor) => ({
+      name: sensor.name,
+      zoomLevel: sensor.zoomLevel,
+      ...(sensor.type === 'Laser' ? { active: sensor.active } : {})
+    }))
+  }
+}
+
+/**
+ * Apply state captured by {@link captureObservatoryState}.
+ *
+ * @param {import('./Universe.js').default} universe
+ * @param {import('./objects/Observatory.js').default} observatory
+ * @param {Object} state
+ */
+function applyObservatoryState(universe, observatory, state) {
+  if (defined(state.gimbal)) {
+    applyControllerState(universe, observatory.gimbal, state.gimbal)
+  }
+  if (defined(state.fsm) && defined(observatory.fsm)) {
+    applyControllerState(universe, observatory.fsm, state.fsm)
+  }
+  const sensors = getObservatorySensors(observatory)
+  const sensorStates = Array.isArray(state.sensors) ? state.sensors : []
+  sensorStates.forEach((entry) => {
+    const sensor = sensors.find((s) => s.name === entry.name)
+    if (!defined(sensor)) return
+    if (Number.isFinite(entry.zoomLevel) && typeof sensor.setZoomLevel === 'function') {
+      sensor.setZoomLevel(entry.zoomLevel)
+    }
+    if (typeof entry.active === 'boolean') {
+      sensor.active = entry.active
+    }
+  })
+}
+
+/**
+ * Describe a standalone universe object so it can be rebuilt later.
+ *
+ * @param {import('./objects/SimObject.js').default} object
+ * @returns {Object|undefined} Definition, or `undefined` for unsupported types.
+ */
+function describeObject(object) {
+  const entry = describeObjectDefinition(object)
+  return defined(entry) ? { ...entry, ...describeRegistryFields(object) } : undefined
+}
+
+/**
+ * @param {import('./objects/SimObject.js').default} object
+ * @returns {Object|undefined}
+ */
+function describeObjectDefinition(object) {
+  const lagrangeInterpolated = object instanceof LagrangeInterpolatedObject
+  const source = lagrangeInterpolated ? object.object : object
+
+  if (source instanceof SGP4Satellite) {
+    return {
+      type: 'SGP4Satellite',
+      name: object.name,
+      tle1: source.tle1,
+      tle2: source.tle2,
+      orientation: source.orientation,
+      lagrangeInterpolated
+    }
+  }
+  if (source instanceof TwoBodySatellite) {
+    return {
+      type: 'TwoBodySatellite',
+      name: object.name,
+      position: toVector(source._epoch.position),
+      velocity: toVector(source._epoch.velocity),
+      epoch: toIso(source._epoch.time),
+      orientation: source.orientation,
+      lagrangeInterpolated
+    }
+  }
+  if (source instanceof NumericalSatellite) {
+    return {
+      type: 'NumericalSatellite',
+      name: object.name,
+      position: toVector(source._epoch.position),
+      velocity: toVector(source._epoch.velocity),
+      epoch: toIso(source._epoch.time),
+      forceModel: cloneData(source.forceModel),
+      orientation: source.orientation,
+      lagrangeInterpolated
+    }
+  }
+  if (source instanceof AirVehicle) {
+    const epoch = source._epoch
+    return {
+      type: 'AirVehicle',
+      name: object.name,
+      latitude: epoch.latitude,
+      longitude: epoch.longitude,
+      altitude: epoch.altitude,
+      velocityNed: toVector(epoch.velocityNed),
+      accelerationNed: toVector(epoch.accelerationNed),
+      ...(source._autoHeading ? {} : { heading: source.heading }),
+      epoch: toIso(epoch.time),
+      ...(source.hasWaypointRoute ? { waypointRoute: serializeWaypointRoute(source.waypointRoute) } : {})
+    }
+  }
+  if (source instanceof EphemerisObject) {
+    return {
+      type: 'EphemerisObject',
+      name: object.name,
+      referenceFrame: source.referenceFrame,
+      times: source._stateVectors.map((sv) => toIso(sv.time)),
+      positions: source._stateVectors.map((sv) => toVector(sv.position)),
+      velocities: source._stateVectors.map((sv) => (defined(sv.velocity) ? toVector(sv.velocity) : null)),
+      interpolation: source.interpolation,
+      degree: source.degree,
+      outOfSpan: source.outOfSpan
+    }
+  }
+  if (source instanceof EarthGroundStation) {
+    return {
+      type: 'EarthGroundStation',
+      name: object.name,
+      latitude: source.latitude,
+      longitude: source.longitude,
+      altitude: source.altitude
+    }
+  }
+  return undefined
+}
+
+/**
+ * Rebuild an object from a definition written by {@link describeObject}.
+ *
+ * @param {import('./Universe.js').default} universe
+ * @param {Object} entry
+ * @returns {import('./objects/SimObject.js').default|undefined}
+ */
+function restoreObject(universe, entry) {
+  const trackable = entry.trackable !== false
+  switch (entry.type) {
+    case 'SGP4Satellite':
+      return universe.addSGP4Satellite(entry.name, entry.tle1, entry.tle2, entry.orientation, entry.lagrangeInterpolated === true, trackable)
+    case 'TwoBodySatellite':
+      return universe.addTwoBodySatellite(
+        entry.name,
+        fromVector(entry.position),
+        fromVector(entry.velocity),
+        fromIso(entry.epoch),
+        entry.orientation,
+        entry.lagrangeInterpolated === true,
+        trackable
+      )
+    case 'NumericalSatellite':
+      return universe.addNumericalSatellite(
+        entry.name,
+        fromVector(entry.position),
+        fromVector(entry.velocity),
+        fromIso(entry.epoch),
+        entry.orientation,
+        entry.forceModel,
+        entry.lagrangeInterpolated === true,
+        trackable
+      )
+    case 'AirVehicle': {
+      const epoch = fromIso(entry.epoch)
+      const vehicle = universe.addAirVehicle(
+        entry.name,
+        entry.latitude,
+        entry.longitude,
+        entry.altitude,
+        fromVector(entry.velocityNed),
+        fromVector(entry.accelerationNed),
+        entry.heading,
+        epoch,
+        trackable
+      )
+      if (defined(entry.waypointRoute)) {
+        const route = deserializeWaypointRoute(entry.waypointRoute)
+        vehicle.setWaypointRoute(route, route.startTime)
+      }
+      return vehicle
+    }
+    case 'EphemerisObject': {
+      const object = new EphemerisObject(
+        entry.times.map(fromIso),
+        entry.positions.map(fromVector),
+        entry.velocities.map((v) => (Array.isArray(v) ? fromVector(v) : undefined)),
+        entry.name,
+        entry.referenceFrame,
+        { interpolation: entry.interpolation, degree: entry.degree, outOfSpan: entry.outOfSpan }
+      )
+      return universe.addObject(object, trackable)
+    }
+    case 'EarthGroundStation':
+      return universe.addGroundSite(entry.name, entry.latitude, entry.longitude, entry.altitude, trackable)
+    default:
+      console.warn(`Universe.fromSnapshot: unsupported object type ${entry.type} for ${entry.name}`)
+      return undefined
+  }
+}
+
+/**
+ * Capture everything needed to rebuild a universe: standalone objects,
+ * observatories with their runtime pose and payload state, and the pending
+ * event queue. The result only contains JSON-compatible values.
+ *
+ * Objects of unsupported types and events with inline handler functions are
+ * skipped with a warning and listed in `skipped`, by object name and event id.
+ *
+ * @param {import('./Universe.js').default} universe
+ * @returns {Object} Snapshot data.
+ */
+function createUniverseSnapshot(universe) {
+  const members = new Set()
+  universe._observatories.forEach((observatory) => {
+    if (!observatory.hosted) members.add(observatory.site)
+    members.add(observatory.gimbal)
+    if (defined(observatory.fsm)) members.add(observatory.fsm)
+    getObservatorySensors(observatory).forEach((sensor) => members.add(sensor))
+  })
+
+  const trackables = new Set(universe._trackables)
+  const objects = []
+  const skipped = { objects: [], events: [] }
+  universe._trackables.concat(universe._nontrackables).forEach((object) => {
+    if (members.has(object)) return
+    const entry = describeObject(object)
+    if (!defined(entry)) {
+      console.warn(`Universe.snapshot: skipping unsupported object ${object.name}`)
+      skipped.objects.push(object.name)
+      return
+    }
+    entry.trackable = trackables.has(object)
+    objects.push(entry)
+  })
+
+  const observatories = universe._observatories.map((observatory) => ({
+    config: describeObservatory(observatory),
+    state: captureObservatoryState(observatory)
+  }))
+
+  const events = []
+  universe.events.toArray().forEach((evt) => {
+    if (typeof evt.handler === 'function') {
+      console.warn(`Universe.snapshot: skipping event ${evt.id} with an inline handler`)
+      skipped.events.push(evt.id)
+      return
+    }
+    events.push({
+      id: evt.id,
+      time: toIso(evt.time),
+      type: evt.type,
+      data: cloneData(evt.data),
+      once: evt.once,
+      interval: evt.interval,
+      count: evt.count,
+      until: toIso(evt.until),
+      fireCount: evt.fireCount,
+      lastFiredTime: toIso(evt.lastFiredTime)
+    })
+  })
+  universe.events.conditionEvents().forEach((evt) => {
+    if (typeof evt.handler === 'function') {
+      console.warn(`Universe.snapshot: skipping event ${evt.id} with an inline handler`)
+      skipped.events.push(evt.id)
+      return
+    }
+    events.push({
+      id: evt.id,
+      time: toIso(evt.startTime),
+      type: evt.type,
+      data: cloneData(evt.data),
+      once: evt.once,
+      count: evt.count,
+      until: toIso(evt.until),
+      condition: cloneData(evt.condition),
+      fireCount: evt.fireCount,
+      active: evt.active
+    })
+  })
+
+  return {
+    version: SNAPSHOT_VERSION,
+    time: toIso(universe.time),
+    objects,
+    observatories,
+    events,
+    skipped
+  }
+}
+
+/**
+ * Re-create an observatory described by {@link describeObservatory}.
+ * @private
+ */
+function restoreObservatory(universe, config) {
+  if (defined(config?.satellite)) return universe.addSpaceElectroOpticalObservatory(config)
+  if (defined(config?.vehicle)) return universe.addAirborneElectroOpticalObservatory(config)
+  return universe.addGroundElectroOpticalObservatory(config)
+}
+
+/**
+ * Populate an empty universe from a snapshot created by
+ * {@link createUniverseSnapshot} and bring it to the snapshot time.
+ *
+ * @param {import('./Universe.js').default} universe
+ * @param {Object} snapshot
+ * @returns {import('./Universe.js').default} The populated universe.
+ */
+function restoreUniverseSnapshot(universe, snapshot) {
+  if (!defined(snapshot) || typeof snapshot !== 'object') {
+    throw new Error('Universe.fromSnapshot: snapshot must be an object')
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Universe.fromSnapshot: unsupported snapshot version ${snapshot.version}`)
+  }
+
+  const objects = Array.isArray(snapshot.objects) ? snapshot.objects : []
+  objects.forEach((entry) => {
+    const object = restoreObject(universe, entry)
+    if (defined(object)) applyRegistryFields(universe, object, entry)
+  })
+
+  const observatoryEntries = Array.isArray(snapshot.observatories) ? snapshot.observatories : []
+  const observatories = observatoryEntries.map((entry) => ({
+    observatory: restoreObservatory(universe, entry.config),
+    state: entry.state
+  }))
+  // Apply state once every object exists so track targets resolve by id.
+  observatories.forEach(({ observatory, state }) => {
+    if (defined(state)) applyObservatoryState(universe, observatory, state)
+  })
+
+  const events = Array.isArray(snapshot.events) ? snapshot.events : []
+  events.forEach((evt) => {
+    if (defined(evt.condition)) {
+      const event = new ConditionEvent({
+        id: evt.id,
+        time: fromIso(evt.time),
+        type: evt.type,
+        data: cloneData(evt.data),
+        once: evt.once,
+        count: evt.count,
+        until: fromIso(evt.until),
+        condition: cloneData(evt.condition)
+      })
+      event.fireCount = evt.fireCount ?? 0
+      event.fired = event.fireCount > 0
+      event.active = evt.active === true
+      universe.scheduleEvent(event)
+      return
+    }
+    const event = new Event({
+      id: evt.id,
+      time: fromIso(evt.time),
+      type: evt.type,
+      data: cloneData(evt.data),
+      once: evt.once,
+      interval: evt.interval,
+      count: evt.count,
+      until: fromIso(evt.until)
+    })
+    event.fireCount = evt.fireCount ?? 0
+    event.fired = event.fireCount > 0
+    event.lastFiredTime = fromIso(evt.lastFiredTime)
+    universe.scheduleEvent(event)
+  })
+
+  const time = fromIso(snapshot.time)
+  if (defined(time)) {
+    universe.update(time)
+  }
+  return universe
+}
+
+export {
+  SNAPSHOT_VERSION,
+  applyObservatoryState,
+  captureObservatoryState,
+  createUniverseSnapshot,
+  describeObject,
+  describeObservatory,
+  restoreUniverseSnapshot
+}
@@ -193,3 +193,21 @@ export function resolveJulianDateInput(value) {
   }
   return undefined
 }
+
+/**
+ * Resolve an object's collision radius in meters from the supported property
+ * spellings.
+ *
+ * @param {Object|undefined} target
+ * @returns {number|undefined} Positive radius, or `undefined` when not set.
+ */
+export function resolveCollisionRadius(target) {
+  const radius = Number(
+    target?.collisionRadius ??
+    target?.collision_radius_m ??
+    target?.collisionRadiusM ??
+    target?.collision_radius ??
+    target?.collisionRadiusMeters
+  )
+  return (Number.isFinite(radius) && radius > 0) ? radius : undefined
+}
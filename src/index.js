@@ -3,6 +3,8 @@ globalThis.SATSIM_VERSION = "0.14.0";
 export { default as Universe } from './engine/Universe.js'
 export { default as Event } from './engine/event/Event.js'
 export { default as EventQueue } from './engine/event/EventQueue.js'
+export { default as ConditionEvent } from './engine/event/ConditionEvent.js'
+export { default as SpatialIndex } from './engine/geometry/SpatialIndex.js'
 
 export { default as Node } from './engine/graph/Node.js'
 export { default as Group } from './engine/graph/Group.js'
@@ -13,14 +15,20 @@ export { default as Earth } from './engine/objects/Earth.js'
 export { default as EarthGroundStation } from './engine/objects/EarthGroundStation.js'
 export { default as ElectroOpicalSensor } from './engine/objects/ElectroOpticalSensor.js'
 export { default as EphemerisObject } from './engine/objects/EphemerisObject.js'
+export { default as EquatorialGimbal } from './engine/objects/EquatorialGimbal.js'
 export { default as FastSteeringMirror } from './engine/objects/FastSteeringMirror.js'
 export { default as Gimbal } from './engine/objects/Gimbal.js'
 export { default as Laser } from './engine/objects/Laser.js'
 export { default as LagrangeInterpolatedObject } from './engine/objects/LagrangeInterpolatedObject.js'
+export { default as Moon } from './engine/objects/Moon.js'
 export { default as SGP4Satellite } from './engine/objects/SGP4Satellite.js'
 export { default as SimObject } from './engine/objects/SimObject.js'
+export { default as SpaceAzElGimbal } from './engine/objects/SpaceAzElGimbal.js'
 export { default as TwoBodySatellite } from './engine/objects/TwoBodySatellite.js'
+export { default as XYGimbal } from './engine/objects/XYGimbal.js'
+export { default as NumericalSatellite } from './engine/objects/NumericalSatellite.js'
 export { default as AirVehicle } from './engine/objects/AirVehicle.js'
+export { default as VehicleMount } from './engine/objects/VehicleMount.js'
 export { default as Observatory } from './engine/objects/Observatory.js'
 
 export { default as CallbackPositionProperty } from './engine/cesium/CallbackPositionProperty.js'
@@ -36,11 +44,17 @@ export { default as Toolbar } from './widgets/Toolbar.js'
 export { createViewer, mixinViewer } from './widgets/Viewer.js'
 
 export { fetchTle, parseTle } from './io/tle.js'
-export { southEastZenithToAzEl, spaceBasedToAzEl } from './engine/dynamics/gimbal.js'
+export { oemEphemerides, oemReferenceFrame, parseOem, writeOem } from './io/oem.js'
+export { southEastZenithToAzEl, spaceBasedToAzEl, cartesianToRaDec, raDecToCartesian } from './engine/dynamics/gimbal.js'
 export { normalizeAxisSlewConfig, stepSlewAxis } from './engine/dynamics/slew.js'
+export { compileAttitude, evaluateAttitude } from './engine/dynamics/attitude.js'
+export { dormandPrince } from './engine/dynamics/integrator.js'
+export { exponentialDensity, harrisPriesterDensity } from './engine/dynamics/atmosphere.js'
 export { cloneWaypointRoute, compileWaypointRoute, evaluateWaypointRouteState } from './engine/dynamics/waypoint.js'
-export { getVisibility } from './engine/geometry/visibility.js'
-export { getShadowStatus, ShadowState } from './engine/geometry/shadow.js'
+export { getObjectsInFieldOfView, getVisibility } from './engine/geometry/visibility.js'
+export { computeAccessWindows } from './engine/geometry/access.js'
+export { getLunarShadowStatus, getShadowStatus, ShadowState } from './engine/geometry/shadow.js'
+export { angularSeparation, lunarGeometry, moonIlluminatedFraction, moonPhaseAngle, moonSkyBrightness } from './engine/geometry/lunar.js'
 
 export { applyIau2006XysDataPatch } from './engine/cesium/Iau2006XysDataLocal.js'
 
@@ -0,0 +1,562 @@
+import { Cartesian3, JulianDate, ReferenceFrame } from 'cesium'
+
+/**
+ * CCSDS Orbit Ephemeris Message (OEM) support, CCSDS 502.0-B-3.
+ *
+ * Messages are represented as plain objects with positions in meters,
+ * velocities in m/s and epochs as JulianDate instants; the km-based OEM
+ * units and the message time system are converted on read and write.
+ *
+ * @example
+ * const oem = parseOem(text)
+ * oem.segments[0].metadata.objectName // 'ISS'
+ * oem.segments[0].states[0].position  // Cartesian3 in meters
+ * const xml = writeOem(oem, { format: 'xml' })
+ */
+
+const KM = 1000
+// covariance entries are km^2, km^2/s or km^2/s^2
+const KM2 = KM * KM
+
+// seconds to add to a reading in the time system to get TAI
+const TAI_MINUS_TIME_SYSTEM = { UTC: undefined, TAI: 0, GPS: 19, TT: -32.184 }
+
+const METADATA_KEYS = [
+  ['OBJECT_NAME', 'objectName'],
+  ['OBJECT_ID', 'objectId'],
+  ['CENTER_NAME', 'centerName'],
+  ['REF_FRAME', 'refFrame'],
+  ['REF_FRAME_EPOCH', 'refFrameEpoch'],
+  ['TIME_SYSTEM', 'timeSystem'],
+  ['START_TIME', 'startTime'],
+  ['USEABLE_START_TIME', 'useableStartTime'],
+  ['USEABLE_STOP_TIME', 'useableStopTime'],
+  ['STOP_TIME', 'stopTime'],
+  ['INTERPOLATION', 'interpolation'],
+  ['INTERPOLATION_DEGREE', 'interpolationDegree']
+]
+const METADATA_TIMES = new Set(['startTime', 'useableStartTime', 'useableStopTime', 'stopTime'])
+const REQUIRED_METADATA = ['objectName', 'objectId', 'centerName', 'refFrame', 'timeSystem', 'startTime', 'stopTime']
+
+const STATE_AXES = ['X', 'Y', 'Z', 'X_DOT', 'Y_DOT', 'Z_DOT']
+const ACCELERATION_AXES = ['X_DDOT', 'Y_DDOT', 'Z_DDOT']
+const COVARIANCE_KEYS = STATE_AXES.flatMap((row, i) => STATE_AXES.slice(0, i + 1).map((column) => `C${row}_${column}`))
+
+const INERTIAL_FRAMES = new Set(['EME2000', 'J2000', 'GCRF', 'ICRF'])
+const FIXED_FRAMES = new Set(['EFG', 'ECEF', 'GTOD', 'ITRF'])
+
+/**
+ * Map an OEM `REF_FRAME` to the engine reference frame.
+ *
+ * EME2000 (J2000), GCRF and ICRF map to `ReferenceFrame.INERTIAL`, ignoring
+ * the few-milliarcsecond frame bias between them, and Earth-fixed frames (ITRF
+ * realizations, EFG, GTOD) to `ReferenceFrame.FIXED`. Of-date frames (TEME,
+ * TOD, MOD) are rotated from J2000 by precession and nutation, which amounts
+ * to kilometers in position, and are not supported.
+ *
+ * @param {string} refFrame - OEM reference frame name.
+ * @returns {ReferenceFrame}
+ * @throws {Error} If the frame is not supported.
+ */
+export function oemReferenceFrame(refFrame) {
+  const name = String(refFrame ?? '').toUpperCase()
+  if (INERTIAL_FRAMES.has(name)) return ReferenceFrame.INERTIAL
+  if (FIXED_FRAMES.has(name) || /^ITRF-?\d+$/.test(name)) return ReferenceFrame.FIXED
+  throw new Error(`Unsupported OEM REF_FRAME '${refFrame}'`)
+}
+
+function timeSystemOffset(timeSystem) {
+  const name = String(timeSystem ?? 'UTC').toUpperCase()
+  if (!(name in TAI_MINUS_TIME_SYSTEM)) {
+    throw new Error(`Unsupported OEM TIME_SYSTEM '${timeSystem}'`)
+  }
+  return TAI_MINUS_TIME_SYSTEM[name]
+}
+
+function parseEpoch(text, timeSystem) {
+  const value = String(text).trim()
+  let date
+  try {
+    date = JulianDate.fromIso8601(value.endsWith('Z') ? value : `${value}Z`)
+  } catch {
+    throw new Error(`Invalid OEM epoch '${value}'`)
+  }
+  const offset = timeSystemOffset(timeSystem)
+  if (offset === undefined) return date
+  // the reading was parsed as UTC; shift it to the instant it names
+  return JulianDate.addSeconds(date, offset - JulianDate.computeTaiMinusUtc(date), date)
+}
+
+function formatEpoch(time, timeSystem) {
+  const offset = timeSystemOffset(timeSystem)
+  let date = time
+  if (offset !== undefined) {
+    date = JulianDate.addSeconds(time, JulianDate.computeTaiMinusUtc(time) - offset, new JulianDate())
+  }
+  return JulianDate.toIso8601(date, 6).replace(/Z$/, '')
+}
+
+function newSegment() {
+  return { metadata: { comments: [] }, comments: [], states: [], covariances: [] }
+}
+
+function toMetadataValue(key, value, timeSystem) {
+  if (METADATA_TIMES.has(key)) return parseEpoch(value, timeSystem)
+  if (key === 'interpolationDegree') return Number(value)
+  return value
+}
+
+function finishSegment(segment) {
+  const raw = segment.metadata
+  REQUIRED_METADATA.forEach((key) => {
+    if (raw[key] === undefined || raw[key] === '') {
+      const kvn = METADATA_KEYS.find(([, camel]) => camel === key)[0]
+      throw new Error(`OEM metadata is missing ${kvn}`)
+    }
+  })
+  const metadata = { comments: raw.comments }
+  METADATA_KEYS.forEach(([, key]) => {
+    if (raw[key] !== undefined) metadata[key] = toMetadataValue(key, raw[key], raw.timeSystem)
+  })
+  segment.metadata = metadata
+  segment.states = segment.states.map((state) => ({ ...state, time: parseEpoch(state.time, metadata.timeSystem) }))
+  segment.covariances = segment.covariances.map((covariance) => ({
+    ...covariance,
+    time: parseEpoch(covariance.time, metadata.timeSystem)
+  }))
+  return segment
+}
+
+function toState(epoch, values, where) {
+  if (![6, 9].includes(values.length) || values.some((v) => !Number.isFinite(v))) {
+    throw new Error(`OEM ${where}: expected epoch and 6 or 9 numeric values`)
+  }
+  const state = {
+    time: epoch,
+    position: new Cartesian3(values[0] * KM, values[1] * KM, values[2] * KM),
+    velocity: new Cartesian3(values[3] * KM, values[4] * KM, values[5] * KM)
+  }
+  if (values.length === 9) {
+    state.acceleration = new Cartesian3(values[6] * KM, values[7] * KM, values[8] * KM)
+  }
+  return state
+}
+
+function toCovariance(epoch, refFrame, values, where) {
+  if (values.length !== COVARIANCE_KEYS.length || values.some((v) => !Number.isFinite(v))) {
+    throw new Error(`OEM ${where}: covariance needs ${COVARIANCE_KEYS.length} numeric values`)
+  }
+  return {
+    time: epoch,
+    ...(refFrame !== undefined ? { refFrame } : {}),
+    matrix: values.map((v) => v * KM2)
+  }
+}
+
+function parseKvn(text) {
+  const oem = { version: undefined, header: { comments: [] }, segments: [] }
+  let segment
+  let section = 'header'
+  let covariance
+
+  const lines = String(text).split(/\r?\n/)
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim()
+    const where = `line ${index + 1}`
+    if (line === '') return
+
+    if (/^COMMENT(\s|$)/.test(line)) {
+      const comment = line.slice(7).trim()
+      if (section === 'header') oem.header.comments.push(comment)
+      else if (section === 'metadata') segment.metadata.comments.push(comment)
+      else if (section === 'data') segment.comments.push(comment)
+      return
+    }
+
+    switch (line) {
+      case 'META_START':
+        if (oem.version === undefined) throw new Error(`OEM ${where}: missing CCSDS_OEM_VERS`)
+        if (segment) oem.segments.push(finishSegment(segment))
+        segment = newSegment()
+        section = 'metadata'
+        return
+      case 'META_STOP':
+        if (section !== 'metadata') throw new Error(`OEM ${where}: META_STOP without META_START`)
+        section = 'data'
+        return
+      case 'COVARIANCE_START':
+        if (section !== 'data') throw new Error(`OEM ${where}: COVARIANCE_START outside a data section`)
+        section = 'covariance'
+        return
+      case 'COVARIANCE_STOP':
+        if (section !== 'covariance') throw new Error(`OEM ${where}: COVARIANCE_STOP without COVARIANCE_START`)
+        if (covariance) segment.covariances.push(toCovariance(covariance.epoch, covariance.refFrame, covariance.values, where))
+        covariance = undefined
+        section = 'data'
+        return
+    }
+
+    const keyValue = /^([A-Z0-9_]+)\s*=\s*(.*)$/.exec(line)
+    if (section === 'header') {
+      if (!keyValue) throw new Error(`OEM ${where}: expected KEY = value`)
+      const [, key, value] = keyValue
+      if (key === 'CCSDS_OEM_VERS') oem.version = value
+      else if (oem.version === undefined) throw new Error(`OEM ${where}: missing CCSDS_OEM_VERS`)
+      else if (key === 'CREATION_DATE') oem.header.creationDate = value
+      else if (key === 'ORIGINATOR') oem.header.originator = value
+      else if (key === 'MESSAGE_ID') oem.header.messageId = value
+      return
+    }
+
+    if (section === 'metadata') {
+      if (!keyValue) throw new Error(`OEM ${where}: expected KEY = value`)
+      const entry = METADATA_KEYS.find(([kvn]) => kvn === keyValue[1])
+      if (entry) segment.metadata[entry[1]] = keyValue[2]
+      return
+    }
+
+    if (section === 'covariance') {
+      if (keyValue && keyValue[1] === 'EPOCH') {
+        if (covariance) segment.covariances.push(toCovariance(covariance.epoch, covariance.refFrame, covariance.values, where))
+        covariance = { epoch: keyValue[2], values: [] }
+      } else if (keyValue && keyValue[1] === 'COV_REF_FRAME') {
+        if (!covariance) throw new Error(`OEM ${where}: COV_REF_FRAME before EPOCH`)
+        covariance.refFrame = keyValue[2]
+      } else {
+        if (!covariance) throw new Error(`OEM ${where}: covariance values before EPOCH`)
+        covariance.values.push(...line.split(/\s+/).map(Number))
+      }
+      return
+    }
+
+    const [epoch, ...values] = line.split(/\s+/)
+    segment.states.push(toState(epoch, values.map(Number), where))
+  })
+
+  if (section !== 'data') throw new Error('OEM: unexpected end of message')
+  oem.segments.push(finishSegment(segment))
+  return oem
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+function encodeXmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * Parse the element structure of an XML document. Namespace prefixes are
+ * dropped; text is kept only for leaf elements.
+ */
+function parseXmlTree(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' }
+  const stack = [root]
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  let match
+  while ((match = tokens.exec(text)) !== null) {
+    const [, cdata, closing, qualifiedName, attributeText, selfClosing, characters] = match
+    const current = stack[stack.length - 1]
+    if (characters !== undefined || cdata !== undefined) {
+      current.text += characters !== undefined ? decodeXmlText(characters) : cdata
+      continue
+    }
+    // comments and processing instructions
+    if (qualifiedName === undefined) continue
+
+    const name = qualifiedName.replace(/^.*:/, '')
+    if (closing) {
+      if (current.name !== name) throw new Error(`OEM XML: unexpected </${name}>`)
+      stack.pop()
+      continue
+    }
+    const attributes = {}
+    for (const [, key, double, single] of attributeText.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[key.replace(/^.*:/, '')] = decodeXmlText(double ?? single)
+    }
+    const element = { name, attributes, children: [], text: '' }
+    current.children.push(element)
+    if (!selfClosing) stack.push(element)
+  }
+  if (stack.length !== 1) throw new Error(`OEM XML: unclosed <${stack[stack.length - 1].name}>`)
+  return root
+}
+
+function childText(element, name) {
+  const child = element.children.find((c) => c.name === name)
+  return child ? child.text.trim() : undefined
+}
+
+function childrenNamed(element, name) {
+  return element?.children.filter((c) => c.name === name) ?? []
+}
+
+function parseXml(text) {
+  const root = parseXmlTree(text).children.find((c) => c.name === 'oem')
+  if (!root) throw new Error('OEM XML: missing <oem> root element')
+
+  const header = root.children.find((c) => c.name === 'header')
+  const oem = {
+    version: root.attributes.version,
+    header: { comments: childrenNamed(header, 'COMMENT').map((c) => c.text.trim()) },
+    segments: []
+  }
+  if (oem.version === undefined) throw new Error('OEM XML: missing version attribute')
+  if (header) {
+    const creationDate = childText(header, 'CREATION_DATE')
+    const originator = childText(header, 'ORIGINATOR')
+    const messageId = childText(header, 'MESSAGE_ID')
+    if (creationDate !== undefined) oem.header.creationDate = creationDate
+    if (originator !== undefined) oem.header.originator = originator
+    if (messageId !== undefined) oem.header.messageId = messageId
+  }
+
+  const body = root.children.find((c) => c.name === 'body')
+  childrenNamed(body, 'segment').forEach((element, index) => {
+    const where = `segment ${index + 1}`
+    const segment = newSegment()
+    const metadata = element.children.find((c) => c.name === 'metadata')
+    if (!metadata) throw new Error(`OEM ${where}: missing <metadata>`)
+    segment.metadata.comments = childrenNamed(metadata, 'COMMENT').map((c) => c.text.trim())
+    METADATA_KEYS.forEach(([kvn, key]) => {
+      const value = childText(metadata, kvn)
+      if (value !== undefined) segment.metadata[key] = value
+    })
+
+    const data = element.children.find((c) => c.name === 'data')
+    segment.comments = childrenNamed(data, 'COMMENT').map((c) => c.text.trim())
+    childrenNamed(data, 'stateVector').forEach((vector, i) => {
+      const axes = childText(vector, 'X_DDOT') !== undefined ? [...STATE_AXES, ...ACCELERATION_AXES] : STATE_AXES
+      segment.states.push(toState(childText(vector, 'EPOCH'), axes.map((axis) => Number(childText(vector, axis))), `${where} state ${i + 1}`))
+    })
+    childrenNamed(data, 'covarianceMatrix').forEach((matrix, i) => {
+      segment.covariances.push(toCovariance(
+        childText(matrix, 'EPOCH'),
+        childText(matrix, 'COV_REF_FRAME'),
+        COVARIANCE_KEYS.map((key) => Number(childText(matrix, key))),
+        `${where} covariance ${i + 1}`
+      ))
+    })
+    oem.segments.push(finishSegment(segment))
+  })
+  if (oem.segments.length === 0) throw new Error('OEM XML: no segments')
+  return oem
+}
+
+/**
+ * Parse a CCSDS OEM in KVN or XML format; the format is detected from the
+ * first character.
+ *
+ * States are returned with `time` (JulianDate), `position` (m), `velocity`
+ * (m/s) and an optional `acceleration` (m/s^2). Covariances are returned as
+ * the 21 lower-triangular entries in meters and seconds.
+ *
+ * @param {string} text - The message.
+ * @returns {{
+ *   version: string,
+ *   header: { comments: Array<string>, creationDate?: string, originator?: string, messageId?: string },
+ *   segments: Array<{ metadata: Object, comments: Array<string>, states: Array<Object>, covariances: Array<Object> }>
+ * }}
+ * @throws {Error} If the message is malformed, misses required metadata or
+ *   uses an unsupported time system.
+ */
+export function parseOem(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '')
+  return source.trimStart().startsWith('<') ? parseXml(source) : parseKvn(source)
+}
+
+function formatKm(value) {
+  return String(value / KM)
+}
+
+function segmentMetadata(segment) {
+  const metadata = segment.metadata ?? {}
+  const states = segment.states ?? []
+  return {
+    ...metadata,
+    centerName: metadata.centerName ?? 'EARTH',
+    refFrame: metadata.refFrame ?? 'GCRF',
+    timeSystem: metadata.timeSystem ?? 'UTC',
+    startTime: metadata.startTime ?? states[0]?.time,
+    stopTime: metadata.stopTime ?? states[states.length - 1]?.time
+  }
+}
+
+function metadataEntries(metadata) {
+  return METADATA_KEYS
+    .filter(([, key]) => metadata[key] !== undefined)
+    .map(([kvn, key]) => [kvn, METADATA_TIMES.has(key) ? formatEpoch(metadata[key], metadata.timeSystem) : String(metadata[key])])
+}
+
+function stateValues(state) {
+  const vectors = [state.position, state.velocity, ...(state.acceleration ? [state.acceleration] : [])]
+  return vectors.flatMap((v) => [v.x, v.y, v.z])
+}
+
+function headerFields(oem) {
+  const header = oem.header ?? {}
+  return {
+    comments: header.comments ?? [],
+    creationDate: header.creationDate ?? formatEpoch(JulianDate.now(), 'UTC'),
+    originator: header.originator ?? 'SATSIM',
+    messageId: header.messageId
+  }
+}
+
+function writeKvn(oem) {
+  const header = headerFields(oem)
+  const lines = [`CCSDS_OEM_VERS = ${oem.version ?? '2.0'}`]
+  header.comments.forEach((c) => lines.push(`COMMENT ${c}`))
+  lines.push(`CREATION_DATE = ${header.creationDate}`, `ORIGINATOR = ${header.originator}`)
+  if (header.messageId !== undefined) lines.push(`MESSAGE_ID = ${header.messageId}`)
+
+  oem.segments.forEach((segment) => {
+    const metadata = segmentMetadata(segment)
+    lines.push('', 'META_START')
+    ;(metadata.comments ?? []).forEach((c) => lines.push(`COMMENT ${c}`))
+    metadataEntries(metadata).forEach(([key, value]) => lines.push(`${key} = ${value}`))
+    lines.push('META_STOP', '')
+    ;(segment.comments ?? []).forEach((c) => lines.push(`COMMENT ${c}`))
+    segment.states.forEach((state) => {
+      lines.push([formatEpoch(state.time, metadata.timeSystem), ...stateValues(state).map(formatKm)].join(' '))
+    })
+    if (segment.covariances?.length) {
+      lines.push('', 'COVARIANCE_START')
+      segment.covariances.forEach((covariance) => {
+        lines.push(`EPOCH = ${formatEpoch(covariance.time, metadata.timeSystem)}`)
+        if (covariance.refFrame !== undefined) lines.push(`COV_REF_FRAME = ${covariance.refFrame}`)
+        let offset = 0
+        STATE_AXES.forEach((axis, row) => {
+          lines.push(covariance.matrix.slice(offset, offset + row + 1).map((v) => String(v / KM2)).join(' '))
+          offset += row + 1
+        })
+      })
+      lines.push('COVARIANCE_STOP')
+    }
+  })
+  return `${lines.join('\n')}\n`
+}
+
+function xmlElement(name, value, indent) {
+  return `${indent}<${name}>${encodeXmlText(value)}</${name}>`
+}
+
+function writeXml(oem) {
+  const header = headerFields(oem)
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<oem id="CCSDS_OEM_VERS" version="${encodeXmlText(oem.version ?? '2.0')}">`,
+    '  <header>'
+  ]
+  header.comments.forEach((c) => lines.push(xmlElement('COMMENT', c, '    ')))
+  lines.push(xmlElement('CREATION_DATE', header.creationDate, '    '), xmlElement('ORIGINATOR', header.originator, '    '))
+  if (header.messageId !== undefined) lines.push(xmlElement('MESSAGE_ID', header.messageId, '    '))
+  lines.push('  </header>', '  <body>')
+
+  oem.segments.forEach((segment) => {
+    const metadata = segmentMetadata(segment)
+    lines.push('    <segment>', '      <metadata>')
+    ;(metadata.comments ?? []).forEach((c) => lines.push(xmlElement('COMMENT', c, '        ')))
+    metadataEntries(metadata).forEach(([key, value]) => lines.push(xmlElement(key, value, '        ')))
+    lines.push('      </metadata>', '      <data>')
+    ;(segment.comments ?? []).forEach((c) => lines.push(xmlElement('COMMENT', c, '        ')))
+    segment.states.forEach((state) => {
+      const values = stateValues(state)
+      const axes = values.length === 9 ? [...STATE_AXES, ...ACCELERATION_AXES] : STATE_AXES
+      lines.push('        <stateVector>', xmlElement('EPOCH', formatEpoch(state.time, metadata.timeSystem), '          '))
+      axes.forEach((axis, i) => lines.push(xmlElement(axis, formatKm(values[i]), '          ')))
+      lines.push('        </stateVector>')
+    })
+    ;(segment.covariances ?? []).forEach((covariance) => {
+      lines.push('        <covarianceMatrix>', xmlElement('EPOCH', formatEpoch(covariance.time, metadata.timeSystem), '          '))
+      if (covariance.refFrame !== undefined) lines.push(xmlElement('COV_REF_FRAME', covariance.refFrame, '          '))
+      COVARIANCE_KEYS.forEach((key, i) => lines.push(xmlElement(key, String(covariance.matrix[i] / KM2), '          ')))
+      lines.push('        </covarianceMatrix>')
+    })
+    lines.push('      </data>', '    </segment>')
+  })
+  lines.push('  </body>', '</oem>')
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Write a CCSDS OEM in KVN or XML format from the structure returned by
+ * {@link parseOem}.
+ *
+ * Missing header fields default to the current time and `SATSIM`; missing
+ * metadata defaults to `CENTER_NAME = EARTH`, `REF_FRAME = GCRF`,
+ * `TIME_SYSTEM = UTC` and the span of the states.
+ *
+ * @example
+ * writeOem({
+ *   segments: [{
+ *     metadata: { objectName: 'SAT', objectId: '2024-001A' },
+ *     states: [{ time, position, velocity }]
+ *   }]
+ * })
+ *
+ * @param {Object} oem - Message with `segments` and optional `version` and `header`.
+ * @param {Object} [options]
+ * @param {'kvn'|'xml'} [options.format='kvn'] - Output encoding.
+ * @returns {string} The message text.
+ * @throws {Error} If the format or a time system is unsupported.
+ */
+export function writeOem(oem, options = {}) {
+  const format = String(options.format ?? 'kvn').toLowerCase()
+  if (format === 'kvn') return writeKvn(oem)
+  if (format === 'xml') return writeXml(oem)
+  throw new Error(`Unsupported OEM format '${options.format}'`)
+}
+
+/**
+ * Merge the segments of a parsed OEM into one ephemeris per object, keyed by
+ * `OBJECT_ID`. States at duplicate epochs, as at segment boundaries, keep the
+ * later segment's value.
+ *
+ * @param {Object} oem - Message returned by {@link parseOem}.
+ * @returns {Array<{
+ *   name: string, objectId: string, referenceFrame: ReferenceFrame,
+ *   times: Array<JulianDate>, positions: Array<Cartesian3>, velocities: Array<Cartesian3>,
+ *   interpolation?: string, interpolationDegree?: number
+ * }>}
+ * @throws {Error} If an object is not Earth-centered or mixes fixed and inertial frames.
+ */
+export function oemEphemerides(oem) {
+  const byObject = new Map()
+  oem.segments.forEach(({ metadata, states }) => {
+    if (String(metadata.centerName).toUpperCase() !== 'EARTH') {
+      throw new Error(`OEM object '${metadata.objectName}' has unsupported CENTER_NAME '${metadata.centerName}'`)
+    }
+    const referenceFrame = oemReferenceFrame(metadata.refFrame)
+    const key = metadata.objectId ?? metadata.objectName
+    let ephemeris = byObject.get(key)
+    if (!ephemeris) {
+      ephemeris = { name: metadata.objectName, objectId: metadata.objectId, referenceFrame, states: new Map() }
+      byObject.set(key, ephemeris)
+    } else if (ephemeris.referenceFrame !== referenceFrame) {
+      throw new Error(`OEM object '${metadata.objectName}' mixes inertial and Earth-fixed frames`)
+    }
+    if (metadata.interpolation !== undefined) ephemeris.interpolation = metadata.interpolation
+    if (metadata.interpolationDegree !== undefined) ephemeris.interpolationDegree = metadata.interpolationDegree
+    states.forEach((state) => ephemeris.states.set(JulianDate.toIso8601(state.time), state))
+  })
+
+  return [...byObject.values()].map(({ states, ...ephemeris }) => {
+    const sorted = [...states.values()].sort((a, b) => JulianDate.compare(a.time, b.time))
+    return {
+      ...ephemeris,
+      times: sorted.map((s) => s.time),
+      positions: sorted.map((s) => s.position),
+      velocities: sorted.map((s) => s.velocity)
+    }
+  })
+}
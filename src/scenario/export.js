@@ -0,0 +1,331 @@
+import { defined, JulianDate } from 'cesium'
+
+import { describeObject, describeObservatory } from '../engine/snapshot.js'
+import VehicleMount from '../engine/objects/VehicleMount.js'
+import {
+  CLOCK_RANGE_CLAMPED,
+  CLOCK_RANGE_LOOP_STOP,
+  CLOCK_RANGE_UNBOUNDED,
+  CLOCK_STEP_SYSTEM_CLOCK,
+  CLOCK_STEP_SYSTEM_CLOCK_MULTIPLIER,
+  CLOCK_STEP_TICK_DEPENDENT,
+  resolveScenarioClockTarget
+} from './utils.js'
+
+const CLOCK_STEP_NAMES = {
+  [CLOCK_STEP_TICK_DEPENDENT]: 'TICK_DEPENDENT',
+  [CLOCK_STEP_SYSTEM_CLOCK_MULTIPLIER]: 'SYSTEM_CLOCK_MULTIPLIER',
+  [CLOCK_STEP_SYSTEM_CLOCK]: 'SYSTEM_CLOCK'
+}
+
+const CLOCK_RANGE_NAMES = {
+  [CLOCK_RANGE_UNBOUNDED]: 'UNBOUNDED',
+  [CLOCK_RANGE_CLAMPED]: 'CLAMPED',
+  [CLOCK_RANGE_LOOP_STOP]: 'LOOP_STOP'
+}
+
+/**
+ * Format a time at the millisecond precision scenario loading preserves.
+ *
+ * @param {JulianDate|string|undefined} value - JulianDate or ISO 8601 string.
+ * @returns {string|undefined}
+ */
+function formatIso(value) {
+  if (typeof value === 'string') {
+    value = JulianDate.fromIso8601(value)
+  }
+  return value instanceof JulianDate ? JulianDate.toDate(value).toISOString() : undefined
+}
+
+function exportSimulationParameters(clock) {
+  const params = {
+    start_time: formatIso(clock.startTime),
+    end_time: formatIso(clock.stopTime),
+    current_time: formatIso(clock.currentTime)
+  }
+  if (Number.isFinite(clock.multiplier)) params.time_step = clock.multiplier
+  if (defined(CLOCK_STEP_NAMES[clock.clockStep])) params.clock_step = CLOCK_STEP_NAMES[clock.clockStep]
+  if (defined(CLOCK_RANGE_NAMES[clock.clockRange])) params.clock_range = CLOCK_RANGE_NAMES[clock.clockRange]
+  if (defined(clock.shouldAnimate)) params.playback_state = clock.shouldAnimate ? 'play' : 'pause'
+  return params
+}
+
+function exportWaypointRoute(route) {
+  return {
+    mode: route.mode,
+    start_time: formatIso(route.startTime),
+    ...(route.defaultSpeedMps !== undefined ? { default_speed: route.defaultSpeedMps } : {}),
+    ...(route.loopSpeedMps !== undefined ? { loop_speed: route.loopSpeedMps } : {}),
+    waypoints: route.waypoints.map((waypoint) => ({
+      latitude: waypoint.latitude,
+      longitude: waypoint.longitude,
+      altitude: waypoint.altitude,
+      time: formatIso(waypoint.time)
+    }))
+  }
+}
+
+/**
+ * Scenario `id`, `tags` and `metadata` fields of a definition. The id is only
+ * written when it differs from the name, since loading assigns that default.
+ *
+ * @param {Object} entry - Definition from `describeObject` or `describeObservatory`.
+ * @returns {Object}
+ */
+function exportRegistryFields(entry) {
+  return {
+    ...(defined(entry.id) && entry.id !== entry.name ? { id: entry.id } : {}),
+    ...(defined(entry.tags) ? { tags: entry.tags } : {}),
+    ...(defined(entry.metadata) ? { metadata: entry.metadata } : {})
+  }
+}
+
+/**
+ * Convert a snapshot object definition into a scenario object entry.
+ *
+ * @param {Object} entry - Definition from `describeObject`.
+ * @param {SimObject} object - Runtime object, for fields outside the definition.
+ * @returns {Object|undefined}
+ */
+function exportObject(entry, object) {
+  const scenarioEntry = exportObjectDefinition(entry, object)
+  return defined(scenarioEntry) ? { ...scenarioEntry, ...exportRegistryFields(entry) } : undefined
+}
+
+function exportObjectDefinition(entry, object) {
+  switch (entry.type) {
+    case 'SGP4Satellite':
+      return {
+        type: 'SGP4Satellite',
+        name: entry.name,
+        tle1: entry.tle1,
+        tle2: entry.tle2,
+        ...(defined(entry.orientation) ? { orientation: entry.orientation } : {})
+      }
+    case 'TwoBodySatellite':
+      return {
+        type: 'TwoBodySatellite',
+        name: entry.name,
+        position: entry.position,
+        velocity: entry.velocity,
+        epoch: formatIso(entry.epoch),
+        ...(defined(entry.orientation) ? { orientation: entry.orientation } : {})
+      }
+    case 'NumericalSatellite':
+      return {
+        type: 'NumericalSatellite',
+        name: entry.name,
+        position: entry.position,
+        velocity: entry.velocity,
+        epoch: formatIso(entry.epoch),
+        forceModel: entry.forceModel,
+        ...(defined(entry.orientation) ? { orientation: entry.orientation } : {})
+      }
+    case 'AirVehicle':
+      return {
+        type: 'AirVehicle',
+        name: entry.name,
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        altitude: entry.altitude,
+        velocity_ned: entry.velocityNed,
+        acceleration_ned: entry.accelerationNed,
+        ...(defined(entry.heading) ? { heading: entry.heading } : {}),
+        epoch: formatIso(entry.epoch),
+        ...(Number.isFinite(object.collisionRadius) ? { collision_radius: object.collisionRadius } : {}),
+        ...(defined(entry.waypointRoute) ? { route: exportWaypointRoute(entry.waypointRoute) } : {})
+      }
+    default:
+      return undefined
+  }
+}
+
+function exportObservatorySensor(sensor, runtimeSensor) {
+  const common = {
+    name: sensor.name,
+    y_fov: sensor.y_fov,
+    x_fov: sensor.x_fov,
+    field_of_regard: sensor.field_of_regard,
+    ...(defined(sensor.lunar_exclusion_angle) ? { lunar_exclusion_angle: sensor.lunar_exclusion_angle } : {}),
+    ...(defined(sensor.color) ? { color: sensor.color } : {})
+  }
+  if (sensor.type === 'Laser') {
+    return {
+      type: 'Laser',
+      ...common,
+      beam_divergence: sensor.beamDivergence,
+      power: sensor.power,
+      active: sensor.active,
+      max_range: sensor.maxRange
+    }
+  }
+  return {
+    type: 'ElectroOpticalSensor',
+    ...common,
+    height: sensor.height,
+    width: sensor.width,
+    ...(defined(sensor.zoom) ? { zoom: { ...sensor.zoom, initial_zoom_level: runtimeSensor.zoomLevel } } : {})
+  }
+}
+
+function exportObservatoryMount(observatory, config) {
+  const site = observatory.site
+  if (observatory.hosted) {
+    return {
+      type: 'SpaceEOObservatory',
+      name: config.name,
+      satellite: site.name,
+      ...(config.gimbalType !== 'SpaceAzElGimbal' ? { gimbal_type: config.gimbalType } : {})
+    }
+  }
+  if (site instanceof VehicleMount) {
+    return {
+      type: 'AirborneEOObservatory',
+      name: config.name,
+      vehicle: site.vehicle.name,
+      ...(config.gimbalType !== 'AzElGimbal' ? { gimbal_type: config.gimbalType } : {})
+    }
+  }
+  return {
+    type: 'GroundEOObservatory',
+    name: config.name,
+    latitude: config.latitude,
+    longitude: config.longitude,
+    altitude: config.altitude,
+    ...(config.gimbalType !== 'AzElGimbal' ? { gimbal_type: config.gimbalType } : {})
+  }
+}
+
+function exportObservatory(observatory) {
+  const config = describeObservatory(observatory)
+  const mount = exportObservatoryMount(observatory, config)
+  return {
+    ...mount,
+    sensor_max_distance: config.sensorMaxDistance,
+    ...exportRegistryFields(config),
+    ...(defined(config.gimbalSlewRates) ? { gimbal_slew_rates: config.gimbalSlewRates } : {}),
+    ...(defined(config.fsm) ? { fsm: config.fsm } : {}),
+    sensors: config.sensors.map((sensor, i) => exportObservatorySensor(sensor, observatory.sensors[i]))
+  }
+}
+
+/**
+ * Gimbal pointing is not part of the observatory schema, so the current track
+ * target or commanded axes are carried as an event at the current time.
+ */
+function exportGimbalPointingEvent(observatory, time) {
+  const gimbal = observatory.gimbal
+  const observer = observatory.name ?? observatory.site.name
+  if (gimbal.trackMode === 'rate' && defined(gimbal.trackObject)) {
+    return { time, type: 'trackObject', observer, target: gimbal.trackObject.name }
+  }
+  if (gimbal.trackMode === 'sidereal' && defined(gimbal.sidereal)) {
+    return { time, type: 'pointRaDec', observer, ...gimbal.sidereal }
+  }
+  const axes = {}
+  const rest = gimbal.restAxes
+  gimbal.axisNames.forEach((axis) => {
+    axes[axis] = gimbal.getAxisTarget(axis) ?? gimbal[axis]
+  })
+  if (gimbal.axisNames.every((axis) => axes[axis] === rest[axis])) {
+    return undefined
+  }
+  return { time, type: 'setGimbalAxes', observer, axes }
+}
+
+/**
+ * Export the current universe and clock as a scenario document that
+ * `loadScenario` accepts.
+ *
+ * The document contains:
+ * - `simulationParameters` from the clock (start, end and current time,
+ *   multiplier, clock step/range and playback state).
+ * - `objects` for SGP4, two-body and air vehicle objects and for every
+ *   ground, space-based or airborne observatory with its sensors, FSM and
+ *   slew rates, after the satellites and vehicles that carry them. Sensor zoom and
+ *   laser activity are written as their current values.
+ * - `events` that have not fired yet, with times in seconds from the clock
+ *   start. Recurring events are written at their next occurrence with the
+ *   remaining count, condition-triggered events with their `when` condition.
+ *   Current gimbal pointing is written as a `trackObject`, `pointRaDec` or
+ *   `setGimbalAxes` event at the current time.
+ *
+ * Objects that have no scenario representation (e.g. standalone ground sites
+ * or ephemeris objects) and events with inline handlers are skipped with a
+ * warning. Visualization-only settings such as colors and models of
+ * satellites are not retained by the universe and are not exported.
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Object} clock - Viewer, viewer clock or clock context.
+ * @returns {Object} Scenario document.
+ */
+export function exportScenario(universe, clock) {
+  const clockTarget = resolveScenarioClockTarget(clock)
+  if (!defined(clockTarget?.startTime)) {
+    throw new Error('exportScenario: a clock with startTime is required')
+  }
+  const startTime = clockTarget.startTime
+  const currentOffset = defined(clockTarget.currentTime)
+    ? JulianDate.secondsDifference(clockTarget.currentTime, startTime)
+    : 0
+
+  const members = new Set()
+  universe._observatories.forEach((observatory) => {
+    members.add(observatory.gimbal)
+    if (defined(observatory.fsm)) members.add(observatory.fsm)
+    observatory.sensors.forEach((sensor) => members.add(sensor))
+  })
+
+  const objects = []
+  universe._trackables.concat(universe._nontrackables).forEach((object) => {
+    if (members.has(object)) return
+    const entry = describeObject(object)
+    const scenarioEntry = defined(entry) ? exportObject(entry, object) : undefined
+    if (!defined(scenarioEntry)) {
+      console.warn(`exportScenario: object ${object.name} has no scenario representation, skipping`)
+      return
+    }
+    objects.push(scenarioEntry)
+  })
+  universe._observatories.forEach((observatory) => objects.push(exportObservatory(observatory)))
+
+  const events = []
+  universe._observatories.forEach((observatory) => {
+    const pointing = exportGimbalPointingEvent(observatory, currentOffset)
+    if (defined(pointing)) events.push(pointing)
+  })
+  universe.events.toArray().forEach((evt) => {
+    if (typeof evt.handler === 'function') {
+      console.warn(`exportScenario: event ${evt.id} has an inline handler, skipping`)
+      return
+    }
+    const entry = {
+      ...(evt.data ?? {}),
+      time: JulianDate.secondsDifference(evt.time, startTime),
+      type: evt.type
+    }
+    if (defined(evt.interval)) entry.interval = evt.interval
+    if (!evt.once) entry.once = false
+    if (defined(evt.count)) entry.count = evt.count - evt.fireCount
+    if (defined(evt.until)) entry.until = JulianDate.secondsDifference(evt.until, startTime)
+    events.push(entry)
+  })
+  universe.events.conditionEvents().forEach((evt) => {
+    if (typeof evt.handler === 'function') {
+      console.warn(`exportScenario: event ${evt.id} has an inline handler, skipping`)
+      return
+    }
+    const entry = { ...(evt.data ?? {}), type: evt.type, when: { ...evt.condition } }
+    if (defined(evt.startTime)) entry.time = JulianDate.secondsDifference(evt.startTime, startTime)
+    if (!evt.once) entry.once = false
+    if (defined(evt.count)) entry.count = evt.count - evt.fireCount
+    if (defined(evt.until)) entry.until = JulianDate.secondsDifference(evt.until, startTime)
+    events.push(entry)
+  })
+
+  return {
+    simulationParameters: exportSimulationParameters(clockTarget),
+    objects,
+    events
+  }
+}
@@ -26,6 +26,7 @@ import {
 } from 'cesium'
 import {
   normalizeAxisSlewRates,
+  normalizeGimbalType,
   normalizeObservatoryFsmConfig,
   normalizeSensorZoomConfig
 } from '../engine/objects/observatoryUtils.js'
@@ -37,9 +38,13 @@ import {
   resolveClockStepValue,
   resolveScenarioClockTarget,
   resolveScenarioDurationSeconds,
+  resolveScenarioEventTime,
   resolveScenarioJulianDateInput,
   resolveScenarioViewerTarget
 } from './utils.js'
+import { EVENT_OPTION_KEYS, validateScenarioEvents } from './validation.js'
+import { oemEphemerides, parseOem } from '../io/oem.js'
+import EphemerisObject from '../engine/objects/EphemerisObject.js'
 
 const DEFAULT_MODEL_MINIMUM_PIXEL_SIZE = 64
 const DEFAULT_MODEL_MAXIMUM_SCALE = 20000
@@ -52,6 +57,8 @@ const _scratchRotX = new Matrix3()
 const _scratchRotY = new Matrix3()
 const _scratchBodyToFixedRotation = new Matrix3()
 export { createClockContext } from './utils.js'
+export { exportScenario } from './export.js'
+export { registerScenarioEventSchema, validateScenarioEvents } from './validation.js'
 
 function resolveScenarioColor(input) {
   if (Array.isArray(input) && input.length === 3) {
@@ -129,6 +136,7 @@ function resolveScenarioSensorConfig(sensor) {
       y_fov: Number(sensor.y_fov ?? 0.01),
       x_fov: Number(sensor.x_fov ?? 0.01),
       field_of_regard: sensor.field_of_regard ?? [],
+      ...resolveScenarioLunarExclusion(sensor),
       ...(sensor.color != null ? { color: sensor.color } : {})
     }
   }
@@ -142,11 +150,17 @@ function resolveScenarioSensorConfig(sensor) {
     y_fov: Number(sensor.y_fov ?? 5),
     x_fov: Number(sensor.x_fov ?? 5),
     field_of_regard: sensor.field_of_regard ?? [],
+    ...resolveScenarioLunarExclusion(sensor),
     ...(sensor.color != null ? { color: sensor.color } : {}),
     ...(zoom ? { zoom } : {})
   }
 }
 
+function resolveScenarioLunarExclusion(sensor) {
+  const angle = sensor.lunar_exclusion_angle ?? sensor.lunarExclusionAngle
+  return angle != null ? { lunar_exclusion_angle: Number(angle) } : {}
+}
+
 /**
  * Normalize optional multi-payload observatory definitions from a scenario entry.
  *
@@ -272,6 +286,42 @@ function formatJulianDateIso(value) {
   return value != null ? String(value) : 'current'
 }
 
+const ORBITAL_ELEMENT_KEYS = {
+  semi_major_axis: 'semiMajorAxis',
+  argument_of_periapsis: 'argumentOfPeriapsis',
+  true_anomaly: 'trueAnomaly',
+  mean_anomaly: 'meanAnomaly',
+  apogee_altitude: 'apogeeAltitude',
+  perigee_altitude: 'perigeeAltitude'
+}
+const ORBITAL_ELEMENT_ANGLES = new Set(['i', 'inclination', 'raan', 'argp', 'argumentOfPeriapsis', 'nu', 'trueAnomaly', 'M', 'meanAnomaly', 'L'])
+
+/**
+ * Convert scenario orbital elements to the engine's units. Angles are given
+ * in degrees and distances in meters; snake_case keys are accepted.
+ *
+ * - Keplerian: `semiMajorAxis`, `eccentricity`, `inclination`, `raan`,
+ *   `argumentOfPeriapsis`, `trueAnomaly` or `meanAnomaly`
+ * - Equinoctial: `p`, `f`, `g`, `h`, `k`, `L`
+ * - Apogee/perigee: `apogeeAltitude`, `perigeeAltitude` plus the Keplerian angles
+ *
+ * @param {Object} input - Scenario `elements` object, optionally with a `type`.
+ * @returns {Object} Elements in meters and radians.
+ */
+function resolveScenarioOrbitalElements(input) {
+  const elements = {}
+  Object.entries(input ?? {}).forEach(([key, value]) => {
+    const name = ORBITAL_ELEMENT_KEYS[key] ?? key
+    if (name === 'type') {
+      elements.type = value
+      return
+    }
+    const number = Number(value)
+    elements[name] = ORBITAL_ELEMENT_ANGLES.has(name) ? number * Math.PI / 180 : number
+  })
+  return elements
+}
+
 function isNonZeroVector3(v) {
   return defined(v) && (v.x !== 0 || v.y !== 0 || v.z !== 0)
 }
@@ -419,9 +469,15 @@ function createAirVehicleModelOrientationProperty(vehicle, universe, headingOffs
  *   `field_of_regard`, and `color`.
  * @param {Object} [obs.fsm] - Optional fast steering mirror config using
  *   canonical `tip`, `tilt`, and optional `slewRates`.
+ * @param {string} [obs.gimbal_type='AzElGimbal'] - Mount type: 'AzElGimbal' (axes `az`, `el`),
+ *   'EquatorialGimbal' (axes `ha`, `dec`) or 'XYGimbal' (axes `x`, `y`).
  * @param {Object<string, number|Object>} [obs.gimbal_slew_rates] - Optional per-axis slew settings.
  * @param {number|string} [obs.sensor_max_distance] - Optional fallback sensor range in meters when idle.
  * @param {string|Object} [obs.model] - Optional 3D model URI or Cesium model options.
+ * @param {string} [obs.id] - Optional unique id for the site.
+ * @param {string|Array<string>} [obs.tags] - Optional site tags.
+ * @param {Object} [obs.metadata] - Optional site metadata.
+ * @returns {Observatory|undefined} The added observatory, or `undefined` when skipped.
  */
 export function addObservatory(universe, viewer, obs) {
   if (universe.hasObject && universe.hasObject(obs.name)) {
@@ -429,6 +485,9 @@ export function addObservatory(universe, viewer, obs) {
     return
   }
 
+  const mountType = resolveScenarioGimbalType(obs, 'ground')
+  if (!defined(mountType)) return
+
   const sensors = resolveScenarioObservatorySensors(obs)
   const zoom = normalizeSensorZoomConfig(obs.zoom)
   const fsm = resolveScenarioFsmConfig(obs.fsm, obs.name)
@@ -437,7 +496,7 @@ export function addObservatory(universe, viewer, obs) {
     latitude: Number(obs.latitude),
     longitude: Number(obs.longitude),
     altitude: Number(obs.altitude ?? 0),
-    gimbalType: 'AzElGimbal',
+    gimbalType: mountType,
     height: Number(obs.height ?? obs.sensor_height),
     width: Number(obs.width ?? obs.sensor_width),
     y_fov: Number(obs.y_fov ?? 5),
@@ -452,7 +511,10 @@ export function addObservatory(universe, viewer, obs) {
       obs.slew_rates ??
       obs.slewRates
     ),
-    sensorMaxDistance: resolveSensorMaxDistance(obs)
+    sensorMaxDistance: resolveSensorMaxDistance(obs),
+    ...(defined(obs.id) ? { id: String(obs.id) } : {}),
+    ...(defined(obs.tags) ? { tags: obs.tags } : {}),
+    ...(defined(obs.metadata) ? { metadata: obs.metadata } : {})
   })
 
   const desc = `<div><b>${obs.name}</b><br>` +
@@ -465,6 +527,198 @@ export function addObservatory(universe, viewer, obs) {
   if (scenarioViewer?.addObservatoryVisualizer) {
     scenarioViewer.addObservatoryVisualizer(o, desc, visualizerModelOptions)
   }
+  return o
+}
+
+/**
+ * Resolve the gimbal, FSM and payload settings shared by observatory entries
+ * into the object config accepted by the Universe observatory methods.
+ *
+ * @param {Object} obs - Observatory entry.
+ * @returns {Object}
+ */
+function resolveScenarioObservatoryPayloadConfig(obs) {
+  const sensors = resolveScenarioObservatorySensors(obs)
+  const zoom = normalizeSensorZoomConfig(obs.zoom)
+  const fsm = resolveScenarioFsmConfig(obs.fsm, obs.name)
+  return {
+    height: Number(obs.height ?? obs.sensor_height),
+    width: Number(obs.width ?? obs.sensor_width),
+    y_fov: Number(obs.y_fov ?? 5),
+    x_fov: Number(obs.x_fov ?? 5),
+    field_of_regard: obs.field_of_regard ?? [],
+    ...(zoom ? { zoom } : {}),
+    ...(sensors ? { sensors } : {}),
+    ...(fsm ? { fsm } : {}),
+    gimbalSlewRates: resolveGimbalSlewRates(
+      obs.gimbal_slew_rates ??
+      obs.gimbalSlewRates ??
+      obs.slew_rates ??
+      obs.slewRates
+    ),
+    sensorMaxDistance: resolveSensorMaxDistance(obs)
+  }
+}
+
+/**
+ * Copy the observatory fields of a scenario entry, resolving key aliases.
+ *
+ * @param {Object} obj - Scenario entry.
+ * @returns {Object}
+ */
+function pickScenarioObservatoryFields(obj) {
+  return {
+    height: (obj.height != null ? obj.height : obj.sensor_height),
+    width: (obj.width != null ? obj.width : obj.sensor_width),
+    y_fov: obj.y_fov,
+    x_fov: obj.x_fov,
+    field_of_regard: obj.field_of_regard,
+    zoom: obj.zoom,
+    fsm: obj.fsm,
+    sensors: obj.sensors,
+    gimbal_type: (obj.gimbal_type != null ? obj.gimbal_type : obj.gimbalType),
+    gimbal_slew_rates: (obj.gimbal_slew_rates != null ? obj.gimbal_slew_rates : obj.gimbalSlewRates),
+    sensor_max_distance: (
+      obj.sensor_max_distance != null
+        ? obj.sensor_max_distance
+        : (obj.sensorMaxDistance != null ? obj.sensorMaxDistance : obj.max_sensor_distance)
+    ),
+  }
+}
+
+/**
+ * Gimbal types each kind of observatory mount supports, default first.
+ */
+const SCENARIO_GIMBAL_TYPES = Object.freeze({
+  ground: ['AzElGimbal', 'EquatorialGimbal', 'XYGimbal'],
+  space: ['SpaceAzElGimbal'],
+  airborne: ['AzElGimbal', 'XYGimbal']
+})
+
+/**
+ * Resolve the normalized gimbal type of a scenario observatory, warning when
+ * its mount does not support it.
+ *
+ * @param {Object} obs - Observatory entry.
+ * @param {string} mount - Mount kind, a key of `SCENARIO_GIMBAL_TYPES`.
+ * @returns {string|undefined} The gimbal type, or `undefined` when unsupported.
+ */
+function resolveScenarioGimbalType(obs, mount) {
+  const supported = SCENARIO_GIMBAL_TYPES[mount]
+  const gimbalType = obs.gimbal_type ?? obs.gimbalType ?? supported[0]
+  const mountType = normalizeGimbalType(gimbalType)
+  if (!supported.includes(mountType)) {
+    console.warn(`Observatory ${obs.name}: unsupported gimbal type ${gimbalType}, skipping creation.`)
+    return undefined
+  }
+  return mountType
+}
+
+/**
+ * Resolve the vehicle carrying a scenario observatory, logging why the
+ * observatory is skipped when it cannot be created.
+ *
+ * @param {Universe} universe
+ * @param {Object} obs - Observatory entry.
+ * @param {string} kind - Host key, `satellite` or `vehicle`.
+ * @returns {SimObject|undefined}
+ */
+function resolveScenarioObservatoryHost(universe, obs, kind) {
+  if (defined(universe.getObservatory?.(obs.name))) {
+    console.log(`Observatory with name ${obs.name} already exists, skipping creation.`)
+    return undefined
+  }
+  const host = universe.getObject(obs[kind]) ?? universe.getObjectById?.(obs[kind])
+  if (!defined(host)) {
+    console.warn(`Observatory ${obs.name}: unknown ${kind} ${obs[kind]}, skipping creation.`)
+  }
+  return host
+}
+
+/**
+ * Create a space-based EO observatory on an existing satellite and attach a
+ * visualizer.
+ *
+ * Gimbal angles and fields of regard are in the satellite body frame: the
+ * elevation is measured from body -Z and the azimuth from body -X toward
+ * body +Y.
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Viewer} viewer - The SatSim viewer (with addObservatoryVisualizer).
+ * @param {Object} obs - Observatory config. Accepts the sensor, FSM, slew-rate
+ *   and range fields of {@link addObservatory}.
+ * @param {string} obs.name - Unique name for the observatory.
+ * @param {string} obs.satellite - Name or id of the host satellite.
+ * @param {string} [obs.gimbal_type='SpaceAzElGimbal'] - Mount type; only 'SpaceAzElGimbal' is supported.
+ * @returns {Observatory|undefined} The added observatory, or `undefined` when skipped.
+ */
+export function addSpaceObservatory(universe, viewer, obs) {
+  const host = resolveScenarioObservatoryHost(universe, obs, 'satellite')
+  if (!defined(host)) return
+  const mountType = resolveScenarioGimbalType(obs, 'space')
+  if (!defined(mountType)) return
+
+  const o = universe.addSpaceElectroOpticalObservatory({
+    name: String(obs.name),
+    satellite: host,
+    gimbalType: mountType,
+    ...resolveScenarioObservatoryPayloadConfig(obs)
+  })
+
+  const desc = `<div><b>${obs.name}</b><br>Host: ${host.name}</div>`
+  const scenarioViewer = resolveScenarioViewerTarget(viewer)
+  if (scenarioViewer?.addObservatoryVisualizer) {
+    scenarioViewer.addObservatoryVisualizer(o, desc)
+  }
+  return o
+}
+
+/**
+ * Create an airborne EO observatory on an existing air vehicle and attach a
+ * visualizer.
+ *
+ * The gimbal base follows the vehicle heading: azimuth is measured clockwise
+ * from the nose and elevation above the vehicle's horizontal plane.
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Viewer} viewer - The SatSim viewer (with addObservatoryVisualizer).
+ * @param {Object} obs - Observatory config. Accepts the sensor, FSM, slew-rate
+ *   and range fields of {@link addObservatory}.
+ * @param {string} obs.name - Unique name for the observatory.
+ * @param {string} obs.vehicle - Name or id of the air vehicle.
+ * @param {string} [obs.gimbal_type='AzElGimbal'] - Mount type: 'AzElGimbal' (axes `az`, `el`) or
+ *   'XYGimbal' (axes `x`, `y`).
+ * @param {string} [obs.id] - Optional unique id for the mount.
+ * @param {string|Array<string>} [obs.tags] - Optional mount tags.
+ * @param {Object} [obs.metadata] - Optional mount metadata.
+ * @returns {Observatory|undefined} The added observatory, or `undefined` when skipped.
+ */
+export function addAirborneObservatory(universe, viewer, obs) {
+  const host = resolveScenarioObservatoryHost(universe, obs, 'vehicle')
+  if (!defined(host)) return
+  if (universe.hasObject?.(obs.name)) {
+    console.log(`Object with name ${obs.name} already exists, skipping observatory creation.`)
+    return
+  }
+  const mountType = resolveScenarioGimbalType(obs, 'airborne')
+  if (!defined(mountType)) return
+
+  const o = universe.addAirborneElectroOpticalObservatory({
+    name: String(obs.name),
+    vehicle: host,
+    gimbalType: mountType,
+    ...resolveScenarioObservatoryPayloadConfig(obs),
+    ...(defined(obs.id) ? { id: String(obs.id) } : {}),
+    ...(defined(obs.tags) ? { tags: obs.tags } : {}),
+    ...(defined(obs.metadata) ? { metadata: obs.metadata } : {})
+  })
+
+  const desc = `<div><b>${obs.name}</b><br>Vehicle: ${host.name}</div>`
+  const scenarioViewer = resolveScenarioViewerTarget(viewer)
+  if (scenarioViewer?.addObservatoryVisualizer) {
+    scenarioViewer.addObservatoryVisualizer(o, desc)
+  }
+  return o
 }
 
 /**
@@ -482,10 +736,13 @@ export function addObservatory(universe, viewer, obs) {
  * @param {Array<number>} [entry.v] - Alias for velocity.
  * @param {Array<number>} [entry.r_km] - Position in kilometers.
  * @param {Array<number>} [entry.v_km_s] - Velocity in km/s.
+ * @param {Object} [entry.elements] - Orbital elements used when no position is given;
+ *   see {@link resolveScenarioOrbitalElements}.
  * @param {string|Date} [entry.epoch] - Epoch as ISO string or Date.
- * @param {string} [entry.orientation='nadir'] - Orientation strategy.
+ * @param {string|Object|Array<Object>} [entry.orientation='nadir'] - Attitude law, see `SimObject#orientation`.
  * @param {string|Array<number>} [entry.color='random'] - Visualization color for the satellite.
  * @param {string|Object} [entry.model] - Optional 3D model URI or Cesium model options.
+ * @returns {TwoBodySatellite|undefined} The added satellite, or `undefined` when skipped.
  */
 export function addTwoBody(universe, viewer, entry, idx = 0) {
   const clock = resolveScenarioClockTarget(viewer) ?? createClockContext()
@@ -496,22 +753,37 @@ export function addTwoBody(universe, viewer, entry, idx = 0) {
     return
   }
 
-  const r = entry.position
-  const v = entry.velocity
-  let r_m = r
-  let v_m_s = v
-
-  const R = new Cartesian3(Number(r_m[0]), Number(r_m[1]), Number(r_m[2]))
-  const V = new Cartesian3(Number(v_m_s[0]), Number(v_m_s[1]), Number(v_m_s[2]))
   const t = JulianDate.fromDate(new Date(entry.epoch))
   const orientation = entry.orientation || 'nadir'
-
   const fallbackTime = resolveScenarioJulianDateInput(clock.currentTime, JulianDate.now())
-  const s = universe.addTwoBodySatellite(name, R, V, t || fallbackTime, orientation, false, true)
 
+  let s, desc
+  if (!defined(entry.position) && defined(entry.elements)) {
+    s = universe.addTwoBodySatelliteFromElements(name, resolveScenarioOrbitalElements(entry.elements), t || fallbackTime, orientation, false, true)
+    desc = `Two-body elements @ ${entry.epoch || 'current'}<br>${JSON.stringify(entry.elements)}`
+  } else {
+    const r_m = entry.position
+    const v_m_s = entry.velocity
+    const R = new Cartesian3(Number(r_m[0]), Number(r_m[1]), Number(r_m[2]))
+    const V = new Cartesian3(Number(v_m_s[0]), Number(v_m_s[1]), Number(v_m_s[2]))
+    s = universe.addTwoBodySatellite(name, R, V, t || fallbackTime, orientation, false, true)
+    desc = `Two-body initial state @ ${entry.epoch || 'current'}<br>` +
+      `r[m]=${JSON.stringify(r_m)}<br>v[m/s]=${JSON.stringify(v_m_s)}`
+  }
+  addOrbitVisualizer(scenarioViewer, s, desc, entry)
+  return s
+}
+
+/**
+ * Attach a point and a one-orbit path visualizer to a satellite.
+ *
+ * @param {Viewer|undefined} scenarioViewer - The resolved scenario viewer.
+ * @param {SimObject} s - The satellite.
+ * @param {string} desc - Description shown in the info box.
+ * @param {Object} entry - Scenario entry with optional `color` and `model`.
+ */
+function addOrbitVisualizer(scenarioViewer, s, desc, entry) {
   const color = resolveScenarioColor(entry.color)
-  const desc = `Two-body initial state @ ${entry.epoch || 'current'}<br>` +
-    `r[m]=${JSON.stringify(r_m)}<br>v[m/s]=${JSON.stringify(v_m_s)}`
   const lead = (s && s.period) ? (s.period / 2) : 1800
   const trail = (s && s.period) ? (s.period / 2) : 1800
   const res = (s && s.period && s.eccentricity !== undefined) ? (s.period / (500 / (1 - s.eccentricity))) : 60
@@ -526,6 +798,48 @@ export function addTwoBody(universe, viewer, entry, idx = 0) {
   }
 }
 
+/**
+ * Add a numerically propagated satellite from an ECI state and attach a
+ * visualizer.
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Viewer} viewer - The SatSim viewer.
+ * @param {Object} entry - Numerical satellite definition.
+ * @param {string} [entry.name] - Object name.
+ * @param {Array<number>} entry.position - ECI position vector in meters.
+ * @param {Array<number>} entry.velocity - ECI velocity vector in m/s.
+ * @param {string|Date} entry.epoch - Epoch as ISO string or Date.
+ * @param {Object} [entry.forceModel] - Force model, see {@link NumericalSatellite}.
+ * @param {string|Object|Array<Object>} [entry.orientation='nadir'] - Attitude law, see `SimObject#orientation`.
+ * @param {string|Array<number>} [entry.color='random'] - Visualization color for the satellite.
+ * @param {string|Object} [entry.model] - Optional 3D model URI or Cesium model options.
+ * @returns {NumericalSatellite|undefined} The added satellite, or `undefined` when skipped.
+ */
+export function addNumericalSatellite(universe, viewer, entry, idx = 0) {
+  const clock = resolveScenarioClockTarget(viewer) ?? createClockContext()
+  const scenarioViewer = resolveScenarioViewerTarget(viewer)
+  const name = entry.name || `Numerical-${idx + 1}`
+  if (universe.hasObject && universe.hasObject(name)) {
+    console.log(`Satellite with name ${name} already exists, skipping creation.`)
+    return
+  }
+
+  const r = entry.position
+  const v = entry.velocity
+  const R = new Cartesian3(Number(r[0]), Number(r[1]), Number(r[2]))
+  const V = new Cartesian3(Number(v[0]), Number(v[1]), Number(v[2]))
+  const t = defined(entry.epoch)
+    ? JulianDate.fromDate(new Date(entry.epoch))
+    : resolveScenarioJulianDateInput(clock.currentTime, JulianDate.now())
+  const orientation = entry.orientation || 'nadir'
+  const s = universe.addNumericalSatellite(name, R, V, t, orientation, entry.forceModel ?? {}, false, true)
+
+  const desc = `Numerical initial state @ ${entry.epoch || 'current'}<br>` +
+    `r[m]=${JSON.stringify(r)}<br>v[m/s]=${JSON.stringify(v)}`
+  addOrbitVisualizer(scenarioViewer, s, desc, entry)
+  return s
+}
+
 /**
  * Add an air vehicle (drone/UAV) and attach a simple visualizer.
  *
@@ -542,6 +856,10 @@ export function addTwoBody(universe, viewer, entry, idx = 0) {
  * @param {string|Date} [entry.epoch] - Epoch as ISO string or Date.
  * @param {string|Array<number>} [entry.color='random'] - Visualization color.
  * @param {string|Object} [entry.model] - Optional 3D model URI or Cesium model options.
+ * @param {Object} [entry.observatory] - Optional airborne observatory carried by the
+ *   vehicle, with the fields of {@link addAirborneObservatory} (`sensors[]`, `fsm`,
+ *   `gimbal_slew_rates`, ...). Its `name` defaults to `<vehicle name> Observatory`.
+ * @returns {AirVehicle|undefined} The added air vehicle, or `undefined` when skipped.
  */
 export function addAirVehicle(universe, viewer, entry, idx = 0) {
   const clock = resolveScenarioClockTarget(viewer) ?? createClockContext()
@@ -647,6 +965,18 @@ export function addAirVehicle(universe, viewer, entry, idx = 0) {
   if (scenarioViewer?.addObjectVisualizer) {
     scenarioViewer.addObjectVisualizer(v, desc, visualizerOptions)
   }
+  if (entry.observatory != null && typeof entry.observatory === 'object') {
+    const observatory = entry.observatory
+    addAirborneObservatory(universe, viewer, {
+      name: observatory.name ?? `${name} Observatory`,
+      vehicle: name,
+      ...pickScenarioObservatoryFields(observatory),
+      id: observatory.id,
+      tags: observatory.tags,
+      metadata: observatory.metadata,
+    })
+  }
+  return v
 }
 
 /**
@@ -657,9 +987,10 @@ export function addAirVehicle(universe, viewer, entry, idx = 0) {
  * @param {string} name - Satellite name/identifier.
  * @param {string} tle1 - Line 1.
  * @param {string} tle2 - Line 2.
- * @param {string} [orientation='nadir'] - Orientation strategy.
+ * @param {string|Object|Array<Object>} [orientation='nadir'] - Attitude law, see `SimObject#orientation`.
  * @param {string|Array<number>} [color='random'] - Visualization color for the satellite.
  * @param {string|Object} [modelInput] - Optional 3D model URI or Cesium model options.
+ * @returns {LagrangeInterpolatedObject} The added satellite.
  */
 export function addSatelliteFromTLE(universe, viewer, name, tle1, tle2, orientation = 'nadir', colorInput, modelInput) {
   const s = universe.addSGP4Satellite(name, tle1, tle2, orientation || 'nadir', true)
@@ -677,6 +1008,7 @@ export function addSatelliteFromTLE(universe, viewer, name, tle1, tle2, orientat
       ...(visualizerModelOptions ?? {})
     })
   }
+  return s
 }
 
 /**
@@ -723,12 +1055,14 @@ export function parseTleCatalogText(text, limit = Infinity) {
  * - data|text: Inline TLE catalog text.
  * - url|path: URL to fetch TLE text from when no inline data is provided.
  * - limit: Maximum satellites to add (default 500000).
- * - orientation: Optional orientation strategy (e.g., 'nadir').
+ * - orientation: Optional attitude law (e.g., 'nadir'), see `SimObject#orientation`.
  * - model: Optional 3D model URI or Cesium model options applied to each catalog object.
+ * - tags, metadata: Optional tags and metadata applied to each catalog object.
  *
  * @param {Universe} universe - The SatSim Universe instance.
  * @param {Viewer} viewer - The SatSim viewer.
  * @param {Object} obj - TLE catalog descriptor.
+ * @returns {Promise<Array<LagrangeInterpolatedObject>|undefined>} The added satellites.
  */
 export async function addTleCatalog(universe, viewer, obj) {
   const limit = Number(obj.limit ?? 500000)
@@ -740,11 +1074,95 @@ export async function addTleCatalog(universe, viewer, obj) {
     text = await res.text()
   }
   const list = parseTleCatalogText(text, limit)
-  list.slice(0, limit).forEach((sat) => {
-    addSatelliteFromTLE(universe, viewer, sat.name, sat.l1, sat.l2, obj.orientation, obj.color, obj.model)
+  return list.slice(0, limit).map((sat) => {
+    const satellite = addSatelliteFromTLE(universe, viewer, sat.name, sat.l1, sat.l2, obj.orientation, obj.color, obj.model)
+    applyScenarioRegistryFields(universe, satellite, { tags: obj.tags, metadata: obj.metadata })
+    return satellite
   })
 }
 
+/**
+ * Resolve EphemerisObject interpolation options from a scenario OEM entry,
+ * falling back to the message's INTERPOLATION metadata. LINEAR maps to
+ * first-degree Lagrange interpolation.
+ *
+ * @param {Object} ephemeris - Entry returned by `oemEphemerides`.
+ * @param {Object} obj - OEM descriptor.
+ * @returns {{interpolation?: string, degree?: number, outOfSpan?: string}}
+ */
+function resolveOemInterpolation(ephemeris, obj) {
+  let interpolation = obj.interpolation
+  let degree = obj.interpolation_degree ?? obj.degree
+  if (!defined(interpolation) && defined(ephemeris.interpolation)) {
+    const method = ephemeris.interpolation.toUpperCase()
+    if (method === 'HERMITE' || method === 'LAGRANGE') {
+      interpolation = method.toLowerCase()
+      degree = degree ?? ephemeris.interpolationDegree
+    } else if (method === 'LINEAR') {
+      interpolation = 'lagrange'
+      degree = degree ?? 1
+    }
+  }
+  return { interpolation, degree, outOfSpan: obj.out_of_span ?? obj.outOfSpan }
+}
+
+/**
+ * Add the objects of a CCSDS Orbit Ephemeris Message as EphemerisObjects.
+ *
+ * Segments are merged per object (see `oemEphemerides`); objects in
+ * Earth-fixed frames (ITRF) are added with `ReferenceFrame.FIXED`.
+ *
+ * Object fields:
+ * - data|text: Inline OEM text, KVN or XML.
+ * - url|path: URL to fetch the OEM from when no inline data is provided.
+ * - object: Optional OBJECT_NAME or OBJECT_ID to add; all objects otherwise.
+ * - name: Optional name when the message holds a single object; OBJECT_NAME otherwise.
+ * - interpolation: Optional 'hermite' or 'lagrange'; the message's INTERPOLATION otherwise.
+ * - interpolation_degree|degree: Optional interpolation degree; INTERPOLATION_DEGREE otherwise.
+ * - out_of_span|outOfSpan: Optional 'hold', 'hide' or 'error' behavior outside the ephemeris span.
+ * - color, model: Optional visualization options applied to each object.
+ * - tags, metadata: Optional tags and metadata applied to each object.
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Viewer} viewer - The SatSim viewer.
+ * @param {Object} obj - OEM descriptor.
+ * @returns {Promise<Array<EphemerisObject>|undefined>} The added objects.
+ * @throws {Error} If the message cannot be parsed or has unsupported frames.
+ */
+export async function addOemEphemeris(universe, viewer, obj) {
+  let text = obj.data || obj.text || null
+  if (!text) {
+    const url = obj.url || obj.path
+    if (!url) return
+    const res = await fetch(url)
+    text = await res.text()
+  }
+  const scenarioViewer = resolveScenarioViewerTarget(viewer)
+  const ephemerides = oemEphemerides(parseOem(text))
+    .filter((e) => !defined(obj.object) || e.name === obj.object || e.objectId === obj.object)
+
+  return ephemerides.map((ephemeris) => {
+    const name = (ephemerides.length === 1 && obj.name) || ephemeris.name
+    if (universe.hasObject && universe.hasObject(name)) {
+      console.log(`Object with name ${name} already exists, skipping creation.`)
+      return undefined
+    }
+    const object = universe.addObject(new EphemerisObject(
+      ephemeris.times,
+      ephemeris.positions,
+      ephemeris.velocities,
+      name,
+      ephemeris.referenceFrame,
+      resolveOemInterpolation(ephemeris, obj)
+    ))
+    const desc = `OEM ephemeris ${ephemeris.objectId}<br>` +
+      `${JulianDate.toIso8601(ephemeris.times[0], 0)} to ${JulianDate.toIso8601(ephemeris.times[ephemeris.times.length - 1], 0)}`
+    addOrbitVisualizer(scenarioViewer, object, desc, obj)
+    applyScenarioRegistryFields(universe, object, { tags: obj.tags, metadata: obj.metadata })
+    return object
+  }).filter(defined)
+}
+
 /**
  * Apply simulation parameters to the viewer clock.
  *
@@ -820,11 +1238,41 @@ export function applySimulationParameters(viewer, params) {
   return clock
 }
 
+/**
+ * Apply the optional `id`, `tags` and `metadata` fields of a scenario entry to
+ * an added object. Metadata is merged over any the object already has (such
+ * as the NORAD id of TLE satellites). An id that is already taken is ignored
+ * with a warning.
+ *
+ * @param {Universe} universe
+ * @param {SimObject|undefined} object
+ * @param {{id?: string, tags?: string|Array<string>, metadata?: Object}} entry
+ */
+function applyScenarioRegistryFields(universe, object, entry) {
+  if (!defined(object)) return
+  if (defined(entry.tags)) object.tags = entry.tags
+  if (defined(entry.metadata) && typeof entry.metadata === 'object') {
+    object.metadata = { ...object.metadata, ...entry.metadata }
+  }
+  if (defined(entry.id) && String(entry.id) !== object.id && typeof universe.setObjectId === 'function') {
+    try {
+      universe.setObjectId(object, entry.id)
+    } catch (error) {
+      console.warn(`${error.message}, keeping id ${object.id}`)
+    }
+  }
+}
+
 /**
  * Add an object described by a scenario entry.
  *
- * Supported types: GroundEOObservatory (and aliases), SGP4Satellite, TLECatalog,
- * TwoBodySatellite (and aliases), AirVehicle (and aliases).
+ * Supported types: GroundEOObservatory (and aliases), SpaceEOObservatory and
+ * AirborneEOObservatory (and aliases, carried by an earlier `satellite` or
+ * `vehicle` entry), SGP4Satellite, TLECatalog,
+ * TwoBodySatellite (and aliases), NumericalSatellite (and aliases), OEM, AirVehicle (and aliases).
+ *
+ * Every entry may carry an `id`, `tags` (string or list) and `metadata`
+ * object, available through `universe.query`.
  *
  * @param {Universe} universe - The SatSim Universe instance.
  * @param {Viewer} viewer - The SatSim viewer.
@@ -852,6 +1300,7 @@ export function addScenarioObject(universe, viewer, obj) {
         zoom: obj.zoom,
         fsm: obj.fsm,
         sensors: obj.sensors,
+        gimbal_type: (obj.gimbal_type != null ? obj.gimbal_type : obj.gimbalType),
         gimbal_slew_rates: (obj.gimbal_slew_rates != null ? obj.gimbal_slew_rates : obj.gimbalSlewRates),
         sensor_max_distance: (
           obj.sensor_max_distance != null
@@ -859,12 +1308,39 @@ export function addScenarioObject(universe, viewer, obj) {
             : (obj.sensorMaxDistance != null ? obj.sensorMaxDistance : obj.max_sensor_distance)
         ),
         model: obj.model,
+        id: obj.id,
+        tags: obj.tags,
+        metadata: obj.metadata,
+      })
+      break
+    }
+    case 'spaceeoobservatory':
+    case 'spaceeo':
+    case 'spaceobservatory': {
+      addSpaceObservatory(universe, viewer, {
+        name: obj.name,
+        satellite: (obj.satellite != null ? obj.satellite : obj.host),
+        ...pickScenarioObservatoryFields(obj)
+      })
+      break
+    }
+    case 'airborneeoobservatory':
+    case 'airborneeo':
+    case 'airborneobservatory': {
+      addAirborneObservatory(universe, viewer, {
+        name: obj.name,
+        vehicle: (obj.vehicle != null ? obj.vehicle : obj.host),
+        ...pickScenarioObservatoryFields(obj),
+        id: obj.id,
+        tags: obj.tags,
+        metadata: obj.metadata,
       })
       break
     }
     case 'sgp4satellite':
     case 'sgp4': {
-      addSatelliteFromTLE(universe, viewer, obj.name || String(obj.tle1 || '').trim(), obj.tle1, obj.tle2, obj.orientation, obj.color, obj.model)
+      const satellite = addSatelliteFromTLE(universe, viewer, obj.name || String(obj.tle1 || '').trim(), obj.tle1, obj.tle2, obj.orientation, obj.color, obj.model)
+      applyScenarioRegistryFields(universe, satellite, obj)
       break
     }
     case 'tlecatalog':
@@ -873,23 +1349,45 @@ export function addScenarioObject(universe, viewer, obj) {
       addTleCatalog(universe, viewer, obj)
       break
     }
+    case 'oem': {
+      addOemEphemeris(universe, viewer, obj)
+        .catch((err) => console.warn(`Failed to load OEM ${obj.name || obj.url || obj.path || ''}: ${err.message}`))
+      break
+    }
     case 'twobodysatellite':
     case 'twobody': {
-      addTwoBody(universe, viewer, {
+      const satellite = addTwoBody(universe, viewer, {
+        name: obj.name,
+        position: (obj.position != null ? obj.position : obj.initial_position),
+        velocity: (obj.velocity != null ? obj.velocity : obj.initial_velocity),
+        elements: (obj.elements != null ? obj.elements : obj.orbital_elements),
+        epoch: obj.epoch,
+        orientation: obj.orientation,
+        color: obj.color,
+        model: obj.model,
+      }, obj.__index)
+      applyScenarioRegistryFields(universe, satellite, obj)
+      break
+    }
+    case 'numericalsatellite':
+    case 'numerical': {
+      const satellite = addNumericalSatellite(universe, viewer, {
         name: obj.name,
         position: (obj.position != null ? obj.position : obj.initial_position),
         velocity: (obj.velocity != null ? obj.velocity : obj.initial_velocity),
         epoch: obj.epoch,
+        forceModel: (obj.forceModel != null ? obj.forceModel : obj.force_model),
         orientation: obj.orientation,
         color: obj.color,
         model: obj.model,
       }, obj.__index)
+      applyScenarioRegistryFields(universe, satellite, obj)
       break
     }
     case 'airvehicle':
     case 'drone':
     case 'uav': {
-      addAirVehicle(universe, viewer, {
+      const vehicle = addAirVehicle(universe, viewer, {
         name: obj.name,
         latitude: (obj.latitude != null ? obj.latitude : obj.lat),
         longitude: (obj.longitude != null ? obj.longitude : (obj.lon != null ? obj.lon : obj.lng)),
@@ -912,20 +1410,47 @@ export function addScenarioObject(universe, viewer, obj) {
         start_time: obj.start_time,
         default_speed: obj.default_speed,
         loop_speed: obj.loop_speed,
+        observatory: obj.observatory,
       }, obj.__index)
+      applyScenarioRegistryFields(universe, vehicle, obj)
       break
     }
   }
 }
 
+/**
+ * Register the `addObject` event handler, which builds the event's `object`
+ * entry with {@link addScenarioObject} (and its viewer visualizer) when it
+ * fires. Entries without an `epoch` take the event time.
+ *
+ * Unlike the other event types, `addObject` is not built into `Universe`
+ * because it needs the scenario loader and the viewer; {@link loadScenario}
+ * and {@link scheduleScenarioEvents} register it, so schedule `addObject`
+ * events on a universe only after one of them has run.
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Viewer} viewer - The SatSim viewer.
+ */
+function registerScenarioObjectEvents(universe, viewer) {
+  universe.events?.registerHandler?.('addObject', (u, ev) => {
+    const entry = ev?.data?.object
+    if (!entry || typeof entry !== 'object') return
+    addScenarioObject(u, viewer, { epoch: formatJulianDateIso(ev.time), ...entry })
+  })
+}
+
 /**
  * Schedule simple time-based scenario events.
  *
  * Currently supports:
  * - type: 'trackObject' with {observer, target} fields
- *   Switches the observer's gimbal to rate tracking of the target at event time.
+ *   Switches the observer's gimbal to rate tracking of the target (name or id) at event time.
+ * - type: 'pointRaDec' with {observer, ra, dec}
+ *   Switches the observer's gimbal to sidereal tracking of a fixed inertial right
+ *   ascension and declination (degrees), e.g. to stare at a star field.
  * - type: 'stepGimbalAxes' with {observer, axes:{axisName:deltaDeg}}
- *   Steps one or more gimbal axis targets by delta degrees.
+ *   Steps one or more gimbal axis targets by delta degrees. Axis names follow
+ *   the mount: `az`/`el`, `ha`/`dec` (EquatorialGimbal) or `x`/`y` (XYGimbal).
  * - type: 'setGimbalAxes' with {observer, axes:{axisName:targetDeg}}
  *   Sets one or more gimbal axis targets in degrees.
  * - type: 'setSensorZoom' with {observer, sensor?, zoomLevel}
@@ -934,50 +1459,99 @@ export function addScenarioObject(universe, viewer, obj) {
  *   Adjusts a sensor zoom level by a normalized delta.
  * - type: 'setDirectedEnergyActive' with {observer, device|sensor, active}
  *   Enables or disables a named laser payload without changing gimbal tracking.
+ * - type: 'satelliteManeuver' with {object|satellite, deltaV:[x,y,z], frame?}
+ *   Applies an impulsive delta-v (m/s) to a TwoBodySatellite or NumericalSatellite
+ *   and re-epochs its orbit.
+ *   `frame` is 'RIC' (radial, in-track, cross-track; default), 'VNB' (velocity,
+ *   normal, binormal) or 'inertial'.
+ * - type: 'addObject' with {object: scenarioObjectEntry}
+ *   Creates any `objects` entry (SGP4, TwoBody, AirVehicle, observatory, ...) and
+ *   its visualizer at event time, e.g. a launch or a sensor coming online:
+ *   `{ time: 600, type: 'addObject', object: { type: 'AirVehicle', name: 'Drone-2', latitude: 30, longitude: -100, altitude: 100, speed: 40 } }`
+ *   The handler is registered here and by {@link loadScenario}.
+ * - type: 'removeObject' with {object|name: objectName|objectId|siteName}
+ *   Deletes an object, or an observatory with all its payloads, and its visualizer.
+ *   Rewinding past the event restores them unless the universe's event history
+ *   is disabled.
+ *
+ * Any event may repeat: `interval` (seconds) re-fires it at `time + n * interval`,
+ * `count` caps the number of firings and `until` (seconds from scenario start or
+ * an ISO time) closes the window. For example, pulse a laser every 10 s from
+ * T+100 to T+400:
+ * `{ time: 100, type: 'setDirectedEnergyActive', observer: 'Site', device: 'Beam', active: true, interval: 10, until: 400 }`
+ *
+ * An event with a `when` condition fires when the condition becomes true
+ * rather than at `time`, which is then optional and only delays evaluation.
+ * `once: false` re-fires it every time the condition becomes true again.
+ * Conditions:
+ * - `{ type: 'inFieldOfRegard', observer, target, sensor? }`
+ * - `{ type: 'elevationAbove', observer, target, elevation }` (degrees)
+ * - `{ type: 'rangeBelow' | 'rangeAbove', observer, target, range }` (meters;
+ *   observer may be an observatory or any object)
+ * - `{ type: 'inUmbra', object, penumbra?, body? }` (`body: 'moon'` for a lunar
+ *   eclipse)
+ * - `{ type: 'laserColliding', observer, device? }`
+ *
+ * For example, track a satellite once it rises above 20°:
+ * `{ type: 'trackObject', observer: 'Site', target: 'SAT', when: { type: 'elevationAbove', observer: 'Site', target: 'SAT', elevation: 20 } }`
+ *
+ * Events are checked with {@link validateScenarioEvents} first. Events with
+ * errors are skipped; errors and warnings are logged and returned.
  *
  * @param {Universe} universe - The SatSim Universe instance.
  * @param {Viewer} viewer - The SatSim viewer.
  * @param {Array<Object>} events - Array of events with `time` and `type`.
+ * @returns {{ valid: boolean, errors: Array<Object>, warnings: Array<Object> }} Validation report.
  */
 export function scheduleScenarioEvents(universe, viewer, events) {
   const clock = resolveScenarioClockTarget(viewer) ?? createClockContext()
-  if (!Array.isArray(events) || events.length === 0) return
+  registerScenarioObjectEvents(universe, viewer)
+  const report = validateScenarioEvents(universe, clock, events)
+  if (!Array.isArray(events) || events.length === 0) return report
+
+  report.errors.forEach((issue) => console.warn(`Skipping scenario event ${issue.index} (${issue.type}): ${issue.message}`))
+  report.warnings.forEach((issue) => console.warn(`Scenario event ${issue.index} (${issue.type}): ${issue.message}`))
+  const rejected = new Set(report.errors.map((issue) => issue.index))
 
   // Convert scenario event times to absolute JulianDate and enqueue
-  events.forEach((ev) => {
-    const t = ev.time
-    let jd
-    if (typeof t === 'number') {
-      // relative seconds from scenario start
-      jd = JulianDate.addSeconds(clock.startTime, t, new JulianDate())
-    } else if (typeof t === 'string') {
-      jd = JulianDate.fromDate(new Date(t))
-    } else if (t && t.toString) {
-      try { jd = JulianDate.fromDate(new Date(String(t))) } catch (_) { /* ignore */ }
-    }
-    if (!jd) return
+  events.forEach((ev, index) => {
+    if (rejected.has(index)) return
+    const jd = defined(ev.time) ? resolveScenarioEventTime(ev.time, clock.startTime) : undefined
+    const condition = ev.when ?? ev.condition
 
-    const type = String(ev.type || '').toLowerCase()
+    const type = String(ev.type).toLowerCase()
     const data = { ...ev }
-    delete data.time
-    delete data.type
+    EVENT_OPTION_KEYS.forEach((key) => delete data[key])
+
+    const until = defined(ev.until) ? resolveScenarioEventTime(ev.until, clock.startTime) : undefined
+    const options = { time: jd, type, data, count: ev.count, until }
+    if (ev.once !== undefined) options.once = ev.once
 
     // Enqueue using the universe event queue (handlers registered in Universe)
-    universe.scheduleEvent({ time: jd, type, data })
+    if (condition) {
+      universe.scheduleEvent({ ...options, condition })
+    } else {
+      universe.scheduleEvent({ ...options, interval: ev.interval })
+    }
   })
+  return report
 }
 
 /**
  * Apply a full scenario object: simulation parameters, objects, and events.
+ * The `addObject` event handler is registered first, so it is available even
+ * if the scenario has no events.
  *
  * @param {Universe} universe - The SatSim Universe instance.
  * @param {Viewer} viewer - The SatSim viewer.
  * @param {Object} config - Parsed scenario JSON.
+ * @returns {{ valid: boolean, errors: Array<Object>, warnings: Array<Object> }} Event validation report.
  */
 export function loadScenario(universe, viewer, config) {
+  registerScenarioObjectEvents(universe, viewer)
   if (config.simulationParameters) applySimulationParameters(viewer, config.simulationParameters)
   if (Array.isArray(config.objects)) config.objects.forEach((o, i) => addScenarioObject(universe, viewer, { ...o, __index: i }))
-  if (Array.isArray(config.events)) scheduleScenarioEvents(universe, viewer, config.events)
+  return scheduleScenarioEvents(universe, viewer, config.events)
 }
 
 export function loadScenarioRuntime(universe, clockContext, config) {
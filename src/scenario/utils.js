@@ -39,6 +39,24 @@ export function resolveScenarioJulianDateInput(value, fallback = undefined, nowV
   return fallback instanceof JulianDate ? JulianDate.clone(fallback, new JulianDate()) : undefined
 }
 
+/**
+ * Resolve a scenario event time given as seconds from `startTime` or as an
+ * absolute date/time.
+ *
+ * @param {number|string|Date|JulianDate} value
+ * @param {JulianDate} startTime
+ * @returns {JulianDate|undefined}
+ */
+export function resolveScenarioEventTime(value, startTime) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? JulianDate.addSeconds(startTime, value, new JulianDate()) : undefined
+  }
+  if (value instanceof JulianDate || value instanceof Date || typeof value === 'string') {
+    return resolveJulianDateInput(value)
+  }
+  return defined(value) ? resolveJulianDateInput(String(value)) : undefined
+}
+
 export function resolveScenarioDurationSeconds(value, fallback = undefined) {
   if (value === undefined || value === null || value === '') {
     return fallback
@@ -0,0 +1,459 @@
+import { defined, JulianDate } from 'cesium'
+
+import { getObservatorySensors } from '../engine/objects/observatoryUtils.js'
+import { toCartesian3OrUndefined } from '../engine/utils.js'
+import { createClockContext, resolveScenarioClockTarget, resolveScenarioEventTime } from './utils.js'
+
+/**
+ * Scenario event keys that control scheduling rather than being passed to
+ * the handler as event data.
+ * @type {Array<string>}
+ */
+export const EVENT_OPTION_KEYS = ['time', 'type', 'interval', 'count', 'until', 'once', 'when', 'condition']
+
+/**
+ * Object entry types understood by `addScenarioObject`, lowercased.
+ * @type {Array<string>}
+ */
+const SCENARIO_OBJECT_TYPES = [
+  'groundeoobservatory', 'groundeo', 'observatory', 'spaceeoobservatory', 'spaceeo', 'spaceobservatory',
+  'airborneeoobservatory', 'airborneeo', 'airborneobservatory',
+  'sgp4satellite', 'sgp4', 'tlecatalog', 'tles', 'tlelist', 'twobodysatellite', 'twobody',
+  'numericalsatellite', 'numerical', 'oem', 'airvehicle', 'drone', 'uav'
+]
+
+const error = (message) => ({ level: 'error', message })
+const warning = (message) => ({ level: 'warning', message })
+
+function findObject(universe, ref) {
+  return universe.getObject?.(ref) ?? universe.getObjectById?.(ref)
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== ''
+}
+
+/**
+ * Value checks for schema fields. Each receives the field value, the event
+ * entry and the universe, and returns an issue or `undefined`. Structural
+ * problems are errors; references to objects that do not exist yet are
+ * warnings, since they may be added before the event fires.
+ */
+const CHECKS = {
+  observatory(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be an observatory name')
+    if (!defined(universe.getObservatory(value))) return warning(`unknown observatory '${value}'`)
+    return undefined
+  },
+  fsmObservatory(value, entry, universe) {
+    const issue = CHECKS.observatory(value, entry, universe)
+    if (defined(issue)) return issue
+    if (!defined(universe.getObservatory(value).fsm)) return warning(`observatory '${value}' has no FSM`)
+    return undefined
+  },
+  object(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be an object name or id')
+    if (!defined(findObject(universe, value))) return warning(`unknown object '${value}'`)
+    return undefined
+  },
+  observatoryOrObject(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be an observatory or object name')
+    if (!defined(universe.getObservatory(value)) && !defined(findObject(universe, value))) {
+      return warning(`unknown observatory or object '${value}'`)
+    }
+    return undefined
+  },
+  removableObject(value, entry, universe) {
+    const issue = CHECKS.observatoryOrObject(value, entry, universe)
+    if (defined(issue)) return issue
+    if (universe.eventHistoryLimit === 0) {
+      return warning(`'${value}' will not be restored when rewinding, event history is disabled`)
+    }
+    return undefined
+  },
+  optionalObject(value, entry, universe) {
+    return value === null ? undefined : CHECKS.object(value, entry, universe)
+  },
+  airVehicle(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be an air vehicle name or id')
+    const object = findObject(universe, value)
+    if (!defined(object)) return warning(`unknown air vehicle '${value}'`)
+    if (!('velocityNed' in object || 'accelerationNed' in object || 'heading' in object)) {
+      return warning(`'${value}' is not an air vehicle`)
+    }
+    return undefined
+  },
+  maneuverableSatellite(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be a satellite name or id')
+    const object = findObject(universe, value)
+    if (!defined(object)) return warning(`unknown satellite '${value}'`)
+    if (!('applyImpulse' in (object.object ?? object))) return warning(`'${value}' cannot be maneuvered`)
+    return undefined
+  },
+  orbitFrame(value) {
+    return ['ric', 'vnb', 'inertial', 'eci'].includes(String(value).toLowerCase()) ? undefined : error("must be 'RIC', 'VNB' or 'inertial'")
+  },
+  shadowBody(value) {
+    return ['earth', 'moon'].includes(String(value).toLowerCase()) ? undefined : error("must be 'earth' or 'moon'")
+  },
+  scenarioObject(value, entry, universe) {
+    if (!defined(value) || typeof value !== 'object' || Array.isArray(value)) return error('must be a scenario object entry')
+    if (!isNonEmptyString(value.type)) return error("requires a 'type'")
+    if (!SCENARIO_OBJECT_TYPES.includes(value.type.toLowerCase())) return error(`has unknown type '${value.type}'`)
+    if (isNonEmptyString(value.name) && universe.hasObject?.(value.name)) {
+      return warning(`'${value.name}' already exists and will not be added again`)
+    }
+    return undefined
+  },
+  sensor(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be a sensor name')
+    const observatory = universe.getObservatory(entry.observer)
+    if (defined(observatory) && !getObservatorySensors(observatory).some((sensor) => sensor?.name === value)) {
+      return warning(`observatory '${entry.observer}' has no sensor '${value}'`)
+    }
+    return undefined
+  },
+  laser(value, entry, universe) {
+    if (!isNonEmptyString(value)) return error('must be a laser name')
+    const observatory = universe.getObservatory(entry.observer)
+    if (!defined(observatory)) return undefined
+    const payload = getObservatorySensors(observatory).find((sensor) => sensor?.name === value)
+    if (!defined(payload)) return warning(`observatory '${entry.observer}' has no payload '${value}'`)
+    if (payload.type !== 'Laser') return warning(`payload '${value}' is not a laser`)
+    return undefined
+  },
+  number(value) {
+    return Number.isFinite(Number(value)) && value !== '' && value !== null ? undefined : error('must be a number')
+  },
+  declination(value) {
+    const dec = Number(value)
+    if (!Number.isFinite(dec) || value === '' || value === null) return error('must be a number')
+    return Math.abs(dec) > 90 ? error('must be between -90 and 90 degrees') : undefined
+  },
+  positiveNumber(value) {
+    return Number(value) > 0 ? undefined : error('must be a positive number')
+  },
+  zoomLevel(value) {
+    const zoomLevel = Number(value)
+    if (!Number.isFinite(zoomLevel) || value === null) return error('must be a number')
+    if (zoomLevel < 0 || zoomLevel > 1) return warning('is outside [0, 1] and will be clamped')
+    return undefined
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return undefined
+    if (typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) return undefined
+    return warning('is not a boolean and will be converted')
+  },
+  axes(value) {
+    if (!defined(value) || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+      return error('must map axis names to degrees')
+    }
+    const invalid = Object.keys(value).filter((axis) => !Number.isFinite(Number(value[axis])))
+    return invalid.length > 0 ? error(`has non-numeric axes ${invalid.join(', ')}`) : undefined
+  },
+  gimbalAxes(value, entry, universe) {
+    const issue = CHECKS.axes(value)
+    if (defined(issue)) return issue
+    const axisNames = universe.getObservatory?.(entry.observer)?.gimbal?.axisNames
+    if (!Array.isArray(axisNames) || axisNames.length === 0) return undefined
+    const unknown = Object.keys(value).filter((axis) => !axisNames.includes(axis))
+    return unknown.length > 0 ? warning(`has unknown axes ${unknown.join(', ')} for this gimbal (axes: ${axisNames.join(', ')})`) : undefined
+  },
+  vector(value) {
+    return defined(toCartesian3OrUndefined(value)) ? undefined : error('must be [x, y, z] or { x, y, z }')
+  }
+}
+
+const AIR_VEHICLE_STATE_KEYS = [
+  'velocity_ned', 'velocityNed', 'velocity', 'velocity_enu', 'velocityEnu', 'speed', 'horizontal_speed',
+  'ground_speed', 'vertical_speed', 'climb_rate', 'acceleration_ned', 'accelerationNed', 'acceleration',
+  'acceleration_enu', 'accelerationEnu', 'heading', 'direction'
+]
+const AIR_VEHICLE_FIELDS = [
+  { keys: ['object', 'vehicle', 'name', 'target'], required: true, check: 'airVehicle' },
+  { keys: ['velocity_ned', 'velocityNed', 'velocity'], check: 'vector' },
+  { keys: ['velocity_enu', 'velocityEnu'], check: 'vector' },
+  { keys: ['acceleration_ned', 'accelerationNed', 'acceleration'], check: 'vector' },
+  { keys: ['acceleration_enu', 'accelerationEnu'], check: 'vector' },
+  { keys: ['speed', 'horizontal_speed', 'ground_speed'], check: 'number' },
+  { keys: ['vertical_speed', 'climb_rate'], check: 'number' },
+  { keys: ['heading', 'direction'], check: 'number' }
+]
+
+/**
+ * Schemas by lowercased event type. A field rule reads the first present key
+ * of `keys` (later keys are aliases), reports a missing `required` field as an
+ * error and validates the value with `check`. `anyOf` lists keys of which at
+ * least one must be set.
+ */
+const EVENT_SCHEMAS = new Map(Object.entries({
+  trackobject: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['target'], required: true, check: 'optionalObject' }
+    ]
+  },
+  pointradec: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['ra'], required: true, check: 'number' },
+      { keys: ['dec'], required: true, check: 'declination' }
+    ]
+  },
+  stepgimbalaxes: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['axes', 'deltas'], required: true, check: 'gimbalAxes' }
+    ]
+  },
+  setgimbalaxes: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['axes'], required: true, check: 'gimbalAxes' }
+    ]
+  },
+  stepfsmaxes: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'fsmObservatory' },
+      { keys: ['axes', 'deltas'], required: true, check: 'axes' }
+    ]
+  },
+  setfsmaxes: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'fsmObservatory' },
+      { keys: ['axes'], required: true, check: 'axes' }
+    ]
+  },
+  setsensorzoom: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['sensor', 'sensor_name'], check: 'sensor' },
+      { keys: ['zoomLevel', 'zoom_level'], required: true, check: 'zoomLevel' }
+    ]
+  },
+  stepsensorzoom: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['sensor', 'sensor_name'], check: 'sensor' },
+      { keys: ['deltaZoomLevel', 'delta_zoom_level'], required: true, check: 'number' }
+    ]
+  },
+  setdirectedenergyactive: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['device', 'sensor', 'sensor_name'], check: 'laser' },
+      { keys: ['active'], required: true, check: 'boolean' }
+    ]
+  },
+  airvehiclemaneuver: { fields: AIR_VEHICLE_FIELDS, anyOf: AIR_VEHICLE_STATE_KEYS },
+  setairvehiclevelocityned: {
+    fields: AIR_VEHICLE_FIELDS,
+    anyOf: ['velocity_ned', 'velocityNed', 'velocity', 'velocity_enu', 'velocityEnu', 'speed', 'horizontal_speed', 'ground_speed', 'vertical_speed', 'climb_rate']
+  },
+  setairvehicleaccelerationned: {
+    fields: AIR_VEHICLE_FIELDS,
+    anyOf: ['acceleration_ned', 'accelerationNed', 'acceleration', 'acceleration_enu', 'accelerationEnu']
+  },
+  setairvehicleheading: { fields: AIR_VEHICLE_FIELDS, anyOf: ['heading', 'direction'] },
+  satellitemaneuver: {
+    fields: [
+      { keys: ['satellite', 'object', 'vehicle', 'name', 'target'], required: true, check: 'maneuverableSatellite' },
+      { keys: ['deltaV', 'delta_v'], required: true, check: 'vector' },
+      { keys: ['frame'], check: 'orbitFrame' }
+    ]
+  },
+  addobject: {
+    fields: [{ keys: ['object'], required: true, check: 'scenarioObject' }]
+  },
+  removeobject: {
+    fields: [{ keys: ['object', 'name', 'target'], required: true, check: 'removableObject' }]
+  }
+}))
+
+/**
+ * Schemas of the built-in `when` conditions, by lowercased condition type.
+ */
+const CONDITION_SCHEMAS = new Map(Object.entries({
+  infieldofregard: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['target'], required: true, check: 'object' },
+      { keys: ['sensor'], check: 'sensor' }
+    ]
+  },
+  elevationabove: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['target'], required: true, check: 'object' },
+      { keys: ['elevation'], required: true, check: 'number' }
+    ]
+  },
+  rangebelow: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatoryOrObject' },
+      { keys: ['target'], required: true, check: 'object' },
+      { keys: ['range'], required: true, check: 'positiveNumber' }
+    ]
+  },
+  inumbra: {
+    fields: [
+      { keys: ['object', 'target'], required: true, check: 'object' },
+      { keys: ['penumbra'], check: 'boolean' },
+      { keys: ['body'], check: 'shadowBody' }
+    ]
+  },
+  lasercolliding: {
+    fields: [
+      { keys: ['observer'], required: true, check: 'observatory' },
+      { keys: ['device', 'sensor'], check: 'laser' }
+    ]
+  }
+}))
+CONDITION_SCHEMAS.set('rangeabove', CONDITION_SCHEMAS.get('rangebelow'))
+
+/**
+ * Register or replace the validation schema of a scenario event type, e.g.
+ * for a handler added with `universe.events.registerHandler`.
+ *
+ * @example
+ * registerScenarioEventSchema('setLamp', {
+ *   fields: [{ keys: ['observer'], required: true, check: 'observatory' }, { keys: ['on'], check: 'boolean' }]
+ * })
+ *
+ * @param {string} type - Event type (case-insensitive).
+ * @param {{ fields: Array<{ keys: Array<string>, required?: boolean, check?: string|Function }>, anyOf?: Array<string> }} schema
+ *   `check` names a built-in check (`observatory`, `fsmObservatory`, `object`,
+ *   `observatoryOrObject`, `removableObject`, `optionalObject`, `airVehicle`, `maneuverableSatellite`, `scenarioObject`,
+ *   `sensor`, `laser`, `number`, `positiveNumber`, `zoomLevel`, `boolean`, `axes`, `vector`,
+ *   `orbitFrame`, `shadowBody`) or is a
+ *   function `(value, entry, universe) => { level, message }|undefined`.
+ */
+export function registerScenarioEventSchema(type, schema) {
+  if (!type) throw new Error('registerScenarioEventSchema: type is required')
+  if (!Array.isArray(schema?.fields)) throw new Error('registerScenarioEventSchema: schema.fields must be an array')
+  EVENT_SCHEMAS.set(String(type).toLowerCase(), schema)
+}
+
+/**
+ * Apply a schema to an event or condition entry.
+ *
+ * @param {Object} schema
+ * @param {Object} entry
+ * @param {Universe} universe
+ * @param {(issue: Object, field?: string) => void} report
+ * @param {string} [prefix=''] - Prefix for reported field names.
+ */
+function applySchema(schema, entry, universe, report, prefix = '') {
+  schema.fields.forEach((rule) => {
+    const key = rule.keys.find((k) => Object.prototype.hasOwnProperty.call(entry, k) && entry[k] !== undefined)
+    if (!defined(key)) {
+      if (rule.required) report(error(`requires ${rule.keys.map((k) => `'${prefix}${k}'`).join(' or ')}`), prefix + rule.keys[0])
+      return
+    }
+    const check = typeof rule.check === 'function' ? rule.check : CHECKS[rule.check]
+    const issue = check?.(entry[key], entry, universe)
+    if (defined(issue)) report({ ...issue, message: `'${prefix}${key}' ${issue.message}` }, prefix + key)
+  })
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((k) => defined(entry[k]))) {
+    report(error(`requires one of ${schema.anyOf.map((k) => `'${prefix}${k}'`).join(', ')}`))
+  }
+}
+
+/**
+ * Validate scenario events before they are scheduled.
+ *
+ * Every event is checked for a known `type` with a registered handler, a
+ * valid `time` (seconds from the clock start or an absolute time; optional
+ * for `when` events), valid `interval`, `count`, `until` and `when` options,
+ * and the fields its type requires. Errors mark events that cannot run as
+ * written and are not scheduled by `scheduleScenarioEvents`. Warnings flag
+ * events that will run but probably not as intended: unknown observatory,
+ * sensor or object references and times outside the clock's start/stop
+ * interval.
+ *
+ * @example
+ * const report = validateScenarioEvents(universe, viewer, scenario.events)
+ * report.errors.forEach(e => console.error(`event ${e.index} (${e.type}) ${e.message}`))
+ *
+ * @param {Universe} universe - The SatSim Universe instance.
+ * @param {Viewer|Object} clock - Viewer, viewer clock or clock context.
+ * @param {Array<Object>} events - Scenario events.
+ * @returns {{ valid: boolean, errors: Array<Object>, warnings: Array<Object> }}
+ *   Each issue has the event `index` and `type`, the `field` it concerns
+ *   (when it concerns one) and a `message`.
+ */
+export function validateScenarioEvents(universe, clock, events) {
+  const clockTarget = resolveScenarioClockTarget(clock) ?? createClockContext()
+  const errors = []
+  const warnings = []
+  if (!Array.isArray(events)) {
+    return { valid: true, errors, warnings }
+  }
+
+  events.forEach((ev, index) => {
+    const type = ev?.type
+    const report = (issue, field = undefined) => {
+      const entry = { index, type, ...(defined(field) ? { field } : {}), message: issue.message }
+      if (issue.level === 'error') errors.push(entry)
+      else warnings.push(entry)
+    }
+    if (!defined(ev) || typeof ev !== 'object' || Array.isArray(ev)) {
+      report(error('event must be an object'))
+      return
+    }
+    if (!isNonEmptyString(type)) {
+      report(error("requires a 'type'"), 'type')
+      return
+    }
+    if (typeof universe.events?.getHandler(type) !== 'function') {
+      report(error(`no handler for type '${type}'`), 'type')
+    }
+
+    const condition = ev.when ?? ev.condition
+    const time = defined(ev.time) ? resolveScenarioEventTime(ev.time, clockTarget.startTime) : undefined
+    if (!defined(ev.time) && !defined(condition)) {
+      report(error("requires a 'time'"), 'time')
+    } else if (defined(ev.time) && !defined(time)) {
+      report(error(`'time' ${JSON.stringify(ev.time)} is not a valid time`), 'time')
+    } else if (defined(time)) {
+      if (defined(clockTarget.startTime) && JulianDate.lessThan(time, clockTarget.startTime)) {
+        report(warning("'time' is before the clock start"), 'time')
+      } else if (defined(clockTarget.stopTime) && JulianDate.greaterThan(time, clockTarget.stopTime)) {
+        report(warning("'time' is after the clock stop"), 'time')
+      }
+    }
+
+    if (defined(ev.interval)) {
+      if (defined(condition)) report(warning("'interval' is ignored for 'when' events"), 'interval')
+      else if (!(Number(ev.interval) > 0)) report(error("'interval' must be a positive number of seconds"), 'interval')
+    }
+    if (defined(ev.count) && !(Number.isInteger(Number(ev.count)) && Number(ev.count) >= 1)) {
+      report(error("'count' must be a positive integer"), 'count')
+    }
+    if (defined(ev.until)) {
+      const until = resolveScenarioEventTime(ev.until, clockTarget.startTime)
+      if (!defined(until)) report(error(`'until' ${JSON.stringify(ev.until)} is not a valid time`), 'until')
+      else if (defined(time) && JulianDate.lessThan(until, time)) report(warning("'until' is before 'time'; the event never fires"), 'until')
+    }
+
+    if (defined(condition)) {
+      if (typeof condition !== 'object' || !isNonEmptyString(condition.type)) {
+        report(error("'when' requires a 'type'"), 'when.type')
+      } else if (typeof universe.events?.getCondition(condition.type) !== 'function') {
+        report(error(`unknown condition '${condition.type}'`), 'when.type')
+      } else {
+        const conditionSchema = CONDITION_SCHEMAS.get(condition.type.toLowerCase())
+        if (defined(conditionSchema)) applySchema(conditionSchema, condition, universe, report, 'when.')
+      }
+    }
+
+    const schema = EVENT_SCHEMAS.get(type.toLowerCase())
+    if (defined(schema)) {
+      const data = { ...ev }
+      EVENT_OPTION_KEYS.forEach((key) => delete data[key])
+      applySchema(schema, data, universe, report)
+    }
+  })
+
+  return { valid: errors.length === 0, errors, warnings }
+}
@@ -13,6 +13,7 @@ import CoverageGridVisualizer from "../engine/cesium/CoverageGridVisualizer.js"
 import SimObject from "../engine/objects/SimObject.js"
 import { CompoundElementVisualizer } from "../index.js"
 import Observatory from "../engine/objects/Observatory.js"
+import VehicleMount from "../engine/objects/VehicleMount.js"
 import { getObservatorySensors } from "../engine/objects/observatoryUtils.js"
 import { getShadowStatus, ShadowState } from "../engine/geometry/shadow.js"
 
@@ -586,10 +587,52 @@ function mixinViewer(viewer, universe, options) {
   let trackedObjectMenuSelectedObject = undefined
 
   let trackedObjectCombo = undefined
+  let trackedObjectQuery = undefined
+
+  // visualizer arguments by object or observatory, kept after removal so a
+  // rewind that adds the object back also brings back its visualizer
+  const visualizerArgs = new WeakMap()
+  const removedVisualizerArgs = new WeakMap()
+
+  function forgetVisualizer(ref) {
+    if (!visualizerArgs.has(ref)) return
+    removedVisualizerArgs.set(ref, visualizerArgs.get(ref))
+    visualizerArgs.delete(ref)
+  }
+
+  function restoreVisualizer(ref, add) {
+    const args = removedVisualizerArgs.get(ref)
+    if (!defined(args)) return
+    removedVisualizerArgs.delete(ref)
+    add(ref, ...args)
+  }
 
   function isTrackedObjectEntryVisible(entry, filterText) {
+    if (defined(trackedObjectQuery) && typeof universe?.matchesQuery === 'function' &&
+      !universe.matchesQuery(entry.simObject, trackedObjectQuery)) {
+      return false
+    }
     if (!filterText) return true
-    return entry.nameLower.indexOf(filterText) !== -1
+    if (entry.nameLower.indexOf(filterText) !== -1) return true
+    const tags = entry.simObject?.tags
+    if (!(tags instanceof Set)) return false
+    for (const tag of tags) {
+      if (String(tag).toLowerCase().indexOf(filterText) !== -1) return true
+    }
+    return false
+  }
+
+  /**
+   * Restrict the tracked object picker to objects matching a
+   * `universe.query` query, e.g. `{ type: 'SGP4Satellite', tags: ['GEO'] }`.
+   * Text typed into the picker is matched against names and tags of the
+   * remaining objects.
+   *
+   * @param {Object} [query] - The query, or `undefined` to list every object.
+   */
+  viewer.setTrackedObjectQuery = function (query) {
+    trackedObjectQuery = query
+    rebuildTrackedObjectMenu()
   }
 
   function getTrackedObjectEntryIndex(simObject) {
@@ -720,6 +763,33 @@ function mixinViewer(viewer, universe, options) {
     rebuildTrackedObjectMenu()
   }
 
+  function removeTrackedObjectMenuEntry(simObject) {
+    const index = getTrackedObjectEntryIndex(simObject)
+    if (index === -1) {
+      return
+    }
+
+    trackedObjectEntries.splice(index, 1)
+    if (trackedObjectMenuSelectedObject === simObject) {
+      trackedObjectMenuSelectedObject = undefined
+    }
+    rebuildTrackedObjectMenu()
+  }
+
+  if (typeof universe?.on === 'function') {
+    universe.on('objectRemoved', (u, { object }) => viewer.removeObjectVisualizer(object))
+    universe.on('observatoryRemoved', (u, { observatory }) => viewer.removeObservatoryVisualizer(observatory))
+    universe.on('objectAdded', (u, { object }) => restoreVisualizer(object, viewer.addObjectVisualizer))
+    universe.on('observatoryAdded', (u, { observatory }) => restoreVisualizer(observatory, viewer.addObservatoryVisualizer))
+    universe.on('observatoryUpdated', (u, { observatory, addedSensors, removedSensors }) => {
+      removedSensors.forEach((sensor) => viewer.removeSensorVisualizer(sensor))
+      if (getTrackedObjectEntryIndex(observatory.site) === -1) {
+        return
+      }
+      addedSensors.forEach((sensor) => viewer.addSensorVisualizer(observatory.site, observatory.gimbal, sensor))
+    })
+  }
+
   /**
    * Object pick listener. This should not be called directly.
    * 
@@ -778,7 +848,7 @@ function mixinViewer(viewer, universe, options) {
       sensor.visualizer.fieldOfView = beamViz
       delete sensor.visualizer.fieldOfRegard
     } else {
-      const forViz = new SensorFieldOfRegardVisualizer(viewer, site, sensor, universe, sensorColor)
+      const forViz = new SensorFieldOfRegardVisualizer(viewer, site, sensor, universe, sensorColor, gimbal)
       forViz.show = false
       viewer.sensorForVisualizers.push(forViz)
       sensor.visualizer.fieldOfRegard = forViz
@@ -827,6 +897,113 @@ function mixinViewer(viewer, universe, options) {
     viewer.sensorGrids.push(grid)
   };
 
+  /**
+   * Remove the entities that reference a sim object or observatory.
+   *
+   * @param {Object} ref - The `simObjectRef` or `sensorRef` of the entities.
+   */
+  function removeEntitiesReferencing(ref) {
+    const entities = Array.isArray(viewer.entities.values) ? viewer.entities.values.slice() : []
+    entities.forEach((entity) => {
+      if (entity.simObjectRef === ref || entity.sensorRef === ref) {
+        viewer.entities.remove(entity)
+      }
+    })
+  }
+
+  /**
+   * Remove a sensor's visualizers, what's up grid and camera view menu
+   * options. The camera returns to world view if it was looking through the
+   * sensor.
+   *
+   * @param {ElectroOpicalSensor|import('../engine/objects/Laser.js').default} sensor - The payload.
+   */
+  viewer.removeSensorVisualizer = function (sensor) {
+    const visualizers = Object.values(sensor?.visualizer ?? {})
+    const removeWhere = (list, predicate) => {
+      for (let i = list.length - 1; i >= 0; i--) {
+        if (predicate(list[i])) list.splice(i, 1)
+      }
+    }
+    removeWhere(viewer.beamVisualizers, (v) => visualizers.includes(v))
+    removeWhere(viewer.sensorForVisualizers, (v) => visualizers.includes(v))
+    removeWhere(viewer.sensorFovVisualizers, (v) => visualizers.includes(v))
+    removeWhere(viewer.sensorGrids, (grid) => grid.sensorRef === sensor)
+    removeEntitiesReferencing(sensor)
+    if (defined(sensor)) {
+      sensor.visualizer = {}
+    }
+
+    if (defined(cameraViewMenu) && Array.isArray(cameraViewMenu.userOptions)) {
+      for (let i = cameraViewMenu.userOptions.length - 1; i >= 0; i--) {
+        if (cameraViewMenu.userOptions[i]?.sensorRef === sensor) {
+          cameraViewMenu.userOptions.splice(i, 1)
+          if (typeof cameraViewMenu.remove === 'function') {
+            cameraViewMenu.remove(i)
+          }
+        }
+      }
+    }
+
+    if (viewer.trackedSensor === sensor) {
+      if (viewer.cameraMode !== "world") {
+        viewer.setCameraMode("world")
+      }
+      viewer.trackedSensor = null
+    }
+  }
+
+  /**
+   * Remove an observatory's site entity, tracked object menu entry and sensor
+   * visualizers. The host satellite of a hosted observatory keeps its
+   * visualizer. The visualizer is added back if the universe adds the same
+   * observatory again, e.g. when rewinding past the event that removed it.
+   *
+   * @param {Observatory} observatory
+   */
+  viewer.removeObservatoryVisualizer = function (observatory) {
+    forgetVisualizer(observatory)
+    getObservatorySensors(observatory).forEach((sensor) => viewer.removeSensorVisualizer(sensor))
+    removeEntitiesReferencing(observatory)
+    if (observatory.hosted) return
+    removeEntitiesReferencing(observatory.site)
+    removeTrackedObjectMenuEntry(observatory.site)
+  }
+
+  /**
+   * Remove an object's entity, point and label primitives and tracked object
+   * menu entry. The camera stops following the object if it was tracked.
+   * The visualizer is added back if the universe adds the same object again.
+   *
+   * @param {SimObject} object
+   */
+  viewer.removeObjectVisualizer = function (object) {
+    forgetVisualizer(object)
+    const entity = object?.visualizer
+    if (defined(entity) && entity.simObjectRef === object) {
+      const listeners = Array.isArray(object.updateListeners) ? object.updateListeners : []
+      const removeListener = (listener) => {
+        const idx = listeners.indexOf(listener)
+        if (idx !== -1) listeners.splice(idx, 1)
+      }
+      if (defined(entity.point2)) {
+        removeListener(entity)
+        try { viewer.points.remove(entity.point2) } catch (e) { /* ignore */ }
+        entity.point2 = undefined
+      }
+      if (defined(entity.label2)) {
+        removeListener(entity.label2)
+        try { viewer.labels.remove(entity.label2) } catch (e) { /* ignore */ }
+        entity.label2 = undefined
+      }
+      if (viewer.trackedEntity === entity) viewer.trackedEntity = undefined
+      if (viewer.selectedEntity === entity) viewer.selectedEntity = undefined
+      object.visualizer = {}
+    }
+    removeEntitiesReferencing(object)
+    removeTrackedObjectMenuEntry(object)
+  }
+
   function resolveModelOffsetVector(input) {
     if (!defined(input)) return undefined
     if (input instanceof Cartesian3) {
@@ -910,11 +1087,22 @@ function mixinViewer(viewer, universe, options) {
 
   /**
    * Add an observatory visualizer to the viewer.
+   *
+   * Observatories hosted on a satellite or carried by a vehicle reuse the
+   * host's visualizer and only add their payload visualizers.
    * @param {Observatory} observatory 
    * @param {string} description 
    * @param {Entity} options
    */
   viewer.addObservatoryVisualizer = function (observatory, description, options = {}) {
+    visualizerArgs.set(observatory, [description, options])
+    if (observatory.hosted || observatory.site instanceof VehicleMount) {
+      getObservatorySensors(observatory).forEach((sensor) => {
+        viewer.addSensorVisualizer(observatory.site, observatory.gimbal, sensor)
+      })
+      return
+    }
+
     const visualizerOptions = { ...options }
 
     visualizerOptions.billboard = {
@@ -939,6 +1127,7 @@ function mixinViewer(viewer, universe, options) {
    * @param {boolean} isStatic 
    */
   viewer.addObjectVisualizer = function (object, description, options, isStatic = false) {
+    visualizerArgs.set(object, [description, options, isStatic])
 
     // Clone options so this helper never mutates caller-owned objects.
     const visualizerOptions = { ...(options ?? {}) }
@@ -965,6 +1154,10 @@ function mixinViewer(viewer, universe, options) {
       simObjectRef: object,
       allowPicking: true
     }
+    // models follow the object's attitude law, if it has one
+    if (defined(object.orientation)) {
+      base.orientation = createObjectOrientationProperty(object, universe)
+    }
     const entity = viewer.entities.add(Object.assign(base, visualizerOptions))
     object.visualizer = entity
     addTrackedObjectMenuEntry(object)
@@ -975,6 +1168,10 @@ function mixinViewer(viewer, universe, options) {
       entity.point2.id = entity  // required for picking
       entity.update = function (time, universe) {
         entity.point2.position = getObjectPositionInCesiumFrame(viewer, universe, object, time)
+        if (entity.point2.show === object.hidden) {
+          entity.point2.show = !object.hidden
+          entity.show = !object.hidden
+        }
       }
       object.updateListeners.push(entity);
     }
@@ -0,0 +1,128 @@
+import { Cartesian3, JulianDate, Math as CesiumMath } from 'cesium'
+import { computeAccessWindows } from '../src/engine/geometry/access.js'
+
+/**
+ * Build a target whose site-local SEZ position is an analytic function of time.
+ */
+function createTarget(base, elevationAt, rangeAt) {
+  return {
+    time: new JulianDate(),
+    worldPosition: new Cartesian3(),
+    update: jest.fn(function (time) {
+      const t = JulianDate.secondsDifference(time, base)
+      const el = elevationAt(t) * CesiumMath.RADIANS_PER_DEGREE
+      const r = rangeAt(t)
+      // Due east of the site: SEZ = (0, cos(el), sin(el)) * r
+      this.worldPosition = new Cartesian3(0, r * Math.cos(el), r * Math.sin(el))
+    })
+  }
+}
+
+describe('computeAccessWindows', () => {
+  let base
+  let site
+  let observatory
+  const universe = {}
+
+  beforeEach(() => {
+    base = JulianDate.fromIso8601('2024-01-01T00:00:00Z')
+    site = {
+      time: JulianDate.addSeconds(base, -100, new JulianDate()),
+      update: jest.fn(),
+      transformPointFromWorld: (p, result) => Cartesian3.clone(p, result)
+    }
+    observatory = {
+      site,
+      sensors: [
+        { name: 'Low', field_of_regard: [{ clock: [0, 360], elevation: [10, 90] }] },
+        { name: 'High', field_of_regard: [{ clock: [0, 360], elevation: [50, 90] }] }
+      ]
+    }
+  })
+
+  test('root-finds entry and exit and reports pass statistics', () => {
+    const target = createTarget(base, (t) => Math.max(-80, 60 - ((t - 600) / 10) ** 2), (t) => 1e6 + (t - 650) ** 2)
+    const stop = JulianDate.addSeconds(base, 1800, new JulianDate())
+
+    const windows = computeAccessWindows(universe, observatory, target, base, stop, { step: 60 })
+
+    expect(windows.map((w) => w.sensor)).toEqual(['Low', 'High'])
+    const [low, high] = windows
+
+    const halfLow = Math.sqrt(50) * 10
+    expect(JulianDate.secondsDifference(low.start, base)).toBeCloseTo(600 - halfLow, 2)
+    expect(JulianDate.secondsDifference(low.stop, base)).toBeCloseTo(600 + halfLow, 2)
+    expect(low.duration).toBeCloseTo(2 * halfLow, 2)
+    expect(low.maxElevation).toBeCloseTo(60, 4)
+    expect(JulianDate.secondsDifference(low.maxElevationTime, base)).toBeCloseTo(600, 1)
+    expect(low.minRange).toBeCloseTo(1e6, 0)
+    expect(JulianDate.secondsDifference(low.minRangeTime, base)).toBeCloseTo(650, 1)
+
+    // Above 50 degrees only for |t - 600| < 31.6 s, shorter than one coarse step
+    expect(high.duration).toBeCloseTo(2 * Math.sqrt(10) * 10, 2)
+    expect(high.minRange).toBeGreaterThan(low.minRange)
+  })
+
+  test('clips windows that are open at the interval boundaries', () => {
+    const target = createTarget(base, () => 45, () => 2e6)
+    const stop = JulianDate.addSeconds(base, 300, new JulianDate())
+
+    const windows = computeAccessWindows(universe, observatory, target, base, stop, { step: 100 })
+
+    expect(windows).toHaveLength(1)
+    expect(windows[0].sensor).toBe('Low')
+    expect(JulianDate.equals(windows[0].start, base)).toBe(true)
+    expect(JulianDate.equals(windows[0].stop, stop)).toBe(true)
+    expect(windows[0].duration).toBeCloseTo(300, 6)
+  })
+
+  test('returns multiple passes sorted by start time', () => {
+    const target = createTarget(base, (t) => 40 * Math.sin(2 * Math.PI * t / 1000), () => 1e6)
+    const stop = JulianDate.addSeconds(base, 2500, new JulianDate())
+
+    const windows = computeAccessWindows(universe, { site, sensor: observatory.sensors[0] }, target, base, stop, { step: 20 })
+
+    expect(windows).toHaveLength(3)
+    const starts = windows.map((w) => JulianDate.secondsDifference(w.start, base))
+    const entry = Math.asin(10 / 40) / (2 * Math.PI) * 1000
+    expect(starts[0]).toBeCloseTo(entry, 2)
+    expect(starts[1]).toBeCloseTo(1000 + entry, 2)
+    expect(starts[2]).toBeCloseTo(2000 + entry, 2)
+    windows.forEach((w) => expect(w.maxElevation).toBeCloseTo(40, 4))
+  })
+
+  test('restores the site and target to their previous times', () => {
+    const target = createTarget(base, () => -10, () => 1e6)
+    const previous = JulianDate.clone(site.time)
+    const stop = JulianDate.addSeconds(base, 60, new JulianDate())
+
+    expect(computeAccessWindows(universe, observatory, target, base, stop)).toEqual([])
+
+    expect(site.update).toHaveBeenLastCalledWith(previous, universe, true)
+    expect(target.update).toHaveBeenLastCalledWith(target.time, universe, true)
+  })
+
+  test('restores the site and target when the search throws', () => {
+    const outOfSpan = (t) => {
+      if (t > 30) throw new Error('outside ephemeris')
+      return 20
+    }
+    const target = createTarget(base, outOfSpan, () => 1e6)
+    target.time = JulianDate.clone(base)
+    const previous = JulianDate.clone(site.time)
+    const stop = JulianDate.addSeconds(base, 60, new JulianDate())
+
+    expect(() => computeAccessWindows(universe, observatory, target, base, stop)).toThrow('outside ephemeris')
+
+    expect(site.update).toHaveBeenLastCalledWith(previous, universe, true)
+    expect(target.update).toHaveBeenLastCalledWith(target.time, universe, true)
+  })
+
+  test('validates inputs', () => {
+    const target = createTarget(base, () => 0, () => 1)
+    const earlier = JulianDate.addSeconds(base, -1, new JulianDate())
+    expect(() => computeAccessWindows(universe, observatory, target, undefined, base)).toThrow(/required/)
+    expect(() => computeAccessWindows(universe, {}, target, base, base)).toThrow(/site and target/)
+    expect(() => computeAccessWindows(universe, observatory, target, base, earlier)).toThrow(/before start/)
+  })
+})
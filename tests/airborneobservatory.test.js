@@ -0,0 +1,229 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import AzElGimbal from '../src/engine/objects/AzElGimbal.js'
+import VehicleMount from '../src/engine/objects/VehicleMount.js'
+import XYGimbal from '../src/engine/objects/XYGimbal.js'
+import { getVisibility } from '../src/engine/geometry/visibility.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { exportScenario } from '../src/scenario/export.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const unit = (v) => Cartesian3.normalize(v, new Cartesian3())
+const boresight = (object) => unit(object.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3()))
+const expectDirection = (actual, expected, digits = 6) => {
+  expect(Cartesian3.dot(unit(actual), unit(expected))).toBeCloseTo(1, digits)
+}
+
+const camera = (field_of_regard = [{ clock: [0, 360], elevation: [-90, 90] }]) => ({
+  name: 'Camera', height: 512, width: 512, y_fov: 1, x_fov: 1, field_of_regard
+})
+
+function buildUniverse(heading = 90) {
+  const universe = new Universe()
+  const vehicle = universe.addAirVehicle('UAV', 0, 0, 3000, new Cartesian3(), new Cartesian3(), heading, start)
+  const observatory = universe.addAirborneElectroOpticalObservatory({
+    name: 'UAV Turret',
+    vehicle: 'UAV',
+    sensors: [camera()]
+  })
+  return { universe, vehicle, observatory }
+}
+
+// direction of a local North-East-Down vector at the vehicle, in the world frame
+function nedToWorld(universe, vehicle, north, east, down) {
+  const lat = vehicle.latitude * CMath.RADIANS_PER_DEGREE
+  const lon = vehicle.longitude * CMath.RADIANS_PER_DEGREE
+  const n = new Cartesian3(-Math.sin(lat) * Math.cos(lon), -Math.sin(lat) * Math.sin(lon), Math.cos(lat))
+  const e = new Cartesian3(-Math.sin(lon), Math.cos(lon), 0)
+  const d = new Cartesian3(-Math.cos(lat) * Math.cos(lon), -Math.cos(lat) * Math.sin(lon), -Math.sin(lat))
+  const fixed = new Cartesian3(
+    north * n.x + east * e.x + down * d.x,
+    north * n.y + east * e.y + down * d.y,
+    north * n.z + east * e.z + down * d.z
+  )
+  return universe.earth.transformVectorToWorld(fixed, new Cartesian3())
+}
+
+describe('VehicleMount', () => {
+  test('turns the gimbal base with the vehicle heading, pitch and roll', () => {
+    const { universe, vehicle, observatory } = buildUniverse(90)
+    const gimbal = observatory.gimbal
+    gimbal.setAxisTarget('az', 0)
+    gimbal.setAxisTarget('el', 0)
+    universe.update(at(0))
+
+    expect(observatory.site).toBeInstanceOf(VehicleMount)
+    expect(observatory.site.vehicle).toBe(vehicle)
+    expect(observatory.site.position).toBe(vehicle.position)
+    expectDirection(boresight(observatory.sensor), nedToWorld(universe, vehicle, 0, 1, 0))
+
+    gimbal.setAxisTarget('az', 90)
+    universe.update(at(1))
+    expectDirection(boresight(observatory.sensor), nedToWorld(universe, vehicle, -1, 0, 0))
+
+    gimbal.setAxisTarget('az', 0)
+    vehicle.pitch = 30
+    universe.update(at(2))
+    expectDirection(boresight(observatory.sensor), nedToWorld(universe, vehicle, 0, Math.cos(Math.PI / 6), -0.5))
+
+    vehicle.pitch = 0
+    vehicle.roll = 30
+    gimbal.setAxisTarget('az', 90)
+    universe.update(at(3))
+    expectDirection(boresight(observatory.sensor), nedToWorld(universe, vehicle, -Math.cos(Math.PI / 6), 0, 0.5))
+  })
+})
+
+describe('Universe.addAirborneElectroOpticalObservatory', () => {
+  test('mounts an az/el gimbal on a mount attached to the vehicle', () => {
+    const { universe, vehicle, observatory } = buildUniverse()
+
+    expect(observatory.hosted).toBe(false)
+    expect(observatory.site.parent).toBe(vehicle)
+    expect(observatory.gimbal).toBeInstanceOf(AzElGimbal)
+    expect(observatory.gimbal.parent).toBe(observatory.site)
+    expect(universe.getObject('UAV Turret')).toBe(observatory.site)
+    expect(universe.getObservatory('UAV Turret')).toBe(observatory)
+  })
+
+  test('trackObject events and visibility follow the moving vehicle', () => {
+    const { universe, vehicle, observatory } = buildUniverse()
+    vehicle.velocityNed = new Cartesian3(0, 80, 0)
+    const target = universe.addAirVehicle('Target', 0.05, 0.05, 1000, new Cartesian3(), new Cartesian3(), 0, start)
+    universe.scheduleEvent({ time: at(0), type: 'trackObject', data: { observer: 'UAV Turret', target: 'Target' } })
+
+    universe.update(at(0))
+    universe.update(at(60))
+    const sensor = observatory.sensor
+    const lineOfSight = Cartesian3.subtract(target.worldPosition, sensor.worldPosition, new Cartesian3())
+    expect(observatory.gimbal.trackObject).toBe(target)
+    expectDirection(boresight(sensor), lineOfSight)
+
+    const viewer = { clock: { currentTime: at(60) } }
+    const [result] = getVisibility(universe, viewer, [observatory], target)
+    expect(result.el).toBeLessThan(0)
+    expect(result.visible).toBe(true)
+
+    sensor.field_of_regard = [{ clock: [0, 360], elevation: [0, 90] }]
+    expect(getVisibility(universe, viewer, [observatory], target)[0].visible).toBe(false)
+  })
+
+  test('rejects unknown vehicles and duplicate names', () => {
+    const { universe } = buildUniverse()
+    expect(() => universe.addAirborneElectroOpticalObservatory('Pod', 'Missing', undefined, 64, 64, 1, 1, []))
+      .toThrow("Universe.addAirborneElectroOpticalObservatory: unknown vehicle 'Missing'")
+    expect(() => universe.addAirborneElectroOpticalObservatory('UAV Turret', 'UAV', undefined, 64, 64, 1, 1, []))
+      .toThrow("Universe.addAirborneElectroOpticalObservatory: observatory 'UAV Turret' already exists")
+    expect(() => universe.addAirborneElectroOpticalObservatory('UAV', 'UAV', undefined, 64, 64, 1, 1, []))
+      .toThrow("Universe.addAirborneElectroOpticalObservatory: object 'UAV' already exists")
+  })
+
+  test('removing the observatory keeps the vehicle, removing the vehicle removes the observatory', () => {
+    const { universe, vehicle, observatory } = buildUniverse()
+    const removed = jest.fn()
+    universe.on('observatoryRemoved', removed)
+
+    universe.removeObservatory('UAV Turret')
+    expect(universe.getObject('UAV')).toBe(vehicle)
+    expect(universe.hasObject('UAV Turret')).toBe(false)
+    expect(vehicle.children).not.toContain(observatory.site)
+
+    const second = universe.addAirborneElectroOpticalObservatory('Second', vehicle, undefined, 64, 64, 1, 1, [])
+    universe.scheduleEvent({ time: at(0), type: 'removeObject', data: { name: 'UAV' } })
+    universe.update(at(0))
+    expect(universe.hasObject('UAV')).toBe(false)
+    expect(universe.getObservatory('Second')).toBeUndefined()
+    expect(removed).toHaveBeenLastCalledWith(universe, { observatory: second })
+  })
+})
+
+describe('airborne observatory persistence', () => {
+  test('loads from an airvehicle entry and round-trips through export and snapshots', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+      addObservatoryVisualizer: jest.fn()
+    }
+    loadScenario(universe, viewer, {
+      objects: [{
+        type: 'AirVehicle',
+        name: 'UAV',
+        latitude: 10,
+        longitude: 20,
+        altitude: 3000,
+        heading: 45,
+        epoch: '2021-01-01T00:00:00Z',
+        observatory: {
+          gimbal_slew_rates: { az: 10, el: 10 },
+          sensors: [camera([{ clock: [0, 360], elevation: [-60, 10] }])]
+        }
+      }],
+      events: [{ time: 0, type: 'setGimbalAxes', observer: 'UAV Observatory', axes: { az: 30, el: -20 } }]
+    })
+    const observatory = universe.getObservatory('UAV Observatory')
+    expect(observatory.site.vehicle).toBe(universe.getObject('UAV'))
+    expect(viewer.addObservatoryVisualizer).toHaveBeenCalledWith(observatory, expect.any(String))
+
+    universe.update(at(0))
+    const exported = exportScenario(universe, viewer)
+    const entry = exported.objects.find((o) => o.name === 'UAV Observatory')
+    expect(entry).toMatchObject({
+      type: 'AirborneEOObservatory',
+      vehicle: 'UAV',
+      gimbal_slew_rates: { az: { maxRateDegPerSec: 10 }, el: { maxRateDegPerSec: 10 } }
+    })
+    expect(exported.objects.map((o) => o.name)).toEqual(['UAV', 'UAV Observatory'])
+
+    const reloaded = new Universe()
+    loadScenario(reloaded, { ...viewer, addObservatoryVisualizer: jest.fn() }, exported)
+    expect(reloaded.getObservatory('UAV Observatory').site.vehicle).toBe(reloaded.getObject('UAV'))
+
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    const copy = restored.getObservatory('UAV Observatory')
+    expect(copy.site).toBeInstanceOf(VehicleMount)
+    expect(copy.site.vehicle).toBe(restored.getObject('UAV'))
+    expect(copy.sensor.field_of_regard).toEqual([{ clock: [0, 360], elevation: [-60, 10] }])
+    expect(CMath.equalsEpsilon(copy.gimbal.el, observatory.gimbal.el, 1e-9)).toBe(true)
+  })
+
+  test('mounts an X-Y gimbal from gimbal_type and keeps it through export and snapshots', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+      addObservatoryVisualizer: jest.fn()
+    }
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    loadScenario(universe, viewer, {
+      objects: [
+        { type: 'AirVehicle', name: 'UAV', latitude: 0, longitude: 0, altitude: 3000, heading: 90, epoch: '2021-01-01T00:00:00Z' },
+        { type: 'AirborneEOObservatory', name: 'Pod', vehicle: 'UAV', gimbal_type: 'X-Y', sensors: [camera()] },
+        { type: 'AirborneEOObservatory', name: 'Bad', vehicle: 'UAV', gimbal_type: 'EquatorialGimbal' }
+      ],
+      events: [{ time: 0, type: 'setGimbalAxes', observer: 'Pod', axes: { x: 90, y: 0 } }]
+    })
+    expect(warn).toHaveBeenCalledWith('Observatory Bad: unsupported gimbal type EquatorialGimbal, skipping creation.')
+    warn.mockRestore()
+    expect(() => universe.addAirborneElectroOpticalObservatory('Other', 'UAV', 'SpaceAzElGimbal', 64, 64, 1, 1, []))
+      .toThrow("Universe.addAirborneElectroOpticalObservatory: unsupported gimbalType 'SpaceAzElGimbal'")
+
+    const observatory = universe.getObservatory('Pod')
+    expect(observatory.gimbal).toBeInstanceOf(XYGimbal)
+    universe.update(at(0))
+    // x tilts toward the right wing, which is south with the nose east
+    const vehicle = universe.getObject('UAV')
+    expectDirection(boresight(observatory.sensor), nedToWorld(universe, vehicle, -1, 0, 0))
+
+    const exported = exportScenario(universe, viewer)
+    expect(exported.objects.find((o) => o.name === 'Pod')).toMatchObject({ type: 'AirborneEOObservatory', gimbal_type: 'XYGimbal' })
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    expect(restored.getObservatory('Pod').gimbal).toBeInstanceOf(XYGimbal)
+    expect(restored.getObservatory('Pod').gimbal.x).toBeCloseTo(90, 9)
+  })
+})
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, Matrix3, Quaternion, Simon1994PlanetaryPositions } from 'cesium'
+import { compileAttitude, evaluateAttitude } from '../src/engine/dynamics/attitude.js'
+import Universe from '../src/engine/Universe.js'
+import ElectroOpicalSensor from '../src/engine/objects/ElectroOpticalSensor.js'
+import { createObjectOrientationProperty } from '../src/engine/cesium/utils.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const r0 = new Cartesian3(7000000, 0, 0)
+const v0 = new Cartesian3(0, 5335, 5335)
+
+const unit = (v) => Cartesian3.normalize(v, new Cartesian3())
+const bodyAxis = (object, axis) => unit(object.transformVectorToWorld(axis, new Cartesian3()))
+const expectDirection = (actual, expected) => {
+  expect(Cartesian3.dot(unit(actual), unit(expected))).toBeCloseTo(1, 9)
+}
+
+describe('attitude laws', () => {
+  test('nadir points payloads at the Earth center with +X along the velocity', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('Sat', r0, v0, start, 'nadir')
+    const sensor = new ElectroOpicalSensor(100, 100, 1, 1, [], 'Camera')
+    sensor.attach(sat)
+    sensor.update(at(900), universe)
+
+    const position = Cartesian3.clone(sat.position)
+    expectDirection(bodyAxis(sat, new Cartesian3(0, 0, -1)), Cartesian3.negate(position, new Cartesian3()))
+    const alongTrack = Cartesian3.cross(Cartesian3.cross(position, sat.velocity, new Cartesian3()), position, new Cartesian3())
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_X), alongTrack)
+    expectDirection(bodyAxis(sensor, new Cartesian3(0, 0, -1)), Cartesian3.negate(position, new Cartesian3()))
+  })
+
+  test('LVLH puts +Z at nadir and -Y along the orbit normal', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('Sat', r0, v0, start, 'LVLH')
+    sat.update(at(300), universe)
+
+    const normal = Cartesian3.cross(sat.position, sat.velocity, new Cartesian3())
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_Z), Cartesian3.negate(sat.position, new Cartesian3()))
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_Y), Cartesian3.negate(normal, normal))
+  })
+
+  test('sun, inertial and target modes', () => {
+    const universe = new Universe()
+    const sun = universe.addTwoBodySatellite('SunPointer', r0, v0, start, 'sun-pointing')
+    const fixed = universe.addTwoBodySatellite('Fixed', r0, v0, start, { type: 'inertial', quaternion: [0, 0, Math.SQRT1_2, Math.SQRT1_2] })
+    const chaser = universe.addTwoBodySatellite('Chaser', r0, v0, start, { type: 'target', target: 'Target' })
+    const target = universe.addTwoBodySatellite('Target', new Cartesian3(0, 7000000, 0), new Cartesian3(-7546, 0, 0), start)
+    universe.update(at(60))
+
+    const sunPosition = Simon1994PlanetaryPositions.computeSunPositionInEarthInertialFrame(at(60))
+    expectDirection(bodyAxis(sun, new Cartesian3(0, 0, -1)), Cartesian3.subtract(sunPosition, sun.position, new Cartesian3()))
+    expectDirection(bodyAxis(fixed, Cartesian3.UNIT_X), Cartesian3.UNIT_Y)
+    expectDirection(bodyAxis(chaser, new Cartesian3(0, 0, -1)), Cartesian3.subtract(target.position, chaser.position, new Cartesian3()))
+  })
+
+  test('profiles switch modes at their segment times', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('Sat', r0, v0, start, [
+      { time: '2021-01-01T00:10:00Z', orientation: 'lvlh' },
+      { time: '2021-01-01T00:00:00Z', orientation: 'nadir' }
+    ])
+
+    sat.update(at(300), universe)
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_Z), sat.position)
+    sat.update(at(900), universe)
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_Z), Cartesian3.negate(sat.position, new Cartesian3()))
+    sat.update(at(-300), universe)
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_Z), sat.position)
+  })
+
+  test('evaluates on the interpolated state of Lagrange-wrapped satellites', () => {
+    const universe = new Universe()
+    const wrapped = universe.addSGP4Satellite('ISS', TLE1, TLE2, 'nadir', true)
+    wrapped.update(at(1234), universe)
+    wrapped.object.update(at(1234), universe)
+
+    expect(wrapped.orientation).toBe('nadir')
+    expect(Cartesian3.distance(wrapped.velocity, wrapped.object.velocity)).toBeLessThan(0.5)
+    expectDirection(bodyAxis(wrapped, new Cartesian3(0, 0, -1)), Cartesian3.negate(wrapped.position, new Cartesian3()))
+  })
+
+  test('drives the Cesium orientation property from the body axes', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('Sat', r0, v0, start, { quaternion: { x: 0, y: 0, z: 0, w: 1 } })
+    const property = createObjectOrientationProperty(sat, universe)
+
+    const rotation = Matrix3.fromQuaternion(property.getValue(at(10), new Quaternion()))
+    const expected = universe.earth.transformVectorFromWorld(Cartesian3.UNIT_X, new Cartesian3())
+    expectDirection(Matrix3.getColumn(rotation, 0, new Cartesian3()), expected)
+  })
+
+  test('rejects invalid specifications', () => {
+    expect(() => compileAttitude('spin')).toThrow("Unknown attitude mode 'spin'")
+    expect(() => compileAttitude({ type: 'inertial', quaternion: [0, 0, 0, 0] })).toThrow('Inertial attitude requires a quaternion [x, y, z, w]')
+    expect(() => compileAttitude({ type: 'target' })).toThrow("Target attitude requires a 'target'")
+    expect(() => compileAttitude({ type: 'profile', segments: [] })).toThrow('Attitude profile requires at least one segment')
+    expect(() => compileAttitude([{ time: 'soon', orientation: 'nadir' }])).toThrow('Attitude profile segment 0 has an invalid time')
+    expect(compileAttitude({ target: 'ISS' })).toEqual({ mode: 'target', target: 'ISS' })
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const sat = new Universe().addTwoBodySatellite('Sat', r0, v0, start, 'spin')
+    expect(sat.orientation).toBe('spin')
+    expect(warn).toHaveBeenCalledWith("Sat: Unknown attitude mode 'spin', orientation ignored")
+    warn.mockRestore()
+  })
+
+  test('falls back to nadir while the target is unknown', () => {
+    const sat = new Universe().addTwoBodySatellite('Sat', r0, v0, start)
+    sat.update(start, undefined)
+    const rotation = evaluateAttitude(compileAttitude({ type: 'target', target: 'Missing' }), sat, start, new Universe())
+    expectDirection(Matrix3.getColumn(rotation, 2, new Cartesian3()), r0)
+  })
+})
+
+describe('scenario attitude', () => {
+  test('loads attitude profiles from scenario JSON', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+    }
+    loadScenario(universe, viewer, {
+      objects: [{
+        type: 'TwoBody',
+        name: 'Imager',
+        position: [r0.x, r0.y, r0.z],
+        velocity: [v0.x, v0.y, v0.z],
+        epoch: '2021-01-01T00:00:00Z',
+        orientation: {
+          type: 'profile',
+          segments: [
+            { time: '2021-01-01T00:00:00Z', orientation: 'nadir' },
+            { time: '2021-01-01T00:30:00Z', orientation: { type: 'inertial', quaternion: [0, 0, 0, 1] } }
+          ]
+        }
+      }]
+    })
+    const sat = universe.getObject('Imager')
+
+    sat.update(at(600), universe)
+    expectDirection(bodyAxis(sat, new Cartesian3(0, 0, -1)), Cartesian3.negate(sat.position, new Cartesian3()))
+    sat.update(at(2400), universe)
+    expectDirection(bodyAxis(sat, Cartesian3.UNIT_Z), Cartesian3.UNIT_Z)
+  })
+})
@@ -0,0 +1,111 @@
+import { Cartesian3, Math as CMath } from 'cesium'
+import { exponentialDensity, harrisPriesterDensity } from '../src/engine/dynamics/atmosphere.js'
+import { dormandPrince } from '../src/engine/dynamics/integrator.js'
+import {
+  EARTH_EQUATORIAL_RADIUS,
+  ZONAL_HARMONICS,
+  approximateAltitude,
+  dragAcceleration,
+  solarRadiationAcceleration,
+  thirdBodyAcceleration,
+  zonalAcceleration
+} from '../src/engine/dynamics/perturbations.js'
+
+const AU = 1.495978707e11
+
+describe('atmosphere density models', () => {
+  test('exponential density matches the table and decreases with altitude', () => {
+    expect(exponentialDensity(0)).toBeCloseTo(1.225, 6)
+    expect(exponentialDensity(400000)).toBeCloseTo(3.725e-12, 15)
+    expect(exponentialDensity(300000)).toBeGreaterThan(exponentialDensity(301000))
+    expect(exponentialDensity(-100)).toBeCloseTo(1.225, 6)
+  })
+
+  test('Harris-Priester density peaks in the lagging bulge and falls back outside its table', () => {
+    const sun = new Cartesian3(AU, 0, 0)
+    const r = EARTH_EQUATORIAL_RADIUS + 400000
+    const lag = 30 * Math.PI / 180
+    const bulge = harrisPriesterDensity(400000, new Cartesian3(r * Math.cos(lag), r * Math.sin(lag), 0), sun)
+    const antiBulge = harrisPriesterDensity(400000, new Cartesian3(-r * Math.cos(lag), -r * Math.sin(lag), 0), sun)
+
+    expect(bulge).toBeCloseTo(4.533e-12, 15)
+    expect(antiBulge).toBeCloseTo(2.249e-12, 15)
+    expect(harrisPriesterDensity(1200000, new Cartesian3(r, 0, 0), sun)).toBe(exponentialDensity(1200000))
+  })
+})
+
+describe('perturbing accelerations', () => {
+  test('J2 acceleration matches the closed form', () => {
+    const position = new Cartesian3(5000000, 2000000, 4000000)
+    const r = Cartesian3.magnitude(position)
+    const z2 = (position.z / r) ** 2
+    const factor = -1.5 * ZONAL_HARMONICS[2] * CMath.GRAVITATIONALPARAMETER * EARTH_EQUATORIAL_RADIUS ** 2 / r ** 5
+    const expected = new Cartesian3(
+      factor * position.x * (1 - 5 * z2),
+      factor * position.y * (1 - 5 * z2),
+      factor * position.z * (3 - 5 * z2)
+    )
+
+    const actual = zonalAcceleration(position, 2)
+    expect(Cartesian3.distance(actual, expected) / Cartesian3.magnitude(expected)).toBeLessThan(1e-12)
+    expect(Cartesian3.magnitude(Cartesian3.subtract(zonalAcceleration(position, 6), actual, new Cartesian3())))
+      .toBeLessThan(1e-2 * Cartesian3.magnitude(actual))
+  })
+
+  test('altitude accounts for the ellipsoid flattening', () => {
+    expect(approximateAltitude(new Cartesian3(EARTH_EQUATORIAL_RADIUS + 1000, 0, 0))).toBeCloseTo(1000, 6)
+    expect(approximateAltitude(new Cartesian3(0, 0, 6356752.3142 + 1000))).toBeCloseTo(1000, 0)
+  })
+
+  test('drag opposes the velocity relative to the rotating atmosphere', () => {
+    const position = new Cartesian3(EARTH_EQUATORIAL_RADIUS + 400000, 0, 0)
+    const velocity = new Cartesian3(0, 7670, 0)
+    const acceleration = dragAcceleration(position, velocity, 3.725e-12, 0.022)
+    const relativeSpeed = 7670 - 7.292115e-5 * position.x
+
+    expect(acceleration.x).toBeCloseTo(0, 20)
+    expect(acceleration.y).toBeCloseTo(-0.5 * 3.725e-12 * 0.022 * relativeSpeed ** 2, 15)
+  })
+
+  test('solar radiation pressure points away from the Sun and scales with illumination', () => {
+    const sun = new Cartesian3(AU, 0, 0)
+    const position = new Cartesian3(0, 7000000, 0)
+    const full = solarRadiationAcceleration(position, sun, 0.015)
+    const half = solarRadiationAcceleration(position, sun, 0.015, 0.5)
+
+    expect(full.x).toBeLessThan(0)
+    expect(Cartesian3.magnitude(full)).toBeCloseTo(4.56e-6 * 0.015, 10)
+    expect(Cartesian3.magnitude(half)).toBeCloseTo(0.5 * Cartesian3.magnitude(full), 15)
+  })
+
+  test('third-body acceleration is the tidal difference', () => {
+    const body = new Cartesian3(384400000, 0, 0)
+    const mu = 4.9048695e12
+    const near = thirdBodyAcceleration(new Cartesian3(7000000, 0, 0), body, mu)
+    const side = thirdBodyAcceleration(new Cartesian3(0, 7000000, 0), body, mu)
+
+    expect(near.x).toBeCloseTo(mu / (384400000 - 7000000) ** 2 - mu / 384400000 ** 2, 15)
+    expect(near.x / (2 * mu * 7000000 / 384400000 ** 3)).toBeCloseTo(1, 1)
+    expect(side.y / (-mu * 7000000 / 384400000 ** 3)).toBeCloseTo(1, 3)
+  })
+})
+
+describe('dormandPrince', () => {
+  test('integrates a harmonic oscillator forwards and backwards', () => {
+    const derivative = (t, [x, v]) => [v, -x]
+    const forward = dormandPrince(derivative, 0, [1, 0], 10, { absoluteTolerance: 1e-12, relativeTolerance: 1e-12 })
+    expect(forward.y[0]).toBeCloseTo(Math.cos(10), 9)
+    expect(forward.y[1]).toBeCloseTo(-Math.sin(10), 9)
+
+    const backward = dormandPrince(derivative, 10, forward.y, 0, { absoluteTolerance: 1e-12, relativeTolerance: 1e-12 })
+    expect(backward.y[0]).toBeCloseTo(1, 8)
+    expect(backward.y[1]).toBeCloseTo(0, 8)
+  })
+
+  test('honors maxStep and the step budget', () => {
+    const derivative = (t, y) => [1]
+    expect(dormandPrince(derivative, 0, [0], 100, { maxStep: 10 }).steps).toBe(10)
+    expect(dormandPrince(derivative, 5, [2], 5).y).toEqual([2])
+    expect(() => dormandPrince(derivative, 0, [0], 100, { maxStep: 1, maxSteps: 5 })).toThrow('dormandPrince: exceeded 5 steps')
+  })
+})
@@ -1,4 +1,4 @@
-import { vallado, rv2period, rv2ecc, rv2coe, coe2mee } from '../src/engine/dynamics/twobody';
+import { vallado, rv2period, rv2ecc, rv2coe, coe2mee, mee2coe, coe2rv, orbitalElementsToRv, orbitFrameToInertial } from '../src/engine/dynamics/twobody';
 import { Cartesian3 } from 'cesium';
 
 describe('twobody', () => {
@@ -276,4 +276,67 @@ describe('twobody', () => {
         const eccHyp = rv2ecc(mu, rHyp, vHyp);
         expect(eccHyp).toBeGreaterThan(1);
     });
+
+    test('should rotate RIC and VNB vectors into the inertial frame', () => {
+        const r = new Cartesian3(7000000, 0, 0);
+        const v = new Cartesian3(0, 6000, 6000);
+        const s = Math.SQRT1_2;
+
+        const ric = orbitFrameToInertial('RIC', r, v, new Cartesian3(1, 2, 3));
+        expect(ric.x).toBeCloseTo(1, 12);
+        expect(ric.y).toBeCloseTo(2 * s - 3 * s, 12);
+        expect(ric.z).toBeCloseTo(2 * s + 3 * s, 12);
+
+        const vnb = orbitFrameToInertial('vnb', r, v, new Cartesian3(1, 0, 0));
+        expect(vnb.y).toBeCloseTo(s, 12);
+        expect(vnb.z).toBeCloseTo(s, 12);
+        const binormal = orbitFrameToInertial('VNB', r, v, new Cartesian3(0, 0, 1));
+        expect(binormal.x).toBeCloseTo(1, 12);
+
+        const inertial = orbitFrameToInertial('inertial', r, v, new Cartesian3(1, 2, 3));
+        expect(inertial).toEqual(new Cartesian3(1, 2, 3));
+        expect(() => orbitFrameToInertial('NTW', r, v, new Cartesian3())).toThrow("Unsupported orbit frame 'NTW'");
+    });
+
+    test('should invert rv2coe with coe2rv', () => {
+        [[ro1, vo1], [ro2, vo2]].forEach(([r, v]) => {
+            const { position, velocity } = coe2rv(mu, ...rv2coe(mu, r, v));
+            expect(Cartesian3.distance(position, r)).toBeLessThan(1e-6);
+            expect(Cartesian3.distance(velocity, v)).toBeLessThan(1e-9);
+        });
+
+        // circular equatorial: nu is the true longitude
+        const { position } = coe2rv(mu, 7000000, 0, 0, 0, 0, Math.PI / 2);
+        expect(position.x).toBeCloseTo(0, 6);
+        expect(position.y).toBeCloseTo(7000000, 6);
+    });
+
+    test('should invert coe2mee with mee2coe', () => {
+        const coe = rv2coe(mu, ro2, vo2);
+        const { position, velocity } = coe2rv(mu, ...mee2coe(...coe2mee(...coe)));
+        expect(Cartesian3.distance(position, ro2)).toBeLessThan(1e-6);
+        expect(Cartesian3.distance(velocity, vo2)).toBeLessThan(1e-9);
+    });
+
+    test('should build states from keplerian, equinoctial and apogee/perigee elements', () => {
+        const coe = rv2coe(mu, ro1, vo1);
+        const a = coe[0] / (1 - coe[1] ** 2);
+        const keplerian = orbitalElementsToRv(mu, {
+            semiMajorAxis: a, eccentricity: coe[1], inclination: coe[2], raan: coe[3], argumentOfPeriapsis: coe[4], trueAnomaly: coe[5]
+        });
+        expect(Cartesian3.distance(keplerian.position, ro1)).toBeLessThan(1e-6);
+
+        const [p, f, g, h, k, L] = coe2mee(...coe);
+        const equinoctial = orbitalElementsToRv(mu, { p, f, g, h, k, L });
+        expect(Cartesian3.distance(equinoctial.velocity, vo1)).toBeLessThan(1e-9);
+
+        const gto = orbitalElementsToRv(mu, { apogeeAltitude: 35786000, perigeeAltitude: 250000, meanAnomaly: Math.PI });
+        expect(Cartesian3.magnitude(gto.position)).toBeCloseTo(6378137 + 35786000, 3);
+        const [, ecc] = rv2coe(mu, gto.position, gto.velocity);
+        expect(ecc).toBeCloseTo(35536000 / (2 * 6378137 + 36036000), 12);
+
+        expect(() => orbitalElementsToRv(mu, { eccentricity: 0.1 })).toThrow("Keplerian elements require 'semiMajorAxis'");
+        expect(() => orbitalElementsToRv(mu, { apogeeAltitude: 100, perigeeAltitude: 200 })).toThrow("'apogeeAltitude' >= 'perigeeAltitude'");
+        expect(() => orbitalElementsToRv(mu, { type: 'delaunay' })).toThrow("Unsupported orbital element set 'delaunay'");
+    });
 });
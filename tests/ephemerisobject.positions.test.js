@@ -0,0 +1,40 @@
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import EphemerisObject from '../src/engine/objects/EphemerisObject.js'
+import Universe from '../src/engine/Universe.js'
+import { rv2period } from '../src/engine/dynamics/twobody.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const radius = 7000000
+const speed = Math.sqrt(CMath.GRAVITATIONALPARAMETER / radius)
+const rate = speed / radius
+const circular = (seconds) => new Cartesian3(radius * Math.cos(rate * seconds), radius * Math.sin(rate * seconds), 0)
+
+describe('EphemerisObject from positions only', () => {
+  test('constructs and updates with interpolated velocity', () => {
+    const seconds = Array.from({ length: 13 }, (_, i) => i * 60)
+    const times = seconds.map((s) => JulianDate.addSeconds(start, s, new JulianDate()))
+    const ephemeris = new EphemerisObject(times, seconds.map(circular), [], 'Positions')
+    expect(ephemeris.interpolation).toBe('lagrange')
+    expect(ephemeris.period).toBeCloseTo(rv2period(CMath.GRAVITATIONALPARAMETER, circular(0), new Cartesian3(0, speed, 0)), 0)
+    expect(ephemeris.eccentricity).toBeLessThan(1e-6)
+
+    const universe = new Universe()
+    universe.addObject(ephemeris)
+    universe.update(JulianDate.addSeconds(start, 330, new JulianDate()))
+    expect(Cartesian3.distance(ephemeris.position, circular(330))).toBeLessThan(1e-3)
+    expect(Cartesian3.magnitude(ephemeris.velocity)).toBeCloseTo(speed, 4)
+  })
+
+  test('leaves period and eccentricity undefined for a single position', () => {
+    const ephemeris = new EphemerisObject([start], [circular(0)], [], 'Fixed')
+    expect(ephemeris.period).toBeUndefined()
+    expect(ephemeris.eccentricity).toBeUndefined()
+
+    ephemeris.update(start, new Universe())
+    expect(Cartesian3.equals(ephemeris.position, circular(0))).toBe(true)
+    expect(Cartesian3.equals(ephemeris.velocity, Cartesian3.ZERO)).toBe(true)
+  })
+})
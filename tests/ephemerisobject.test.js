@@ -2,13 +2,11 @@ import EphemerisObject from '../src/engine/objects/EphemerisObject.js';
 import SimObject from '../src/engine/objects/SimObject.js';
 import Universe from '../src/engine/Universe.js';
 import { rv2period, rv2ecc } from '../src/engine/dynamics/twobody.js';
-import { lagrange_fast } from '../src/engine/dynamics/lagrange.js';
 import { JulianDate, Cartesian3, ReferenceFrame, Math as CMath } from 'cesium';
 
 // Mock the dependencies
 jest.mock('../src/engine/Universe.js');
 jest.mock('../src/engine/dynamics/twobody.js');
-jest.mock('../src/engine/dynamics/lagrange.js');
 
 describe('EphemerisObject', () => {
   let mockUniverse;
@@ -43,12 +41,6 @@ describe('EphemerisObject', () => {
     // Mock the dynamics functions
     rv2period.mockReturnValue(5400.0); // 90 minute orbit
     rv2ecc.mockReturnValue(0.1); // Slightly eccentric orbit
-    lagrange_fast.mockImplementation((times, positions, t, result) => {
-      // Simple mock implementation that just sets some values
-      result.x = 6371000 + t * 1000; // Earth radius + some variation
-      result.y = t * 500;
-      result.z = 0;
-    });
   });
 
   afterEach(() => {
@@ -111,9 +103,9 @@ describe('EphemerisObject', () => {
       
       const ephObj = new EphemerisObject(unsortedTimes, testPositions, testVelocities);
       
-      // Due to issues with JulianDate constructor in the source, we'll test the state vectors instead
       expect(ephObj._stateVectors[0].time.dayNumber).toBe(2451545);
-      expect(ephObj._stateVectors[0].time.secondsOfDay).toBe(32);
+      expect(JulianDate.equals(ephObj._epoch, ephObj._stateVectors[0].time)).toBe(true);
+      expect(ephObj._epoch).not.toBe(ephObj._stateVectors[0].time);
     });
 
     it('should create times array with seconds differences from epoch', () => {
@@ -121,8 +113,8 @@ describe('EphemerisObject', () => {
       
       expect(ephObj._times).toHaveLength(3);
       expect(ephObj._times[0]).toBe(0); // First time should be 0 (epoch)
-      expect(ephObj._times[1]).toBe(-86400); // 1 day later = negative since it's epoch - time
-      expect(ephObj._times[2]).toBe(-172800); // 2 days later = negative
+      expect(ephObj._times[1]).toBe(86400); // 1 day after the epoch
+      expect(ephObj._times[2]).toBe(172800); // 2 days after the epoch
     });
 
     it('should flatten positions into coordinate array', () => {
@@ -247,78 +239,60 @@ describe('EphemerisObject', () => {
       ephObj = new EphemerisObject(testTimes, testPositions, testVelocities);
     });
 
-    it('should call lagrange_fast with correct parameters', () => {
-      const updateTime = JulianDate.addDays(ephObj._epoch, 0.5, new JulianDate());
-      ephObj._update(updateTime, mockUniverse);
-      
-      const expectedDelta = JulianDate.secondsDifference(updateTime, ephObj._epoch);
-      expect(lagrange_fast).toHaveBeenCalledWith(
-        ephObj._times,
-        ephObj._positions,
-        expectedDelta,
-        ephObj._position
-      );
+    it('should default to Hermite interpolation when velocities are supplied', () => {
+      expect(ephObj.interpolation).toBe('hermite');
+      expect(ephObj.degree).toBe(5);
+      expect(ephObj.outOfSpan).toBe('hold');
+    });
+
+    it('should reproduce the state vectors at their times', () => {
+      ephObj._update(testTimes[1], mockUniverse);
+
+      expect(Cartesian3.equalsEpsilon(ephObj._position, testPositions[1], 0, 1e-6)).toBe(true);
+      expect(Cartesian3.equalsEpsilon(ephObj._velocity, testVelocities[1], 0, 1e-9)).toBe(true);
     });
 
-    it('should calculate correct time delta from epoch', () => {
-      const updateTime = JulianDate.addDays(ephObj._epoch, 1.5, new JulianDate());
+    it('should interpolate position and velocity between state vectors', () => {
+      const updateTime = JulianDate.addDays(ephObj._epoch, 0.5, new JulianDate());
       ephObj._update(updateTime, mockUniverse);
-      
-      const expectedDelta = JulianDate.secondsDifference(updateTime, ephObj._epoch);
-      expect(lagrange_fast).toHaveBeenCalledWith(
-        ephObj._times,
-        ephObj._positions,
-        expectedDelta,
-        ephObj._position
-      );
+
+      expect(Number.isFinite(ephObj._position.x)).toBe(true);
+      expect(Number.isFinite(ephObj._velocity.y)).toBe(true);
+      expect(Cartesian3.equals(ephObj._position, testPositions[0])).toBe(false);
     });
 
-    it('should handle negative time deltas', () => {
+    it('should hold the first state with zero velocity before the span', () => {
       const updateTime = JulianDate.addDays(ephObj._epoch, -0.5, new JulianDate());
       ephObj._update(updateTime, mockUniverse);
-      
-      const expectedDelta = JulianDate.secondsDifference(updateTime, ephObj._epoch);
-      expect(lagrange_fast).toHaveBeenCalledWith(
-        ephObj._times,
-        ephObj._positions,
-        expectedDelta,
-        ephObj._position
-      );
-    });
 
-    it('should handle zero time delta (at epoch)', () => {
-      // Skip this test due to epoch construction issues in the source code
-      // The JulianDate constructor creates NaN values that break time calculations
-      expect(true).toBe(true);
+      expect(ephObj._position).toEqual(testPositions[0]);
+      expect(ephObj._velocity).toEqual(Cartesian3.ZERO);
+      expect(ephObj.hidden).toBe(false);
     });
 
-    it('should handle large time deltas', () => {
+    it('should hold the last state after the span', () => {
       const updateTime = JulianDate.addDays(ephObj._epoch, 365, new JulianDate());
       ephObj._update(updateTime, mockUniverse);
-      
-      const expectedDelta = JulianDate.secondsDifference(updateTime, ephObj._epoch);
-      expect(lagrange_fast).toHaveBeenCalledWith(
-        ephObj._times,
-        ephObj._positions,
-        expectedDelta,
-        ephObj._position
-      );
+
+      expect(ephObj._position).toEqual(testPositions[2]);
+      expect(ephObj._velocity).toEqual(Cartesian3.ZERO);
     });
 
     it('should pass the position object for in-place updates', () => {
-      ephObj._update(testTime, mockUniverse);
-      
-      // Verify the position object is passed as the result parameter
-      const callArgs = lagrange_fast.mock.calls[0];
-      expect(callArgs[3]).toBe(ephObj._position);
+      const position = ephObj._position;
+      const velocity = ephObj._velocity;
+      ephObj._update(JulianDate.addDays(ephObj._epoch, 1.5, new JulianDate()), mockUniverse);
+
+      expect(ephObj._position).toBe(position);
+      expect(ephObj._velocity).toBe(velocity);
     });
 
     it('should handle different universe objects', () => {
       const anotherUniverse = new Universe();
-      ephObj._update(testTime, anotherUniverse);
-      
+      ephObj._update(testTimes[0], anotherUniverse);
+
       // Universe parameter is not used in _update but should not cause errors
-      expect(lagrange_fast).toHaveBeenCalled();
+      expect(ephObj._position).toEqual(testPositions[0]);
     });
   });
 
@@ -359,16 +333,35 @@ describe('EphemerisObject', () => {
   });
 
   describe('error handling and edge cases', () => {
-    it('should handle lagrange_fast throwing an exception', () => {
-      lagrange_fast.mockImplementation(() => {
-        throw new Error('Interpolation error');
-      });
-      
-      const ephObj = new EphemerisObject(testTimes, testPositions, testVelocities);
-      
+    it('should throw outside the span when outOfSpan is error', () => {
+      const ephObj = new EphemerisObject(testTimes, testPositions, testVelocities, 'Strict', ReferenceFrame.INERTIAL, { outOfSpan: 'error' });
+
       expect(() => {
-        ephObj._update(testTime, mockUniverse);
-      }).toThrow('Interpolation error');
+        ephObj._update(JulianDate.addDays(ephObj._epoch, 3, new JulianDate()), mockUniverse);
+      }).toThrow("EphemerisObject 'Strict': 2000-01-04T12:00:00Z is outside the ephemeris span 2000-01-01T12:00:00Z to 2000-01-03T12:00:00Z");
+    });
+
+    it('should report hidden outside the span when outOfSpan is hide', () => {
+      const ephObj = new EphemerisObject(testTimes, testPositions, testVelocities, 'Hidden', ReferenceFrame.INERTIAL, { outOfSpan: 'hide' });
+
+      ephObj._update(JulianDate.addDays(ephObj._epoch, 3, new JulianDate()), mockUniverse);
+      expect(ephObj.hidden).toBe(true);
+      expect(ephObj._position).toEqual(testPositions[2]);
+
+      ephObj._update(testTimes[1], mockUniverse);
+      expect(ephObj.hidden).toBe(false);
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => new EphemerisObject(testTimes, testPositions, testVelocities, 'A', ReferenceFrame.INERTIAL, { interpolation: 'spline' }))
+        .toThrow("EphemerisObject 'A': unknown interpolation 'spline'");
+      expect(() => new EphemerisObject(testTimes, testPositions, testVelocities, 'A', ReferenceFrame.INERTIAL, { outOfSpan: 'wrap' }))
+        .toThrow("EphemerisObject 'A': unknown outOfSpan behavior 'wrap'");
+      expect(() => new EphemerisObject(testTimes, testPositions, testVelocities, 'A', ReferenceFrame.INERTIAL, { degree: 0 }))
+        .toThrow("EphemerisObject 'A': interpolation degree must be a positive integer");
+      expect(() => new EphemerisObject(testTimes, testPositions, [], 'A', ReferenceFrame.INERTIAL, { interpolation: 'hermite' }))
+        .toThrow("EphemerisObject 'A': Hermite interpolation requires a velocity for every state");
+      expect(() => new EphemerisObject([], [], [], 'A')).toThrow("EphemerisObject 'A': at least one state vector is required");
     });
 
     it('should handle rv2period returning NaN', () => {
@@ -407,9 +400,8 @@ describe('EphemerisObject', () => {
       
       const ephObj = new EphemerisObject(extremeTimes, [testPositions[0], testPositions[1]], [testVelocities[0], testVelocities[1]]);
       
-      // The epoch creation has issues with new JulianDate() constructor, so we'll test the state vectors instead
       expect(ephObj._stateVectors[0].time.dayNumber).toBe(1000000);
-      expect(ephObj._times[1]).toBeLessThan(0); // Should be negative (later time)
+      expect(ephObj._times[1]).toBeGreaterThan(0);
     });
   });
 
@@ -459,17 +451,16 @@ describe('EphemerisObject', () => {
       const testEphObj = new EphemerisObject(simpleTimes, simplePositions, simpleVelocities);
       
       // Perform multiple rapid updates
-      const updateTimes = [];
       for (let i = 0; i < 5; i++) {
         const updateTime = new JulianDate(2451545, i * 100); // Every 100 seconds
-        updateTimes.push(updateTime);
         testEphObj._update(updateTime, mockUniverse);
+        expect(Number.isFinite(testEphObj._position.x)).toBe(true);
       }
-      
-      expect(lagrange_fast).toHaveBeenCalledTimes(5);
-      
-      // Verify each call had lagrange_fast called (don't check exact values due to epoch issues)
-      expect(lagrange_fast.mock.calls.length).toBe(5);
+
+      // Two states give a cubic Hermite that matches the end points
+      testEphObj._update(simpleTimes[1], mockUniverse);
+      expect(Cartesian3.equalsEpsilon(testEphObj._position, simplePositions[1], 0, 1e-6)).toBe(true);
+      expect(Cartesian3.equalsEpsilon(testEphObj._velocity, simpleVelocities[1], 0, 1e-9)).toBe(true);
     });
 
     it('should maintain consistency with different interpolation scenarios', () => {
@@ -485,23 +476,32 @@ describe('EphemerisObject', () => {
       
       interpolationTimes.forEach(time => {
         ephObj._update(time, mockUniverse);
-        const expectedDelta = JulianDate.secondsDifference(time, ephObj._epoch);
-        expect(lagrange_fast).toHaveBeenCalledWith(
-          ephObj._times,
-          ephObj._positions,
-          expectedDelta,
-          ephObj._position
-        );
+        const again = new EphemerisObject(testTimes, testPositions, testVelocities);
+        again._update(time, mockUniverse);
+        expect(again._position).toEqual(ephObj._position);
+        expect(again._velocity).toEqual(ephObj._velocity);
       });
     });
   });
 
   describe('performance considerations', () => {
-    it('should only call lagrange_fast once per update', () => {
-      const ephObj = new EphemerisObject(testTimes, testPositions, testVelocities);
-      ephObj._update(testTime, mockUniverse);
-      
-      expect(lagrange_fast).toHaveBeenCalledTimes(1);
+    it('should interpolate Lagrange from a window of states', () => {
+      const times = [];
+      const positions = [];
+      for (let i = 0; i < 20; i++) {
+        times.push(JulianDate.addSeconds(testTimes[0], i * 60, new JulianDate()));
+        positions.push(new Cartesian3(i * i, 2 * i, 1));
+      }
+
+      const ephObj = new EphemerisObject(times, positions, [], 'Quadratic', ReferenceFrame.INERTIAL, { degree: 3 });
+      expect(ephObj.interpolation).toBe('lagrange');
+      expect(ephObj._windowSize).toBe(4);
+
+      ephObj._update(JulianDate.addSeconds(testTimes[0], 630, new JulianDate()), mockUniverse);
+      expect(ephObj._position.x).toBeCloseTo(10.5 * 10.5, 9);
+      expect(ephObj._position.y).toBeCloseTo(21, 9);
+      expect(ephObj._velocity.x).toBeCloseTo(2 * 10.5 / 60, 9);
+      expect(ephObj._velocity.y).toBeCloseTo(2 / 60, 12);
     });
 
     it('should reuse position object for interpolation results', () => {
@@ -512,14 +512,6 @@ describe('EphemerisObject', () => {
       
       // Position object should be the same reference
       expect(ephObj._position).toBe(originalPosition);
-      
-      // And it should be passed to lagrange_fast
-      expect(lagrange_fast).toHaveBeenCalledWith(
-        expect.any(Array),
-        expect.any(Array),
-        expect.any(Number),
-        originalPosition
-      );
     });
 
     it('should handle large ephemeris datasets efficiently', () => {
@@ -541,8 +533,8 @@ describe('EphemerisObject', () => {
       expect(ephObj._positions).toHaveLength(300); // 100 × 3
       
       // Should still work for updates
-      ephObj._update(testTime, mockUniverse);
-      expect(lagrange_fast).toHaveBeenCalled();
+      ephObj._update(largeTimes[50], mockUniverse);
+      expect(Cartesian3.equalsEpsilon(ephObj._position, largePositions[50], 0, 1e-6)).toBe(true);
     });
   });
 
@@ -567,10 +559,10 @@ describe('EphemerisObject', () => {
         expect(JulianDate.compare(ephObj._stateVectors[i-1].time, ephObj._stateVectors[i].time)).toBeLessThanOrEqual(0);
       }
       
-      // Verify times array corresponds to sorted order (but will be negative for future times)
+      // Verify times array corresponds to sorted order
       expect(ephObj._times[0]).toBe(0); // Epoch
       for (let i = 1; i < ephObj._times.length; i++) {
-        expect(ephObj._times[i]).toBeLessThan(ephObj._times[i-1]); // Should be decreasing (more negative)
+        expect(ephObj._times[i]).toBeGreaterThan(ephObj._times[i-1]);
       }
     });
 
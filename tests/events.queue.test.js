@@ -1,5 +1,6 @@
 import EventQueue from '../src/engine/event/EventQueue.js'
 import Event from '../src/engine/event/Event.js'
+import ConditionEvent from '../src/engine/event/ConditionEvent.js'
 import { JulianDate } from 'cesium'
 
 describe('EventQueue', () => {
@@ -37,6 +38,16 @@ describe('EventQueue', () => {
     expect(queue.size()).toBe(0)
   })
 
+  test('process returns fired events in order', () => {
+    queue.registerHandler('alpha', () => {})
+    const a = new Event({ time: base, type: 'alpha' })
+    const b = new Event({ time: base, type: 'alpha' })
+    queue.add(a)
+    queue.add(b)
+    expect(queue.process(base, universe)).toEqual([a, b])
+    expect(queue.process(base, universe)).toEqual([])
+  })
+
   test('per-event handler overrides registry', () => {
     const calls = []
     queue.registerHandler('beta', () => calls.push('beta:registry'))
@@ -86,4 +97,136 @@ describe('EventQueue', () => {
     expect(() => queue.registerHandler('t', null)).toThrow(/handler must be a function/i)
     expect(() => queue.unregisterHandler('')).toThrow(/type is required/i)
   })
+  describe('recurring events', () => {
+    const at = (seconds) => JulianDate.addSeconds(base, seconds, new JulianDate())
+
+    test('fires at each interval and stays queued', () => {
+      const calls = []
+      queue.registerHandler('pulse', (_u, e) => calls.push(e.occurrence))
+      const id = queue.add({ time: base, type: 'pulse', interval: 30 })
+
+      queue.process(at(0), universe)
+      queue.process(at(29), universe)
+      queue.process(at(30), universe)
+      expect(calls).toEqual([0, 1])
+      expect(queue.size()).toBe(1)
+      expect(queue.toArray()[0].id).toBe(id)
+      expect(JulianDate.secondsDifference(queue.toArray()[0].time, base)).toBeCloseTo(60)
+    })
+
+    test('catches up on skipped occurrences in time order', () => {
+      const calls = []
+      queue.add({ time: base, type: 'a', interval: 10, handler: () => calls.push('a') })
+      queue.add({ time: at(15), type: 'b', handler: () => calls.push('b') })
+
+      const fired = queue.process(at(25), universe)
+      expect(calls).toEqual(['a', 'a', 'b', 'a'])
+      expect(fired).toHaveLength(4)
+    })
+
+    test('stops after count or until', () => {
+      const counted = []
+      const windowed = []
+      queue.add({ time: base, type: 'c', interval: 10, count: 2, handler: (_u, e) => counted.push(e.occurrence) })
+      queue.add({ time: at(100), type: 'w', interval: 10, until: at(130), handler: () => windowed.push(1) })
+
+      queue.process(at(1000), universe)
+      expect(counted).toEqual([0, 1])
+      expect(windowed).toHaveLength(4)
+      expect(queue.size()).toBe(0)
+    })
+
+    test('once: false fires once per processed time inside its window', () => {
+      const calls = []
+      queue.add({ time: at(10), type: 'x', once: false, until: at(20), handler: () => calls.push(1) })
+
+      queue.process(at(5), universe)
+      queue.process(at(10), universe)
+      queue.process(at(10), universe)
+      queue.process(at(15), universe)
+      expect(calls).toHaveLength(2)
+      expect(queue.size()).toBe(1)
+
+      queue.process(at(21), universe)
+      expect(calls).toHaveLength(2)
+      expect(queue.size()).toBe(0)
+    })
+
+    test('once: false alone does not repeat', () => {
+      const calls = []
+      const event = new Event({ time: at(10), type: 'x', once: false, handler: () => calls.push(1) })
+      expect(event.recurring).toBe(false)
+      queue.add(event)
+
+      queue.process(at(10), universe)
+      queue.process(at(15), universe)
+      expect(calls).toHaveLength(1)
+      expect(queue.size()).toBe(0)
+    })
+
+    test('validates recurrence options', () => {
+      expect(() => new Event({ time: base, interval: 0 })).toThrow('Event: interval must be a positive number of seconds')
+      expect(() => new Event({ time: base, interval: 5, count: 1.5 })).toThrow('Event: count must be a positive integer')
+      expect(() => new Event({ time: base, until: 'nope' })).toThrow('Event: invalid until time')
+      expect(new Event({ time: base }).recurring).toBe(false)
+      expect(new Event({ time: base, interval: 5 }).recurring).toBe(true)
+    })
+  })
+  describe('condition-triggered events', () => {
+    const at = (seconds) => JulianDate.addSeconds(base, seconds, new JulianDate())
+    let level
+
+    beforeEach(() => {
+      level = 0
+      queue.registerCondition('above', (_u, condition) => level > condition.threshold)
+    })
+
+    test('fires when the condition becomes true, then is removed', () => {
+      const calls = []
+      queue.registerHandler('alert', (_u, e) => calls.push(JulianDate.secondsDifference(e.time, base)))
+      queue.add({ type: 'alert', condition: { type: 'above', threshold: 5 } })
+      expect(queue.size()).toBe(1)
+      expect(queue.toArray()).toEqual([])
+      expect(queue.conditionEvents()[0]).toBeInstanceOf(ConditionEvent)
+
+      queue.processConditions(at(0), universe)
+      level = 10
+      const fired = queue.processConditions(at(1), universe)
+      expect(fired).toHaveLength(1)
+      expect(calls).toEqual([1])
+      expect(queue.size()).toBe(0)
+    })
+
+    test('once: false fires on every rising edge up to count', () => {
+      const calls = []
+      queue.add({ type: 'x', once: false, count: 2, condition: { type: 'above', threshold: 5 }, handler: (_u, e) => calls.push(e.occurrence) })
+
+      for (const value of [10, 10, 0, 10, 0, 10]) {
+        level = value
+        queue.processConditions(base, universe)
+      }
+      expect(calls).toEqual([0, 1])
+      expect(queue.size()).toBe(0)
+    })
+
+    test('is not evaluated before its time and expires after until', () => {
+      const calls = []
+      level = 10
+      queue.add({ type: 'x', time: at(10), until: at(20), once: false, condition: { type: 'above', threshold: 5 }, handler: () => calls.push(1) })
+
+      queue.processConditions(at(5), universe)
+      expect(calls).toHaveLength(0)
+      queue.processConditions(at(10), universe)
+      expect(calls).toHaveLength(1)
+      queue.processConditions(at(21), universe)
+      expect(queue.size()).toBe(0)
+    })
+
+    test('throws on unknown conditions and validates options', () => {
+      queue.add({ type: 'x', condition: { type: 'nope' }, handler: () => {} })
+      expect(() => queue.processConditions(base, universe)).toThrow("EventQueue: no condition 'nope'")
+      expect(() => new ConditionEvent({ type: 'x' })).toThrow('ConditionEvent: condition with a type is required')
+      expect(() => queue.registerCondition('c', null)).toThrow(/condition must be a function/i)
+    })
+  })
 })
@@ -213,22 +213,47 @@ describe('Gimbal', () => {
   })
 
   describe('update method', () => {
-    it('should call super.update with correct parameters', () => {
+    it('should force the first update without forcing the parent', () => {
+      const parent = new SimObject('GimbalParent');
+      const parentUpdateSpy = jest.spyOn(parent, 'update');
+      testableGimbal.parent = parent;
       const superUpdateSpy = jest.spyOn(SimObject.prototype, 'update');
       testableGimbal.update(testTime, mockUniverse);
-      expect(superUpdateSpy).toHaveBeenCalledWith(testTime, mockUniverse, true, true);
+      expect(parentUpdateSpy).toHaveBeenCalledWith(testTime, mockUniverse, false, true);
+      expect(superUpdateSpy).toHaveBeenCalledWith(testTime, mockUniverse, true, false);
       superUpdateSpy.mockRestore();
     });
 
-    it('should handle different time and universe parameters', () => {
-      const superUpdateSpy = jest.spyOn(SimObject.prototype, 'update');
+    it('should pass update arguments through once the state is clean', () => {
       const anotherTime = JulianDate.addDays(testTime, 1, new JulianDate());
       const anotherUniverse = new Universe();
-      
+      testableGimbal.update(testTime, mockUniverse);
+
+      const superUpdateSpy = jest.spyOn(SimObject.prototype, 'update');
       testableGimbal.update(anotherTime, anotherUniverse);
-      expect(superUpdateSpy).toHaveBeenCalledWith(anotherTime, anotherUniverse, true, true);
+      expect(superUpdateSpy).toHaveBeenCalledWith(anotherTime, anotherUniverse, false, true);
       superUpdateSpy.mockRestore();
     });
+
+    it('should evaluate once per time unless pointing is commanded', () => {
+      const updateSpy = jest.spyOn(testableGimbal, '_update');
+      testableGimbal.update(testTime, mockUniverse);
+      testableGimbal.update(testTime, mockUniverse);
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+
+      testableGimbal.setAxisTarget('az', 45);
+      testableGimbal.update(testTime, mockUniverse);
+      testableGimbal.update(testTime, mockUniverse);
+      expect(updateSpy).toHaveBeenCalledTimes(2);
+
+      testableGimbal.trackMode = 'rate';
+      testableGimbal.update(testTime, mockUniverse);
+      expect(updateSpy).toHaveBeenCalledTimes(3);
+
+      testableGimbal.invalidate();
+      testableGimbal.update(testTime, mockUniverse);
+      expect(updateSpy).toHaveBeenCalledTimes(4);
+    });
   });
 
   describe('_trackToLocalVector method', () => {
@@ -266,16 +291,23 @@ describe('Gimbal', () => {
       expect(mockTrackObject.transformPointTo).not.toHaveBeenCalled();
     });
 
-    it('should log message and continue when trackMode is sidereal', () => {
-      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    it('should point at the sidereal RA/Dec in the parent frame when trackMode is sidereal', () => {
       testableGimbal._trackMode = 'sidereal';
       testableGimbal._trackObject = mockTrackObject;
+      testableGimbal.sidereal = { ra: 90, dec: 0 };
       
       const result = testableGimbal._trackToLocalVector(testTime, mockUniverse);
       
-      expect(consoleSpy).toHaveBeenCalledWith('sidereal not implemented');
-      expect(result).toEqual(new Cartesian3()); // Should return empty vector
-      consoleSpy.mockRestore();
+      expect(mockTrackObject.update).not.toHaveBeenCalled();
+      expect(result.x).toBeCloseTo(0, 6);
+      expect(result.y).toBeCloseTo(testableGimbal.maxRange, 6);
+      expect(result.z).toBeCloseTo(0, 6);
+    });
+
+    it('should return null when trackMode is sidereal without a sidereal target', () => {
+      testableGimbal._trackMode = 'sidereal';
+      
+      expect(testableGimbal._trackToLocalVector(testTime, mockUniverse)).toBeNull();
     });
 
     it('should return null when trackObject is null in rate mode', () => {
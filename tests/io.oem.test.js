@@ -0,0 +1,249 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, ReferenceFrame } from 'cesium'
+import { oemEphemerides, oemReferenceFrame, parseOem, writeOem } from '../src/io/oem.js'
+import Universe from '../src/engine/Universe.js'
+import EphemerisObject from '../src/engine/objects/EphemerisObject.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const KVN = `CCSDS_OEM_VERS = 2.0
+COMMENT Example from a partner
+CREATION_DATE = 2021-01-01T12:00:00
+ORIGINATOR = PARTNER
+
+META_START
+OBJECT_NAME = SAT-A
+OBJECT_ID = 2020-001A
+CENTER_NAME = EARTH
+REF_FRAME = EME2000
+TIME_SYSTEM = UTC
+START_TIME = 2021-01-01T00:00:00
+STOP_TIME = 2021-01-01T00:02:00
+INTERPOLATION = HERMITE
+INTERPOLATION_DEGREE = 7
+META_STOP
+
+COMMENT segment 1
+2021-01-01T00:00:00.000 6778.137 0.0 0.0 0.0 7.6686 0.0
+2021-01-01T00:01:00.000 6760.9 460.0 0.0 -0.52 7.65 0.0
+2021-01-01T00:02:00.000 6709.3 917.9 0.0 -1.04 7.60 0.0
+
+COVARIANCE_START
+EPOCH = 2021-01-01T00:00:00
+COV_REF_FRAME = RTN
+1.0e-3
+1.0e-5 2.0e-3
+1.0e-5 1.0e-6 3.0e-3
+1.0e-7 1.0e-7 1.0e-7 1.0e-6
+1.0e-7 1.0e-7 1.0e-7 1.0e-9 2.0e-6
+1.0e-7 1.0e-7 1.0e-7 1.0e-9 1.0e-9 3.0e-6
+COVARIANCE_STOP
+
+META_START
+OBJECT_NAME = SAT-A
+OBJECT_ID = 2020-001A
+CENTER_NAME = EARTH
+REF_FRAME = EME2000
+TIME_SYSTEM = UTC
+START_TIME = 2021-001T00:02:00
+STOP_TIME = 2021-001T00:03:00
+META_STOP
+2021-001T00:02:00 6709.4 918.0 0.0 -1.04 7.60 0.0 0.001 0.0 0.0
+2021-001T00:03:00 6624.5 1368.3 0.0 -1.56 7.51 0.0 0.001 0.0 0.0
+`
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- partner export -->
+<oem xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" id="CCSDS_OEM_VERS" version="2.0">
+  <header>
+    <CREATION_DATE>2021-01-01T12:00:00</CREATION_DATE>
+    <ORIGINATOR>PARTNER &amp; CO</ORIGINATOR>
+  </header>
+  <body>
+    <segment>
+      <metadata>
+        <OBJECT_NAME>SAT-B</OBJECT_NAME>
+        <OBJECT_ID>2020-002A</OBJECT_ID>
+        <CENTER_NAME>EARTH</CENTER_NAME>
+        <REF_FRAME>ITRF2014</REF_FRAME>
+        <TIME_SYSTEM>GPS</TIME_SYSTEM>
+        <START_TIME>2021-01-01T00:00:18</START_TIME>
+        <STOP_TIME>2021-01-01T00:01:18</STOP_TIME>
+      </metadata>
+      <data>
+        <stateVector>
+          <EPOCH>2021-01-01T00:00:18</EPOCH>
+          <X units="km">7000</X><Y>0</Y><Z>0</Z>
+          <X_DOT>0</X_DOT><Y_DOT>7.5</Y_DOT><Z_DOT>0</Z_DOT>
+        </stateVector>
+        <stateVector>
+          <EPOCH>2021-01-01T00:01:18</EPOCH>
+          <X>6980</X><Y>450</Y><Z>0</Z>
+          <X_DOT>-0.5</X_DOT><Y_DOT>7.48</Y_DOT><Z_DOT>0</Z_DOT>
+        </stateVector>
+      </data>
+    </segment>
+  </body>
+</oem>
+`
+
+const utc = (iso) => JulianDate.fromIso8601(iso)
+
+describe('CCSDS OEM', () => {
+  test('parses KVN segments, metadata, states and covariance in SI units', () => {
+    const oem = parseOem(KVN)
+
+    expect(oem.version).toBe('2.0')
+    expect(oem.header).toEqual({ comments: ['Example from a partner'], creationDate: '2021-01-01T12:00:00', originator: 'PARTNER' })
+    expect(oem.segments).toHaveLength(2)
+
+    const [first, second] = oem.segments
+    expect(first.metadata).toMatchObject({
+      objectName: 'SAT-A',
+      objectId: '2020-001A',
+      refFrame: 'EME2000',
+      interpolation: 'HERMITE',
+      interpolationDegree: 7
+    })
+    expect(JulianDate.equals(first.metadata.stopTime, utc('2021-01-01T00:02:00Z'))).toBe(true)
+    expect(first.comments).toEqual(['segment 1'])
+    expect(first.states[1].position).toEqual(new Cartesian3(6760900, 460000, 0))
+    expect(first.states[1].velocity.y).toBeCloseTo(7650, 9)
+    expect(first.covariances[0].refFrame).toBe('RTN')
+    expect(first.covariances[0].matrix).toHaveLength(21)
+    expect(first.covariances[0].matrix[2]).toBeCloseTo(2000, 9)
+
+    expect(JulianDate.equals(second.states[0].time, utc('2021-01-01T00:02:00Z'))).toBe(true)
+    expect(second.states[0].acceleration.x).toBeCloseTo(1, 12)
+  })
+
+  test('parses XML and converts GPS epochs to UTC instants', () => {
+    const oem = parseOem(XML)
+    const [segment] = oem.segments
+
+    expect(oem.header.originator).toBe('PARTNER & CO')
+    expect(segment.metadata.refFrame).toBe('ITRF2014')
+    expect(segment.states[1].position).toEqual(new Cartesian3(6980000, 450000, 0))
+    // GPS was 18 s ahead of UTC in 2021
+    expect(JulianDate.equals(segment.states[0].time, utc('2021-01-01T00:00:00Z'), 1e-9)).toBe(true)
+  })
+
+  test('writes KVN and XML that parse back to the same message', () => {
+    const oem = parseOem(KVN)
+    oem.segments[1].metadata.timeSystem = 'TAI'
+
+    for (const format of ['kvn', 'xml']) {
+      const text = writeOem(oem, { format })
+      const parsed = parseOem(text)
+      expect(parsed.header).toEqual(oem.header)
+      expect(parsed.segments.map((s) => s.metadata.objectName)).toEqual(['SAT-A', 'SAT-A'])
+      expect(parsed.segments[1].metadata.timeSystem).toBe('TAI')
+      parsed.segments.forEach((segment, i) => {
+        segment.states.forEach((state, j) => {
+          const expected = oem.segments[i].states[j]
+          expect(JulianDate.equals(state.time, expected.time, 1e-6)).toBe(true)
+          expect(Cartesian3.equalsEpsilon(state.position, expected.position, 0, 1e-9)).toBe(true)
+          expect(Cartesian3.equalsEpsilon(state.velocity, expected.velocity, 0, 1e-12)).toBe(true)
+        })
+      })
+      expect(parsed.segments[0].covariances[0].matrix[20]).toBeCloseTo(3, 9)
+    }
+    expect(writeOem(oem)).toContain('2021-01-01T00:02:37.000000 6709.4 918 0 -1.04 7.6 0 0.001 0 0')
+  })
+
+  test('fills writer defaults from the states', () => {
+    const time = utc('2021-06-01T00:00:00Z')
+    const text = writeOem({
+      segments: [{ metadata: { objectName: 'SAT', objectId: '2024-001A' }, states: [{ time, position: new Cartesian3(7e6, 0, 0), velocity: new Cartesian3(0, 7500, 0) }] }]
+    })
+
+    expect(text).toMatch(/^CCSDS_OEM_VERS = 2\.0\n/)
+    expect(text).toContain('REF_FRAME = GCRF\nTIME_SYSTEM = UTC\nSTART_TIME = 2021-06-01T00:00:00.000000')
+    expect(text).toContain('2021-06-01T00:00:00.000000 7000 0 0 0 7.5 0')
+    expect(() => writeOem({ segments: [] }, { format: 'json' })).toThrow("Unsupported OEM format 'json'")
+  })
+
+  test('reports malformed messages', () => {
+    expect(() => parseOem('META_START')).toThrow('OEM line 1: missing CCSDS_OEM_VERS')
+    expect(() => parseOem(KVN.replace('OBJECT_ID = 2020-001A\n', ''))).toThrow('OEM metadata is missing OBJECT_ID')
+    expect(() => parseOem(KVN.replace('0.0 7.6686 0.0', '0.0 7.6686'))).toThrow('OEM line 19: expected epoch and 6 or 9 numeric values')
+    expect(() => parseOem(KVN.replace(/TIME_SYSTEM = UTC/g, 'TIME_SYSTEM = TDB'))).toThrow("Unsupported OEM TIME_SYSTEM 'TDB'")
+    expect(() => parseOem(XML.replace('</segment>', ''))).toThrow('OEM XML: unexpected </body>')
+  })
+
+  test('merges segments per object and maps reference frames', () => {
+    const [ephemeris] = oemEphemerides(parseOem(KVN))
+
+    expect(ephemeris).toMatchObject({ name: 'SAT-A', objectId: '2020-001A', referenceFrame: ReferenceFrame.INERTIAL, interpolationDegree: 7 })
+    expect(ephemeris.times).toHaveLength(4)
+    expect(ephemeris.positions[2]).toEqual(new Cartesian3(6709400, 918000, 0))
+
+    expect(oemReferenceFrame('ITRF-93')).toBe(ReferenceFrame.FIXED)
+    expect(oemReferenceFrame('j2000')).toBe(ReferenceFrame.INERTIAL)
+    expect(oemReferenceFrame('GCRF')).toBe(ReferenceFrame.INERTIAL)
+    for (const frame of ['TEME', 'TOD', 'MOD']) {
+      expect(() => oemReferenceFrame(frame)).toThrow(`Unsupported OEM REF_FRAME '${frame}'`)
+    }
+    expect(() => oemEphemerides(parseOem(KVN.replace(/REF_FRAME = EME2000/g, 'REF_FRAME = TEME'))))
+      .toThrow("Unsupported OEM REF_FRAME 'TEME'")
+    expect(() => oemReferenceFrame('MCI')).toThrow("Unsupported OEM REF_FRAME 'MCI'")
+    expect(() => oemEphemerides(parseOem(KVN.replace(/CENTER_NAME = EARTH/g, 'CENTER_NAME = MOON'))))
+      .toThrow("OEM object 'SAT-A' has unsupported CENTER_NAME 'MOON'")
+  })
+})
+
+describe('oem scenario objects', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('builds EphemerisObjects from inline OEM text', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: utc('2021-01-01T00:00:00Z'), startTime: utc('2021-01-01T00:00:00Z'), stopTime: utc('2021-01-01T01:00:00Z') },
+      addObjectVisualizer: jest.fn(),
+    }
+    loadScenario(universe, viewer, {
+      objects: [
+        { type: 'OEM', data: KVN, tags: ['partner'] },
+        { type: 'oem', name: 'Fixed', text: XML, interpolation: 'lagrange', out_of_span: 'hide' }
+      ]
+    })
+
+    const a = universe.getObject('SAT-A')
+    expect(a).toBeInstanceOf(EphemerisObject)
+    expect(a.referenceFrame).toBe(ReferenceFrame.INERTIAL)
+    expect([...a.tags]).toEqual(['partner'])
+    expect(universe.getObject('Fixed').referenceFrame).toBe(ReferenceFrame.FIXED)
+    expect(viewer.addObjectVisualizer).toHaveBeenCalledWith(a, expect.stringContaining('2020-001A'), expect.any(Object))
+
+    expect(a._stateVectors).toHaveLength(4)
+    expect(a._stateVectors[0].position).toEqual(new Cartesian3(6778137, 0, 0))
+    expect(a._stateVectors[3].velocity.y).toBeCloseTo(7510, 9)
+
+    expect(a).toMatchObject({ interpolation: 'hermite', degree: 7, outOfSpan: 'hold' })
+    a.update(utc('2021-01-01T00:01:00Z'), universe)
+    expect(Cartesian3.equalsEpsilon(a.position, new Cartesian3(6760900, 460000, 0), 0, 1e-6)).toBe(true)
+    expect(a.velocity.y).toBeCloseTo(7650, 6)
+
+    const fixed = universe.getObject('Fixed')
+    expect(fixed).toMatchObject({ interpolation: 'lagrange', degree: 7, outOfSpan: 'hide' })
+    fixed.update(utc('2021-01-01T00:00:30Z'), universe)
+    expect(fixed.hidden).toBe(false)
+    expect(fixed.velocity.x).toBeCloseTo(-20000 / 60, 6)
+    fixed.update(utc('2021-01-01T00:05:00Z'), universe)
+    expect(fixed.hidden).toBe(true)
+  })
+
+  test('warns instead of throwing for invalid messages', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const universe = new Universe()
+    loadScenario(universe, { addObjectVisualizer: jest.fn() }, { objects: [{ type: 'oem', name: 'Bad', data: 'CCSDS_OEM_VERS = 2.0\nMETA_START' }] })
+    await Promise.resolve()
+
+    expect(universe.hasObject('Bad')).toBe(false)
+    expect(warn).toHaveBeenCalledWith('Failed to load OEM Bad: OEM: unexpected end of message')
+  })
+})
@@ -98,10 +98,13 @@ describe('Laser', () => {
     const fartherHit = makeTarget(new Cartesian3(1, 0, -20), 2)
     const nearerHit = makeTarget(new Cartesian3(1, 0, -10), 2)
 
-    laser._update(new JulianDate(), { trackables: [fartherHit, nearerHit] })
+    const time = new JulianDate()
+    const universe = { trackables: [fartherHit, nearerHit] }
+    laser._update(time, universe)
 
     expect(laser.beamLength).toBeCloseTo(10 - Math.sqrt(3), 8)
     expect(laser.isColliding).toBe(true)
+    expect(nearerHit.update).toHaveBeenCalledWith(time, universe)
   })
 
   test('active miss extends beam to maxRange', () => {
@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, ReferenceFrame, Simon1994PlanetaryPositions } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import Moon, { MOON_RADIUS } from '../src/engine/objects/Moon.js'
+import { calculateTargetBrightness } from '../src/engine/geometry/photometry.js'
+import { angularSeparation, moonIlluminatedFraction, moonPhaseAngle, moonSkyBrightness } from '../src/engine/geometry/lunar.js'
+import { getLunarShadowStatus, getPositionLunarShadowState, ShadowState } from '../src/engine/geometry/shadow.js'
+import { getVisibility } from '../src/engine/geometry/visibility.js'
+import { computeAccessWindows } from '../src/engine/geometry/access.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const fullMoon = JulianDate.fromIso8601('2021-01-28T19:16:00Z')
+const newMoon = JulianDate.fromIso8601('2021-01-13T05:00:00Z')
+const at = (base, seconds) => JulianDate.addSeconds(base, seconds, new JulianDate())
+const unit = (v) => Cartesian3.normalize(v, new Cartesian3())
+
+describe('Moon', () => {
+  test('follows the Simon 1994 lunar position with a central-difference velocity', () => {
+    const moon = new Moon()
+    moon.update(fullMoon, undefined)
+
+    const expected = Simon1994PlanetaryPositions.computeMoonPositionInEarthInertialFrame(fullMoon)
+    expect(moon.referenceFrame).toBe(ReferenceFrame.INERTIAL)
+    expect(Cartesian3.distance(moon.worldPosition, expected)).toBeLessThan(1e-6)
+    expect(moon.radius).toBe(MOON_RADIUS)
+
+    const later = Simon1994PlanetaryPositions.computeMoonPositionInEarthInertialFrame(at(fullMoon, 10))
+    const displacement = Cartesian3.subtract(later, expected, new Cartesian3())
+    const predicted = Cartesian3.multiplyByScalar(moon.worldVelocity, 10, new Cartesian3())
+    expect(Cartesian3.distance(displacement, predicted)).toBeLessThan(1)
+    expect(Cartesian3.magnitude(moon.worldVelocity)).toBeGreaterThan(900)
+    expect(Cartesian3.magnitude(moon.worldVelocity)).toBeLessThan(1150)
+  })
+
+  test('reports a full Moon magnitude through the Lambertian model', () => {
+    const universe = new Universe()
+    universe.sun.update(fullMoon, universe)
+    universe.moon.update(fullMoon, universe)
+    const observer = { worldPosition: Cartesian3.ZERO }
+
+    const { phaseAngle, mv } = calculateTargetBrightness(observer, universe.moon, universe.sun)
+    expect(phaseAngle).toBeLessThan(6)
+    expect(mv).toBeGreaterThan(-13)
+    expect(mv).toBeLessThan(-11.5)
+  })
+
+  test('is part of the universe and can be tracked by name', () => {
+    const universe = new Universe()
+    const observatory = universe.addGroundElectroOpticalObservatory('Site', 30, 0, 0, 'AzElGimbal', 64, 64, 1, 1, [])
+
+    expect(universe.getObject('Moon')).toBe(universe.moon)
+    expect(universe.hasObject('Moon')).toBe(false)
+
+    universe.scheduleEvent({ time: fullMoon, type: 'trackObject', data: { observer: 'Site', target: 'Moon' } })
+    universe.update(fullMoon)
+    universe.update(at(fullMoon, 60))
+
+    const sensor = observatory.sensor
+    const boresight = unit(sensor.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3()))
+    const lineOfSight = unit(Cartesian3.subtract(universe.moon.worldPosition, sensor.worldPosition, new Cartesian3()))
+    expect(observatory.gimbal.trackObject).toBe(universe.moon)
+    expect(Cartesian3.dot(boresight, lineOfSight)).toBeCloseTo(1, 6)
+  })
+})
+
+describe('lunar geometry', () => {
+  test('computes the phase, illuminated fraction and separation', () => {
+    const moon = new Cartesian3(384400000, 0, 0)
+    expect(moonPhaseAngle(moon, new Cartesian3(-1.496e11, 0, 0))).toBeCloseTo(0, 6)
+    expect(moonPhaseAngle(moon, new Cartesian3(1.496e11, 0, 0))).toBeCloseTo(180, 6)
+    expect(moonIlluminatedFraction(0)).toBeCloseTo(1, 12)
+    expect(moonIlluminatedFraction(90)).toBeCloseTo(0.5, 12)
+    expect(moonIlluminatedFraction(180)).toBeCloseTo(0, 12)
+    expect(angularSeparation(Cartesian3.ZERO, new Cartesian3(0, 1, 0), moon)).toBeCloseTo(90, 12)
+  })
+
+  test('brightens the sky near a full Moon above the horizon', () => {
+    const dark = moonSkyBrightness(0, 30, 100, 30)
+    expect(dark).toBeCloseTo(21.587, 9)
+
+    const full = moonSkyBrightness(0, 30, 40, 30)
+    const quarter = moonSkyBrightness(90, 30, 40, 30)
+    const farFromMoon = moonSkyBrightness(0, 120, 40, 30)
+    expect(full).toBeGreaterThan(17)
+    expect(full).toBeLessThan(19.5)
+    expect(quarter).toBeGreaterThan(full)
+    expect(farFromMoon).toBeGreaterThan(full)
+    expect(quarter).toBeLessThan(dark)
+  })
+
+  test('classifies the Moon umbra and penumbra', () => {
+    const sun = new Cartesian3(1.496e11, 0, 0)
+    const moon = new Cartesian3(0, 384400000, 0)
+    const behind = new Cartesian3(-3 * MOON_RADIUS, 384400000, 0)
+
+    expect(getPositionLunarShadowState(behind, sun, moon)).toBe(ShadowState.UMBRA)
+    expect(getPositionLunarShadowState(Cartesian3.add(behind, new Cartesian3(0, 0, MOON_RADIUS * 1.01), new Cartesian3()), sun, moon))
+      .toBe(ShadowState.PENUMBRA)
+    expect(getPositionLunarShadowState(new Cartesian3(3 * MOON_RADIUS, 384400000, 0), sun, moon)).toBe(ShadowState.SUNLIT)
+    expect(getPositionLunarShadowState(Cartesian3.ZERO, sun, moon)).toBe(ShadowState.SUNLIT)
+
+    const object = { update: jest.fn(), worldPosition: behind }
+    const bodies = [sun, moon].map((worldPosition) => ({ update: jest.fn(), worldPosition }))
+    expect(getLunarShadowStatus(bodies[0], bodies[1], [object, undefined], newMoon)).toEqual([ShadowState.UMBRA, ShadowState.SUNLIT])
+    expect(object.update).toHaveBeenCalledWith(newMoon, undefined)
+    expect(() => getLunarShadowStatus(bodies[0], undefined, [], newMoon)).toThrow('Sun and Moon objects are required.')
+  })
+
+  test('inUmbra conditions on the Moon fire for satellites in the lunar shadow', () => {
+    const universe = new Universe()
+    universe.sun.update(newMoon, universe)
+    universe.moon.update(newMoon, universe)
+    const antiSun = unit(Cartesian3.negate(universe.sun.worldPosition, new Cartesian3()))
+    const position = Cartesian3.add(universe.moon.worldPosition, Cartesian3.multiplyByScalar(antiSun, 3 * MOON_RADIUS, new Cartesian3()), new Cartesian3())
+    universe.addTwoBodySatellite('Eclipsed', position, new Cartesian3(0, 0, 1000), newMoon)
+
+    const lunar = jest.fn()
+    const earth = jest.fn()
+    universe.scheduleEvent({ condition: { type: 'inUmbra', object: 'Eclipsed', body: 'moon' }, handler: lunar })
+    universe.scheduleEvent({ condition: { type: 'inUmbra', object: 'Eclipsed' }, handler: earth })
+    universe.update(newMoon)
+
+    expect(lunar).toHaveBeenCalledTimes(1)
+    expect(earth).not.toHaveBeenCalled()
+  })
+})
+
+describe('lunar exclusion', () => {
+  function buildUniverse(lunar_exclusion_angle) {
+    const universe = new Universe()
+    universe.moon.update(fullMoon, universe)
+    const toMoon = unit(universe.moon.worldPosition)
+    const position = Cartesian3.multiplyByScalar(toMoon, 42164000, new Cartesian3())
+    const target = universe.addTwoBodySatellite('Target', position, new Cartesian3(0, 0, 0.1), fullMoon)
+    const observatory = universe.addGroundElectroOpticalObservatory({
+      name: 'Site',
+      latitude: 0,
+      longitude: 0,
+      altitude: 0,
+      sensors: [{ name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1, field_of_regard: [{ clock: [0, 360], elevation: [-90, 90] }], lunar_exclusion_angle }]
+    })
+    return { universe, target, observatory }
+  }
+
+  test('getVisibility reports the Moon geometry and applies the exclusion angle', () => {
+    const { universe, target, observatory } = buildUniverse(undefined)
+    const viewer = { clock: { currentTime: fullMoon } }
+    universe.update(fullMoon)
+
+    const [result] = getVisibility(universe, viewer, [observatory], target)
+    const expected = angularSeparation(observatory.site.worldPosition, target.worldPosition, universe.moon.worldPosition)
+    expect(result.moonAngle).toBeCloseTo(expected, 9)
+    expect(result.moonPhaseAngle).toBeLessThan(5)
+    expect(result.moonIllumination).toBeGreaterThan(0.99)
+    expect(result.skyBrightness).toBeLessThanOrEqual(21.587)
+    expect(result.visible).toBe(true)
+
+    observatory.sensor.lunar_exclusion_angle = result.moonAngle + 1
+    expect(getVisibility(universe, viewer, [observatory], target)[0].visible).toBe(false)
+    observatory.sensor.lunar_exclusion_angle = result.moonAngle - 1
+    expect(getVisibility(universe, viewer, [observatory], target)[0].visible).toBe(true)
+  })
+
+  test('computeAccessWindows excludes passes near the Moon', () => {
+    const open = buildUniverse(undefined)
+    const stop = at(fullMoon, 600)
+    expect(computeAccessWindows(open.universe, open.observatory, open.target, fullMoon, stop, { step: 120 })).toHaveLength(1)
+
+    const excluded = buildUniverse(170)
+    expect(excluded.observatory.sensor.lunar_exclusion_angle).toBe(170)
+    excluded.universe.update(fullMoon)
+    const moonTime = JulianDate.clone(excluded.universe.moon.time)
+    expect(computeAccessWindows(excluded.universe, excluded.observatory, excluded.target, fullMoon, stop, { step: 120 })).toEqual([])
+    expect(JulianDate.equals(excluded.universe.moon.time, moonTime)).toBe(true)
+  })
+
+  test('round-trips through snapshots', () => {
+    const { universe } = buildUniverse(15)
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    expect(restored.getObservatory('Site').sensor.lunar_exclusion_angle).toBe(15)
+  })
+})
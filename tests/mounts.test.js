@@ -0,0 +1,211 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import AzElGimbal from '../src/engine/objects/AzElGimbal.js'
+import EquatorialGimbal from '../src/engine/objects/EquatorialGimbal.js'
+import XYGimbal from '../src/engine/objects/XYGimbal.js'
+import { cartesianToRaDec } from '../src/engine/dynamics/gimbal.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { exportScenario } from '../src/scenario/export.js'
+import { validateScenarioEvents } from '../src/scenario/validation.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const boresight = (object) => object.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3())
+const expectLocalDirection = (observatory, south, east, up) => {
+  const local = Cartesian3.normalize(observatory.site.transformVectorFromWorld(boresight(observatory.sensor), new Cartesian3()), new Cartesian3())
+  const expected = Cartesian3.normalize(new Cartesian3(south, east, up), new Cartesian3())
+  expect(Cartesian3.dot(local, expected)).toBeCloseTo(1, 9)
+}
+
+function addSite(universe, gimbalType, latitude = 30, gimbalSlewRates = undefined) {
+  return universe.addGroundElectroOpticalObservatory({
+    name: 'Site',
+    latitude,
+    longitude: -100,
+    altitude: 0,
+    gimbalType,
+    gimbalSlewRates,
+    sensors: [{ name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1 }]
+  })
+}
+
+describe('Universe gimbal types', () => {
+  test('mounts the requested gimbal on ground sites', () => {
+    expect(addSite(new Universe(), undefined).gimbal).toBeInstanceOf(AzElGimbal)
+    expect(addSite(new Universe(), 'azEl').gimbal).toBeInstanceOf(AzElGimbal)
+    expect(addSite(new Universe(), 'EquatorialGimbal').gimbal).toBeInstanceOf(EquatorialGimbal)
+    expect(addSite(new Universe(), 'HA/Dec').gimbal).toBeInstanceOf(EquatorialGimbal)
+    expect(addSite(new Universe(), 'X-Y').gimbal).toBeInstanceOf(XYGimbal)
+
+    const universe = new Universe()
+    expect(() => addSite(universe, 'Dobsonian')).toThrow("Universe.addGroundElectroOpticalObservatory: unsupported gimbalType 'Dobsonian'")
+    expect(() => addSite(universe, 'SpaceAzElGimbal')).toThrow("unsupported gimbalType 'SpaceAzElGimbal'")
+    expect(universe.hasObject('Site')).toBe(false)
+  })
+
+  test('warns about slew rates for axes the mount does not have', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const observatory = addSite(new Universe(), 'EquatorialGimbal', 30, { az: 2, dec: 2 })
+    expect(warn).toHaveBeenCalledWith("Observatory 'Site': gimbal slew rates for unknown axes az are ignored (axes: ha, dec)")
+    expect(observatory.gimbal.getAxisSlewRates().dec.maxRateDegPerSec).toBe(2)
+    warn.mockRestore()
+  })
+})
+
+describe('EquatorialGimbal', () => {
+  test('points hour angle and declination axes in the site frame', () => {
+    const universe = new Universe()
+    const observatory = addSite(universe, 'EquatorialGimbal', 30)
+    const latitude = 30 * Math.PI / 180
+    const command = (time, axes) => {
+      universe.scheduleEvent({ time: at(time), type: 'setGimbalAxes', data: { observer: 'Site', axes } })
+      universe.update(at(time))
+    }
+
+    universe.update(at(0))
+    expectLocalDirection(observatory, -Math.cos(latitude), 0, Math.sin(latitude))
+
+    command(1, { ha: 0, dec: 30 })
+    expectLocalDirection(observatory, 0, 0, 1)
+
+    command(2, { ha: 0, dec: 0 })
+    expectLocalDirection(observatory, Math.sin(latitude), 0, Math.cos(latitude))
+
+    command(3, { ha: 90, dec: 0 })
+    expectLocalDirection(observatory, 0, -1, 0)
+
+    universe.scheduleEvent({ time: at(4), type: 'stepGimbalAxes', data: { observer: 'Site', axes: { ha: 100 } } })
+    universe.update(at(4))
+    expect(observatory.gimbal.ha).toBeCloseTo(-170, 9)
+  })
+
+  test('tracks a fixed RA/Dec by turning only the hour angle axis', () => {
+    const universe = new Universe()
+    const observatory = addSite(universe, 'EquatorialGimbal', 30, { ha: 1, dec: 1 })
+    const gimbal = observatory.gimbal
+    universe.scheduleEvent({ time: at(0), type: 'pointRaDec', data: { observer: 'Site', ra: 80, dec: 45 } })
+
+    universe.update(at(0))
+    universe.update(at(60))
+    expect(gimbal.dec).toBeCloseTo(45, 6)
+
+    universe.update(at(600))
+    const [ha, dec] = [gimbal.ha, gimbal.dec]
+    const [ra, boresightDec] = cartesianToRaDec(boresight(observatory.sensor))
+    expect(ra).toBeCloseTo(80, 6)
+    expect(boresightDec).toBeCloseTo(45, 6)
+
+    universe.update(at(4200))
+    expect(gimbal.dec).toBeCloseTo(dec, 9)
+    expect(gimbal.ha - ha).toBeCloseTo(3600 * 360 / 86164.0905, 2)
+    expect(cartesianToRaDec(boresight(observatory.sensor))[0]).toBeCloseTo(80, 6)
+  })
+
+  test('keeps its hour angle at the celestial pole', () => {
+    const gimbal = new EquatorialGimbal()
+    const [ha, dec] = gimbal.toHaDec(new Cartesian3(-Math.cos(Math.PI / 2), 0, 1))
+    expect(Number.isNaN(ha)).toBe(true)
+    expect(dec).toBeCloseTo(90, 9)
+
+    const universe = new Universe()
+    const observatory = addSite(universe, 'EquatorialGimbal', 30)
+    universe.scheduleEvent({ time: at(0), type: 'setGimbalAxes', data: { observer: 'Site', axes: { ha: 40, dec: 10 } } })
+    universe.update(at(0))
+    const [poleRa, poleDec] = cartesianToRaDec(universe.earth.transformVectorToWorld(new Cartesian3(0, 0, 1), new Cartesian3()))
+    universe.scheduleEvent({ time: at(1), type: 'pointRaDec', data: { observer: 'Site', ra: poleRa, dec: poleDec } })
+    universe.update(at(1))
+    expect(observatory.gimbal.ha).toBe(40)
+    expect(observatory.gimbal.dec).toBeCloseTo(90, 9)
+  })
+})
+
+describe('XYGimbal', () => {
+  test('tilts east with x and north with y', () => {
+    const universe = new Universe()
+    const observatory = addSite(universe, 'XYGimbal')
+    const command = (time, axes) => {
+      universe.scheduleEvent({ time: at(time), type: 'setGimbalAxes', data: { observer: 'Site', axes } })
+      universe.update(at(time))
+    }
+
+    universe.update(at(0))
+    expectLocalDirection(observatory, 0, 0, 1)
+
+    command(1, { x: 30, y: 0 })
+    expectLocalDirection(observatory, 0, 0.5, Math.cos(Math.PI / 6))
+
+    command(2, { x: 0, y: 30 })
+    expectLocalDirection(observatory, -0.5, 0, Math.cos(Math.PI / 6))
+
+    command(3, { x: -90, y: 0 })
+    expectLocalDirection(observatory, 0, -1, 0)
+  })
+
+  test('tracks through the zenith and holds x at the north keyhole', () => {
+    const gimbal = new XYGimbal()
+    const [x1, y1] = gimbal.toXY(new Cartesian3(0, 1, 1000))
+    const [x2, y2] = gimbal.toXY(new Cartesian3(0, -1, 1000))
+    expect(Math.abs(x1 - x2)).toBeLessThan(0.2)
+    expect(y1).toBeCloseTo(0, 9)
+    expect(y2).toBeCloseTo(0, 9)
+
+    const [x, y] = gimbal.toXY(new Cartesian3(-1000, 0, 0))
+    expect(Number.isNaN(x)).toBe(true)
+    expect(y).toBeCloseTo(90, 9)
+  })
+})
+
+describe('mount persistence', () => {
+  test('loads gimbal_type, validates axes and round-trips through export and snapshots', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+      addObservatoryVisualizer: jest.fn()
+    }
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    loadScenario(universe, viewer, {
+      objects: [
+        {
+          type: 'GroundEOObservatory',
+          name: 'Site',
+          latitude: 30,
+          longitude: -100,
+          gimbal_type: 'equatorial',
+          gimbal_slew_rates: { ha: 2, dec: 1 },
+          sensors: [{ name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1 }]
+        },
+        { type: 'GroundEOObservatory', name: 'Bad', latitude: 0, longitude: 0, gimbal_type: 'Dobsonian' }
+      ],
+      events: [{ time: 0, type: 'setGimbalAxes', observer: 'Site', axes: { ha: -30, dec: 20 } }]
+    })
+    expect(universe.getObservatory('Site').gimbal).toBeInstanceOf(EquatorialGimbal)
+    expect(universe.getObservatory('Bad')).toBeUndefined()
+    expect(warn).toHaveBeenCalledWith('Observatory Bad: unsupported gimbal type Dobsonian, skipping creation.')
+    warn.mockRestore()
+
+    const report = validateScenarioEvents(universe, viewer.clock, [{ time: 0, type: 'stepGimbalAxes', observer: 'Site', axes: { az: 10 } }])
+    expect(report.warnings).toEqual([expect.objectContaining({ message: expect.stringContaining('unknown axes az for this gimbal (axes: ha, dec)') })])
+
+    universe.update(at(0))
+    const exported = exportScenario(universe, viewer)
+    expect(exported.objects[0]).toMatchObject({ type: 'GroundEOObservatory', gimbal_type: 'EquatorialGimbal', gimbal_slew_rates: { ha: { maxRateDegPerSec: 2 } } })
+    expect(exported.events).toContainEqual({ time: 0, type: 'setGimbalAxes', observer: 'Site', axes: { ha: -30, dec: 20 } })
+
+    const reloaded = new Universe()
+    loadScenario(reloaded, { ...viewer, addObservatoryVisualizer: jest.fn() }, exported)
+    expect(reloaded.getObservatory('Site').gimbal).toBeInstanceOf(EquatorialGimbal)
+
+    universe.update(at(5))
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    const gimbal = restored.getObservatory('Site').gimbal
+    expect(gimbal).toBeInstanceOf(EquatorialGimbal)
+    expect(gimbal.ha).toBeCloseTo(universe.getObservatory('Site').gimbal.ha, 9)
+    expect(gimbal.dec).toBeCloseTo(universe.getObservatory('Site').gimbal.dec, 9)
+    expect(gimbal.getAxisTarget('ha')).toBe(-30)
+  })
+})
@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import NumericalSatellite, { normalizeForceModel } from '../src/engine/objects/NumericalSatellite.js'
+import Universe from '../src/engine/Universe.js'
+import { vallado } from '../src/engine/dynamics/twobody.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { createUniverseSnapshot, restoreUniverseSnapshot } from '../src/engine/snapshot.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const K = CMath.GRAVITATIONALPARAMETER
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const r0 = new Cartesian3(6778137, 0, 0)
+const v0 = new Cartesian3(0, 7668.6 * Math.cos(0.9), 7668.6 * Math.sin(0.9))
+
+function ascendingNode(sat) {
+  const h = Cartesian3.cross(sat.position, sat.velocity, new Cartesian3())
+  return Math.atan2(h.x, -h.y)
+}
+
+describe('NumericalSatellite', () => {
+  test('matches Kepler propagation with point-mass gravity', () => {
+    const sat = new NumericalSatellite(r0, v0, start, { degree: 0 })
+    const expected = vallado(K, r0, v0, 3000, 350)
+
+    sat.update(at(3000), new Universe())
+    expect(Cartesian3.distance(sat.position, expected.position)).toBeLessThan(1e-2)
+    expect(Cartesian3.distance(sat.velocity, expected.velocity)).toBeLessThan(1e-5)
+
+    sat.update(at(-1000), new Universe())
+    expect(Cartesian3.distance(sat.position, vallado(K, r0, v0, -1000, 350).position)).toBeLessThan(1e-2)
+  })
+
+  test('J2 regresses the ascending node of a prograde orbit', () => {
+    const universe = new Universe()
+    const sat = new NumericalSatellite(r0, v0, start)
+    const kepler = new NumericalSatellite(r0, v0, start, { degree: 0 })
+    sat.update(at(5 * 5580), universe)
+    kepler.update(at(5 * 5580), universe)
+
+    // ~ -5 deg/day at 400 km and 51.6 deg inclination
+    const drift = ascendingNode(sat) - ascendingNode(kepler)
+    expect(CMath.toDegrees(drift)).toBeLessThan(-1)
+    expect(CMath.toDegrees(drift)).toBeGreaterThan(-1.8)
+  })
+
+  test('drag lowers the orbit and SRP and third bodies perturb it', () => {
+    const universe = new Universe()
+    const low = new Cartesian3(6378137 + 250000, 0, 0)
+    const lowV = new Cartesian3(0, Math.sqrt(K / low.x), 0)
+    const dragged = new NumericalSatellite(low, lowV, start, { degree: 0, drag: { model: 'harris-priester' }, mass: 10, area: 1 })
+    const free = new NumericalSatellite(low, lowV, start, { degree: 0 })
+    dragged.update(at(5400), universe)
+    free.update(at(5400), universe)
+
+    const energy = (sat) => Cartesian3.magnitudeSquared(sat.velocity) / 2 - K / Cartesian3.magnitude(sat.position)
+    expect(energy(dragged)).toBeLessThan(energy(free))
+
+    const perturbed = new NumericalSatellite(r0, v0, start, { degree: 0, srp: true, thirdBody: true })
+    const kepler = new NumericalSatellite(r0, v0, start, { degree: 0 })
+    perturbed.update(at(5400), universe)
+    kepler.update(at(5400), universe)
+    const offset = Cartesian3.distance(perturbed.position, kepler.position)
+    expect(offset).toBeGreaterThan(0.1)
+    expect(offset).toBeLessThan(100)
+  })
+
+  test('states do not depend on the order of updates', () => {
+    const universe = new Universe()
+    const direct = new NumericalSatellite(r0, v0, start)
+    const stepped = new NumericalSatellite(r0, v0, start)
+    direct.update(at(1234), universe)
+    stepped.update(at(5000), universe)
+    stepped.update(at(1234), universe)
+
+    expect(Cartesian3.equals(direct.position, stepped.position)).toBe(true)
+  })
+
+  test('normalizes force models and rejects unknown options', () => {
+    expect(normalizeForceModel({ drag: true, srp: { cr: 1.2 }, thirdBody: 'moon', mass: 500 })).toEqual({
+      degree: 2,
+      mass: 500,
+      area: 1,
+      drag: { model: 'exponential', cd: 2.2, area: 1, mass: 500 },
+      srp: { cr: 1.2, area: 1, mass: 500, shadow: true },
+      thirdBody: ['moon'],
+      integrator: { maxStep: 300, nodeInterval: 60 }
+    })
+    expect(normalizeForceModel({ degree: 12 }).degree).toBe(6)
+    expect(() => normalizeForceModel({ drag: { model: 'jacchia' } })).toThrow("unknown atmosphere model 'jacchia'")
+    expect(() => normalizeForceModel({ thirdBody: ['mars'] })).toThrow("unknown third body 'mars'")
+  })
+})
+
+describe('NumericalSatellite in scenarios', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  function buildScenario(events = []) {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+    }
+    const report = loadScenario(universe, viewer, {
+      objects: [{
+        type: 'NumericalSatellite',
+        name: 'Sat',
+        position: [r0.x, r0.y, r0.z],
+        velocity: [v0.x, v0.y, v0.z],
+        epoch: '2021-01-01T00:00:00Z',
+        force_model: { degree: 4, drag: { model: 'exponential' } }
+      }],
+      events
+    })
+    return { universe, viewer, report }
+  }
+
+  test('loads from scenario JSON with a visualizer', () => {
+    const { universe, viewer } = buildScenario()
+    const sat = universe.getObject('Sat')
+
+    expect(sat).toBeInstanceOf(NumericalSatellite)
+    expect(sat.forceModel.degree).toBe(4)
+    expect(sat.forceModel.drag.model).toBe('exponential')
+    expect(viewer.addObjectVisualizer).toHaveBeenCalledWith(sat, expect.stringContaining('Numerical'), expect.any(Object))
+  })
+
+  test('is maneuvered by satelliteManeuver events and rewinds', () => {
+    const { universe, report } = buildScenario([
+      { time: 600, type: 'satelliteManeuver', object: 'Sat', deltaV: [0, 20, 0] }
+    ])
+    expect(report.valid).toBe(true)
+    expect(report.warnings).toEqual([])
+    const sat = universe.getObject('Sat')
+    const period = sat.period
+
+    universe.update(at(1200))
+    expect(sat.period).toBeGreaterThan(period)
+    const maneuvered = Cartesian3.clone(sat.position)
+
+    universe.update(at(300))
+    expect(sat.period).toBe(period)
+    universe.update(at(1200))
+    expect(Cartesian3.distance(sat.position, maneuvered)).toBeLessThan(1e-6)
+  })
+
+  test('round-trips through snapshots', () => {
+    const { universe } = buildScenario()
+    universe.update(at(120))
+    const restored = new Universe()
+    restoreUniverseSnapshot(restored, createUniverseSnapshot(universe))
+
+    const sat = restored.getObject('Sat')
+    expect(sat.forceModel).toEqual(universe.getObject('Sat').forceModel)
+    sat.update(at(120), restored)
+    expect(Cartesian3.distance(sat.position, universe.getObject('Sat').position)).toBeLessThan(1e-6)
+  })
+})
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+
+describe('orbital element inputs and readouts', () => {
+  test('adds two-body satellites from elements and reads them back', () => {
+    const universe = new Universe()
+    const elements = {
+      semiMajorAxis: 7000000,
+      eccentricity: 0.01,
+      inclination: CMath.toRadians(51.6),
+      raan: CMath.toRadians(40),
+      argumentOfPeriapsis: CMath.toRadians(30),
+      trueAnomaly: CMath.toRadians(10)
+    }
+    const sat = universe.addTwoBodySatelliteFromElements('Sat', elements, start, 'nadir')
+    sat.update(start, universe)
+
+    const readout = sat.orbitalElements
+    expect(readout.semiMajorAxis).toBeCloseTo(7000000, 3)
+    expect(readout.eccentricity).toBeCloseTo(0.01, 12)
+    expect(readout.inclination).toBeCloseTo(elements.inclination, 12)
+    expect(readout.raan).toBeCloseTo(elements.raan, 12)
+    expect(readout.argumentOfPeriapsis).toBeCloseTo(elements.argumentOfPeriapsis, 10)
+    expect(readout.trueAnomaly).toBeCloseTo(elements.trueAnomaly, 10)
+
+    sat.update(at(600), universe)
+    expect(sat.orbitalElements.semiMajorAxis).toBeCloseTo(7000000, 3)
+    expect(sat.orbitalElements.trueAnomaly).toBeGreaterThan(elements.trueAnomaly)
+  })
+
+  test('loads scenario element sets in degrees and meters', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+    }
+    loadScenario(universe, viewer, {
+      objects: [
+        { type: 'SGP4Satellite', name: 'ISS', tle1: TLE1, tle2: TLE2 },
+        { type: 'AirVehicle', name: 'Drone', latitude: 0, longitude: 0, altitude: 100, speed: 40 },
+        {
+          type: 'TwoBody',
+          name: 'Kepler',
+          epoch: '2021-01-01T00:00:00Z',
+          elements: { semi_major_axis: 42164000, eccentricity: 0, inclination: 0.05, raan: 75, true_anomaly: 20 }
+        },
+        {
+          type: 'TwoBody',
+          name: 'GTO',
+          epoch: '2021-01-01T00:00:00Z',
+          orbital_elements: { type: 'apogee-perigee', apogee_altitude: 35786000, perigee_altitude: 250000, inclination: 27, mean_anomaly: 0 }
+        },
+        {
+          type: 'TwoBody',
+          name: 'Equinoctial',
+          epoch: '2021-01-01T00:00:00Z',
+          elements: { p: 7000000, f: 0.001, g: 0, h: 0.1, k: 0, L: 90 }
+        }
+      ]
+    })
+    universe.update(start)
+
+    const kepler = universe.getObject('Kepler').orbitalElements
+    expect(kepler.semiMajorAxis).toBeCloseTo(42164000, 1)
+    expect(CMath.toDegrees(kepler.inclination)).toBeCloseTo(0.05, 10)
+    expect(CMath.toDegrees(kepler.raan)).toBeCloseTo(75, 8)
+    expect(CMath.toDegrees(kepler.trueAnomaly)).toBeCloseTo(20, 8)
+
+    const gto = universe.getObject('GTO')
+    expect(Cartesian3.magnitude(gto.position)).toBeCloseTo(6378137 + 250000, 3)
+    expect(CMath.toDegrees(gto.orbitalElements.inclination)).toBeCloseTo(27, 10)
+
+    const equinoctial = universe.getObject('Equinoctial').orbitalElements
+    expect(equinoctial.semiLatusRectum).toBeCloseTo(7000000, 3)
+    expect(equinoctial.inclination).toBeCloseTo(2 * Math.atan(0.1), 12)
+
+    const iss = universe.getObject('ISS').orbitalElements
+    expect(CMath.toDegrees(iss.inclination)).toBeCloseTo(51.6, 0)
+    expect(iss.eccentricity).toBeLessThan(0.01)
+    expect(universe.getObject('Drone').orbitalElements).toBeUndefined()
+  })
+
+  test('reads elements through a Lagrange interpolation wrapper', () => {
+    const universe = new Universe()
+    const wrapped = universe.addTwoBodySatelliteFromElements('Sat', { semiMajorAxis: 7000000, inclination: 1 }, start, 'nadir', true)
+    wrapped.update(at(1234), universe)
+
+    expect(wrapped.orbitalElements.semiMajorAxis).toBeCloseTo(7000000, 3)
+    expect(wrapped.orbitalElements.inclination).toBeCloseTo(1, 12)
+    expect(wrapped.orbitalElements.trueAnomaly).toBeCloseTo(wrapped.object.orbitalElements.trueAnomaly, 12)
+  })
+})
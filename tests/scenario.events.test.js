@@ -44,6 +44,17 @@ describe('Scenario event scheduling', () => {
     expect(universe.events.size()).toBe(2)
   })
 
+  test('scheduleScenarioEvents lifts recurrence options out of the event data', () => {
+    scheduleScenarioEvents(universe, viewer, [
+      { time: 100, type: 'setDirectedEnergyActive', observer: 'OBS', device: 'Beam', active: true, interval: 10, until: 400, count: 20 }
+    ])
+    const [event] = universe.events.toArray()
+    expect(event.data).toEqual({ observer: 'OBS', device: 'Beam', active: true })
+    expect(event.interval).toBe(10)
+    expect(event.count).toBe(20)
+    expect(JulianDate.secondsDifference(event.until, start)).toBeCloseTo(400)
+  })
+
   test('trackObject event sets gimbal tracking when due', () => {
     // Setup observatory and target
     const gimbal = { trackMode: 'idle', trackObject: null, update: jest.fn() }
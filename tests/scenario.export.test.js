@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals'
+import { JulianDate } from 'cesium'
+
+import Universe from '../src/engine/Universe.js'
+import { createClockContext, exportScenario, loadScenarioRuntime } from '../src/scenario/index.js'
+
+jest.mock('../src/engine/objects/Earth.js', () => {
+  return jest.fn().mockImplementation(() => ({
+    name: 'Earth',
+    update: jest.fn(),
+    attach: jest.fn(),
+    addChild: jest.fn(),
+    removeChild: jest.fn()
+  }))
+})
+
+jest.mock('../src/engine/objects/Sun.js', () => {
+  return jest.fn().mockImplementation(() => ({
+    name: 'Sun',
+    update: jest.fn()
+  }))
+})
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+
+const scenario = {
+  simulationParameters: {
+    start_time: '2021-01-01T00:00:00Z',
+    end_time: '2021-01-01T01:00:00Z',
+    time_step: 10,
+    clock_range: 'CLAMPED'
+  },
+  objects: [
+    { type: 'SGP4Satellite', name: 'ISS', tle1: TLE1, tle2: TLE2 },
+    { type: 'TwoBodySatellite', name: 'GEO', position: [42164000, 0, 0], velocity: [0, 3074.66, 0], epoch: '2021-01-01T00:00:00Z' },
+    {
+      type: 'AirVehicle',
+      name: 'Drone',
+      collision_radius: 5,
+      route: {
+        mode: 'pingpong',
+        waypoints: [
+          { latitude: 10, longitude: 20, altitude: 1000 },
+          { latitude: 10.2, longitude: 20, altitude: 1500, speed: 80 }
+        ]
+      }
+    },
+    {
+      type: 'GroundEOObservatory',
+      name: 'Site',
+      latitude: 30,
+      longitude: -100,
+      altitude: 500,
+      sensor_max_distance: 2e7,
+      gimbal_slew_rates: { az: 3, el: { maxRateDegPerSec: 2, maxAccelDegPerSec2: 1 } },
+      fsm: { tip: 0.1, tilt: 0.2, slewRates: { tip: 0.5 } },
+      sensors: [
+        { name: 'Camera', height: 1024, width: 1024, x_fov: 2, y_fov: 2, field_of_regard: [{ clock: [0, 360], elevation: [10, 90] }], zoom: { min_x_fov: 0.5, max_x_fov: 4, min_y_fov: 0.5, max_y_fov: 4 }, color: 'red' },
+        { name: 'Beam', type: 'Laser', power: 50, beam_divergence: 0.001, max_range: 5e5 }
+      ]
+    }
+  ],
+  events: [
+    { time: 10, type: 'setSensorZoom', observer: 'Site', sensor: 'Camera', zoomLevel: 0.5 },
+    { time: 15, type: 'setDirectedEnergyActive', observer: 'Site', device: 'Beam', active: true },
+    { time: 100, type: 'trackObject', observer: 'Site', target: 'ISS' }
+  ]
+}
+
+describe('exportScenario', () => {
+  let universe
+  let clock
+
+  beforeEach(() => {
+    universe = new Universe()
+    clock = loadScenarioRuntime(universe, createClockContext(), JSON.parse(JSON.stringify(scenario)))
+    clock.currentTime = JulianDate.addSeconds(clock.startTime, 20, new JulianDate())
+    universe.update(clock.currentTime)
+  })
+
+  test('writes simulation parameters, objects and remaining events', () => {
+    const doc = exportScenario(universe, clock)
+
+    expect(doc.simulationParameters).toMatchObject({
+      start_time: '2021-01-01T00:00:00.000Z',
+      end_time: '2021-01-01T01:00:00.000Z',
+      current_time: '2021-01-01T00:00:20.000Z',
+      time_step: 10,
+      clock_step: 'SYSTEM_CLOCK_MULTIPLIER',
+      clock_range: 'CLAMPED',
+      playback_state: 'pause'
+    })
+
+    expect(doc.objects.map((o) => [o.type, o.name])).toEqual([
+      ['SGP4Satellite', 'ISS'],
+      ['TwoBodySatellite', 'GEO'],
+      ['AirVehicle', 'Drone'],
+      ['GroundEOObservatory', 'Site']
+    ])
+    expect(doc.objects[2]).toMatchObject({ collision_radius: 5, route: { mode: 'pingpong' } })
+    expect(doc.objects[2].route.waypoints[1].time).toEqual(expect.any(String))
+
+    const site = doc.objects[3]
+    expect(site).toMatchObject({
+      latitude: 30,
+      longitude: -100,
+      altitude: 500,
+      sensor_max_distance: 2e7,
+      gimbal_slew_rates: { az: { maxRateDegPerSec: 3 }, el: { maxRateDegPerSec: 2, maxAccelDegPerSec2: 1 } },
+      fsm: { name: 'Site FSM', tip: 0.1, tilt: 0.2, slewRates: { tip: { maxRateDegPerSec: 0.5 } } }
+    })
+    expect(site.sensors[0]).toMatchObject({ name: 'Camera', height: 1024, color: 'red', zoom: { initial_zoom_level: 0.5 } })
+    expect(site.sensors[1]).toMatchObject({ type: 'Laser', name: 'Beam', power: 50, beam_divergence: 0.001, max_range: 5e5, active: true })
+
+    expect(doc.events).toEqual([
+      { time: 100, type: 'trackobject', observer: 'Site', target: 'ISS' }
+    ])
+  })
+
+  test('exported document loads back into an equivalent universe', () => {
+    const doc = exportScenario(universe, clock)
+
+    const reloaded = new Universe()
+    const reloadedClock = loadScenarioRuntime(reloaded, createClockContext(), JSON.parse(JSON.stringify(doc)))
+    reloaded.update(reloadedClock.currentTime)
+
+    const roundTrip = (value) => JSON.parse(JSON.stringify(value))
+    expect(roundTrip(exportScenario(reloaded, reloadedClock))).toEqual(roundTrip(doc))
+  })
+
+  test('keeps continuous timed events continuous through a round trip', () => {
+    universe.scheduleEvent({
+      time: JulianDate.addSeconds(clock.startTime, 30, new JulianDate()),
+      type: 'setGimbalAxes',
+      data: { observer: 'Site', axes: { az: 10, el: 20 } },
+      once: false,
+      until: JulianDate.addSeconds(clock.startTime, 100, new JulianDate())
+    })
+
+    const doc = exportScenario(universe, clock)
+    const entry = doc.events.find((e) => e.type.toLowerCase() === 'setgimbalaxes')
+    expect(entry).toEqual({ time: 30, type: 'setGimbalAxes', observer: 'Site', axes: { az: 10, el: 20 }, once: false, until: 100 })
+
+    const reloaded = new Universe()
+    loadScenarioRuntime(reloaded, createClockContext(), JSON.parse(JSON.stringify(doc)))
+    expect(reloaded.events.toArray().find((e) => e.type.toLowerCase() === 'setgimbalaxes').continuous).toBe(true)
+  })
+
+  test('exports current gimbal pointing as an event at the current time', () => {
+    universe._observatories[0].gimbal.setAxisTarget('az', 45)
+    universe._observatories[0].gimbal.setAxisTarget('el', 30)
+
+    const doc = exportScenario(universe, clock)
+
+    expect(doc.events[0]).toEqual({ time: 20, type: 'setGimbalAxes', observer: 'Site', axes: { az: 45, el: 30 } })
+  })
+
+  test('skips objects without a scenario representation', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    universe.addGroundSite('Beacon', 1, 2, 3)
+
+    const doc = exportScenario(universe, clock)
+
+    expect(doc.objects.find((o) => o.name === 'Beacon')).toBeUndefined()
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Beacon'))
+    warn.mockRestore()
+  })
+
+  test('requires a clock', () => {
+    expect(() => exportScenario(universe, undefined)).toThrow(/clock/)
+  })
+})
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals'
+import { JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { loadScenario, validateScenarioEvents } from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+
+function buildScenario(events) {
+  const universe = new Universe()
+  const viewer = {
+    clock: {
+      currentTime: start.clone(),
+      startTime: start.clone(),
+      stopTime: at(3600),
+    },
+    addObjectVisualizer: jest.fn(),
+    addObservatoryVisualizer: jest.fn(),
+  }
+  const report = loadScenario(universe, viewer, {
+    objects: [
+      { type: 'SGP4Satellite', name: 'ISS', tle1: TLE1, tle2: TLE2 },
+      { type: 'GroundEOObservatory', name: 'Site', latitude: 0, longitude: 0, sensors: [{ name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1 }] }
+    ],
+    events
+  })
+  return { universe, viewer, report }
+}
+
+describe('scenario addObject and removeObject events', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('spawns objects and observatories at the event time with visualizers', () => {
+    const { universe, viewer, report } = buildScenario([
+      { time: 600, type: 'addObject', object: { type: 'AirVehicle', name: 'Drone', latitude: 0, longitude: 0.1, altitude: 100, speed: 40, heading: 90 } },
+      { time: 600, type: 'addObject', object: { type: 'TwoBody', name: 'Launch', position: [6778137, 0, 0], velocity: [0, 7668.6, 0] } },
+      { time: 900, type: 'addObject', object: { type: 'GroundEOObservatory', name: 'Remote', latitude: 10, longitude: 10, sensors: [{ name: 'Wide', height: 64, width: 64, y_fov: 5, x_fov: 5 }] } },
+      { time: 900, type: 'trackObject', observer: 'Remote', target: 'Drone' }
+    ])
+
+    expect(report.valid).toBe(true)
+    expect(report.warnings.map((w) => w.message)).toEqual(["'observer' unknown observatory 'Remote'", "'target' unknown object 'Drone'"])
+
+    universe.update(at(300))
+    expect(universe.hasObject('Drone')).toBe(false)
+    expect(viewer.addObjectVisualizer).toHaveBeenCalledTimes(1)
+
+    universe.update(at(600))
+    const drone = universe.getObject('Drone')
+    expect(JulianDate.secondsDifference(drone.captureState().epoch.time, start)).toBeCloseTo(600)
+    expect(JulianDate.secondsDifference(universe.getObject('Launch').captureState().epoch.time, start)).toBeCloseTo(600)
+    expect(viewer.addObjectVisualizer).toHaveBeenCalledTimes(3)
+
+    universe.update(at(900))
+    expect(viewer.addObservatoryVisualizer).toHaveBeenCalledTimes(2)
+    expect(universe.getObservatory('Remote').gimbal.trackObject).toBe(drone)
+  })
+
+  test('despawns objects and observatories and stops tracking them', () => {
+    const removed = []
+    const { universe } = buildScenario([
+      { time: 10, type: 'trackObject', observer: 'Site', target: 'ISS' },
+      { time: 60, type: 'removeObject', object: 'ISS' },
+      { time: 120, type: 'removeObject', name: 'Site' }
+    ])
+    universe.on('objectRemoved', (u, { object }) => removed.push(object.name))
+    universe.on('observatoryRemoved', (u, { observatory }) => removed.push(observatory.site.name))
+    const observatory = universe.getObservatory('Site')
+
+    universe.update(at(30))
+    expect(observatory.gimbal.trackObject).toBe(universe.getObject('ISS'))
+
+    universe.update(at(60))
+    expect(universe.hasObject('ISS')).toBe(false)
+    expect(observatory.gimbal.trackObject).toBeNull()
+    expect(observatory.gimbal.trackMode).toBe('fixed')
+
+    universe.update(at(120))
+    expect(universe.getObservatory('Site')).toBeUndefined()
+    expect(removed).toEqual(['ISS', 'Camera', expect.stringMatching(/Gimbal/), 'Site'])
+  })
+
+  test('rewinding past a spawn removes the object until the event re-fires', () => {
+    const { universe } = buildScenario([
+      { time: 600, type: 'addObject', object: { type: 'AirVehicle', name: 'Drone', latitude: 0, longitude: 0.1, altitude: 100, speed: 40 } },
+      { time: 600, type: 'addObject', object: { type: 'GroundEOObservatory', name: 'Remote', latitude: 10, longitude: 10 } }
+    ])
+    universe.update(at(700))
+    const first = universe.getObject('Drone')
+
+    universe.update(at(300))
+    expect(universe.hasObject('Drone')).toBe(false)
+    expect(universe.getObservatory('Remote')).toBeUndefined()
+
+    universe.update(at(700))
+    expect(universe.getObject('Drone')).not.toBe(first)
+    expect(universe.getObservatory('Remote')).toBeDefined()
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  test('loading a scenario without events makes addObject available', () => {
+    const { universe, viewer } = buildScenario(undefined)
+    universe.scheduleEvent({
+      time: at(60),
+      type: 'addObject',
+      data: { object: { type: 'TwoBody', name: 'Launch', position: [6778137, 0, 0], velocity: [0, 7668.6, 0] } }
+    })
+
+    universe.update(at(60))
+    expect(universe.hasObject('Launch')).toBe(true)
+    expect(viewer.addObjectVisualizer).toHaveBeenCalledTimes(2)
+  })
+
+  test('validates object entries and removal references', () => {
+    const { universe, viewer } = buildScenario([])
+    const report = validateScenarioEvents(universe, viewer, [
+      { time: 10, type: 'addObject' },
+      { time: 10, type: 'addObject', object: { type: 'Balloon', name: 'B' } },
+      { time: 10, type: 'addObject', object: { type: 'SGP4', name: 'ISS', tle1: TLE1, tle2: TLE2 } },
+      { time: 10, type: 'removeObject', object: 'Hubble' }
+    ])
+
+    expect(report.errors.map((e) => [e.index, e.message])).toEqual([
+      [0, "requires 'object'"],
+      [1, "'object' has unknown type 'Balloon'"]
+    ])
+    expect(report.warnings.map((w) => [w.index, w.message])).toEqual([
+      [2, "'object' 'ISS' already exists and will not be added again"],
+      [3, "'object' unknown observatory or object 'Hubble'"]
+    ])
+
+    universe.eventHistoryLimit = 0
+    const noHistory = validateScenarioEvents(universe, viewer, [{ time: 10, type: 'removeObject', object: 'ISS' }])
+    expect(noHistory.warnings.map((w) => w.message)).toEqual(["'object' 'ISS' will not be restored when rewinding, event history is disabled"])
+  })
+})
@@ -0,0 +1,139 @@
+import { JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import {
+  createClockContext,
+  loadScenarioRuntime,
+  registerScenarioEventSchema,
+  scheduleScenarioEvents,
+  validateScenarioEvents
+} from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+
+function buildUniverse() {
+  const universe = new Universe()
+  const clock = loadScenarioRuntime(universe, createClockContext(), {
+    simulationParameters: { start_time: '2021-01-01T00:00:00Z', end_time: '2021-01-01T01:00:00Z' },
+    objects: [
+      { type: 'SGP4Satellite', name: 'ISS', tle1: TLE1, tle2: TLE2 },
+      { type: 'AirVehicle', name: 'Drone', latitude: 0, longitude: 0, altitude: 1000 },
+      {
+        type: 'GroundEOObservatory',
+        name: 'Site',
+        latitude: 0,
+        longitude: 0,
+        sensors: [
+          { name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1 },
+          { name: 'Beam', type: 'laser', power: 1 }
+        ]
+      }
+    ]
+  })
+  return { universe, clock }
+}
+
+describe('validateScenarioEvents', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('accepts well-formed events', () => {
+    const { universe, clock } = buildUniverse()
+    const report = validateScenarioEvents(universe, clock, [
+      { time: 10, type: 'trackObject', observer: 'Site', target: 'ISS' },
+      { time: 20, type: 'setGimbalAxes', observer: 'Site', axes: { az: 90, el: 45 } },
+      { time: 30, type: 'setSensorZoom', observer: 'Site', sensor: 'Camera', zoomLevel: 0.5 },
+      { time: 40, type: 'setDirectedEnergyActive', observer: 'Site', device: 'Beam', active: true, interval: 5, count: 3 },
+      { time: '2021-01-01T00:10:00Z', type: 'airVehicleManeuver', object: 'Drone', velocity_ned: [10, 0, 0] },
+      { type: 'trackObject', observer: 'Site', target: 'ISS', when: { type: 'elevationAbove', observer: 'Site', target: 'ISS', elevation: 20 } }
+    ])
+
+    expect(report).toEqual({ valid: true, errors: [], warnings: [] })
+  })
+
+  test('reports structural errors', () => {
+    const { universe, clock } = buildUniverse()
+    const report = validateScenarioEvents(universe, clock, [
+      { time: 10, type: 'launchRocket' },
+      { type: 'trackObject', observer: 'Site', target: 'ISS' },
+      { time: 'soon', type: 'setGimbalAxes', observer: 'Site', axes: { az: 'left' } },
+      { time: 10, type: 'setSensorZoom', observer: 'Site', interval: -1 },
+      { time: 10, type: 'airVehicleManeuver', object: 'Drone' },
+      { type: 'trackObject', observer: 'Site', target: 'ISS', when: { type: 'eclipse' } },
+      'bogus'
+    ])
+
+    expect(report.valid).toBe(false)
+    expect(report.errors).toEqual([
+      { index: 0, type: 'launchRocket', field: 'type', message: "no handler for type 'launchRocket'" },
+      { index: 1, type: 'trackObject', field: 'time', message: "requires a 'time'" },
+      { index: 2, type: 'setGimbalAxes', field: 'time', message: '\'time\' "soon" is not a valid time' },
+      { index: 2, type: 'setGimbalAxes', field: 'axes', message: "'axes' has non-numeric axes az" },
+      { index: 3, type: 'setSensorZoom', field: 'interval', message: "'interval' must be a positive number of seconds" },
+      { index: 3, type: 'setSensorZoom', field: 'zoomLevel', message: "requires 'zoomLevel' or 'zoom_level'" },
+      { index: 4, type: 'airVehicleManeuver', message: expect.stringMatching(/^requires one of 'velocity_ned'/) },
+      { index: 5, type: 'trackObject', field: 'when.type', message: "unknown condition 'eclipse'" },
+      { index: 6, type: undefined, message: 'event must be an object' }
+    ])
+  })
+
+  test('warns about unknown references and times outside the clock', () => {
+    const { universe, clock } = buildUniverse()
+    const report = validateScenarioEvents(universe, clock, [
+      { time: 10, type: 'trackObject', observer: 'Nowhere', target: 'ISS' },
+      { time: 10, type: 'trackObject', observer: 'Site', target: 'Hubble' },
+      { time: 10, type: 'setFsmAxes', observer: 'Site', axes: { tip: 1 } },
+      { time: 10, type: 'setDirectedEnergyActive', observer: 'Site', device: 'Camera', active: true },
+      { time: 7200, type: 'setairvehicleheading', object: 'ISS', heading: 90 },
+      { time: 10, type: 'trackObject', observer: 'Site', target: 'ISS', when: { type: 'rangeBelow', observer: 'Drone', target: 'Ghost', range: 1000 } }
+    ])
+
+    expect(report.errors).toEqual([])
+    expect(report.warnings.map((w) => [w.index, w.field, w.message])).toEqual([
+      [0, 'observer', "'observer' unknown observatory 'Nowhere'"],
+      [1, 'target', "'target' unknown object 'Hubble'"],
+      [2, 'observer', "'observer' observatory 'Site' has no FSM"],
+      [3, 'device', "'device' payload 'Camera' is not a laser"],
+      [4, 'time', "'time' is after the clock stop"],
+      [4, 'object', "'object' 'ISS' is not an air vehicle"],
+      [5, 'when.target', "'when.target' unknown object 'Ghost'"]
+    ])
+  })
+
+  test('scheduling skips events with errors and returns the report', () => {
+    const { universe, clock } = buildUniverse()
+    const report = scheduleScenarioEvents(universe, clock, [
+      { time: 10, type: 'launchRocket' },
+      { time: 10, type: 'trackObject', observer: 'Site', target: 'Hubble' }
+    ])
+
+    expect(report.errors).toHaveLength(1)
+    expect(report.warnings).toHaveLength(1)
+    expect(universe.events.size()).toBe(1)
+    expect(() => universe.update(JulianDate.addSeconds(clock.startTime, 20, new JulianDate()))).not.toThrow()
+    expect(console.warn).toHaveBeenCalledWith("Skipping scenario event 0 (launchRocket): no handler for type 'launchRocket'")
+  })
+
+  test('custom handlers can register a schema', () => {
+    const { universe, clock } = buildUniverse()
+    universe.events.registerHandler('setLamp', () => {})
+    registerScenarioEventSchema('setLamp', {
+      fields: [
+        { keys: ['observer'], required: true, check: 'observatory' },
+        { keys: ['brightness'], required: true, check: (value) => (value > 1 ? { level: 'error', message: 'is too bright' } : undefined) }
+      ]
+    })
+
+    const report = validateScenarioEvents(universe, clock, [{ time: 1, type: 'setLamp', observer: 'Site', brightness: 2 }])
+
+    expect(report.errors).toEqual([{ index: 0, type: 'setLamp', field: 'brightness', message: "'brightness' is too bright" }])
+  })
+})
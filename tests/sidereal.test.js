@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { cartesianToRaDec, raDecToCartesian } from '../src/engine/dynamics/gimbal.js'
+import { getVisibility } from '../src/engine/geometry/visibility.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { exportScenario } from '../src/scenario/export.js'
+import { validateScenarioEvents } from '../src/scenario/validation.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const boresightRaDec = (object) => cartesianToRaDec(object.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3()))
+
+function buildUniverse() {
+  const universe = new Universe()
+  const observatory = universe.addGroundElectroOpticalObservatory('Site', 30, -100, 0, 'AzElGimbal', 64, 64, 1, 1, [])
+  return { universe, observatory }
+}
+
+describe('RA/Dec conversions', () => {
+  test('round-trip inertial directions', () => {
+    const [ra, dec, range] = cartesianToRaDec(new Cartesian3(0, -2, 2))
+    expect(ra).toBeCloseTo(270, 12)
+    expect(dec).toBeCloseTo(45, 12)
+    expect(range).toBeCloseTo(Math.sqrt(8), 12)
+
+    const direction = raDecToCartesian(ra, dec)
+    expect(Cartesian3.equalsEpsilon(direction, Cartesian3.normalize(new Cartesian3(0, -2, 2), new Cartesian3()), 1e-12)).toBe(true)
+    expect(cartesianToRaDec(new Cartesian3(0, 0, -5)).slice(0, 2)).toEqual([0, -90])
+  })
+})
+
+describe('sidereal tracking', () => {
+  test('pointRaDec holds the boresight on a fixed RA/Dec as the Earth turns', () => {
+    const { universe, observatory } = buildUniverse()
+    universe.scheduleEvent({ time: at(0), type: 'pointRaDec', data: { observer: 'Site', ra: 120, dec: 25 } })
+
+    universe.update(at(0))
+    const gimbal = observatory.gimbal
+    const startAz = gimbal.az
+    expect(gimbal.trackMode).toBe('sidereal')
+    expect(gimbal.sidereal).toEqual({ ra: 120, dec: 25 })
+
+    for (const seconds of [0, 600, 1800]) {
+      universe.update(at(seconds))
+      const [ra, dec] = boresightRaDec(observatory.sensor)
+      expect(ra).toBeCloseTo(120, 6)
+      expect(dec).toBeCloseTo(25, 6)
+      expect(gimbal.raDec.ra).toBeCloseTo(120, 6)
+      expect(gimbal.raDec.dec).toBeCloseTo(25, 6)
+      expect(gimbal.range).toBe(gimbal.maxRange)
+    }
+    expect(Math.abs(gimbal.az - startAz)).toBeGreaterThan(1)
+  })
+
+  test('ignores invalid RA/Dec and leaves sidereal mode on axis commands', () => {
+    const { universe, observatory } = buildUniverse()
+    const gimbal = observatory.gimbal
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    gimbal.sidereal = { ra: 10, dec: 95 }
+    expect(gimbal.sidereal).toBeNull()
+    expect(warn).toHaveBeenCalledWith('Gimbal.sidereal requires a finite ra and a dec between -90 and 90 degrees.')
+    warn.mockRestore()
+
+    gimbal.sidereal = { ra: -30, dec: 10 }
+    expect(gimbal.sidereal).toEqual({ ra: 330, dec: 10 })
+
+    universe.scheduleEvent({ time: at(0), type: 'pointRaDec', data: { observer: 'Site', ra: 45, dec: 10 } })
+    universe.scheduleEvent({ time: at(60), type: 'stepGimbalAxes', data: { observer: 'Site', axes: { az: 5 } } })
+    universe.update(at(0))
+    const az = gimbal.az
+    universe.update(at(60))
+    expect(gimbal.trackMode).toBe('fixed')
+    expect(gimbal.sidereal).toBeNull()
+    expect(gimbal.az).toBeCloseTo((az + 5) % 360, 6)
+  })
+
+  test('getVisibility reports the topocentric RA/Dec of the target', () => {
+    const { universe, observatory } = buildUniverse()
+    const target = universe.addTwoBodySatellite('Target', new Cartesian3(-20000000, -30000000, 15000000), new Cartesian3(0, 3000, 0), start)
+    universe.update(at(0))
+
+    const [result] = getVisibility(universe, { clock: { currentTime: at(0) } }, [observatory], target)
+    const lineOfSight = Cartesian3.subtract(target.worldPosition, observatory.site.worldPosition, new Cartesian3())
+    const [ra, dec] = cartesianToRaDec(lineOfSight)
+    expect(result.ra).toBeCloseTo(ra, 9)
+    expect(result.dec).toBeCloseTo(dec, 9)
+
+    observatory.gimbal.sidereal = { ra: result.ra, dec: result.dec }
+    observatory.gimbal.trackMode = 'sidereal'
+    universe.update(at(0))
+    expect(Cartesian3.dot(
+      Cartesian3.normalize(lineOfSight, new Cartesian3()),
+      Cartesian3.normalize(observatory.sensor.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3()), new Cartesian3())
+    )).toBeCloseTo(1, 9)
+  })
+})
+
+describe('sidereal persistence', () => {
+  test('round-trips through snapshots, export and scenario events', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+      addObservatoryVisualizer: jest.fn()
+    }
+    loadScenario(universe, viewer, {
+      objects: [{
+        type: 'GroundEOObservatory',
+        name: 'Site',
+        latitude: 30,
+        longitude: -100,
+        altitude: 0,
+        sensors: [{ name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1 }]
+      }],
+      events: [{ time: 0, type: 'pointRaDec', observer: 'Site', ra: 200, dec: -10 }]
+    })
+    universe.update(at(0))
+    expect(universe.getObservatory('Site').gimbal.sidereal).toEqual({ ra: 200, dec: -10 })
+
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    const gimbal = restored.getObservatory('Site').gimbal
+    expect(gimbal.trackMode).toBe('sidereal')
+    expect(gimbal.sidereal).toEqual({ ra: 200, dec: -10 })
+
+    const exported = exportScenario(universe, viewer)
+    expect(exported.events).toContainEqual({ time: 0, type: 'pointRaDec', observer: 'Site', ra: 200, dec: -10 })
+
+    const report = validateScenarioEvents(universe, viewer.clock, [{ time: 0, type: 'pointRaDec', observer: 'Site', ra: 10, dec: 100 }])
+    expect(report.errors).toEqual([expect.objectContaining({ message: expect.stringContaining('between -90 and 90') })])
+  })
+})
@@ -0,0 +1,172 @@
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+
+function buildUniverse(start) {
+  const universe = new Universe()
+  universe.addSGP4Satellite('ISS', TLE1, TLE2, 'nadir')
+  universe.addTwoBodySatellite('GEO', new Cartesian3(42164000, 0, 0), new Cartesian3(0, 3074.66, 0), start, 'nadir', true)
+  const drone = universe.addAirVehicle('Drone', 10, 20, 1000, new Cartesian3(50, 0, 0), new Cartesian3(), undefined, start)
+  drone.setWaypointRoute({
+    mode: 'loop',
+    waypoints: [
+      { latitude: 10, longitude: 20, altitude: 1000 },
+      { latitude: 10.1, longitude: 20, altitude: 1200, speedMps: 60 },
+      { latitude: 10.1, longitude: 20.1, altitude: 1200, speedMps: 60 }
+    ]
+  }, start)
+  universe.addGroundSite('Beacon', 5, 6, 7)
+  const observatory = universe.addGroundElectroOpticalObservatory({
+    name: 'Site',
+    latitude: 30,
+    longitude: -100,
+    altitude: 500,
+    gimbalSlewRates: { az: 2, el: { maxRateDegPerSec: 1, maxAccelDegPerSec2: 0.5 } },
+    fsm: { tip: 0.1, tilt: -0.2, slewRates: { tip: 0.5 } },
+    sensors: [
+      { name: 'Camera', height: 512, width: 512, y_fov: 2, x_fov: 2, field_of_regard: [{ clock: [0, 360], elevation: [0, 90] }], zoom: { min_x_fov: 0.5, max_x_fov: 4, min_y_fov: 0.5, max_y_fov: 4 } },
+      { name: 'Beam', type: 'laser', power: 10, maxRange: 1e6 }
+    ]
+  })
+  return { universe, observatory, drone }
+}
+
+describe('Universe snapshots', () => {
+  let start
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('captures objects, observatory state and pending events', () => {
+    const { universe, observatory } = buildUniverse(start)
+    universe.scheduleEvent({ time: JulianDate.addSeconds(start, 60, new JulianDate()), type: 'trackObject', data: { observer: 'Site', target: 'ISS' } })
+    universe.scheduleEvent({ time: JulianDate.addSeconds(start, 5, new JulianDate()), type: 'setGimbalAxes', data: { observer: 'Site', axes: { az: 90, el: 45 } } })
+    universe.run({ start, duration: 10, step: 5 })
+    observatory.sensors[0].setZoomLevel(0.75)
+    observatory.sensors[1].active = true
+
+    const snapshot = universe.snapshot()
+
+    expect(snapshot.version).toBe(1)
+    expect(snapshot.time).toBe(JulianDate.toIso8601(JulianDate.addSeconds(start, 10, new JulianDate())))
+    expect(snapshot.objects.map((o) => [o.type, o.name])).toEqual([
+      ['SGP4Satellite', 'ISS'],
+      ['TwoBodySatellite', 'GEO'],
+      ['AirVehicle', 'Drone'],
+      ['EarthGroundStation', 'Beacon']
+    ])
+    expect(snapshot.objects[0]).toMatchObject({ tle1: TLE1, tle2: TLE2, trackable: true })
+    expect(snapshot.objects[1]).toMatchObject({ lagrangeInterpolated: true, position: [42164000, 0, 0] })
+    expect(snapshot.objects[2].waypointRoute.waypoints).toHaveLength(3)
+    expect(snapshot.objects[3].trackable).toBe(false)
+
+    const [obs] = snapshot.observatories
+    expect(obs.config).toMatchObject({ name: 'Site', latitude: 30, longitude: -100, altitude: 500 })
+    expect(obs.config.gimbalSlewRates.el).toMatchObject({ maxRateDegPerSec: 1, maxAccelDegPerSec2: 0.5 })
+    expect(obs.config.sensors.map((s) => s.type)).toEqual(['ElectroOpticalSensor', 'Laser'])
+    expect(obs.state.gimbal.slew.az.targetDeg).toBeCloseTo(90)
+    expect(obs.state.fsm.axes).toEqual({ tip: 0.1, tilt: -0.2 })
+    expect(obs.state.sensors).toEqual([
+      { name: 'Camera', zoomLevel: 0.75 },
+      { name: 'Beam', zoomLevel: 0, active: true }
+    ])
+
+    expect(snapshot.events).toHaveLength(1)
+    expect(snapshot.events[0]).toMatchObject({ type: 'trackObject', data: { observer: 'Site', target: 'ISS' } })
+
+    expect(() => JSON.stringify(snapshot)).not.toThrow()
+  })
+
+  test('restored universe continues identically to the original', () => {
+    const { universe, observatory, drone } = buildUniverse(start)
+    universe.scheduleEvent({ time: JulianDate.addSeconds(start, 30, new JulianDate()), type: 'trackObject', data: { observer: 'Site', target: 'ISS' } })
+    universe.run({ start, duration: 20, step: 5 })
+    observatory.gimbal.setAxisTarget('az', 120)
+    observatory.sensors[0].setZoomLevel(0.4)
+
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+
+    expect(restored.snapshot()).toEqual(universe.snapshot())
+
+    const later = JulianDate.addSeconds(start, 90, new JulianDate())
+    universe.run({ start: JulianDate.addSeconds(start, 25, new JulianDate()), stop: later, step: 5 })
+    restored.run({ start: JulianDate.addSeconds(start, 25, new JulianDate()), stop: later, step: 5 })
+
+    for (const name of ['ISS', 'GEO', 'Drone']) {
+      const a = universe.getObject(name).worldPosition
+      const b = restored.getObject(name).worldPosition
+      expect(Cartesian3.distance(a, b)).toBeLessThan(1e-3)
+    }
+    const restoredObservatory = restored._observatories[0]
+    expect(restoredObservatory.gimbal.trackObject).toBe(restored.getObject('ISS'))
+    expect(restoredObservatory.gimbal.az).toBeCloseTo(observatory.gimbal.az, 9)
+    expect(restoredObservatory.gimbal.el).toBeCloseTo(observatory.gimbal.el, 9)
+    expect(restoredObservatory.fsm.tip).toBeCloseTo(observatory.fsm.tip, 9)
+    expect(restoredObservatory.sensors[0].zoomLevel).toBeCloseTo(0.4)
+    expect(restored.getObject('Drone').waypointRoute).toEqual(drone.waypointRoute)
+    expect(restored.events.size()).toBe(0)
+  })
+
+  test('keeps the progress of recurring events', () => {
+    const { universe } = buildUniverse(start)
+    universe.scheduleEvent({
+      time: start,
+      type: 'stepGimbalAxes',
+      data: { observer: 'Site', axes: { az: 1 } },
+      interval: 5,
+      count: 4,
+      until: JulianDate.addSeconds(start, 60, new JulianDate())
+    })
+    universe.run({ start, duration: 5, step: 5 })
+
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    const [event] = restored.events.toArray()
+    expect(event).toMatchObject({ interval: 5, count: 4, fireCount: 2 })
+    expect(JulianDate.secondsDifference(event.time, start)).toBeCloseTo(10)
+    expect(JulianDate.secondsDifference(event.until, start)).toBeCloseTo(60)
+
+    restored.run({ start: JulianDate.addSeconds(start, 10, new JulianDate()), duration: 30, step: 5 })
+    expect(restored.events.size()).toBe(0)
+  })
+
+  test('keeps condition-triggered events and their edge state', () => {
+    const { universe } = buildUniverse(start)
+    universe.scheduleEvent({
+      type: 'trackObject',
+      data: { observer: 'Site', target: 'ISS' },
+      once: false,
+      condition: { type: 'rangeBelow', observer: 'Site', target: 'ISS', range: 1e9 }
+    })
+    universe.update(start)
+
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    const [event] = restored.events.conditionEvents()
+    expect(event).toMatchObject({ once: false, fireCount: 1, active: true, condition: { type: 'rangeBelow', range: 1e9 } })
+    expect(restored.events.toArray()).toEqual([])
+  })
+
+  test('skips events with inline handlers', () => {
+    const universe = new Universe()
+    const id = universe.scheduleEvent({ time: start, handler: () => {} })
+    const snapshot = universe.snapshot()
+    expect(snapshot.events).toEqual([])
+    expect(snapshot.skipped).toEqual({ objects: [], events: [id] })
+    expect(console.warn).toHaveBeenCalled()
+  })
+
+  test('rejects unknown snapshot versions', () => {
+    expect(() => Universe.fromSnapshot({ version: 99 })).toThrow(/unsupported snapshot version/)
+    expect(() => Universe.fromSnapshot(null)).toThrow(/must be an object/)
+  })
+})
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals'
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import SpaceAzElGimbal from '../src/engine/objects/SpaceAzElGimbal.js'
+import { getVisibility } from '../src/engine/geometry/visibility.js'
+import { loadScenario } from '../src/scenario/index.js'
+import { exportScenario } from '../src/scenario/export.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const unit = (v) => Cartesian3.normalize(v, new Cartesian3())
+const boresight = (object) => unit(object.transformVectorToWorld(new Cartesian3(0, 0, -1), new Cartesian3()))
+const expectDirection = (actual, expected) => {
+  expect(Cartesian3.dot(unit(actual), unit(expected))).toBeCloseTo(1, 6)
+}
+
+const camera = (field_of_regard) => ({ name: 'Camera', height: 512, width: 512, y_fov: 1, x_fov: 1, field_of_regard })
+
+function buildUniverse(field_of_regard = [{ clock: [0, 360], elevation: [0, 60] }]) {
+  const universe = new Universe()
+  const host = universe.addTwoBodySatellite('Host', new Cartesian3(7000000, 0, 0), new Cartesian3(0, 7546, 0), start, 'nadir')
+  const target = universe.addTwoBodySatellite('Target', new Cartesian3(7100000, 50000, 0), new Cartesian3(0, 7490, 0), start)
+  const observatory = universe.addSpaceElectroOpticalObservatory({
+    name: 'Host Telescope',
+    satellite: 'Host',
+    sensors: [camera(field_of_regard)]
+  })
+  return { universe, host, target, observatory }
+}
+
+describe('SpaceAzElGimbal', () => {
+  test('points the payload boresight along the body-frame azimuth and elevation', () => {
+    const gimbal = new SpaceAzElGimbal()
+    expect(gimbal.el).toBe(0)
+
+    const cases = [[0, 0], [0, 90], [90, 45], [200, 120], [315, 10]]
+    cases.forEach(([az, el]) => {
+      gimbal.setAxisTarget('az', az)
+      gimbal.setAxisTarget('el', el)
+      gimbal.update(at(0), undefined)
+      const [outAz, outEl] = gimbal.toAzEl(boresight(gimbal))
+      expect(outEl).toBeCloseTo(el, 9)
+      if (el > 0) expect(outAz).toBeCloseTo(az, 9)
+    })
+  })
+
+  test('converts body vectors with the space-based convention', () => {
+    const gimbal = new SpaceAzElGimbal()
+    const [az, el, r] = gimbal.toAzEl(new Cartesian3(0, 10, 0))
+    expect(az).toBeCloseTo(90, 12)
+    expect(el).toBeCloseTo(90, 12)
+    expect(r).toBeCloseTo(10, 12)
+  })
+})
+
+describe('Universe.addSpaceElectroOpticalObservatory', () => {
+  test('mounts the gimbal and payloads on the satellite without taking it over', () => {
+    const { universe, host, observatory } = buildUniverse()
+
+    expect(observatory.site).toBe(host)
+    expect(observatory.hosted).toBe(true)
+    expect(observatory.gimbal).toBeInstanceOf(SpaceAzElGimbal)
+    expect(observatory.gimbal.parent).toBe(host)
+    expect(observatory.sensor.parent).toBe(observatory.gimbal)
+    expect(universe.getObject('Host')).toBe(host)
+    expect(universe.getObservatory('Host Telescope')).toBe(observatory)
+    expect(universe.getObservatory('Host')).toBeUndefined()
+  })
+
+  test('trackObject events point the sensor boresight at the target', () => {
+    const { universe, target, observatory } = buildUniverse()
+    universe.scheduleEvent({ time: at(0), type: 'trackObject', data: { observer: 'Host Telescope', target: 'Target' } })
+
+    universe.update(at(0))
+    universe.update(at(120))
+    const sensor = observatory.sensor
+    const lineOfSight = Cartesian3.subtract(target.worldPosition, sensor.worldPosition, new Cartesian3())
+    expect(observatory.gimbal.trackObject).toBe(target)
+    expectDirection(boresight(sensor), lineOfSight)
+    expect(observatory.gimbal.range).toBeCloseTo(Cartesian3.magnitude(lineOfSight), 0)
+  })
+
+  test('visibility uses body-frame angles and the field of regard', () => {
+    const { universe, host, target, observatory } = buildUniverse([{ clock: [0, 360], elevation: [90, 180] }])
+    const viewer = { clock: { currentTime: at(0) } }
+    universe.update(at(0))
+
+    // the target is above the host, opposite the nadir-pointing boresight
+    const [result] = getVisibility(universe, viewer, [observatory], target)
+    expect(result.el).toBeGreaterThan(90)
+    expect(result.visible).toBe(true)
+
+    observatory.sensor.field_of_regard = [{ clock: [0, 360], elevation: [0, 60] }]
+    expect(getVisibility(universe, viewer, [observatory], target)[0].visible).toBe(false)
+    expect(host.hidden).toBe(false)
+  })
+
+  test('rejects unknown satellites and duplicate names', () => {
+    const { universe } = buildUniverse()
+    expect(() => universe.addSpaceElectroOpticalObservatory('Scope', 'Missing', undefined, 64, 64, 1, 1, []))
+      .toThrow("Universe.addSpaceElectroOpticalObservatory: unknown satellite 'Missing'")
+    expect(() => universe.addSpaceElectroOpticalObservatory('Host Telescope', 'Target', undefined, 64, 64, 1, 1, []))
+      .toThrow("Universe.addSpaceElectroOpticalObservatory: observatory 'Host Telescope' already exists")
+    expect(() => universe.addSpaceElectroOpticalObservatory('Scope', 'Host', 'EquatorialGimbal', 64, 64, 1, 1, []))
+      .toThrow("Universe.addSpaceElectroOpticalObservatory: unsupported gimbalType 'EquatorialGimbal'")
+    expect(universe.addSpaceElectroOpticalObservatory('Scope', 'Host', 'space_az_el_gimbal', 64, 64, 1, 1, []).gimbal)
+      .toBeInstanceOf(SpaceAzElGimbal)
+  })
+
+  test('removing the observatory keeps the satellite, removing the satellite removes the observatory', () => {
+    const { universe, host, observatory } = buildUniverse()
+    const removed = jest.fn()
+    universe.on('observatoryRemoved', removed)
+
+    universe.removeObservatory('Host Telescope')
+    expect(universe.getObject('Host')).toBe(host)
+    expect(host.children).not.toContain(observatory.gimbal)
+    expect(removed).toHaveBeenCalledTimes(1)
+
+    const second = universe.addSpaceElectroOpticalObservatory('Second', host, undefined, 64, 64, 1, 1, [])
+    universe.scheduleEvent({ time: at(0), type: 'removeObject', data: { name: 'Host' } })
+    universe.update(at(0))
+    expect(universe.hasObject('Host')).toBe(false)
+    expect(universe.getObservatory('Second')).toBeUndefined()
+    expect(removed).toHaveBeenLastCalledWith(universe, { observatory: second })
+  })
+})
+
+describe('space observatory persistence', () => {
+  test('loads from scenario JSON and round-trips through export and snapshots', () => {
+    const universe = new Universe()
+    const viewer = {
+      clock: { currentTime: start.clone(), startTime: start.clone(), stopTime: at(3600) },
+      addObjectVisualizer: jest.fn(),
+      addObservatoryVisualizer: jest.fn()
+    }
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    loadScenario(universe, viewer, {
+      objects: [
+        { type: 'TwoBody', name: 'Host', position: [7000000, 0, 0], velocity: [0, 7546, 0], epoch: '2021-01-01T00:00:00Z', orientation: 'nadir' },
+        {
+          type: 'SpaceEOObservatory',
+          name: 'Scope',
+          satellite: 'Host',
+          gimbal_slew_rates: { az: 2, el: 2 },
+          sensors: [camera([{ clock: [0, 360], elevation: [0, 45] }])]
+        },
+        { type: 'SpaceEOObservatory', name: 'Bad', satellite: 'Host', gimbal_type: 'XYGimbal' }
+      ],
+      events: [{ time: 0, type: 'setGimbalAxes', observer: 'Scope', axes: { az: 30, el: 20 } }]
+    })
+    expect(warn).toHaveBeenCalledWith('Observatory Bad: unsupported gimbal type XYGimbal, skipping creation.')
+    expect(universe.getObservatory('Bad')).toBeUndefined()
+    warn.mockRestore()
+    const observatory = universe.getObservatory('Scope')
+    expect(observatory.site).toBe(universe.getObject('Host'))
+    expect(viewer.addObservatoryVisualizer).toHaveBeenCalledWith(observatory, expect.any(String))
+
+    universe.update(at(0))
+    const exported = exportScenario(universe, viewer)
+    expect(exported.objects.find((o) => o.name === 'Scope')).toMatchObject({
+      type: 'SpaceEOObservatory',
+      satellite: 'Host',
+      gimbal_slew_rates: { az: { maxRateDegPerSec: 2 }, el: { maxRateDegPerSec: 2 } }
+    })
+    expect(exported.events).toContainEqual(expect.objectContaining({ type: 'setGimbalAxes', observer: 'Scope' }))
+
+    const restored = Universe.fromSnapshot(JSON.parse(JSON.stringify(universe.snapshot())))
+    const copy = restored.getObservatory('Scope')
+    expect(copy.hosted).toBe(true)
+    expect(copy.site).toBe(restored.getObject('Host'))
+    expect(copy.gimbal).toBeInstanceOf(SpaceAzElGimbal)
+    expect(copy.sensor.field_of_regard).toEqual([{ clock: [0, 360], elevation: [0, 45] }])
+    expect(CMath.equalsEpsilon(copy.gimbal.el, observatory.gimbal.el, 1e-9)).toBe(true)
+  })
+})
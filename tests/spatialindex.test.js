@@ -0,0 +1,138 @@
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import SpatialIndex from '../src/engine/geometry/SpatialIndex.js'
+import Universe from '../src/engine/Universe.js'
+import { getObjectsInFieldOfView } from '../src/engine/geometry/visibility.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+function makePoint(name, x, y, z, radius = 0) {
+  return { name, worldPosition: new Cartesian3(x, y, z), collisionRadius: radius }
+}
+
+// deterministic pseudo-random points in a cube
+function makeCloud(count, size) {
+  let seed = 12345
+  const next = () => {
+    seed = (seed * 16807) % 2147483647
+    return (seed / 2147483647 - 0.5) * size
+  }
+  return Array.from({ length: count }, (_, i) => makePoint(`p${i}`, next(), next(), next(), Math.abs(next()) * 0.1))
+}
+
+function names(objects) {
+  return objects.map((o) => o.name).sort()
+}
+
+describe('SpatialIndex', () => {
+  test('indexes finite positions and reports its size', () => {
+    const index = new SpatialIndex().build([
+      makePoint('a', 0, 0, 0),
+      makePoint('b', NaN, 0, 0),
+      makePoint('c', 1, 2, 3)
+    ])
+    expect(index.size).toBe(2)
+    expect(index.frame).toBeUndefined()
+    expect(new SpatialIndex().queryCone(Cartesian3.ZERO, Cartesian3.UNIT_X, 1)).toEqual([])
+  })
+
+  test('ray query returns every sphere touching the segment', () => {
+    const cloud = makeCloud(2000, 1000)
+    const index = new SpatialIndex({ leafSize: 4 }).build(cloud, { radius: (o) => o.collisionRadius })
+    const origin = new Cartesian3(-600, 10, -20)
+    const direction = Cartesian3.normalize(new Cartesian3(1, 0.1, 0.05), new Cartesian3())
+    const maxRange = 900
+
+    const expected = cloud.filter((o) => {
+      const offset = Cartesian3.subtract(o.worldPosition, origin, new Cartesian3())
+      const t = Math.min(Math.max(Cartesian3.dot(offset, direction), 0), maxRange)
+      const closest = Cartesian3.add(origin, Cartesian3.multiplyByScalar(direction, t, new Cartesian3()), new Cartesian3())
+      return Cartesian3.distance(closest, o.worldPosition) <= o.collisionRadius
+    })
+
+    const result = index.queryRay(origin, direction, maxRange)
+    expect(expected.length).toBeGreaterThan(0)
+    expect(names(result)).toEqual(names(expected))
+  })
+
+  test('cone query returns the points inside the cone', () => {
+    const cloud = makeCloud(2000, 1000)
+    const index = new SpatialIndex().build(cloud)
+    const apex = new Cartesian3(0, 0, -500)
+    const axis = Cartesian3.UNIT_Z
+    const halfAngle = CMath.toRadians(20)
+
+    const inside = cloud.filter((o) => {
+      const offset = Cartesian3.subtract(o.worldPosition, apex, new Cartesian3())
+      return Cartesian3.angleBetween(offset, axis) <= halfAngle && Cartesian3.magnitude(offset) <= 800
+    })
+
+    const result = index.queryCone(apex, axis, halfAngle, 800)
+    expect(inside.length).toBeGreaterThan(0)
+    expect(names(result)).toEqual(names(inside))
+    expect(index.queryCone(apex, axis, Math.PI)).toHaveLength(cloud.length)
+  })
+})
+
+describe('Universe spatial index', () => {
+  const time = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+
+  function buildUniverse(enabled) {
+    const universe = new Universe()
+    universe.spatialIndexEnabled = enabled
+    const observatory = universe.addGroundElectroOpticalObservatory({
+      name: 'Site',
+      latitude: 0,
+      longitude: 0,
+      altitude: 0,
+      sensors: [
+        { name: 'Camera', height: 512, width: 512, y_fov: 4, x_fov: 6, field_of_regard: [] },
+        { name: 'Beam', type: 'laser', power: 10, active: true, maxRange: 2e7 }
+      ]
+    })
+    // targets above the site along the zenith, in the Earth-fixed frame
+    const targets = [1e6, 2e6, 3e6].map((height, i) => {
+      const target = universe.addGroundSite(`Target${i}`, 0, i === 2 ? 5 : 0, height, true)
+      target.collisionRadius = 5000
+      return target
+    })
+    universe.update(time)
+    return { universe, observatory, targets }
+  }
+
+  test('is disabled by default', () => {
+    const universe = new Universe()
+    expect(universe.spatialIndexEnabled).toBe(false)
+    expect(universe.getSpatialIndex()).toBeUndefined()
+  })
+
+  test('is rebuilt after updates and object changes', () => {
+    const { universe, targets } = buildUniverse(true)
+    const index = universe.getSpatialIndex()
+    expect(index.size).toBe(3)
+    expect(universe.getSpatialIndex()).toBe(index)
+
+    universe.removeObject(targets[0])
+    expect(universe.getSpatialIndex().size).toBe(2)
+  })
+
+  test('laser collisions match the unindexed result', () => {
+    const plain = buildUniverse(false)
+    const indexed = buildUniverse(true)
+    const beam = (u) => u.observatory.sensors[1]
+
+    expect(beam(plain).isColliding).toBe(true)
+    expect(beam(indexed).isColliding).toBe(true)
+    expect(beam(indexed).beamLength).toBeCloseTo(beam(plain).beamLength, 3)
+    expect(beam(indexed).beamLength).toBeCloseTo(1e6 - 5000, -1)
+  })
+
+  test('field-of-view queries match the unindexed result', () => {
+    const plain = buildUniverse(false)
+    const indexed = buildUniverse(true)
+
+    const inView = names(getObjectsInFieldOfView(plain.universe, plain.observatory.sensors[0]))
+    expect(inView).toEqual(['Target0', 'Target1'])
+    expect(names(getObjectsInFieldOfView(indexed.universe, indexed.observatory.sensors[0]))).toEqual(inView)
+  })
+})
@@ -0,0 +1,94 @@
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { createClockContext, loadScenarioRuntime, scheduleScenarioEvents } from '../src/scenario/index.js'
+import { ShadowState, getShadowStatus } from '../src/engine/geometry/shadow.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-03-20T00:00:00Z')
+
+function buildUniverse() {
+  const universe = new Universe()
+  loadScenarioRuntime(universe, createClockContext(), {
+    simulationParameters: { start_time: '2021-03-20T00:00:00Z' },
+    objects: [
+      {
+        type: 'GroundEOObservatory',
+        name: 'Site',
+        latitude: 0,
+        longitude: 0,
+        altitude: 0,
+        sensors: [
+          { name: 'Camera', height: 64, width: 64, y_fov: 1, x_fov: 1, field_of_regard: [{ clock: [0, 360], elevation: [30, 90] }] },
+          { name: 'Beam', type: 'laser', power: 1, active: true, maxRange: 1e6 }
+        ]
+      }
+    ]
+  })
+  // ~100 km south of the site at 10 km altitude, flying north at 1 km/s
+  const drone = universe.addAirVehicle('Drone', -0.9, 0, 10000, new Cartesian3(1000, 0, 0), new Cartesian3(), undefined, start)
+  drone.collisionRadius = 100
+  return { universe, drone, observatory: universe._observatories[0] }
+}
+
+function elevationOf(observatory, target) {
+  const local = observatory.site.transformPointFromWorld(target.worldPosition, new Cartesian3())
+  return Math.asin(local.z / Cartesian3.magnitude(local)) * 180 / Math.PI
+}
+
+describe('Universe condition-triggered events', () => {
+  test('scenario "when" events fire as geometry changes', () => {
+    const { universe, drone, observatory } = buildUniverse()
+    const times = {}
+    universe.on('eventFired', (u, { event }) => {
+      times[event.data.label] = JulianDate.secondsDifference(event.time, start)
+    })
+    universe.events.registerHandler('mark', () => {})
+    scheduleScenarioEvents(universe, createClockContext(), [
+      { type: 'trackObject', observer: 'Site', target: 'Drone', label: 'rise', when: { type: 'elevationAbove', observer: 'Site', target: 'Drone', elevation: 20 } },
+      { type: 'mark', label: 'range', when: { type: 'rangeBelow', observer: 'Site', target: 'Drone', range: 50000 } },
+      { type: 'mark', label: 'regard', when: { type: 'inFieldOfRegard', observer: 'Site', target: 'Drone', sensor: 'Camera' } }
+    ])
+
+    let elevationAtRise
+    for (let t = 0; t <= 90; t += 1) {
+      universe.update(JulianDate.addSeconds(start, t, new JulianDate()))
+      if (times.rise === t) elevationAtRise = elevationOf(observatory, drone)
+    }
+
+    expect(times.range).toBeGreaterThan(0)
+    expect(times.rise).toBeGreaterThan(times.range)
+    expect(times.regard).toBeGreaterThan(times.rise)
+    expect(elevationAtRise).toBeGreaterThan(20)
+    expect(elevationAtRise).toBeLessThan(21)
+    expect(observatory.gimbal.trackObject).toBe(drone)
+    expect(universe.events.size()).toBe(0)
+  })
+
+  test('laserColliding fires once the beam hits the tracked target', () => {
+    const { universe } = buildUniverse()
+    const fired = []
+    universe.scheduleEvent({ time: start, type: 'trackObject', data: { observer: 'Site', target: 'Drone' } })
+    universe.scheduleEvent({ condition: { type: 'laserColliding', observer: 'Site', device: 'Beam' }, handler: (u, e) => fired.push(e.time) })
+
+    universe.run({ start, duration: 30, step: 5 })
+
+    expect(fired).toHaveLength(1)
+    expect(universe._observatories[0].sensors[1].isColliding).toBe(true)
+  })
+
+  test('inUmbra fires when a low orbit enters eclipse', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('LEO', new Cartesian3(6778137, 0, 0), new Cartesian3(0, 7668.6, 0), start, 'nadir')
+    const states = []
+    universe.scheduleEvent({
+      condition: { type: 'inUmbra', object: 'LEO' },
+      handler: (u) => states.push(getShadowStatus(u.sun, [sat], u.time, u)[0])
+    })
+
+    universe.run({ start, duration: 6000, step: 60 })
+
+    expect(states).toEqual([ShadowState.UMBRA])
+  })
+})
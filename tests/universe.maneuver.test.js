@@ -0,0 +1,101 @@
+import { Cartesian3, JulianDate, Math as CMath } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { vallado } from '../src/engine/dynamics/twobody.js'
+import { createClockContext, loadScenarioRuntime, scheduleScenarioEvents, validateScenarioEvents } from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+const r0 = new Cartesian3(6778137, 0, 0)
+const v0 = new Cartesian3(0, 7668.6, 0)
+
+function expected(seconds, burnSeconds, deltaV) {
+  const burn = vallado(CMath.GRAVITATIONALPARAMETER, r0, v0, burnSeconds, 350)
+  const velocity = Cartesian3.add(burn.velocity, deltaV, new Cartesian3())
+  return vallado(CMath.GRAVITATIONALPARAMETER, burn.position, velocity, seconds - burnSeconds, 350).position
+}
+
+describe('Universe satelliteManeuver events', () => {
+  test('applies an in-track RIC burn and re-epochs the orbit', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('LEO', r0, v0, start, 'nadir')
+    const period = sat.period
+    universe.scheduleEvent({ time: at(0), type: 'satelliteManeuver', data: { object: 'LEO', deltaV: [0, 10, 0] } })
+
+    universe.run({ start, duration: 600, step: 60 })
+
+    expect(sat.period).toBeGreaterThan(period)
+    expect(Cartesian3.distance(sat.worldPosition, expected(600, 0, new Cartesian3(0, 10, 0)))).toBeLessThan(1e-3)
+  })
+
+  test('maneuvers the satellite behind a Lagrange interpolation wrapper', () => {
+    const universe = new Universe()
+    const wrapped = universe.addTwoBodySatellite('LEO', r0, v0, start, 'nadir', true)
+    universe.scheduleEvent({ time: at(300), type: 'satelliteManeuver', data: { satellite: 'LEO', deltaV: [0, 0, 50], frame: 'inertial' } })
+
+    universe.update(at(100))
+    universe.update(at(900))
+
+    const truth = expected(900, 300, new Cartesian3(0, 0, 50))
+    expect(Cartesian3.distance(wrapped.worldPosition, truth)).toBeLessThan(1)
+    expect(wrapped.object.captureState().epoch.velocity.z).toBeCloseTo(50, 6)
+  })
+
+  test('interpolates a satellite put on an escape trajectory', () => {
+    const universe = new Universe()
+    const wrapped = universe.addTwoBodySatellite('LEO', r0, v0, start, 'nadir', true)
+    universe.scheduleEvent({ time: at(300), type: 'satelliteManeuver', data: { object: 'LEO', deltaV: [0, 3500, 0] } })
+
+    universe.update(at(100))
+    universe.update(at(900))
+
+    expect(Number.isFinite(wrapped.period)).toBe(false)
+    const { epoch } = wrapped.object.captureState()
+    const truth = vallado(CMath.GRAVITATIONALPARAMETER, epoch.position, epoch.velocity, 600, 350).position
+    expect(Cartesian3.distance(wrapped.worldPosition, truth)).toBeLessThan(1)
+  })
+
+  test('rolls the maneuver back when time moves backwards', () => {
+    const universe = new Universe()
+    const sat = universe.addTwoBodySatellite('LEO', r0, v0, start, 'nadir', true)
+    universe.scheduleEvent({ time: at(300), type: 'satelliteManeuver', data: { object: 'LEO', deltaV: [5, 0, 0], frame: 'VNB' } })
+
+    universe.update(at(600))
+    const maneuvered = Cartesian3.clone(sat.worldPosition)
+    universe.update(at(200))
+    universe.update(at(600))
+    expect(Cartesian3.distance(sat.worldPosition, maneuvered)).toBeLessThan(1e-3)
+
+    universe.update(at(200))
+    const unmaneuvered = vallado(CMath.GRAVITATIONALPARAMETER, r0, v0, 600, 350).position
+    universe.events.clear()
+    universe.update(at(600))
+    expect(Cartesian3.distance(sat.worldPosition, unmaneuvered)).toBeLessThan(1)
+  })
+
+  test('scenario events are validated and scheduled', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const universe = new Universe()
+    const clock = loadScenarioRuntime(universe, createClockContext(), {
+      simulationParameters: { start_time: '2021-01-01T00:00:00Z', end_time: '2021-01-01T01:00:00Z' },
+      objects: [{ type: 'TwoBodySatellite', name: 'LEO', position: [6778137, 0, 0], velocity: [0, 7668.6, 0], epoch: '2021-01-01T00:00:00Z' }]
+    })
+
+    const report = validateScenarioEvents(universe, clock, [
+      { time: 60, type: 'satelliteManeuver', object: 'LEO', deltaV: [0, 1, 0], frame: 'NTW' },
+      { time: 60, type: 'satelliteManeuver', object: 'LEO' }
+    ])
+    expect(report.errors.map((e) => [e.index, e.field, e.message])).toEqual([
+      [0, 'frame', "'frame' must be 'RIC', 'VNB' or 'inertial'"],
+      [1, 'deltaV', "requires 'deltaV' or 'delta_v'"]
+    ])
+
+    const scheduled = scheduleScenarioEvents(universe, clock, [{ time: 0, type: 'satelliteManeuver', object: 'LEO', delta_v: [0, 10, 0] }])
+    expect(scheduled.valid).toBe(true)
+    universe.update(at(600))
+    expect(Cartesian3.distance(universe.getObject('LEO').worldPosition, expected(600, 0, new Cartesian3(0, 10, 0)))).toBeLessThan(1e-3)
+    jest.restoreAllMocks()
+  })
+})
@@ -0,0 +1,165 @@
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+function buildUniverse() {
+  const universe = new Universe()
+  const observatory = universe.addGroundElectroOpticalObservatory({
+    name: 'Site',
+    latitude: 30,
+    longitude: -100,
+    altitude: 500,
+    gimbalSlewRates: { az: 5, el: 5 },
+    sensors: [
+      { name: 'Camera', height: 512, width: 512, y_fov: 2, x_fov: 2, field_of_regard: [] },
+      { name: 'Beam', type: 'laser', power: 10, active: true, maxRange: 1e6 }
+    ]
+  })
+  const other = universe.addGroundElectroOpticalObservatory({
+    name: 'Other',
+    latitude: 0,
+    longitude: 0,
+    altitude: 0,
+    sensors: [{ name: 'Other Camera', height: 64, width: 64, y_fov: 1, x_fov: 1, field_of_regard: [] }]
+  })
+  return { universe, observatory, other }
+}
+
+describe('Universe.addGroundElectroOpticalObservatory', () => {
+  test('rejects a site name already used by an object', () => {
+    const { universe } = buildUniverse()
+    const satellite = universe.addTwoBodySatellite('Sat', new Cartesian3(7000000, 0, 0), new Cartesian3(0, 7500, 0), JulianDate.now())
+    expect(() => universe.addGroundElectroOpticalObservatory({ name: 'Sat', latitude: 0, longitude: 0, altitude: 0 }))
+      .toThrow("Universe.addGroundElectroOpticalObservatory: object 'Sat' already exists")
+    expect(() => universe.addGroundElectroOpticalObservatory({ name: 'Site', latitude: 0, longitude: 0, altitude: 0 }))
+      .toThrow("object 'Site' already exists")
+    expect(universe.getObject('Sat')).toBe(satellite)
+    expect(universe._observatories).toHaveLength(2)
+  })
+})
+
+describe('Universe.removeObservatory', () => {
+  test('removes every component from the internal lists', () => {
+    const { universe, observatory, other } = buildUniverse()
+    const { site, gimbal, sensors } = observatory
+
+    expect(universe.removeObservatory('Site')).toBe(observatory)
+
+    expect(universe._observatories).toEqual([other])
+    expect(universe.gimbals).toEqual([other.gimbal])
+    expect(universe.sensors).toEqual(other.sensors)
+    expect(universe.hasObject('Site')).toBe(false)
+    expect(universe.hasObject('Site Gimbal')).toBe(false)
+    expect(universe.hasObject('Camera')).toBe(false)
+    expect(universe.hasObject('Beam')).toBe(false)
+    expect(universe._nontrackables).not.toContain(gimbal)
+    expect(site.parent).toBeFalsy()
+    expect(sensors[0].parent).toBeFalsy()
+    expect(universe.earth.children).not.toContain(site)
+  })
+
+  test('removes the FSM and emits lifecycle events', () => {
+    const { universe } = buildUniverse()
+    const observatory = universe.addGroundElectroOpticalObservatory({
+      name: 'Mirror',
+      latitude: 10,
+      longitude: 10,
+      altitude: 0,
+      fsm: { tip: 0.1 },
+      sensors: [{ name: 'Mirror Camera', height: 64, width: 64, y_fov: 1, x_fov: 1, field_of_regard: [] }]
+    })
+    const removed = []
+    universe.on('objectRemoved', (u, { object }) => removed.push(object.name))
+    universe.on('observatoryRemoved', (u, payload) => removed.push(payload.observatory))
+
+    universe.removeObservatory('Mirror')
+
+    expect(universe.fsms).toEqual([])
+    expect(removed).toEqual(['Mirror Camera', 'Mirror FSM', 'Mirror Gimbal', observatory])
+  })
+
+  test('returns undefined for an unknown name and still updates', () => {
+    const { universe } = buildUniverse()
+    expect(universe.removeObservatory('Nope')).toBeUndefined()
+
+    universe.removeObservatory('Site')
+    expect(() => universe.update(JulianDate.fromIso8601('2021-01-01T00:00:00Z'))).not.toThrow()
+  })
+})
+
+describe('Universe.updateObservatory', () => {
+  const time = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+
+  test('swaps payloads and keeps the sensor list consistent', () => {
+    const { universe, observatory, other } = buildUniverse()
+    const oldSensors = observatory.sensors.slice()
+    const updates = []
+    universe.on('observatoryUpdated', (u, payload) => updates.push(payload))
+
+    universe.updateObservatory('Site', {
+      sensors: [{ name: 'Wide', height: 256, width: 256, y_fov: 10, x_fov: 10, field_of_regard: [] }]
+    })
+
+    expect(observatory.sensors.map((s) => s.name)).toEqual(['Wide'])
+    expect(observatory.sensor).toBe(observatory.sensors[0])
+    expect(observatory.sensors[0].parent).toBe(observatory.gimbal)
+    expect(universe.sensors).toEqual([...other.sensors, observatory.sensors[0]])
+    expect(universe.hasObject('Camera')).toBe(false)
+    expect(universe.getObject('Wide')).toBe(observatory.sensors[0])
+    expect(oldSensors[0].parent).toBeFalsy()
+    expect(updates).toEqual([{ observatory, addedSensors: observatory.sensors, removedSensors: oldSensors }])
+  })
+
+  test('adds, reconfigures and removes an FSM', () => {
+    const { universe, observatory } = buildUniverse()
+    const sensors = observatory.sensors
+
+    universe.updateObservatory('Site', { fsm: { tip: 0.2, slewRates: { tip: 1 } } })
+    const fsm = observatory.fsm
+    expect(fsm.name).toBe('Site FSM')
+    expect(fsm.parent).toBe(observatory.gimbal)
+    expect(universe.fsms).toEqual([fsm])
+    sensors.forEach((sensor) => expect(sensor.parent).toBe(fsm))
+
+    universe.updateObservatory('Site', { fsm: { tilt: -0.3 } })
+    expect(observatory.fsm).toBe(fsm)
+    expect(fsm.tip).toBeCloseTo(0.2)
+    expect(fsm.tilt).toBeCloseTo(-0.3)
+
+    universe.updateObservatory('Site', { fsm: null })
+    expect(observatory.fsm).toBeUndefined()
+    expect(universe.fsms).toEqual([])
+    expect(universe.hasObject('Site FSM')).toBe(false)
+    sensors.forEach((sensor) => expect(sensor.parent).toBe(observatory.gimbal))
+  })
+
+  test('changes slew rates and range and re-evaluates at an unchanged time', () => {
+    const { universe, observatory } = buildUniverse()
+    universe.update(time)
+    const before = observatory.gimbal.updateCount
+
+    universe.updateObservatory('Site', { gimbalSlewRates: { az: 2 }, sensorMaxDistance: 5e6 })
+    universe.update(time)
+
+    expect(Object.keys(observatory.gimbal.getAxisSlewRates())).toEqual(['az'])
+    expect(observatory.gimbal.getAxisSlewRates().az.maxRateDegPerSec).toBe(2)
+    expect(observatory.gimbal.maxRange).toBe(5e6)
+    expect(observatory.sensors[0].maxRange).toBe(5e6)
+    expect(observatory.gimbal.updateCount).toBe(before + 1)
+
+    universe.updateObservatory('Site', { gimbalSlewRates: null })
+    expect(observatory.gimbal.getAxisSlewRates()).toEqual({})
+  })
+
+  test('leaves unspecified settings alone and rejects unknown observatories', () => {
+    const { universe, observatory } = buildUniverse()
+    const sensors = observatory.sensors
+    universe.updateObservatory('Site', {})
+    expect(observatory.sensors).toBe(sensors)
+    expect(Object.keys(observatory.gimbal.getAxisSlewRates())).toEqual(['az', 'el'])
+
+    expect(() => universe.updateObservatory('Nope', {})).toThrow("Universe.updateObservatory: unknown observatory 'Nope'")
+  })
+})
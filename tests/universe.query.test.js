@@ -0,0 +1,121 @@
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import SGP4Satellite from '../src/engine/objects/SGP4Satellite.js'
+import { createClockContext, loadScenarioRuntime } from '../src/scenario/index.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+const epoch = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+
+function buildUniverse() {
+  const universe = new Universe()
+  const iss = universe.addSGP4Satellite('ISS', TLE1, TLE2, 'nadir', true)
+  const twin = universe.addSGP4Satellite('ISS', TLE1, TLE2, 'nadir')
+  const geo = universe.addTwoBodySatellite('GEO-1', new Cartesian3(42164000, 0, 0), new Cartesian3(0, 3075, 0), epoch, 'nadir')
+  const drone = universe.addAirVehicle('Drone', 30, -100, 1000)
+  iss.addTag('LEO', 'crewed')
+  twin.addTag('LEO')
+  geo.tags = ['GEO']
+  geo.metadata = { owner: 'Acme', rcs: 'LARGE' }
+  return { universe, iss, twin, geo, drone }
+}
+
+describe('Universe object registry', () => {
+  test('assigns unique ids, suffixing colliding names', () => {
+    const { universe, iss, twin, geo } = buildUniverse()
+
+    expect(iss.id).toBe('ISS')
+    expect(twin.id).toBe('ISS#2')
+    expect(geo.id).toBe('GEO-1')
+    expect(universe.getObjectById('ISS#2')).toBe(twin)
+    expect(universe.getObject('ISS')).toBe(twin)
+  })
+
+  test('releases ids on removal and re-keys with setObjectId', () => {
+    const { universe, iss, twin, geo } = buildUniverse()
+
+    universe.removeObject(twin)
+    expect(universe.getObjectById('ISS#2')).toBeUndefined()
+    // the remaining object with that name is unaffected
+    expect(universe.getObjectById('ISS')).toBe(iss)
+
+    universe.setObjectId(geo, 'sat-42')
+    expect(universe.getObjectById('sat-42')).toBe(geo)
+    expect(universe.getObjectById('GEO-1')).toBeUndefined()
+    expect(() => universe.setObjectId(geo, 'ISS')).toThrow("Universe.setObjectId: id 'ISS' is already used by ISS")
+    expect(() => universe.setObjectId(twin, 'x')).toThrow('is not in the universe')
+  })
+
+  test('queries by type, tags, metadata and predicate', () => {
+    const { universe, iss, twin, geo, drone } = buildUniverse()
+    const observatory = universe.addGroundElectroOpticalObservatory({
+      name: 'Site',
+      latitude: 0,
+      longitude: 0,
+      altitude: 0,
+      tags: ['ground'],
+      sensors: [{ name: 'Beam', type: 'laser', power: 1 }]
+    })
+
+    expect(universe.query({ type: 'SGP4Satellite' })).toEqual([iss, twin])
+    expect(universe.query({ type: SGP4Satellite })).toEqual([iss, twin])
+    expect(universe.query({ type: ['TwoBodySatellite', 'AirVehicle'] })).toEqual([geo, drone])
+    expect(universe.query({ type: 'Laser' })).toEqual(observatory.sensors)
+    expect(universe.query({ tags: 'LEO' })).toEqual([iss, twin])
+    expect(universe.query({ tags: ['LEO', 'crewed'] })).toEqual([iss])
+    expect(universe.query({ tags: 'ground' })).toEqual([observatory.site])
+    expect(universe.query({ metadata: { owner: 'Acme' } })).toEqual([geo])
+    expect(universe.query({ metadata: { noradId: '25544' } })).toEqual([iss, twin])
+    expect(universe.query({ type: 'SGP4Satellite', predicate: (o) => o.id !== 'ISS' })).toEqual([twin])
+    expect(universe.query()).toHaveLength(7)
+  })
+
+  test('tracking events resolve targets by id', () => {
+    const { universe, twin } = buildUniverse()
+    const observatory = universe.addGroundElectroOpticalObservatory({
+      name: 'Site',
+      latitude: 0,
+      longitude: 0,
+      altitude: 0,
+      sensors: [{ name: 'Camera', height: 10, width: 10, y_fov: 1, x_fov: 1 }]
+    })
+
+    universe.scheduleEvent({ time: epoch, type: 'trackObject', data: { observer: 'Site', target: 'ISS#2' } })
+    universe.update(epoch)
+
+    expect(observatory.gimbal.trackObject).toBe(twin)
+  })
+
+  test('snapshots keep ids, tags and metadata', () => {
+    const { universe, twin, geo } = buildUniverse()
+    universe.setObjectId(geo, 'sat-42')
+    universe.update(epoch)
+
+    const restored = Universe.fromSnapshot(universe.snapshot())
+
+    expect(restored.getObjectById('ISS#2').tags).toEqual(twin.tags)
+    expect(restored.getObjectById('sat-42').metadata).toEqual({ owner: 'Acme', rcs: 'LARGE' })
+    expect(restored.query({ tags: 'GEO' }).map((o) => o.id)).toEqual(['sat-42'])
+  })
+
+  test('scenario objects accept id, tags and metadata', () => {
+    const universe = new Universe()
+    loadScenarioRuntime(universe, createClockContext(), {
+      simulationParameters: { start_time: '2021-01-01T00:00:00Z' },
+      objects: [
+        { type: 'SGP4Satellite', name: 'ISS', tle1: TLE1, tle2: TLE2, tags: 'LEO', metadata: { owner: 'NASA' } },
+        { type: 'SGP4Satellite', name: 'ISS', tle1: TLE1, tle2: TLE2, id: 'iss-backup' },
+        { type: 'GroundEOObservatory', name: 'Site', latitude: 0, longitude: 0, tags: ['ground'] }
+      ]
+    })
+
+    const [iss] = universe.query({ tags: 'LEO' })
+    expect(iss.id).toBe('ISS')
+    expect(iss.metadata).toEqual({ noradId: '25544', owner: 'NASA' })
+    expect(universe.getObjectById('iss-backup')).toBeDefined()
+    expect(universe.query({ tags: 'ground' })).toEqual([universe.getObject('Site')])
+  })
+})
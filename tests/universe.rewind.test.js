@@ -0,0 +1,193 @@
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+const start = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+const at = (seconds) => JulianDate.addSeconds(start, seconds, new JulianDate())
+
+function buildUniverse() {
+  const universe = new Universe()
+  universe.addSGP4Satellite('ISS', TLE1, TLE2, 'nadir')
+  const drone = universe.addAirVehicle('Drone', 10, 20, 1000, new Cartesian3(50, 0, 0), new Cartesian3(), undefined, start)
+  const observatory = universe.addGroundElectroOpticalObservatory({
+    name: 'Site',
+    latitude: 30,
+    longitude: -100,
+    altitude: 500,
+    sensors: [
+      { name: 'Camera', height: 64, width: 64, y_fov: 2, x_fov: 2, field_of_regard: [], zoom: { min_x_fov: 0.5, max_x_fov: 2, min_y_fov: 0.5, max_y_fov: 2 } },
+      { name: 'Beam', type: 'laser', power: 10 }
+    ]
+  })
+  universe.scheduleEvent({ time: at(30), type: 'trackObject', data: { observer: 'Site', target: 'ISS' } })
+  universe.scheduleEvent({ time: at(40), type: 'setSensorZoom', data: { observer: 'Site', sensor: 'Camera', zoomLevel: 0.5 } })
+  universe.scheduleEvent({ time: at(50), type: 'setDirectedEnergyActive', data: { observer: 'Site', device: 'Beam', active: true } })
+  universe.scheduleEvent({ time: at(20), type: 'airVehicleManeuver', data: { object: 'Drone', velocity_ned: [0, 80, 0] } })
+  return { universe, drone, observatory }
+}
+
+describe('Universe event rewind', () => {
+  test('restores handler state and re-fires events going forward', () => {
+    const { universe, observatory } = buildUniverse()
+    const [camera, beam] = observatory.sensors
+    universe.run({ start, duration: 60, step: 5 })
+    expect(observatory.gimbal.trackObject).toBe(universe.getObject('ISS'))
+    expect(universe.events.size()).toBe(0)
+
+    universe.update(at(35))
+    expect(observatory.gimbal.trackObject).toBe(universe.getObject('ISS'))
+    expect(camera.zoomLevel).toBe(0)
+    expect(beam.active).toBe(false)
+    expect(universe.events.toArray().map((e) => e.type)).toEqual(['setSensorZoom', 'setDirectedEnergyActive'])
+
+    universe.update(at(10))
+    expect(observatory.gimbal.trackObject).toBeFalsy()
+    expect(universe.events.size()).toBe(4)
+
+    const fired = universe.update(at(60))
+    expect(fired.map((e) => e.type)).toEqual(['airVehicleManeuver', 'trackObject', 'setSensorZoom', 'setDirectedEnergyActive'])
+    expect(observatory.gimbal.trackObject).toBe(universe.getObject('ISS'))
+    expect(camera.zoomLevel).toBeCloseTo(0.5)
+    expect(beam.active).toBe(true)
+  })
+
+  test('rolls back air vehicle maneuvers', () => {
+    const { universe, drone } = buildUniverse()
+    const reference = new Universe()
+    const straight = reference.addAirVehicle('Drone', 10, 20, 1000, new Cartesian3(50, 0, 0), new Cartesian3(), undefined, start)
+
+    universe.run({ start, duration: 60, step: 5 })
+    const maneuvered = Cartesian3.clone(drone.worldPosition)
+
+    universe.update(at(15))
+    reference.update(at(15))
+    expect(Cartesian3.distance(drone.worldPosition, straight.worldPosition)).toBeLessThan(1e-6)
+    expect(drone.heading).toBeCloseTo(0)
+
+    universe.run({ start: at(20), duration: 40, step: 5 })
+    expect(Cartesian3.distance(drone.worldPosition, maneuvered)).toBeLessThan(1e-6)
+  })
+
+  test('restores the progress of recurring and condition-triggered events', () => {
+    const universe = new Universe()
+    const pulses = []
+    const alerts = []
+    universe.scheduleEvent({ time: start, interval: 10, count: 3, handler: (u, e) => pulses.push(e.occurrence) })
+    universe.scheduleEvent({ condition: { type: 'after', seconds: 25 }, handler: () => alerts.push(1) })
+    universe.events.registerCondition('after', (u, condition) => JulianDate.secondsDifference(u.time, start) >= condition.seconds)
+
+    universe.run({ start, duration: 40, step: 5 })
+    expect(pulses).toEqual([0, 1, 2])
+    expect(alerts).toHaveLength(1)
+
+    universe.update(at(15))
+    const [pulse] = universe.events.toArray()
+    expect(pulse.fireCount).toBe(2)
+    expect(JulianDate.secondsDifference(pulse.time, start)).toBeCloseTo(20)
+    expect(universe.events.conditionEvents()).toHaveLength(1)
+
+    universe.run({ start: at(20), duration: 20, step: 5 })
+    expect(pulses).toEqual([0, 1, 2, 2])
+    expect(alerts).toHaveLength(2)
+    expect(universe.events.size()).toBe(0)
+  })
+
+  test('restores objects and observatories removed by events when scrubbing back', () => {
+    const { universe, observatory } = buildUniverse()
+    const leo = universe.addTwoBodySatellite('LEO', new Cartesian3(7000000, 0, 0), new Cartesian3(0, 7546, 0), start, 'nadir')
+    const scope = universe.addSpaceElectroOpticalObservatory({
+      name: 'LEO Scope',
+      satellite: 'LEO',
+      sensors: [{ name: 'Scope Camera', height: 64, width: 64, y_fov: 1, x_fov: 1, field_of_regard: [] }]
+    })
+    universe.scheduleEvent({ time: at(200), type: 'trackObject', data: { observer: 'Site', target: 'LEO' } })
+    universe.scheduleEvent({ time: at(300), type: 'removeObject', data: { object: 'LEO' } })
+    universe.scheduleEvent({ time: at(400), type: 'removeObject', data: { object: 'Site' } })
+
+    universe.update(at(600))
+    expect(universe.hasObject('LEO')).toBe(false)
+    expect(universe.getObservatory('LEO Scope')).toBeUndefined()
+    expect(universe.getObservatory('Site')).toBeUndefined()
+
+    universe.update(at(350))
+    expect(universe.getObservatory('Site')).toBe(observatory)
+    expect(universe.getObject('Site')).toBe(observatory.site)
+    expect(observatory.site.parent).toBe(universe.earth)
+    expect(universe.hasObject('LEO')).toBe(false)
+    expect(observatory.gimbal.trackObject).toBeFalsy()
+
+    universe.update(at(100))
+    expect(universe.hasObject('LEO')).toBe(true)
+    expect(universe.getObject('LEO')).toBe(leo)
+    expect(universe.getObservatory('LEO Scope')).toBe(scope)
+    expect(scope.gimbal.parent).toBe(leo)
+    expect(universe.gimbals).toContain(scope.gimbal)
+    expect(universe.trackables).toContain(leo)
+    expect(Cartesian3.magnitude(leo.worldPosition)).toBeCloseTo(7000000, -4)
+
+    universe.update(at(250))
+    expect(observatory.gimbal.trackObject).toBe(leo)
+    universe.update(at(300))
+    expect(universe.hasObject('LEO')).toBe(false)
+    expect(observatory.gimbal.trackObject).toBeFalsy()
+  })
+
+  test('clearEventHistory stops rollback', () => {
+    const { universe, observatory } = buildUniverse()
+    universe.run({ start, duration: 60, step: 5 })
+
+    universe.clearEventHistory()
+    universe.update(at(10))
+
+    expect(observatory.gimbal.trackObject).toBe(universe.getObject('ISS'))
+    expect(universe.events.size()).toBe(0)
+  })
+
+  test('bounds history by count and time horizon', () => {
+    const universe = new Universe()
+    const pulses = []
+    universe.scheduleEvent({ time: start, interval: 10, count: 6, handler: (u, e) => pulses.push(e.occurrence) })
+    universe.eventHistoryLimit = 2
+    universe.run({ start, duration: 60, step: 10 })
+    expect(universe._eventCheckpoints.map((c) => JulianDate.secondsDifference(c.time, start))).toEqual([40, 50])
+
+    // older occurrences stay fired; rollback stops at the oldest kept checkpoint
+    universe.update(at(5))
+    expect(universe.events.toArray()[0].fireCount).toBe(4)
+    universe.update(at(60))
+    expect(pulses).toEqual([0, 1, 2, 3, 4, 5, 4, 5])
+
+    universe.eventHistoryLimit = Infinity
+    universe.eventHistoryHorizon = 15
+    expect(universe._eventCheckpoints).toHaveLength(1)
+    universe.update(at(75))
+    expect(universe._eventCheckpoints).toHaveLength(0)
+
+    expect(() => { universe.eventHistoryLimit = -1 }).toThrow('Universe.eventHistoryLimit must be a non-negative number')
+    universe.eventHistoryLimit = 0
+    universe.scheduleEvent({ time: at(80), handler: () => pulses.push('late') })
+    universe.update(at(80))
+    expect(universe._eventCheckpoints).toHaveLength(0)
+  })
+
+  test('checkpoints only the state a default handler can change', () => {
+    const { universe, drone } = buildUniverse()
+    universe.update(at(20))
+    universe.update(at(30))
+    const [maneuver, track] = universe._eventCheckpoints
+    expect([...maneuver.objects.keys()]).toEqual([drone])
+    expect(maneuver.observatories.size).toBe(0)
+    expect(track.objects.size).toBe(0)
+    expect([...track.observatories.keys()]).toEqual([universe.getObservatory('Site')])
+
+    universe.scheduleEvent({ time: at(31), handler: () => {} })
+    universe.update(at(31))
+    const inline = universe._eventCheckpoints[2]
+    expect(inline.objects.has(drone)).toBe(true)
+    expect(inline.observatories.size).toBe(1)
+  })
+})
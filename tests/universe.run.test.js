@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals'
+import Universe from '../src/engine/Universe.js'
+import Earth from '../src/engine/objects/Earth.js'
+import Sun from '../src/engine/objects/Sun.js'
+import { JulianDate } from 'cesium'
+
+jest.mock('../src/engine/objects/Earth.js')
+jest.mock('../src/engine/objects/Sun.js')
+
+describe('Universe.run', () => {
+  let universe
+  let mockEarth
+  let mockSun
+  let start
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockEarth = { name: 'Earth', update: jest.fn(), attach: jest.fn(), removeChild: jest.fn() }
+    mockSun = { name: 'Sun', update: jest.fn() }
+    Earth.mockImplementation(() => mockEarth)
+    Sun.mockImplementation(() => mockSun)
+    universe = new Universe()
+    start = JulianDate.fromIso8601('2024-01-01T00:00:00Z')
+  })
+
+  test('steps from start to stop inclusive', () => {
+    const stop = JulianDate.addSeconds(start, 30, new JulianDate())
+    const offsets = []
+    const result = universe.run({
+      start,
+      stop,
+      step: 10,
+      onStep: (u, step) => {
+        expect(u).toBe(universe)
+        offsets.push(JulianDate.secondsDifference(step.time, start))
+      }
+    })
+
+    expect(offsets).toEqual([0, 10, 20, 30])
+    expect(result.steps).toBe(4)
+    expect(JulianDate.equals(result.time, stop)).toBe(true)
+    expect(mockEarth.update).toHaveBeenCalledTimes(4)
+  })
+
+  test('final partial step lands on stop', () => {
+    const offsets = []
+    universe.run({
+      start,
+      duration: 25,
+      step: 10,
+      onStep: (_u, step) => offsets.push(JulianDate.secondsDifference(step.time, start))
+    })
+    expect(offsets).toEqual([0, 10, 20, 25])
+  })
+
+  test('collects onStep return values', () => {
+    const result = universe.run({ start, duration: 120, onStep: (_u, step) => step.index })
+    expect(result.results).toEqual([0, 1, 2])
+  })
+
+  test('reports fired events before the step callback', () => {
+    const calls = []
+    universe.events.registerHandler('ping', () => calls.push('handler'))
+    universe.scheduleEvent({ time: JulianDate.addSeconds(start, 15, new JulianDate()), type: 'ping' })
+
+    universe.run({
+      start,
+      duration: 30,
+      step: 10,
+      onEvent: (_u, evt) => calls.push(`event:${evt.type}`),
+      onStep: (_u, step) => calls.push(`step:${step.index}:${step.events.length}`)
+    })
+
+    expect(calls).toEqual(['step:0:0', 'step:1:0', 'handler', 'event:ping', 'step:2:1', 'step:3:0'])
+  })
+
+  test('steps() can be iterated lazily', () => {
+    const iterator = universe.steps({ start, duration: 3600, step: 60 })
+    const first = iterator.next().value
+    expect(first.index).toBe(0)
+    expect(JulianDate.equals(first.time, start)).toBe(true)
+    expect(mockEarth.update).toHaveBeenCalledTimes(1)
+  })
+
+  test('runAsync awaits callbacks', async () => {
+    const order = []
+    const result = await universe.runAsync({
+      start,
+      duration: 20,
+      step: 10,
+      onStep: async (_u, step) => {
+        await Promise.resolve()
+        order.push(step.index)
+        return step.index * 2
+      }
+    })
+    expect(order).toEqual([0, 1, 2])
+    expect(result.results).toEqual([0, 2, 4])
+  })
+
+  test('validates options', () => {
+    expect(() => universe.run({})).toThrow(/start time is required/)
+    expect(() => universe.run({ start })).toThrow(/stop time or duration/)
+    expect(() => universe.run({ start, duration: -5 })).toThrow(/before start/)
+    expect(() => universe.run({ start, duration: 5, step: 0 })).toThrow(/positive/)
+  })
+})
@@ -269,6 +269,57 @@ describe('Universe', () => {
     });
   });
 
+  describe('lifecycle events', () => {
+    test('should emit objectAdded and objectRemoved', () => {
+      const added = jest.fn();
+      const removed = jest.fn();
+      universe.on('objectAdded', added);
+      universe.on('objectRemoved', removed);
+
+      universe.addObject(mockObject, false);
+      expect(added).toHaveBeenCalledWith(universe, { object: mockObject, trackable: false });
+
+      universe.removeObject(mockObject);
+      expect(removed).toHaveBeenCalledWith(universe, { object: mockObject });
+    });
+
+    test('should not emit objectRemoved for objects that are not in the universe', () => {
+      const removed = jest.fn();
+      universe.on('objectRemoved', removed);
+
+      universe.removeObject({ name: 'Stranger', parent: null });
+
+      expect(removed).not.toHaveBeenCalled();
+    });
+
+    test('should emit eventFired for each fired event', () => {
+      const fired = jest.fn();
+      universe.on('eventFired', fired);
+      const handler = jest.fn();
+      universe.scheduleEvent({ time: mockTime, handler });
+
+      universe.update(mockTime);
+
+      expect(fired).toHaveBeenCalledTimes(1);
+      expect(fired.mock.calls[0][1].event.handler).toBe(handler);
+    });
+
+    test('should stop notifying after unsubscribing', () => {
+      const listener = jest.fn();
+      const unsubscribe = universe.on('objectAdded', listener);
+      unsubscribe();
+      universe.addObject(mockObject);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(universe.off('objectAdded', listener)).toBe(false);
+    });
+
+    test('should reject unknown events and non-function listeners', () => {
+      expect(() => universe.on('objectChanged', jest.fn())).toThrow("Universe.on: unknown event 'objectChanged'");
+      expect(() => universe.on('objectAdded', 'nope')).toThrow('Universe.on: listener must be a function');
+    });
+  });
+
   describe('addGroundSite', () => {
     let mockGroundStation;
 
@@ -697,6 +748,22 @@ describe('Universe', () => {
       }));
     });
 
+    test('should emit objectAdded for components and observatoryAdded once complete', () => {
+      const events = [];
+      universe.on('objectAdded', (u, { object }) => events.push(`object:${object.name}`));
+      universe.on('observatoryAdded', (u, { observatory }) => {
+        expect(universe._observatories).toContain(observatory);
+        events.push(`observatory:${observatory.site.name}`);
+      });
+
+      universe.addGroundElectroOpticalObservatory(
+        'TestObs', 40.7, -74.0, 100, 'azEl',
+        1024, 768, 1.0, 1.5, []
+      );
+
+      expect(events).toEqual(['object:TestObs Gimbal', 'object:TestObs Sensor', 'observatory:TestObs']);
+    });
+
     test('should handle different sensor configurations', () => {
       universe.addGroundElectroOpticalObservatory(
         'HighRes', 35.0, -106.0, 2000, 'azEl',
@@ -1009,43 +1076,43 @@ describe('Universe', () => {
       universe.update(mockTime);
       
       // Verify Earth and Sun are updated
-      expect(mockEarth.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(mockSun.update).toHaveBeenCalledWith(mockTime, universe, false);
+      expect(mockEarth.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(mockSun.update).toHaveBeenCalledWith(mockTime, universe, false, true);
       
       // Verify trackable objects are updated
-      expect(trackableObject1.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(trackableObject2.update).toHaveBeenCalledWith(mockTime, universe, false);
+      expect(trackableObject1.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(trackableObject2.update).toHaveBeenCalledWith(mockTime, universe, false, true);
       
       // Verify non-trackable objects are updated
-      expect(nonTrackableObject1.update).toHaveBeenCalledWith(mockTime, universe, false);
+      expect(nonTrackableObject1.update).toHaveBeenCalledWith(mockTime, universe, false, true);
       
       // Verify observatory components are updated
-      expect(observatory1.site.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(observatory1.gimbal.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(observatory1.sensor.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(observatory2.site.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(observatory2.gimbal.update).toHaveBeenCalledWith(mockTime, universe, false);
-      expect(observatory2.sensor.update).toHaveBeenCalledWith(mockTime, universe, false);
+      expect(observatory1.site.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(observatory1.gimbal.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(observatory1.sensor.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(observatory2.site.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(observatory2.gimbal.update).toHaveBeenCalledWith(mockTime, universe, false, true);
+      expect(observatory2.sensor.update).toHaveBeenCalledWith(mockTime, universe, false, true);
     });
 
     test('should update all objects with forceUpdate=true', () => {
       universe.update(mockTime, true);
       
       // Verify Earth and Sun are updated with forceUpdate
-      expect(mockEarth.update).toHaveBeenCalledWith(mockTime, universe, true);
-      expect(mockSun.update).toHaveBeenCalledWith(mockTime, universe, true);
+      expect(mockEarth.update).toHaveBeenCalledWith(mockTime, universe, true, true);
+      expect(mockSun.update).toHaveBeenCalledWith(mockTime, universe, true, true);
       
       // Verify trackable objects are updated with forceUpdate
-      expect(trackableObject1.update).toHaveBeenCalledWith(mockTime, universe, true);
-      expect(trackableObject2.update).toHaveBeenCalledWith(mockTime, universe, true);
+      expect(trackableObject1.update).toHaveBeenCalledWith(mockTime, universe, true, true);
+      expect(trackableObject2.update).toHaveBeenCalledWith(mockTime, universe, true, true);
       
       // Verify non-trackable objects are updated with forceUpdate
-      expect(nonTrackableObject1.update).toHaveBeenCalledWith(mockTime, universe, true);
+      expect(nonTrackableObject1.update).toHaveBeenCalledWith(mockTime, universe, true, true);
       
       // Verify observatory components are updated with forceUpdate
-      expect(observatory1.site.update).toHaveBeenCalledWith(mockTime, universe, true);
-      expect(observatory1.gimbal.update).toHaveBeenCalledWith(mockTime, universe, true);
-      expect(observatory1.sensor.update).toHaveBeenCalledWith(mockTime, universe, true);
+      expect(observatory1.site.update).toHaveBeenCalledWith(mockTime, universe, true, true);
+      expect(observatory1.gimbal.update).toHaveBeenCalledWith(mockTime, universe, true, true);
+      expect(observatory1.sensor.update).toHaveBeenCalledWith(mockTime, universe, true, true);
     });
 
     test('should update every sensor on a multi-sensor observatory exactly once per observatory pass', () => {
@@ -1063,12 +1130,12 @@ describe('Universe', () => {
 
       universe.update(mockTime)
 
-      expect(multiSensorObservatory.site.update).toHaveBeenCalledWith(mockTime, universe, false)
-      expect(multiSensorObservatory.gimbal.update).toHaveBeenCalledWith(mockTime, universe, false)
+      expect(multiSensorObservatory.site.update).toHaveBeenCalledWith(mockTime, universe, false, true)
+      expect(multiSensorObservatory.gimbal.update).toHaveBeenCalledWith(mockTime, universe, false, true)
       expect(sensor1.update).toHaveBeenCalledTimes(1)
-      expect(sensor1.update).toHaveBeenCalledWith(mockTime, universe, false)
+      expect(sensor1.update).toHaveBeenCalledWith(mockTime, universe, false, true)
       expect(sensor2.update).toHaveBeenCalledTimes(1)
-      expect(sensor2.update).toHaveBeenCalledWith(mockTime, universe, false)
+      expect(sensor2.update).toHaveBeenCalledWith(mockTime, universe, false, true)
     });
 
     test('should handle empty collections gracefully', () => {
@@ -1079,8 +1146,8 @@ describe('Universe', () => {
       
       // Earth and Sun should be updated (they're always present)
       // Note: Earth and Sun are created for every new Universe instance
-      expect(mockEarth.update).toHaveBeenCalledWith(mockTime, emptyUniverse, false);
-      expect(mockSun.update).toHaveBeenCalledWith(mockTime, emptyUniverse, false);
+      expect(mockEarth.update).toHaveBeenCalledWith(mockTime, emptyUniverse, false, true);
+      expect(mockSun.update).toHaveBeenCalledWith(mockTime, emptyUniverse, false, true);
     });
 
     test('should handle objects throwing errors during update', () => {
@@ -1105,8 +1172,8 @@ describe('Universe', () => {
         jest.clearAllMocks(); // Clear previous calls
         universe.update(time);
         
-        expect(mockEarth.update).toHaveBeenCalledWith(time, universe, false);
-        expect(mockSun.update).toHaveBeenCalledWith(time, universe, false);
+        expect(mockEarth.update).toHaveBeenCalledWith(time, universe, false, true);
+        expect(mockSun.update).toHaveBeenCalledWith(time, universe, false, true);
       });
     });
 
@@ -1260,7 +1327,7 @@ describe('Universe', () => {
       expect(endTime - startTime).toBeLessThan(1000); // Should complete within 1 second
       
       objects.forEach(obj => {
-        expect(obj.update).toHaveBeenCalledWith(mockTime, universe, false);
+        expect(obj.update).toHaveBeenCalledWith(mockTime, universe, false, true);
       });
     });
 
@@ -0,0 +1,133 @@
+import { Cartesian3, JulianDate } from 'cesium'
+import Universe from '../src/engine/Universe.js'
+import { applyIau2006XysDataPatch } from '../src/engine/cesium/Iau2006XysDataLocal.js'
+
+applyIau2006XysDataPatch()
+
+const TLE1 = '1 25544U 98067A   21001.00000000  .00002182  00000-0  40768-4 0  9990'
+const TLE2 = '2 25544  51.6461 339.2971 0002297  68.6102 207.9034 15.48919103456891'
+
+function buildUniverse() {
+  const universe = new Universe()
+  const satellite = universe.addSGP4Satellite('ISS', TLE1, TLE2, 'nadir')
+  const observatory = universe.addGroundElectroOpticalObservatory({
+    name: 'Site',
+    latitude: 30,
+    longitude: -100,
+    altitude: 500,
+    fsm: { tip: 0.1 },
+    sensors: [
+      { name: 'Camera', height: 512, width: 512, y_fov: 2, x_fov: 2, field_of_regard: [] },
+      { name: 'Beam', type: 'laser', power: 10, active: true, maxRange: 1e6 }
+    ]
+  })
+  return { universe, satellite, observatory }
+}
+
+function recordEvaluations(objects) {
+  const calls = []
+  objects.forEach((object) => {
+    const original = object._update.bind(object)
+    object._update = (time, universe) => {
+      calls.push(object.name)
+      original(time, universe)
+    }
+  })
+  return calls
+}
+
+describe('Universe.update ordering', () => {
+  const time = JulianDate.fromIso8601('2021-01-01T00:00:00Z')
+
+  test('evaluates each object once, dependencies before dependents', () => {
+    const { universe, satellite, observatory } = buildUniverse()
+    observatory.gimbal.trackMode = 'rate'
+    observatory.gimbal.trackObject = satellite
+    const { site, gimbal, fsm, sensors } = observatory
+    const calls = recordEvaluations([universe.earth, satellite, site, gimbal, fsm, ...sensors])
+
+    universe.update(time)
+
+    expect(calls).toEqual(['Earth', 'ISS', 'Site', 'Site Gimbal', 'Site FSM', 'Camera', 'Beam'])
+  })
+
+  test('does not re-evaluate anything at an unchanged time', () => {
+    const { universe, satellite, observatory } = buildUniverse()
+    universe.update(time)
+    const calls = recordEvaluations([universe.earth, satellite, observatory.gimbal, ...observatory.sensors])
+
+    universe.update(time)
+
+    expect(calls).toEqual([])
+  })
+
+  test('re-evaluates a commanded gimbal and its payloads at an unchanged time', () => {
+    const { universe, satellite, observatory } = buildUniverse()
+    universe.update(time)
+    const { site, gimbal, fsm, sensors } = observatory
+    const calls = recordEvaluations([universe.earth, satellite, site, gimbal, fsm, ...sensors])
+
+    gimbal.setAxisTarget('el', 45)
+    universe.update(time)
+
+    expect(calls).toEqual(['Site Gimbal', 'Site FSM', 'Camera', 'Beam'])
+    expect(gimbal.el).toBeCloseTo(45)
+  })
+
+  test('forceUpdate re-evaluates every object exactly once', () => {
+    const { universe, satellite, observatory } = buildUniverse()
+    universe.update(time)
+    const { site, gimbal, fsm, sensors } = observatory
+    const calls = recordEvaluations([universe.earth, satellite, site, gimbal, fsm, ...sensors])
+
+    universe.update(time, true)
+
+    expect(calls).toEqual(['Earth', 'ISS', 'Site', 'Site Gimbal', 'Site FSM', 'Camera', 'Beam'])
+  })
+
+  test('evaluates tracked trackables once, before the payloads that read them', () => {
+    const { universe, observatory } = buildUniverse()
+    const target = universe.addTwoBodySatellite(
+      'Target',
+      new Cartesian3(7000000, 0, 0),
+      new Cartesian3(0, 7500, 0),
+      time,
+      'nadir'
+    )
+    target.collisionRadius = 1000
+    observatory.gimbal.trackMode = 'rate'
+    observatory.gimbal.trackObject = target
+    const later = JulianDate.addSeconds(time, 600, new JulianDate())
+
+    universe.update(time)
+    const calls = recordEvaluations([target, observatory.sensors[1]])
+    universe.update(later)
+
+    expect(calls).toEqual(['Target', 'Beam'])
+    expect(JulianDate.equals(target.time, later)).toBe(true)
+  })
+
+  test('reuses the update order until objects, parents or tracked objects change', () => {
+    const { universe, satellite, observatory } = buildUniverse()
+    universe.update(time)
+    const order = universe._updateOrder
+    universe.update(JulianDate.addSeconds(time, 10, new JulianDate()))
+    expect(universe._updateOrder).toBe(order)
+
+    observatory.gimbal.trackObject = satellite
+    universe.update(JulianDate.addSeconds(time, 20, new JulianDate()))
+    expect(universe._updateOrder).not.toBe(order)
+    expect(universe._updateOrder.order.indexOf(satellite)).toBeLessThan(universe._updateOrder.order.indexOf(observatory.gimbal))
+
+    const tracked = universe._updateOrder
+    observatory.sensors[0].attach(observatory.gimbal)
+    universe.update(JulianDate.addSeconds(time, 30, new JulianDate()))
+    expect(universe._updateOrder).not.toBe(tracked)
+
+    const attached = universe._updateOrder
+    const target = universe.addTwoBodySatellite('Target', new Cartesian3(7000000, 0, 0), new Cartesian3(0, 7500, 0), time)
+    universe.update(JulianDate.addSeconds(time, 40, new JulianDate()))
+    expect(universe._updateOrder).not.toBe(attached)
+    expect(universe._updateOrder.order).toContain(target)
+  })
+})
@@ -646,4 +646,196 @@ describe('Viewer observatory behavior', () => {
     expect(viewer.trackedEntity).toBe(object.visualizer)
     expect(viewer.selectedEntity).toBe(object.visualizer)
   })
+
+  test('removes and replaces observatory visualizers on universe lifecycle events', () => {
+    const viewer = makeViewerStub()
+    viewer.entities.values = []
+    viewer.entities.add = jest.fn((value) => {
+      viewer.entities.values.push(value)
+      return value
+    })
+    viewer.entities.remove = jest.fn((value) => {
+      viewer.entities.values.splice(viewer.entities.values.indexOf(value), 1)
+      return true
+    })
+    const listeners = {}
+    const universe = {
+      earth: {
+        update: jest.fn(),
+        worldToLocalTransform: {}
+      },
+      _trackables: [],
+      on: jest.fn((name, listener) => {
+        listeners[name] = listener
+      })
+    }
+
+    mixinViewer(viewer, universe, {
+      infoBox2: false,
+      toolbar2: false,
+      showNightLayer: false,
+      showWeatherLayer: false,
+      enableObjectSearch: false
+    })
+
+    const camera = { name: 'HSV Camera', update: jest.fn(), visualizer: {} }
+    const laser = { name: 'HSV Laser', type: 'Laser', visualizer: {} }
+    const observatory = new Observatory({ name: 'HSV', visualizer: {} }, { name: 'HSV Gimbal' }, [camera, laser])
+    viewer.addObservatoryVisualizer(observatory, 'desc')
+    const cameraViewMenu = viewer.toolbar.addToolbarMenu.mock.results[0].value
+    const worldOptions = cameraViewMenu.userOptions.filter((option) => option.sensorRef === undefined)
+
+    // swap the laser for a new camera
+    const wide = { name: 'HSV Wide', visualizer: {} }
+    listeners.observatoryUpdated(universe, { observatory, addedSensors: [wide], removedSensors: [laser] })
+
+    expect(viewer.beamVisualizers).toHaveLength(0)
+    expect(viewer.sensorFovVisualizers).toHaveLength(2)
+    expect(laser.visualizer).toEqual({})
+    expect(viewer.entities.values.some((entity) => entity.sensorRef === laser)).toBe(false)
+    expect(cameraViewMenu.userOptions.map((option) => option.sensorRef?.name).filter(Boolean))
+      .toEqual(['HSV Camera', 'HSV Camera', 'HSV Wide', 'HSV Wide'])
+
+    viewer.setCameraMode('sensor', camera)
+    observatory.sensors = [camera, wide]
+    listeners.observatoryRemoved(universe, { observatory })
+
+    expect(viewer.cameraMode).toBe('world')
+    expect(viewer.trackedSensor).toBeNull()
+    expect(viewer.sensorFovVisualizers).toHaveLength(0)
+    expect(viewer.sensorForVisualizers).toHaveLength(0)
+    expect(viewer.sensorGrids).toHaveLength(0)
+    expect(viewer.entities.values).toEqual([])
+    expect(cameraViewMenu.userOptions).toEqual(worldOptions)
+  })
+
+  test('removes an object visualizer when the universe removes the object', () => {
+    const viewer = makeViewerStub()
+    viewer.entities.values = []
+    viewer.entities.add = jest.fn((value) => {
+      viewer.entities.values.push(value)
+      return value
+    })
+    viewer.entities.remove = jest.fn((value) => {
+      viewer.entities.values.splice(viewer.entities.values.indexOf(value), 1)
+      return true
+    })
+    const listeners = {}
+    const universe = {
+      earth: {
+        update: jest.fn(),
+        worldToLocalTransform: {}
+      },
+      _trackables: [],
+      on: jest.fn((name, listener) => {
+        listeners[name] = listener
+      })
+    }
+
+    mixinViewer(viewer, universe, {
+      infoBox2: false,
+      toolbar2: false,
+      showNightLayer: false,
+      showWeatherLayer: false,
+      enableObjectSearch: false
+    })
+
+    const object = { name: 'Drone-Alpha', updateListeners: [] }
+    viewer.addObjectVisualizer(object, 'desc', { point: { pixelSize: 2 } })
+    const entity = object.visualizer
+    const trackedObjectCombo = viewer.toolbar.addToolbarComboMenu.mock.results[0].value
+    trackedObjectCombo.menu.userOptions[0].onselect()
+    expect(viewer.trackedEntity).toBe(entity)
+    expect(object.updateListeners).toEqual([entity])
+    const removePoint = jest.spyOn(viewer.points, 'remove')
+
+    listeners.objectRemoved(universe, { object })
+
+    expect(viewer.entities.values).toEqual([])
+    expect(removePoint).toHaveBeenCalledWith(expect.objectContaining({ pixelSize: 2, id: entity }))
+    expect(object.updateListeners).toEqual([])
+    expect(object.visualizer).toEqual({})
+    expect(viewer.trackedEntity).toBeUndefined()
+    expect(trackedObjectCombo.menu.userOptions.some((option) => option.simObjectRef === object)).toBe(false)
+  })
+
+  test('adds an object visualizer back when the universe restores the object', () => {
+    const viewer = makeViewerStub()
+    viewer.entities.values = []
+    viewer.entities.add = jest.fn((value) => {
+      viewer.entities.values.push(value)
+      return value
+    })
+    viewer.entities.remove = jest.fn((value) => {
+      viewer.entities.values.splice(viewer.entities.values.indexOf(value), 1)
+      return true
+    })
+    const listeners = {}
+    const universe = {
+      earth: {
+        update: jest.fn(),
+        worldToLocalTransform: {}
+      },
+      _trackables: [],
+      on: jest.fn((name, listener) => {
+        listeners[name] = listener
+      })
+    }
+
+    mixinViewer(viewer, universe, {
+      infoBox2: false,
+      toolbar2: false,
+      showNightLayer: false,
+      showWeatherLayer: false,
+      enableObjectSearch: false
+    })
+
+    const object = { name: 'LEO', updateListeners: [] }
+    const other = { name: 'Other', updateListeners: [] }
+    viewer.addObjectVisualizer(object, 'desc', { point: { pixelSize: 2 } })
+    listeners.objectRemoved(universe, { object })
+    listeners.objectAdded(universe, { object: other, trackable: true })
+    expect(viewer.entities.values).toEqual([])
+
+    listeners.objectAdded(universe, { object, trackable: true })
+
+    expect(viewer.entities.values).toEqual([object.visualizer])
+    expect(object.visualizer).toMatchObject({ name: 'LEO', description: 'desc', simObjectRef: object })
+    expect(object.visualizer.point2).toMatchObject({ pixelSize: 2 })
+    expect(object.updateListeners).toEqual([object.visualizer])
+  })
+
+  test('tracked-object picker matches tags and honors a universe query', () => {
+    const viewer = makeViewerStub()
+    const universe = {
+      earth: {
+        update: jest.fn(),
+        worldToLocalTransform: {}
+      },
+      _trackables: [],
+      matchesQuery: jest.fn((object, query) => object.tags.has(query.tags))
+    }
+
+    mixinViewer(viewer, universe, {
+      infoBox2: false,
+      toolbar2: false,
+      showNightLayer: false,
+      showWeatherLayer: false,
+      enableObjectSearch: false
+    })
+
+    viewer.addObjectVisualizer({ name: 'SAT-1', tags: new Set(['GEO']) }, 'desc', {})
+    viewer.addObjectVisualizer({ name: 'SAT-2', tags: new Set(['LEO']) }, 'desc', {})
+    viewer.addObjectVisualizer({ name: 'Drone', tags: new Set(['air']) }, 'desc', {})
+    const trackedObjectCombo = viewer.toolbar.addToolbarComboMenu.mock.results[0].value
+    const listed = () => trackedObjectCombo.menu.userOptions.map((option) => option.text)
+
+    trackedObjectCombo.input.value = 'geo'
+    viewer.setTrackedObjectQuery(undefined)
+    expect(listed()).toEqual(['SAT-1'])
+
+    trackedObjectCombo.input.value = ''
+    viewer.setTrackedObjectQuery({ tags: 'LEO' })
+    expect(listed()).toEqual(['SAT-2'])
+  })
 })